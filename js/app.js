@@ -7,6 +7,11 @@ class StockpileApp {
     constructor() {
         this.database = null;
         this.inventoryManager = null;
+        this.purchasingManager = null;
+        this.shiftManager = null;
+        this.stockCountManager = null;
+        this.customerManager = null;
+        this.quoteManager = null;
         this.barcodeScanner = null;
         this.uiController = null;
         this.isInitialized = false;
@@ -32,13 +37,38 @@ class StockpileApp {
             await this.inventoryManager.init();
             console.log('✅ Inventory manager initialized');
             
+            // Initialize purchasing manager
+            this.purchasingManager = new PurchasingManager(this.database, this.inventoryManager);
+            await this.purchasingManager.init();
+            console.log('✅ Purchasing manager initialized');
+            
+            // Initialize shift manager
+            this.shiftManager = new ShiftManager(this.database, this.inventoryManager);
+            await this.shiftManager.init();
+            console.log('✅ Shift manager initialized');
+            
+            // Initialize stock count manager
+            this.stockCountManager = new StockCountManager(this.database, this.inventoryManager);
+            await this.stockCountManager.init();
+            console.log('✅ Stock count manager initialized');
+            
+            // Initialize customer manager
+            this.customerManager = new CustomerManager(this.database, this.inventoryManager);
+            await this.customerManager.init();
+            console.log('✅ Customer manager initialized');
+            
+            // Initialize quote manager
+            this.quoteManager = new QuoteManager(this.database, this.inventoryManager);
+            await this.quoteManager.init();
+            console.log('✅ Quote manager initialized');
+            
             // Initialize barcode scanner
             this.barcodeScanner = new BarcodeScanner();
             this.barcodeScanner.init();
             console.log('✅ Barcode scanner initialized');
             
             // Initialize UI controller
-            this.uiController = new UIController(this.inventoryManager, this.barcodeScanner);
+            this.uiController = new UIController(this.inventoryManager, this.barcodeScanner, this.purchasingManager, this.shiftManager);
             console.log('✅ UI controller initialized');
             
             // Hide loading state
@@ -126,7 +156,7 @@ class StockpileApp {
                         SKU: ${product.sku}<br>
                         Category: ${product.category}<br>
                         Price: $${product.price.toFixed(2)}<br>
-                        Stock: ${product.quantity} units<br>
+                        Stock: ${this.inventoryManager.getAvailableQuantity(product)} units<br>
                         ${product.supplier ? 'Supplier: ' + product.supplier + '<br>' : ''}
                         <div style="margin-top: 10px;">
                             <button class="btn" onclick="window.showSection('sell'); window.document.getElementById('sell-sku').value='${product.sku}'; window.showSellProductInfo('${product.sku}')">
@@ -162,7 +192,7 @@ class StockpileApp {
      */
     async performQuickSale() {
         const barcode = document.getElementById('quick-barcode').value.trim();
-        const quantity = parseInt(document.getElementById('quick-quantity').value);
+        const quantity = parseFloat(document.getElementById('quick-quantity').value);
         
         if (!barcode || !quantity || quantity <= 0) {
             if (this.uiController) {
@@ -357,6 +357,26 @@ class AuthenticationSystem {
         return this.isAuthenticated;
     }
 
+    /**
+     * Check another user's password without changing the session, so a
+     * manager can authorize an action at the logged-in user's terminal
+     * @param {string} username - Username
+     * @param {string} password - Password
+     * @param {string} action - What is being authorized, for the security log
+     * @returns {boolean} True if the credentials are valid
+     */
+    verifyCredentials(username, password, action = '') {
+        const valid = Boolean(this.credentials[username]) &&
+            this.credentials[username] === this.hashPassword(password);
+
+        this.logSecurityEvent(valid ? 'authorization_granted' : 'authorization_failed', {
+            authorizer: username,
+            action
+        });
+
+        return valid;
+    }
+
     /**
      * Get current user
      * @returns {string|null} Current username
@@ -367,40 +387,61 @@ class AuthenticationSystem {
 
     /**
      * Get user permissions based on role
+     * @param {string} username - User to check (defaults to the logged-in user)
      * @returns {Object} User permissions
      */
-    getUserPermissions() {
+    getUserPermissions(username = this.currentUser) {
         const permissions = {
             canViewInventory: true,
             canAddProducts: false,
             canEditProducts: false,
             canDeleteProducts: false,
             canProcessSales: true,
+            canProcessReturns: true,
             canRestock: false,
             canExportData: false,
             canImportData: false,
-            canViewReports: true
+            canManagePurchasing: false,
+            canManageSettings: false,
+            canManagePromotions: false,
+            canOverridePrice: false,
+            canApproveAdjustments: false,
+            canManageCustomers: false,
+            canOverrideCreditLimit: false,
+            canViewReports: true,
+            maxDiscountPercent: 0
         };
 
-        switch (this.currentUser) {
+        switch (username) {
             case 'admin':
                 // Admin has all permissions
                 Object.keys(permissions).forEach(key => {
-                    permissions[key] = true;
+                    if (typeof permissions[key] === 'boolean') {
+                        permissions[key] = true;
+                    }
                 });
+                permissions.maxDiscountPercent = 100;
                 break;
             case 'manager':
                 // Manager has most permissions except delete
                 permissions.canAddProducts = true;
                 permissions.canEditProducts = true;
                 permissions.canRestock = true;
+                permissions.canManagePurchasing = true;
+                permissions.canManagePromotions = true;
+                permissions.canOverridePrice = true;
+                permissions.canApproveAdjustments = true;
+                permissions.canManageCustomers = true;
+                permissions.canOverrideCreditLimit = true;
                 permissions.canExportData = true;
                 permissions.canImportData = true;
+                permissions.maxDiscountPercent = 30;
                 break;
             case 'clerk':
                 // Store clerk has limited permissions
                 permissions.canProcessSales = true;
                 permissions.canViewReports = false;
+                permissions.maxDiscountPercent = 5;
                 break;
         }
 
@@ -0,0 +1,143 @@
+/**
+ * Customer Accounts Module
+ * Checks customer details and works out account balances and their age for
+ * customers who buy on credit (fiado)
+ */
+
+// Entries on a customer's account; charges raise the balance, the rest lower it
+const ACCOUNT_ENTRY_TYPES = Object.freeze({
+    CHARGE: 'charge',
+    PAYMENT: 'payment',
+    CREDIT: 'credit'
+});
+
+// Age brackets of unpaid charges, in days since the sale
+const AGING_BUCKETS = Object.freeze([
+    Object.freeze({ key: 'current', label: '0-30 days', maxDays: 30 }),
+    Object.freeze({ key: 'days31to60', label: '31-60 days', maxDays: 60 }),
+    Object.freeze({ key: 'days61to90', label: '61-90 days', maxDays: 90 }),
+    Object.freeze({ key: 'over90', label: 'Over 90 days', maxDays: Infinity })
+]);
+
+// Longest tax ID accepted
+const MAX_TAX_ID_LENGTH = 20;
+
+class CustomerAccounts {
+    /**
+     * Check the details of a customer being saved
+     * @param {Object} data - name, taxId, phone and creditLimit
+     * @returns {Object} Normalized details
+     * @throws {Error} Validation error
+     */
+    static normalizeCustomer(data) {
+        const name = String(data.name || '').trim();
+        if (!name) {
+            throw new Error('El nombre del cliente es obligatorio');
+        }
+
+        const taxId = String(data.taxId || '').trim().toUpperCase();
+        if (taxId.length > MAX_TAX_ID_LENGTH) {
+            throw new Error('La identificación fiscal es demasiado larga');
+        }
+
+        const creditLimit = data.creditLimit === undefined || data.creditLimit === '' ? 0 : parseFloat(data.creditLimit);
+        if (isNaN(creditLimit) || creditLimit < 0) {
+            throw new Error('El límite de crédito debe ser cero o más');
+        }
+
+        return {
+            name,
+            taxId: taxId || null,
+            phone: String(data.phone || '').trim(),
+            creditLimit: TaxCalculator.round(creditLimit)
+        };
+    }
+
+    /**
+     * Get how much more a customer can charge to their account
+     * @param {Object} customer - Customer
+     * @returns {number} Credit still available (zero when over the limit)
+     */
+    static getAvailableCredit(customer) {
+        return Math.max(0, TaxCalculator.round(customer.creditLimit - (customer.balance || 0)));
+    }
+
+    /**
+     * Sum up what a charge to the account amounts to in a ticket's payments
+     * @param {Array} payments - Settled payments
+     * @returns {number} Amount charged to the account
+     */
+    static getChargeAmount(payments) {
+        return TaxCalculator.round(payments
+            .filter(payment => payment.method === PAYMENT_METHODS.ACCOUNT)
+            .reduce((sum, payment) => sum + payment.amount, 0));
+    }
+
+    /**
+     * Build an account entry
+     * @param {Object} customer - Customer
+     * @param {string} type - One of ACCOUNT_ENTRY_TYPES
+     * @param {number} amount - Amount, always positive
+     * @param {Object} details - Extra fields (date, user, ticket or return, method, reference, note)
+     * @returns {Object} Entry with the balance after it
+     */
+    static createEntry(customer, type, amount, details = {}) {
+        const sign = type === ACCOUNT_ENTRY_TYPES.CHARGE ? 1 : -1;
+        return {
+            customerId: customer.id,
+            customerName: customer.name,
+            type,
+            amount: TaxCalculator.round(amount),
+            balance: TaxCalculator.round((customer.balance || 0) + sign * amount),
+            ...details
+        };
+    }
+
+    /**
+     * Post an entry to a customer's balance
+     * @param {Object} customer - Customer (modified in place)
+     * @param {Object} entry - Entry from createEntry
+     */
+    static applyEntry(customer, entry) {
+        customer.balance = entry.balance;
+        customer.updatedAt = entry.date;
+    }
+
+    /**
+     * Work out which charges are still unpaid and how old they are.
+     * Payments and credits settle the oldest charges first.
+     * @param {Array} entries - A customer's account entries
+     * @param {Date} today - Reference date
+     * @returns {Object} { balance, unapplied, openCharges ({ ...entry, openAmount, ageDays }) } plus one total per AGING_BUCKETS key
+     */
+    static age(entries, today = new Date()) {
+        const charges = entries
+            .filter(entry => entry.type === ACCOUNT_ENTRY_TYPES.CHARGE)
+            .sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id);
+        let settled = entries
+            .filter(entry => entry.type !== ACCOUNT_ENTRY_TYPES.CHARGE)
+            .reduce((sum, entry) => sum + entry.amount, 0);
+
+        const day = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const aging = { balance: 0, unapplied: 0, openCharges: [] };
+        AGING_BUCKETS.forEach(bucket => { aging[bucket.key] = 0; });
+
+        charges.forEach(charge => {
+            const used = Math.min(charge.amount, settled);
+            settled = TaxCalculator.round(settled - used);
+            const openAmount = TaxCalculator.round(charge.amount - used);
+            if (openAmount <= 0) return;
+
+            const ageDays = Math.max(0, Math.round((day(today) - day(new Date(charge.date))) / DAY_MS));
+            const bucket = AGING_BUCKETS.find(b => ageDays <= b.maxDays);
+            aging[bucket.key] = TaxCalculator.round(aging[bucket.key] + openAmount);
+            aging.balance = TaxCalculator.round(aging.balance + openAmount);
+            aging.openCharges.push({ ...charge, openAmount, ageDays });
+        });
+
+        // Payments and credits beyond every charge are owed back to the customer
+        aging.unapplied = TaxCalculator.round(settled);
+        aging.balance = TaxCalculator.round(aging.balance - aging.unapplied);
+        return aging;
+    }
+}
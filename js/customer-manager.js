@@ -0,0 +1,226 @@
+/**
+ * Customer Manager Module
+ * Handles account customers: their details and credit limits, payments on
+ * what they owe, account statements and aged receivables
+ */
+
+// How a customer may pay off their account
+const ACCOUNT_PAYMENT_METHODS = Object.freeze([
+    PAYMENT_METHODS.CASH,
+    PAYMENT_METHODS.CARD,
+    PAYMENT_METHODS.TRANSFER
+]);
+
+class CustomerManager {
+    constructor(database, inventoryManager) {
+        this.db = database;
+        this.inventoryManager = inventoryManager;
+        this.customers = [];
+    }
+
+    /**
+     * Initialize customer manager and load data
+     */
+    async init() {
+        try {
+            await this.loadFromDB();
+
+            // Sales charged to an account and refunds to it change balances
+            ['ticketCompleted', 'saleProcessed', 'returnProcessed', 'dataImported'].forEach(event => {
+                this.inventoryManager.on(event, () => {
+                    this.loadFromDB().catch(error => {
+                        console.error('Error reloading customers:', error);
+                    });
+                });
+            });
+
+            console.log('Customer manager initialized with', this.customers.length, 'customers');
+
+        } catch (error) {
+            console.error('Error initializing customer manager:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load customers from database
+     */
+    async loadFromDB() {
+        this.customers = await this.db.getAllCustomers();
+    }
+
+    /**
+     * Add a customer or update an existing one. Giving credit, or changing
+     * how much, takes a user allowed to manage customers.
+     * @param {Object} data - name, taxId, phone and creditLimit
+     * @param {number|null} customerId - Customer to update, or null to add one
+     * @returns {Promise<Object>} Saved customer
+     */
+    async saveCustomer(data, customerId = null) {
+        try {
+            const details = CustomerAccounts.normalizeCustomer(data);
+            const existing = customerId ? this.getCustomer(customerId) : null;
+            if (customerId && !existing) {
+                throw new Error('Cliente no encontrado');
+            }
+
+            const previousLimit = existing ? existing.creditLimit : 0;
+            if (details.creditLimit !== previousLimit) {
+                const user = this.inventoryManager.getCurrentUser();
+                const permissions = window.authSystem ? window.authSystem.getUserPermissions(user) : null;
+                if (!permissions || !permissions.canManageCustomers) {
+                    throw new Error('No tiene permiso para asignar límites de crédito');
+                }
+            }
+
+            if (details.taxId && this.customers.some(c => c.taxId === details.taxId && c.id !== customerId)) {
+                throw new Error(`Ya existe un cliente con la identificación ${details.taxId}`);
+            }
+
+            const date = new Date().toISOString();
+            let customer;
+            if (existing) {
+                customer = { ...existing, ...details, updatedAt: date };
+                await this.db.updateCustomer(customer);
+                this.customers = this.customers.map(c => c.id === customer.id ? customer : c);
+            } else {
+                customer = { ...details, balance: 0, createdBy: this.inventoryManager.getCurrentUser(), createdAt: date, updatedAt: date };
+                customer.id = await this.db.addCustomer(customer);
+                this.customers.push(customer);
+            }
+
+            this.inventoryManager.emit('customerSaved', { customer });
+            return customer;
+
+        } catch (error) {
+            console.error('Error saving customer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all customers sorted by name
+     * @returns {Array} Customers
+     */
+    getCustomers() {
+        return [...this.customers].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get a customer by ID
+     * @param {number} customerId - Customer ID
+     * @returns {Object|null} Customer
+     */
+    getCustomer(customerId) {
+        return this.customers.find(c => c.id === customerId) || null;
+    }
+
+    /**
+     * Find a customer by exact name or tax ID
+     * @param {string} text - Name or tax ID
+     * @returns {Object|null} Customer
+     */
+    findCustomer(text) {
+        const term = String(text || '').trim().toUpperCase();
+        if (!term) return null;
+
+        return this.customers.find(c => c.name.toUpperCase() === term || c.taxId === term) || null;
+    }
+
+    /**
+     * Record a payment against what a customer owes
+     * @param {number} customerId - Customer ID
+     * @param {number} amount - Amount paid
+     * @param {string} method - One of ACCOUNT_PAYMENT_METHODS
+     * @param {string} reference - Optional reference (card slip, transfer number)
+     * @returns {Promise<Object>} { customer, entry }
+     */
+    async recordPayment(customerId, amount, method = PAYMENT_METHODS.CASH, reference = '') {
+        try {
+            const paid = TaxCalculator.round(parseFloat(amount));
+            if (isNaN(paid) || paid <= 0) {
+                throw new Error('El monto del pago debe ser mayor a cero');
+            }
+            if (!ACCOUNT_PAYMENT_METHODS.includes(method)) {
+                throw new Error(`Forma de pago inválida: ${method}`);
+            }
+
+            const result = await this.db.runTransaction(['customers', 'accountEntries'], async (tx) => {
+                const customer = await tx.get('customers', customerId);
+                if (!customer) {
+                    throw new Error('Cliente no encontrado');
+                }
+                if (paid > (customer.balance || 0)) {
+                    throw new Error(`El pago supera el saldo de ${customer.name}: $${(customer.balance || 0).toFixed(2)}`);
+                }
+
+                const entry = CustomerAccounts.createEntry(customer, ACCOUNT_ENTRY_TYPES.PAYMENT, paid, {
+                    date: new Date().toISOString(),
+                    user: this.inventoryManager.getCurrentUser(),
+                    method,
+                    reference: String(reference || '').trim()
+                });
+                entry.id = await tx.add('accountEntries', entry);
+                CustomerAccounts.applyEntry(customer, entry);
+                await tx.put('customers', customer);
+
+                return { customer, entry };
+            });
+
+            this.customers = this.customers.map(c => c.id === result.customer.id ? result.customer : c);
+            this.inventoryManager.emit('accountPaymentRecorded', result);
+            console.log('Account payment recorded:', result.customer.name, paid);
+
+            return result;
+
+        } catch (error) {
+            console.error('Error recording account payment:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a customer's account entries, oldest first, with the aging of
+     * what is still open
+     * @param {number} customerId - Customer ID
+     * @returns {Promise<Object>} { customer, entries, aging }
+     */
+    async getStatement(customerId) {
+        const customer = this.getCustomer(customerId);
+        if (!customer) {
+            throw new Error('Cliente no encontrado');
+        }
+
+        const entries = (await this.db.getAccountEntriesByCustomer(customerId))
+            .sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id);
+        return { customer, entries, aging: CustomerAccounts.age(entries) };
+    }
+
+    /**
+     * Work out how old every customer's unpaid balance is
+     * @param {Date} today - Reference date
+     * @returns {Promise<Object>} { customers ({ customer, ...aging }), totals (one per AGING_BUCKETS key plus balance) }
+     */
+    async getAgedReceivables(today = new Date()) {
+        const entries = await this.db.getAllAccountEntries();
+        const byCustomer = {};
+        entries.forEach(entry => {
+            (byCustomer[entry.customerId] = byCustomer[entry.customerId] || []).push(entry);
+        });
+
+        const rows = this.getCustomers()
+            .map(customer => ({ customer, ...CustomerAccounts.age(byCustomer[customer.id] || [], today) }))
+            .filter(row => row.balance !== 0)
+            .sort((a, b) => b.balance - a.balance);
+
+        const totals = { balance: 0 };
+        AGING_BUCKETS.forEach(bucket => { totals[bucket.key] = 0; });
+        rows.forEach(row => {
+            Object.keys(totals).forEach(key => {
+                totals[key] = TaxCalculator.round(totals[key] + row[key]);
+            });
+        });
+
+        return { customers: rows, totals };
+    }
+}
@@ -0,0 +1,280 @@
+/**
+ * Customers Functionality
+ * Handles the customer accounts screen: customer details, credit limits,
+ * payments on account and statements
+ */
+
+// Customer whose statement is shown
+let activeCustomerId = null;
+
+// Render the whole customers section
+function renderCustomersSection() {
+    if (!window.customerManager) return;
+
+    const limitInput = document.getElementById('customer-credit-limit');
+    if (limitInput) {
+        limitInput.disabled = !window.checkPermission('canManageCustomers');
+    }
+
+    renderCustomersList();
+    renderCustomerStatement();
+}
+
+// Render the customer list, filtered by the search box
+function renderCustomersList() {
+    const container = document.getElementById('customers-list');
+    if (!container) return;
+
+    const searchInput = document.getElementById('customer-search');
+    const term = searchInput ? searchInput.value.trim().toLowerCase() : '';
+    const customers = window.customerManager.getCustomers().filter(customer => !term ||
+        customer.name.toLowerCase().includes(term) ||
+        (customer.taxId || '').toLowerCase().includes(term) ||
+        (customer.phone || '').includes(term));
+
+    if (customers.length === 0) {
+        container.innerHTML = `<p style="color: #7f8c8d;">${term ? 'No customers match the search' : 'No customers yet'}</p>`;
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="table-container">
+            <table class="inventory-table">
+                <thead>
+                    <tr>
+                        <th>👤 Name</th>
+                        <th>🧾 Tax ID</th>
+                        <th>💰 Balance</th>
+                        <th>💳 Available</th>
+                        <th>⚙️ Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${customers.map(customer => {
+                        const available = CustomerAccounts.getAvailableCredit(customer);
+                        return `
+                            <tr>
+                                <td>${customer.name}${customer.phone ? `<br><small style="color: #7f8c8d;">📞 ${customer.phone}</small>` : ''}</td>
+                                <td>${customer.taxId || '-'}</td>
+                                <td class="${(customer.balance || 0) > customer.creditLimit ? 'delta-negative' : ''}">$${(customer.balance || 0).toFixed(2)}</td>
+                                <td>$${available.toFixed(2)} <small style="color: #7f8c8d;">/ $${customer.creditLimit.toFixed(2)}</small></td>
+                                <td class="action-buttons">
+                                    <button class="btn" onclick="openCustomerStatement(${customer.id})" title="Statement and payments">📒</button>
+                                    <button class="btn btn-warning" onclick="editCustomer(${customer.id})" title="Edit">✏️</button>
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Render the statement and payment form of the customer picked
+async function renderCustomerStatement() {
+    const container = document.getElementById('customer-statement');
+    if (!container) return;
+
+    if (!activeCustomerId || !window.customerManager.getCustomer(activeCustomerId)) {
+        container.innerHTML = '';
+        return;
+    }
+
+    let statement;
+    try {
+        statement = await window.customerManager.getStatement(activeCustomerId);
+    } catch (error) {
+        container.innerHTML = `<div class="alert alert-warning">${error.message}</div>`;
+        return;
+    }
+
+    const { customer, entries, aging } = statement;
+    const typeLabels = {
+        charge: '🛒 Sale on account',
+        payment: '💵 Payment',
+        credit: '↩️ Return credit'
+    };
+
+    container.innerHTML = `
+        <div class="receiving-box">
+            <div class="section-header">
+                <h3>📒 ${customer.name}</h3>
+                <button class="btn btn-danger" onclick="closeCustomerStatement()">✖ Close</button>
+            </div>
+            <p style="margin-bottom: 15px;">
+                <strong>Balance:</strong> $${(customer.balance || 0).toFixed(2)} ·
+                <strong>Credit limit:</strong> $${customer.creditLimit.toFixed(2)} ·
+                <strong>Available:</strong> $${CustomerAccounts.getAvailableCredit(customer).toFixed(2)}
+            </p>
+            <p style="color: #7f8c8d; margin-bottom: 15px;">
+                ${AGING_BUCKETS.map(bucket => `${bucket.label}: $${aging[bucket.key].toFixed(2)}`).join(' · ')}
+            </p>
+            ${(customer.balance || 0) > 0 ? `
+                <form id="account-payment-form" class="form-row">
+                    <div class="form-group">
+                        <label for="account-payment-amount">💲 Amount</label>
+                        <input type="number" id="account-payment-amount" step="0.01" min="0.01" max="${customer.balance}" value="${customer.balance.toFixed(2)}" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="account-payment-method">💱 Method</label>
+                        <select id="account-payment-method">
+                            ${ACCOUNT_PAYMENT_METHODS.map(method => `<option value="${method}">${PaymentCalculator.getLabel(method)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="account-payment-reference">🔖 Reference</label>
+                        <input type="text" id="account-payment-reference" placeholder="Optional">
+                    </div>
+                    <div class="form-group">
+                        <label>&nbsp;</label>
+                        <button type="submit" class="btn">💵 Record Payment</button>
+                    </div>
+                </form>
+            ` : ''}
+            ${entries.length === 0 ? '<p style="color: #7f8c8d;">No account activity yet</p>' : `
+                <div class="table-container">
+                    <table class="inventory-table">
+                        <thead>
+                            <tr>
+                                <th>📅 Date</th>
+                                <th>📝 Entry</th>
+                                <th>🔖 Reference</th>
+                                <th>➕ Charge</th>
+                                <th>➖ Paid / Credit</th>
+                                <th>💰 Balance</th>
+                                <th>👤 User</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${entries.map(entry => `
+                                <tr>
+                                    <td>${new Date(entry.date).toLocaleString()}</td>
+                                    <td>${typeLabels[entry.type] || entry.type}${entry.method ? ` <small style="color: #7f8c8d;">(${PaymentCalculator.getLabel(entry.method)})</small>` : ''}</td>
+                                    <td>
+                                        ${entry.ticketNumber ? `Ticket #${entry.ticketNumber}` : ''}
+                                        ${entry.returnId ? `Return #${entry.returnId}` : ''}
+                                        ${entry.reference || ''}
+                                        ${entry.note ? `<br><small style="color: #7f8c8d;">${entry.note}</small>` : ''}
+                                    </td>
+                                    <td>${entry.type === ACCOUNT_ENTRY_TYPES.CHARGE ? '$' + entry.amount.toFixed(2) : ''}</td>
+                                    <td>${entry.type !== ACCOUNT_ENTRY_TYPES.CHARGE ? '$' + entry.amount.toFixed(2) : ''}</td>
+                                    <td>$${entry.balance.toFixed(2)}</td>
+                                    <td>${entry.user || 'N/A'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        </div>
+    `;
+
+    const paymentForm = document.getElementById('account-payment-form');
+    if (paymentForm) {
+        paymentForm.addEventListener('submit', handleAccountPayment);
+    }
+}
+
+// Save the customer form as a new customer or an update
+async function handleSaveCustomer(e) {
+    e.preventDefault();
+
+    const idValue = document.getElementById('customer-id').value;
+    try {
+        const customer = await window.customerManager.saveCustomer({
+            name: document.getElementById('customer-name').value,
+            taxId: document.getElementById('customer-tax-id').value,
+            phone: document.getElementById('customer-phone').value,
+            creditLimit: document.getElementById('customer-credit-limit').value
+        }, idValue ? parseInt(idValue) : null);
+
+        resetCustomerForm();
+        renderCustomersSection();
+        window.uiController.renderCartCustomer();
+        window.uiController.showAlert(`Customer ${customer.name} saved`, 'success');
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Load a customer into the form for editing
+function editCustomer(customerId) {
+    const customer = window.customerManager.getCustomer(customerId);
+    if (!customer) return;
+
+    document.getElementById('customer-id').value = customer.id;
+    document.getElementById('customer-name').value = customer.name;
+    document.getElementById('customer-tax-id').value = customer.taxId || '';
+    document.getElementById('customer-phone').value = customer.phone || '';
+    document.getElementById('customer-credit-limit').value = customer.creditLimit;
+    document.getElementById('customer-form-title').textContent = `✏️ Edit ${customer.name}`;
+    document.getElementById('customer-name').focus();
+}
+
+// Clear the customer form back to adding a new customer
+function resetCustomerForm() {
+    const form = document.getElementById('customer-form');
+    if (!form) return;
+
+    form.reset();
+    document.getElementById('customer-id').value = '';
+    document.getElementById('customer-form-title').textContent = '🆕 New Customer';
+}
+
+// Show a customer's statement
+function openCustomerStatement(customerId) {
+    activeCustomerId = customerId;
+    renderCustomerStatement();
+
+    const container = document.getElementById('customer-statement');
+    if (container) container.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Hide the statement
+function closeCustomerStatement() {
+    activeCustomerId = null;
+    renderCustomerStatement();
+}
+
+// Record a payment on the account shown
+async function handleAccountPayment(e) {
+    e.preventDefault();
+
+    try {
+        const { customer, entry } = await window.customerManager.recordPayment(
+            activeCustomerId,
+            document.getElementById('account-payment-amount').value,
+            document.getElementById('account-payment-method').value,
+            document.getElementById('account-payment-reference').value
+        );
+
+        renderCustomersSection();
+        window.uiController.showAlert(
+            `Payment of $${entry.amount.toFixed(2)} recorded for ${customer.name}. Balance: $${customer.balance.toFixed(2)}`, 'success');
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Setup customer forms when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    const customerForm = document.getElementById('customer-form');
+    if (customerForm) {
+        customerForm.addEventListener('submit', handleSaveCustomer);
+    }
+
+    const searchInput = document.getElementById('customer-search');
+    if (searchInput) {
+        searchInput.addEventListener('input', renderCustomersList);
+    }
+});
+
+// Make functions globally available
+window.renderCustomersSection = renderCustomersSection;
+window.editCustomer = editCustomer;
+window.resetCustomerForm = resetCustomerForm;
+window.openCustomerStatement = openCustomerStatement;
+window.closeCustomerStatement = closeCustomerStatement;
+
+console.log('✅ Customers functionality loaded');
@@ -5,7 +5,7 @@
 class InventoryDB {
     constructor() {
         this.dbName = 'StockpileDB';
-        this.dbVersion = 1;
+        this.dbVersion = 15;
         this.db = null;
     }
 
@@ -46,12 +46,130 @@ class InventoryDB {
                     console.log('Sales store created');
                 }
 
-                // Create suppliers store for future use
+                // Index sale lines by ticket so a ticket can be looked up for returns
+                const existingSalesStore = event.target.transaction.objectStore('sales');
+                if (!existingSalesStore.indexNames.contains('ticketId')) {
+                    existingSalesStore.createIndex('ticketId', 'ticketId', { unique: false });
+                }
+
+                // Create suppliers store
                 if (!db.objectStoreNames.contains('suppliers')) {
                     const suppliersStore = db.createObjectStore('suppliers', { keyPath: 'id', autoIncrement: true });
                     suppliersStore.createIndex('name', 'name', { unique: true });
                     console.log('Suppliers store created');
                 }
+
+                // Create tickets store for multi-line checkouts
+                if (!db.objectStoreNames.contains('tickets')) {
+                    const ticketsStore = db.createObjectStore('tickets', { keyPath: 'id', autoIncrement: true });
+                    ticketsStore.createIndex('date', 'date', { unique: false });
+                    console.log('Tickets store created');
+                }
+
+                // Create stock movements ledger
+                if (!db.objectStoreNames.contains('stockMovements')) {
+                    const movementsStore = db.createObjectStore('stockMovements', { keyPath: 'id', autoIncrement: true });
+                    movementsStore.createIndex('productId', 'productId', { unique: false });
+                    movementsStore.createIndex('date', 'date', { unique: false });
+                    movementsStore.createIndex('type', 'type', { unique: false });
+                    console.log('Stock movements store created');
+                }
+
+                // Create returns store for refunds against original sales
+                if (!db.objectStoreNames.contains('returns')) {
+                    const returnsStore = db.createObjectStore('returns', { keyPath: 'id', autoIncrement: true });
+                    returnsStore.createIndex('saleId', 'saleId', { unique: false });
+                    returnsStore.createIndex('date', 'date', { unique: false });
+                    console.log('Returns store created');
+                }
+
+                // Create purchase orders store
+                if (!db.objectStoreNames.contains('purchaseOrders')) {
+                    const ordersStore = db.createObjectStore('purchaseOrders', { keyPath: 'id', autoIncrement: true });
+                    ordersStore.createIndex('supplierId', 'supplierId', { unique: false });
+                    ordersStore.createIndex('status', 'status', { unique: false });
+                    console.log('Purchase orders store created');
+                }
+
+                // Create promotions store for time-boxed discounts
+                if (!db.objectStoreNames.contains('promotions')) {
+                    const promotionsStore = db.createObjectStore('promotions', { keyPath: 'id', autoIncrement: true });
+                    promotionsStore.createIndex('target', 'target', { unique: false });
+                    console.log('Promotions store created');
+                }
+
+                // Create shifts store for cash drawer sessions
+                if (!db.objectStoreNames.contains('shifts')) {
+                    const shiftsStore = db.createObjectStore('shifts', { keyPath: 'id', autoIncrement: true });
+                    shiftsStore.createIndex('user', 'user', { unique: false });
+                    shiftsStore.createIndex('status', 'status', { unique: false });
+                    console.log('Shifts store created');
+                }
+
+                // Create parent products store for items sold in variants
+                if (!db.objectStoreNames.contains('parentProducts')) {
+                    const parentsStore = db.createObjectStore('parentProducts', { keyPath: 'id', autoIncrement: true });
+                    parentsStore.createIndex('name', 'name', { unique: false });
+                    console.log('Parent products store created');
+                }
+
+                // Create serial numbers store for serial-tracked products
+                if (!db.objectStoreNames.contains('serialNumbers')) {
+                    const serialsStore = db.createObjectStore('serialNumbers', { keyPath: 'id', autoIncrement: true });
+                    serialsStore.createIndex('serial', 'serial', { unique: false });
+                    serialsStore.createIndex('productId', 'productId', { unique: false });
+                    console.log('Serial numbers store created');
+                }
+
+                // Create count sessions store for physical stock counts
+                if (!db.objectStoreNames.contains('countSessions')) {
+                    const countsStore = db.createObjectStore('countSessions', { keyPath: 'id', autoIncrement: true });
+                    countsStore.createIndex('status', 'status', { unique: false });
+                    console.log('Count sessions store created');
+                }
+
+                // Create stock adjustments store for reason-coded adjustments and their approval
+                if (!db.objectStoreNames.contains('stockAdjustments')) {
+                    const adjustmentsStore = db.createObjectStore('stockAdjustments', { keyPath: 'id', autoIncrement: true });
+                    adjustmentsStore.createIndex('status', 'status', { unique: false });
+                    console.log('Stock adjustments store created');
+                }
+
+                // Create customers store for account (credit) customers
+                if (!db.objectStoreNames.contains('customers')) {
+                    const customersStore = db.createObjectStore('customers', { keyPath: 'id', autoIncrement: true });
+                    customersStore.createIndex('name', 'name', { unique: false });
+                    console.log('Customers store created');
+                }
+
+                // Create account entries ledger for customer charges, payments and credits
+                if (!db.objectStoreNames.contains('accountEntries')) {
+                    const entriesStore = db.createObjectStore('accountEntries', { keyPath: 'id', autoIncrement: true });
+                    entriesStore.createIndex('customerId', 'customerId', { unique: false });
+                    entriesStore.createIndex('date', 'date', { unique: false });
+                    console.log('Account entries store created');
+                }
+
+                // Create quotes store for price quotes given to customers
+                if (!db.objectStoreNames.contains('quotes')) {
+                    const quotesStore = db.createObjectStore('quotes', { keyPath: 'id', autoIncrement: true });
+                    quotesStore.createIndex('status', 'status', { unique: false });
+                    console.log('Quotes store created');
+                }
+
+                // Create reservations store for stock held for customers (layaway)
+                if (!db.objectStoreNames.contains('reservations')) {
+                    const reservationsStore = db.createObjectStore('reservations', { keyPath: 'id', autoIncrement: true });
+                    reservationsStore.createIndex('productId', 'productId', { unique: false });
+                    reservationsStore.createIndex('status', 'status', { unique: false });
+                    console.log('Reservations store created');
+                }
+
+                // Create settings store for key/value preferences
+                if (!db.objectStoreNames.contains('settings')) {
+                    db.createObjectStore('settings', { keyPath: 'key' });
+                    console.log('Settings store created');
+                }
             };
         });
     }
@@ -215,6 +333,88 @@ class InventoryDB {
         });
     }
 
+    /**
+     * Run a unit of work across several object stores in one readwrite
+     * transaction. The callback receives a helper whose methods wrap store
+     * requests in promises. If the callback throws or any request fails, the
+     * whole transaction is aborted and nothing is written.
+     * Only await helper requests inside the callback: awaiting anything else
+     * (timers, fetch) lets IndexedDB auto-commit the transaction early.
+     * @param {Array<string>} storeNames - Object stores the work touches
+     * @param {Function} work - async (tx) => result
+     * @returns {Promise<*>} Result of the callback once committed
+     */
+    async runTransaction(storeNames, work) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+            let result;
+            let failure = null;
+
+            const wrap = (request) => new Promise((resolveRequest, rejectRequest) => {
+                request.onsuccess = () => resolveRequest(request.result);
+                request.onerror = () => rejectRequest(request.error);
+            });
+
+            const tx = {
+                get: (storeName, key) => wrap(transaction.objectStore(storeName).get(key)),
+                getAll: (storeName) => wrap(transaction.objectStore(storeName).getAll()),
+                getAllByIndex: (storeName, indexName, value) =>
+                    wrap(transaction.objectStore(storeName).index(indexName).getAll(value)),
+                add: (storeName, record) => wrap(transaction.objectStore(storeName).add(record)),
+                put: (storeName, record) => wrap(transaction.objectStore(storeName).put(record)),
+                delete: (storeName, key) => wrap(transaction.objectStore(storeName).delete(key))
+            };
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onabort = () => reject(failure || transaction.error || new Error('Transacción cancelada'));
+
+            Promise.resolve()
+                .then(() => work(tx))
+                .then(value => {
+                    result = value;
+                }, error => {
+                    failure = error;
+                    try {
+                        transaction.abort();
+                    } catch (abortError) {
+                        // Transaction already finished or aborted
+                        reject(error);
+                    }
+                });
+        });
+    }
+
+    /**
+     * Add a ticket record as-is (used by import)
+     * @param {Object} ticket - Ticket object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async addTicket(ticket) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['tickets'], 'readwrite');
+            const store = transaction.objectStore('tickets');
+            const request = store.add(ticket);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all tickets
+     * @returns {Promise<Array>}
+     */
+    async getAllTickets() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['tickets'], 'readonly');
+            const store = transaction.objectStore('tickets');
+            const request = store.getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     /**
      * Get all sales records
      * @returns {Promise<Array>}
@@ -230,6 +430,84 @@ class InventoryDB {
         });
     }
 
+    /**
+     * Get a sale record by ID
+     * @param {number} id - Sale ID
+     * @returns {Promise<Object|undefined>}
+     */
+    async getSale(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['sales'], 'readonly');
+            const store = transaction.objectStore('sales');
+            const request = store.get(id);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get the sale lines of a ticket
+     * @param {number} ticketId - Ticket ID
+     * @returns {Promise<Array>}
+     */
+    async getSalesByTicket(ticketId) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['sales'], 'readonly');
+            const store = transaction.objectStore('sales');
+            const index = store.index('ticketId');
+            const request = index.getAll(ticketId);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Add a return record as-is (used by import)
+     * @param {Object} saleReturn - Return object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async addReturn(saleReturn) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['returns'], 'readwrite');
+            const store = transaction.objectStore('returns');
+            const request = store.add(saleReturn);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all return records
+     * @returns {Promise<Array>}
+     */
+    async getAllReturns() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['returns'], 'readonly');
+            const store = transaction.objectStore('returns');
+            const request = store.getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get returns by date range
+     * @param {Date} startDate - Start date
+     * @param {Date} endDate - End date
+     * @returns {Promise<Array>}
+     */
+    async getReturnsByDateRange(startDate, endDate) {
+        const allReturns = await this.getAllReturns();
+        return allReturns.filter(saleReturn => {
+            const returnDate = new Date(saleReturn.date);
+            return returnDate >= startDate && returnDate <= endDate;
+        });
+    }
+
     /**
      * Get sales by date range
      * @param {Date} startDate - Start date
@@ -245,61 +523,977 @@ class InventoryDB {
     }
 
     /**
-     * Get low stock products
+     * Add a stock movement record
+     * @param {Object} movement - Movement object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async addMovement(movement) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['stockMovements'], 'readwrite');
+            const store = transaction.objectStore('stockMovements');
+            const request = store.add(movement);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all stock movements
      * @returns {Promise<Array>}
      */
-    async getLowStockProducts() {
-        const allProducts = await this.getAllProducts();
-        return allProducts.filter(product => product.quantity <= product.minStock);
+    async getAllMovements() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['stockMovements'], 'readonly');
+            const store = transaction.objectStore('stockMovements');
+            const request = store.getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     }
 
     /**
-     * Export all data for backup
-     * @returns {Promise<Object>}
+     * Get the stock movements of a product, oldest first
+     * @param {number} productId - Product ID
+     * @returns {Promise<Array>}
      */
-    async exportData() {
-        const products = await this.getAllProducts();
-        const sales = await this.getAllSales();
-        
-        return {
-            version: this.dbVersion,
-            exportDate: new Date().toISOString(),
-            system: 'Stockpile',
-            products: products,
-            sales: sales,
-            metadata: {
-                totalProducts: products.length,
-                totalSales: sales.length
-            }
-        };
+    async getMovementsByProduct(productId) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['stockMovements'], 'readonly');
+            const store = transaction.objectStore('stockMovements');
+            const index = store.index('productId');
+            const request = index.getAll(productId);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     }
 
     /**
-     * Import data from backup
-     * @param {Object} data - Data object to import
-     * @returns {Promise<void>}
+     * Get a setting value
+     * @param {string} key - Setting key
+     * @returns {Promise<*>} Stored value, or undefined if not set
      */
-    async importData(data) {
-        const transaction = this.db.transaction(['products', 'sales'], 'readwrite');
-        const productsStore = transaction.objectStore('products');
-        const salesStore = transaction.objectStore('sales');
-        
-        try {
-            // Clear existing data
-            await this.clearStore('products');
-            await this.clearStore('sales');
+    async getSetting(key) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['settings'], 'readonly');
+            const store = transaction.objectStore('settings');
+            const request = store.get(key);
             
-            // Import products
-            if (data.products && Array.isArray(data.products)) {
-                for (const product of data.products) {
-                    await this.addProduct(product);
-                }
-            }
+            request.onsuccess = () => resolve(request.result ? request.result.value : undefined);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Save a setting value
+     * @param {string} key - Setting key
+     * @param {*} value - Value to store
+     * @returns {Promise<IDBValidKey>}
+     */
+    async saveSetting(key, value) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['settings'], 'readwrite');
+            const store = transaction.objectStore('settings');
+            const request = store.put({ key, value, updatedAt: new Date().toISOString() });
             
-            // Import sales
-            if (data.sales && Array.isArray(data.sales)) {
-                for (const sale of data.sales) {
-                    await this.addSale(sale);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all settings
+     * @returns {Promise<Array>}
+     */
+    async getAllSettings() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['settings'], 'readonly');
+            const store = transaction.objectStore('settings');
+            const request = store.getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Add a supplier
+     * @param {Object} supplier - Supplier object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async addSupplier(supplier) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['suppliers'], 'readwrite');
+            const store = transaction.objectStore('suppliers');
+            const request = store.add(supplier);
+            
+            request.onsuccess = () => {
+                console.log('Supplier added:', supplier.name);
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Update a supplier
+     * @param {Object} supplier - Supplier object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async updateSupplier(supplier) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['suppliers'], 'readwrite');
+            const store = transaction.objectStore('suppliers');
+            const request = store.put(supplier);
+            
+            request.onsuccess = () => {
+                console.log('Supplier updated:', supplier.name);
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all suppliers
+     * @returns {Promise<Array>}
+     */
+    async getAllSuppliers() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['suppliers'], 'readonly');
+            const store = transaction.objectStore('suppliers');
+            const request = store.getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Add a purchase order
+     * @param {Object} order - Purchase order object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async addPurchaseOrder(order) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['purchaseOrders'], 'readwrite');
+            const store = transaction.objectStore('purchaseOrders');
+            const request = store.add(order);
+            
+            request.onsuccess = () => {
+                console.log('Purchase order added:', request.result);
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Update a purchase order
+     * @param {Object} order - Purchase order object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async updatePurchaseOrder(order) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['purchaseOrders'], 'readwrite');
+            const store = transaction.objectStore('purchaseOrders');
+            const request = store.put(order);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all purchase orders
+     * @returns {Promise<Array>}
+     */
+    async getAllPurchaseOrders() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['purchaseOrders'], 'readonly');
+            const store = transaction.objectStore('purchaseOrders');
+            const request = store.getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Add a promotion
+     * @param {Object} promotion - Promotion object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async addPromotion(promotion) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['promotions'], 'readwrite');
+            const store = transaction.objectStore('promotions');
+            const request = store.add(promotion);
+            
+            request.onsuccess = () => {
+                console.log('Promotion added:', promotion.name);
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Update a promotion
+     * @param {Object} promotion - Promotion object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async updatePromotion(promotion) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['promotions'], 'readwrite');
+            const store = transaction.objectStore('promotions');
+            const request = store.put(promotion);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Delete a promotion
+     * @param {number} id - Promotion ID
+     * @returns {Promise<void>}
+     */
+    async deletePromotion(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['promotions'], 'readwrite');
+            const store = transaction.objectStore('promotions');
+            const request = store.delete(id);
+            
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all promotions
+     * @returns {Promise<Array>}
+     */
+    async getAllPromotions() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['promotions'], 'readonly');
+            const store = transaction.objectStore('promotions');
+            const request = store.getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Add a cashier shift
+     * @param {Object} shift - Shift object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async addShift(shift) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['shifts'], 'readwrite');
+            const store = transaction.objectStore('shifts');
+            const request = store.add(shift);
+            
+            request.onsuccess = () => {
+                console.log('Shift opened for:', shift.user);
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Update a cashier shift
+     * @param {Object} shift - Shift object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async updateShift(shift) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['shifts'], 'readwrite');
+            const store = transaction.objectStore('shifts');
+            const request = store.put(shift);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all cashier shifts
+     * @returns {Promise<Array>}
+     */
+    async getAllShifts() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['shifts'], 'readonly');
+            const store = transaction.objectStore('shifts');
+            const request = store.getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Add a parent product
+     * @param {Object} parent - Parent product object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async addParentProduct(parent) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['parentProducts'], 'readwrite');
+            const store = transaction.objectStore('parentProducts');
+            const request = store.add(parent);
+            
+            request.onsuccess = () => {
+                console.log('Parent product added:', parent.name);
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Delete a parent product
+     * @param {number} id - Parent product ID
+     * @returns {Promise<void>}
+     */
+    async deleteParentProduct(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['parentProducts'], 'readwrite');
+            const store = transaction.objectStore('parentProducts');
+            const request = store.delete(id);
+            
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all parent products
+     * @returns {Promise<Array>}
+     */
+    async getAllParentProducts() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['parentProducts'], 'readonly');
+            const store = transaction.objectStore('parentProducts');
+            const request = store.getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Add a serial number record as-is (used by import)
+     * @param {Object} record - Serial number record
+     * @returns {Promise<IDBValidKey>}
+     */
+    async addSerialNumber(record) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['serialNumbers'], 'readwrite');
+            const store = transaction.objectStore('serialNumbers');
+            const request = store.add(record);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get the records of a serial number; different products may share one
+     * @param {string} serial - Serial number
+     * @returns {Promise<Array>}
+     */
+    async getSerialNumbers(serial) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['serialNumbers'], 'readonly');
+            const store = transaction.objectStore('serialNumbers');
+            const index = store.index('serial');
+            const request = index.getAll(serial);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get the serial number records of a product
+     * @param {number} productId - Product ID
+     * @returns {Promise<Array>}
+     */
+    async getSerialNumbersByProduct(productId) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['serialNumbers'], 'readonly');
+            const store = transaction.objectStore('serialNumbers');
+            const index = store.index('productId');
+            const request = index.getAll(productId);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all serial number records
+     * @returns {Promise<Array>}
+     */
+    async getAllSerialNumbers() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['serialNumbers'], 'readonly');
+            const store = transaction.objectStore('serialNumbers');
+            const request = store.getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Add a stock count session
+     * @param {Object} session - Count session object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async addCountSession(session) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['countSessions'], 'readwrite');
+            const store = transaction.objectStore('countSessions');
+            const request = store.add(session);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Update a stock count session
+     * @param {Object} session - Count session object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async updateCountSession(session) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['countSessions'], 'readwrite');
+            const store = transaction.objectStore('countSessions');
+            const request = store.put(session);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all stock count sessions
+     * @returns {Promise<Array>}
+     */
+    async getAllCountSessions() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['countSessions'], 'readonly');
+            const store = transaction.objectStore('countSessions');
+            const request = store.getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Add a stock adjustment
+     * @param {Object} adjustment - Stock adjustment object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async addStockAdjustment(adjustment) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['stockAdjustments'], 'readwrite');
+            const store = transaction.objectStore('stockAdjustments');
+            const request = store.add(adjustment);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Update a stock adjustment
+     * @param {Object} adjustment - Stock adjustment object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async updateStockAdjustment(adjustment) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['stockAdjustments'], 'readwrite');
+            const store = transaction.objectStore('stockAdjustments');
+            const request = store.put(adjustment);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get stock adjustments by status
+     * @param {string} status - Adjustment status
+     * @returns {Promise<Array>}
+     */
+    async getStockAdjustmentsByStatus(status) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['stockAdjustments'], 'readonly');
+            const store = transaction.objectStore('stockAdjustments');
+            const index = store.index('status');
+            const request = index.getAll(status);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all stock adjustments
+     * @returns {Promise<Array>}
+     */
+    async getAllStockAdjustments() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['stockAdjustments'], 'readonly');
+            const store = transaction.objectStore('stockAdjustments');
+            const request = store.getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Add a customer
+     * @param {Object} customer - Customer object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async addCustomer(customer) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['customers'], 'readwrite');
+            const store = transaction.objectStore('customers');
+            const request = store.add(customer);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Update a customer
+     * @param {Object} customer - Customer object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async updateCustomer(customer) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['customers'], 'readwrite');
+            const store = transaction.objectStore('customers');
+            const request = store.put(customer);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all customers
+     * @returns {Promise<Array>}
+     */
+    async getAllCustomers() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['customers'], 'readonly');
+            const store = transaction.objectStore('customers');
+            const request = store.getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Add a customer account entry
+     * @param {Object} entry - Account entry object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async addAccountEntry(entry) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['accountEntries'], 'readwrite');
+            const store = transaction.objectStore('accountEntries');
+            const request = store.add(entry);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get the account entries of a customer
+     * @param {number} customerId - Customer ID
+     * @returns {Promise<Array>}
+     */
+    async getAccountEntriesByCustomer(customerId) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['accountEntries'], 'readonly');
+            const store = transaction.objectStore('accountEntries');
+            const index = store.index('customerId');
+            const request = index.getAll(customerId);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all customer account entries
+     * @returns {Promise<Array>}
+     */
+    async getAllAccountEntries() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['accountEntries'], 'readonly');
+            const store = transaction.objectStore('accountEntries');
+            const request = store.getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get customer account entries by date range
+     * @param {Date} startDate - Start date
+     * @param {Date} endDate - End date
+     * @returns {Promise<Array>}
+     */
+    async getAccountEntriesByDateRange(startDate, endDate) {
+        const allEntries = await this.getAllAccountEntries();
+        return allEntries.filter(entry => {
+            const entryDate = new Date(entry.date);
+            return entryDate >= startDate && entryDate <= endDate;
+        });
+    }
+
+    /**
+     * Add a quote
+     * @param {Object} quote - Quote object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async addQuote(quote) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['quotes'], 'readwrite');
+            const store = transaction.objectStore('quotes');
+            const request = store.add(quote);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Update a quote
+     * @param {Object} quote - Quote object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async updateQuote(quote) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['quotes'], 'readwrite');
+            const store = transaction.objectStore('quotes');
+            const request = store.put(quote);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all quotes
+     * @returns {Promise<Array>}
+     */
+    async getAllQuotes() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['quotes'], 'readonly');
+            const store = transaction.objectStore('quotes');
+            const request = store.getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Add a stock reservation
+     * @param {Object} reservation - Reservation object
+     * @returns {Promise<IDBValidKey>}
+     */
+    async addReservation(reservation) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['reservations'], 'readwrite');
+            const store = transaction.objectStore('reservations');
+            const request = store.add(reservation);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all stock reservations
+     * @returns {Promise<Array>}
+     */
+    async getAllReservations() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['reservations'], 'readonly');
+            const store = transaction.objectStore('reservations');
+            const request = store.getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get stock movements by date range
+     * @param {Date} startDate - Start date
+     * @param {Date} endDate - End date
+     * @returns {Promise<Array>}
+     */
+    async getMovementsByDateRange(startDate, endDate) {
+        const allMovements = await this.getAllMovements();
+        return allMovements.filter(movement => {
+            const movementDate = new Date(movement.date);
+            return movementDate >= startDate && movementDate <= endDate;
+        });
+    }
+
+    /**
+     * Get tickets by date range
+     * @param {Date} startDate - Start date
+     * @param {Date} endDate - End date
+     * @returns {Promise<Array>}
+     */
+    async getTicketsByDateRange(startDate, endDate) {
+        const allTickets = await this.getAllTickets();
+        return allTickets.filter(ticket => {
+            const ticketDate = new Date(ticket.date);
+            return ticketDate >= startDate && ticketDate <= endDate;
+        });
+    }
+
+    /**
+     * Get low stock products
+     * @returns {Promise<Array>}
+     */
+    async getLowStockProducts() {
+        const allProducts = await this.getAllProducts();
+        return allProducts.filter(product => product.quantity <= product.minStock);
+    }
+
+    /**
+     * Export all data for backup
+     * @returns {Promise<Object>}
+     */
+    async exportData() {
+        const products = await this.getAllProducts();
+        const sales = await this.getAllSales();
+        const tickets = await this.getAllTickets();
+        const stockMovements = await this.getAllMovements();
+        const returns = await this.getAllReturns();
+        const suppliers = await this.getAllSuppliers();
+        const purchaseOrders = await this.getAllPurchaseOrders();
+        const settings = await this.getAllSettings();
+        const promotions = await this.getAllPromotions();
+        const shifts = await this.getAllShifts();
+        const parentProducts = await this.getAllParentProducts();
+        const serialNumbers = await this.getAllSerialNumbers();
+        const countSessions = await this.getAllCountSessions();
+        const stockAdjustments = await this.getAllStockAdjustments();
+        const customers = await this.getAllCustomers();
+        const accountEntries = await this.getAllAccountEntries();
+        const quotes = await this.getAllQuotes();
+        const reservations = await this.getAllReservations();
+        
+        return {
+            version: this.dbVersion,
+            exportDate: new Date().toISOString(),
+            system: 'Stockpile',
+            products: products,
+            sales: sales,
+            tickets: tickets,
+            stockMovements: stockMovements,
+            returns: returns,
+            suppliers: suppliers,
+            purchaseOrders: purchaseOrders,
+            settings: settings,
+            promotions: promotions,
+            shifts: shifts,
+            parentProducts: parentProducts,
+            serialNumbers: serialNumbers,
+            countSessions: countSessions,
+            stockAdjustments: stockAdjustments,
+            customers: customers,
+            accountEntries: accountEntries,
+            quotes: quotes,
+            reservations: reservations,
+            metadata: {
+                totalProducts: products.length,
+                totalSales: sales.length,
+                totalTickets: tickets.length,
+                totalMovements: stockMovements.length,
+                totalReturns: returns.length,
+                totalSuppliers: suppliers.length,
+                totalPurchaseOrders: purchaseOrders.length
+            }
+        };
+    }
+
+    /**
+     * Import data from backup
+     * @param {Object} data - Data object to import
+     * @returns {Promise<void>}
+     */
+    async importData(data) {
+        const transaction = this.db.transaction(['products', 'sales'], 'readwrite');
+        const productsStore = transaction.objectStore('products');
+        const salesStore = transaction.objectStore('sales');
+        
+        try {
+            // Clear existing data
+            await this.clearStore('products');
+            await this.clearStore('sales');
+            await this.clearStore('tickets');
+            await this.clearStore('returns');
+            
+            // Import products
+            if (data.products && Array.isArray(data.products)) {
+                for (const product of data.products) {
+                    await this.addProduct(product);
+                }
+            }
+            
+            // Import sales
+            if (data.sales && Array.isArray(data.sales)) {
+                for (const sale of data.sales) {
+                    await this.addSale(sale);
+                }
+            }
+            
+            // Import tickets
+            if (data.tickets && Array.isArray(data.tickets)) {
+                for (const ticket of data.tickets) {
+                    await this.addTicket(ticket);
+                }
+            }
+            
+            // Import returns
+            if (data.returns && Array.isArray(data.returns)) {
+                for (const saleReturn of data.returns) {
+                    await this.addReturn(saleReturn);
+                }
+            }
+            
+            // Import suppliers and purchase orders when the backup carries them
+            if (data.suppliers && Array.isArray(data.suppliers)) {
+                await this.clearStore('suppliers');
+                for (const supplier of data.suppliers) {
+                    await this.addSupplier(supplier);
+                }
+            }
+            if (data.purchaseOrders && Array.isArray(data.purchaseOrders)) {
+                await this.clearStore('purchaseOrders');
+                for (const order of data.purchaseOrders) {
+                    await this.addPurchaseOrder(order);
+                }
+            }
+            
+            // Import promotions when the backup carries them
+            if (data.promotions && Array.isArray(data.promotions)) {
+                await this.clearStore('promotions');
+                for (const promotion of data.promotions) {
+                    await this.addPromotion(promotion);
+                }
+            }
+            
+            // Import shifts when the backup carries them
+            if (data.shifts && Array.isArray(data.shifts)) {
+                await this.clearStore('shifts');
+                for (const shift of data.shifts) {
+                    await this.addShift(shift);
+                }
+            }
+            
+            // Import parent products when the backup carries them
+            if (data.parentProducts && Array.isArray(data.parentProducts)) {
+                await this.clearStore('parentProducts');
+                for (const parent of data.parentProducts) {
+                    await this.addParentProduct(parent);
+                }
+            }
+            
+            // Import serial numbers when the backup carries them
+            if (data.serialNumbers && Array.isArray(data.serialNumbers)) {
+                await this.clearStore('serialNumbers');
+                for (const record of data.serialNumbers) {
+                    await this.addSerialNumber(record);
+                }
+            }
+            
+            // Import count sessions when the backup carries them
+            if (data.countSessions && Array.isArray(data.countSessions)) {
+                await this.clearStore('countSessions');
+                for (const session of data.countSessions) {
+                    await this.addCountSession(session);
+                }
+            }
+            
+            // Import stock adjustments when the backup carries them
+            if (data.stockAdjustments && Array.isArray(data.stockAdjustments)) {
+                await this.clearStore('stockAdjustments');
+                for (const adjustment of data.stockAdjustments) {
+                    await this.addStockAdjustment(adjustment);
+                }
+            }
+            
+            // Import customers and their account entries when the backup carries them
+            if (data.customers && Array.isArray(data.customers)) {
+                await this.clearStore('customers');
+                for (const customer of data.customers) {
+                    await this.addCustomer(customer);
+                }
+            }
+            
+            if (data.accountEntries && Array.isArray(data.accountEntries)) {
+                await this.clearStore('accountEntries');
+                for (const entry of data.accountEntries) {
+                    await this.addAccountEntry(entry);
+                }
+            }
+            
+            if (data.quotes && Array.isArray(data.quotes)) {
+                await this.clearStore('quotes');
+                for (const quote of data.quotes) {
+                    await this.addQuote(quote);
+                }
+            }
+            
+            if (data.reservations && Array.isArray(data.reservations)) {
+                await this.clearStore('reservations');
+                for (const reservation of data.reservations) {
+                    await this.addReservation(reservation);
+                }
+            }
+            
+            // Import settings when the backup carries them
+            if (data.settings && Array.isArray(data.settings)) {
+                await this.clearStore('settings');
+                for (const setting of data.settings) {
+                    await this.saveSetting(setting.key, setting.value);
+                }
+            }
+            
+            // Import movement history when the backup carries one
+            if (data.stockMovements && Array.isArray(data.stockMovements)) {
+                await this.clearStore('stockMovements');
+                for (const movement of data.stockMovements) {
+                    await this.addMovement(movement);
                 }
             }
             
@@ -0,0 +1,141 @@
+/**
+ * Discount Calculator Module
+ * Works out line, ticket and promotion discounts at checkout
+ */
+
+// Ways a discount can be expressed
+const DISCOUNT_TYPES = Object.freeze({
+    PERCENT: 'percent',
+    AMOUNT: 'amount'
+});
+
+// What a promotion applies to
+const PROMOTION_SCOPES = Object.freeze({
+    SKU: 'sku',
+    CATEGORY: 'category'
+});
+
+class DiscountCalculator {
+    /**
+     * Read a discount typed by the cashier: "10%" is a percentage,
+     * "5" or "5.00" is a fixed amount
+     * @param {string} input - Text entered
+     * @returns {Object} { type, value }
+     */
+    static parse(input) {
+        const text = String(input || '').trim();
+        const isPercent = text.endsWith('%');
+        const value = parseFloat(isPercent ? text.slice(0, -1) : text);
+
+        const discount = { type: isPercent ? DISCOUNT_TYPES.PERCENT : DISCOUNT_TYPES.AMOUNT, value };
+        this.validate(discount);
+        return discount;
+    }
+
+    /**
+     * Check that a discount has a known type and a sensible value
+     * @param {Object} discount - Discount ({ type, value })
+     */
+    static validate(discount) {
+        if (!Object.values(DISCOUNT_TYPES).includes(discount.type)) {
+            throw new Error('Tipo de descuento inválido');
+        }
+        if (isNaN(discount.value) || discount.value <= 0) {
+            throw new Error('El descuento debe ser mayor a cero');
+        }
+        if (discount.type === DISCOUNT_TYPES.PERCENT && discount.value > 100) {
+            throw new Error('El descuento no puede superar el 100%');
+        }
+    }
+
+    /**
+     * Get the amount a discount takes off a base amount, never more than the base
+     * @param {number} base - Amount the discount applies to
+     * @param {Object} discount - Discount ({ type, value })
+     * @returns {number} Discount amount
+     */
+    static getAmount(base, discount) {
+        if (!discount || base <= 0) return 0;
+
+        const amount = discount.type === DISCOUNT_TYPES.PERCENT ?
+            base * discount.value / 100 : discount.value;
+        return TaxCalculator.round(Math.min(amount, base));
+    }
+
+    /**
+     * Describe a discount for display
+     * @param {Object} discount - Discount ({ type, value })
+     * @returns {string} Text such as "10%" or "$5.00"
+     */
+    static describe(discount) {
+        return discount.type === DISCOUNT_TYPES.PERCENT ?
+            `${discount.value}%` : `$${Number(discount.value).toFixed(2)}`;
+    }
+
+    /**
+     * Check whether a promotion is running on a date. Start and end dates
+     * are inclusive calendar days.
+     * @param {Object} promotion - Promotion
+     * @param {Date} date - Date to check
+     * @returns {boolean}
+     */
+    static isPromotionActive(promotion, date = new Date()) {
+        if (promotion.active === false) return false;
+
+        const start = new Date(`${promotion.startDate}T00:00:00`);
+        const end = new Date(`${promotion.endDate}T23:59:59.999`);
+        return date >= start && date <= end;
+    }
+
+    /**
+     * Check whether a promotion covers a product
+     * @param {Object} promotion - Promotion
+     * @param {Object} product - Product
+     * @returns {boolean}
+     */
+    static promotionApplies(promotion, product) {
+        if (promotion.scope === PROMOTION_SCOPES.SKU) {
+            return promotion.target === product.sku;
+        }
+        return promotion.target === product.category;
+    }
+
+    /**
+     * Get the amount a promotion takes off a line. A percentage comes off the
+     * line amount; a fixed amount comes off each base unit sold, never more
+     * than the line amount.
+     * @param {number} base - Line amount before discount
+     * @param {number} quantity - Quantity sold, in base units
+     * @param {Object} promotion - Promotion ({ type, value })
+     * @returns {number} Discount amount
+     */
+    static getPromotionAmount(base, quantity, promotion) {
+        return promotion.type === DISCOUNT_TYPES.AMOUNT ?
+            this.getAmount(base, { ...promotion, value: promotion.value * quantity }) :
+            this.getAmount(base, promotion);
+    }
+
+    /**
+     * Find the running promotion that gives a product the largest discount
+     * @param {Object} product - Product
+     * @param {Array} promotions - All promotions
+     * @param {number} base - Line amount before discount
+     * @param {number} quantity - Quantity sold, in base units
+     * @param {Date} date - Date of the sale
+     * @returns {Object|null} { promotion, amount }
+     */
+    static findBestPromotion(product, promotions, base, quantity, date = new Date()) {
+        let best = null;
+
+        promotions
+            .filter(promotion => this.isPromotionActive(promotion, date) && this.promotionApplies(promotion, product))
+            .forEach(promotion => {
+                const amount = this.getPromotionAmount(base, quantity, promotion);
+                if (!best || amount > best.amount) {
+                    best = { promotion, amount };
+                }
+            });
+
+        return best;
+    }
+}
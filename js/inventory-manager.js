@@ -2,11 +2,40 @@
  * Inventory Manager Module
  * Handles all inventory business logic and operations
  */
+
+// Kinds of quantity change recorded in the stock movement ledger
+const MOVEMENT_TYPES = Object.freeze({
+    INITIAL: 'initial',
+    SALE: 'sale',
+    RESTOCK: 'restock',
+    ADJUSTMENT: 'adjustment',
+    IMPORT: 'import',
+    RETURN: 'return',
+    DELETION: 'deletion',
+    UNIT_CHANGE: 'unit_change',
+    TRANSFER: 'transfer',
+    COUNT: 'count'
+});
+
+// Kinds of product; a kit has no stock of its own and sells its components
+const PRODUCT_TYPES = Object.freeze({
+    STANDARD: 'standard',
+    KIT: 'kit'
+});
+
 class InventoryManager {
     constructor(database) {
         this.db = database;
         this.inventory = [];
         this.nextId = 1;
+        this.valuationMethod = VALUATION_METHODS.AVERAGE;
+        this.taxSettings = TaxCalculator.normalizeSettings(DEFAULT_TAX_SETTINGS);
+        this.receiptSettings = ReceiptPrinter.normalizeSettings(DEFAULT_RECEIPT_SETTINGS);
+        this.locationSettings = LocationStock.normalizeSettings(DEFAULT_LOCATION_SETTINGS);
+        this.adjustmentSettings = StockAdjustments.normalizeSettings(DEFAULT_ADJUSTMENT_SETTINGS);
+        this.promotions = [];
+        this.parentProducts = [];
+        this.reservations = [];
         this.eventHandlers = {};
     }
 
@@ -15,7 +44,13 @@ class InventoryManager {
      */
     async init() {
         try {
+            // Settings first: stock saved before locations existed is placed at the sale location
+            await this.loadSettings();
             await this.loadInventoryFromDB();
+            await this.loadPromotions();
+            await this.loadParentProducts();
+            await this.loadReservations();
+            await this.releaseExpiredReservations();
             
             // Initialize with sample data if empty
             if (this.inventory.length === 0) {
@@ -37,6 +72,12 @@ class InventoryManager {
     async loadInventoryFromDB() {
         try {
             this.inventory = await this.db.getAllProducts();
+            this.inventory.forEach(product => {
+                StockValuation.ensureLayers(product);
+                UnitConverter.ensureUnits(product);
+                LocationStock.ensureStock(product, this.locationSettings.saleLocation);
+                LotTracker.ensureLots(product);
+            });
             if (this.inventory.length > 0) {
                 this.nextId = Math.max(...this.inventory.map(p => p.id)) + 1;
             }
@@ -46,6 +87,49 @@ class InventoryManager {
         }
     }
 
+    /**
+     * Load the saved valuation method, tax and receipt settings, keeping the
+     * defaults for anything not saved
+     */
+    async loadSettings() {
+        const method = await this.db.getSetting('valuationMethod');
+        if (Object.values(VALUATION_METHODS).includes(method)) {
+            this.valuationMethod = method;
+        }
+
+        const taxSettings = await this.db.getSetting('taxSettings');
+        try {
+            this.taxSettings = TaxCalculator.normalizeSettings(taxSettings || DEFAULT_TAX_SETTINGS);
+        } catch (error) {
+            console.error('Invalid tax settings, using defaults:', error);
+            this.taxSettings = TaxCalculator.normalizeSettings(DEFAULT_TAX_SETTINGS);
+        }
+
+        const receiptSettings = await this.db.getSetting('receiptSettings');
+        try {
+            this.receiptSettings = ReceiptPrinter.normalizeSettings(receiptSettings || DEFAULT_RECEIPT_SETTINGS);
+        } catch (error) {
+            console.error('Invalid receipt settings, using defaults:', error);
+            this.receiptSettings = ReceiptPrinter.normalizeSettings(DEFAULT_RECEIPT_SETTINGS);
+        }
+
+        const locationSettings = await this.db.getSetting('locationSettings');
+        try {
+            this.locationSettings = LocationStock.normalizeSettings(locationSettings || DEFAULT_LOCATION_SETTINGS);
+        } catch (error) {
+            console.error('Invalid location settings, using defaults:', error);
+            this.locationSettings = LocationStock.normalizeSettings(DEFAULT_LOCATION_SETTINGS);
+        }
+
+        const adjustmentSettings = await this.db.getSetting('adjustmentSettings');
+        try {
+            this.adjustmentSettings = StockAdjustments.normalizeSettings(adjustmentSettings || DEFAULT_ADJUSTMENT_SETTINGS);
+        } catch (error) {
+            console.error('Invalid adjustment settings, using defaults:', error);
+            this.adjustmentSettings = StockAdjustments.normalizeSettings(DEFAULT_ADJUSTMENT_SETTINGS);
+        }
+    }
+
     /**
      * Initialize with sample data for demo purposes
      */
@@ -59,8 +143,10 @@ async initializeSampleData() {
             name: 'Tornillo Madera 2" Phillips', 
             category: 'Tornillos y Pernos',
             price: 0.25, 
+            cost: 0.12, 
             quantity: 150, 
             minStock: 20, 
+            units: [{ name: 'box', factor: 100, price: 22.50 }],
             barcode: '1234567890123', 
             supplier: 'Ferretería Central' 
         },
@@ -69,6 +155,7 @@ async initializeSampleData() {
             name: 'Martillo Garra 16oz', 
             category: 'Herramientas Manuales',
             price: 24.99, 
+            cost: 15.50, 
             quantity: 8, 
             minStock: 5, 
             barcode: '2345678901234', 
@@ -79,6 +166,7 @@ async initializeSampleData() {
             name: 'Pintura Interior Blanca 1gal', 
             category: 'Pinturas y Barnices',
             price: 34.99, 
+            cost: 22.00, 
             quantity: 3, 
             minStock: 5, 
             barcode: '3456789012345', 
@@ -89,6 +177,7 @@ async initializeSampleData() {
             name: 'Tuerca Hex 1/4"', 
             category: 'Ferretería General',
             price: 0.15, 
+            cost: 0.07, 
             quantity: 200, 
             minStock: 25, 
             barcode: '4567890123456', 
@@ -98,9 +187,12 @@ async initializeSampleData() {
             sku: 'CAB001', 
             name: 'Cable Cobre 12AWG 100ft', 
             category: 'Material Eléctrico',
-            price: 89.99, 
-            quantity: 2, 
-            minStock: 3, 
+            price: 0.95, 
+            cost: 0.61, 
+            quantity: 200, 
+            minStock: 300, 
+            baseUnit: 'ft',
+            units: [{ name: 'roll', factor: 100, price: 89.99 }],
             barcode: '5678901234567', 
             supplier: 'Eléctricos SA' 
         },
@@ -109,6 +201,7 @@ async initializeSampleData() {
             name: 'Taladro Eléctrico 1/2"', 
             category: 'Herramientas Eléctricas',
             price: 159.99, 
+            cost: 110.00, 
             quantity: 4, 
             minStock: 2, 
             barcode: '6789012345678', 
@@ -119,6 +212,7 @@ async initializeSampleData() {
             name: 'Tubo PVC 2" x 6m', 
             category: 'Plomería',
             price: 12.50, 
+            cost: 7.80, 
             quantity: 25, 
             minStock: 10, 
             barcode: '7890123456789', 
@@ -129,6 +223,7 @@ async initializeSampleData() {
             name: 'Silicón Construcción Transparente', 
             category: 'Adhesivos',
             price: 4.99, 
+            cost: 2.90, 
             quantity: 15, 
             minStock: 8, 
             barcode: '8901234567890', 
@@ -156,10 +251,18 @@ async initializeSampleData() {
             name: productData.name.trim(),
             category: productData.category,
             price: parseFloat(productData.price),
-            quantity: parseInt(productData.quantity),
-            minStock: parseInt(productData.minStock),
+            cost: productData.cost === undefined || productData.cost === '' ? 0 : parseFloat(productData.cost),
+            taxRate: productData.taxRate === undefined || productData.taxRate === '' || productData.taxRate === null ?
+                null : parseFloat(productData.taxRate),
+            quantity: parseFloat(productData.quantity),
+            minStock: parseFloat(productData.minStock),
+            baseUnit: productData.baseUnit || DEFAULT_BASE_UNIT,
+            units: productData.units || [],
             barcode: productData.barcode ? productData.barcode.trim() : null,
             supplier: productData.supplier ? productData.supplier.trim() : null,
+            binLocation: PickList.normalizeBin(productData.binLocation),
+            lots: [],
+            serialTracked: Boolean(productData.serialTracked),
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
         };
@@ -185,8 +288,26 @@ async initializeSampleData() {
                 throw new Error(`Ya existe un producto con el código de barras: ${product.barcode}`);
             }
 
-            // Add to database
-            await this.db.addProduct(product);
+            if (product.parentId) {
+                this.validateVariant(product);
+            }
+
+            if (product.serialTracked && product.quantity > 0) {
+                throw new Error('Un producto con número de serie empieza sin stock: regístrelo al reabastecer con sus números de serie');
+            }
+
+            // Opening stock becomes the first cost layer and is put where goods are received
+            StockValuation.ensureLayers(product);
+            const location = this.locationSettings.receivingLocation;
+            LocationStock.ensureStock(product, location);
+
+            // Add to database together with the opening balance movement
+            await this.db.runTransaction(['products', 'stockMovements'], async (tx) => {
+                await tx.add('products', product);
+                await tx.add('stockMovements', this.createMovement(
+                    product, MOVEMENT_TYPES.INITIAL, product.quantity, { unitCost: product.cost, location }
+                ));
+            });
             
             // Add to local inventory
             this.inventory.push(product);
@@ -243,8 +364,24 @@ async initializeSampleData() {
                 throw new Error('Producto no encontrado');
             }
             
-            // Delete from database
-            await this.db.deleteProduct(productId);
+            const kits = this.getKitsUsing(productId);
+            if (kits.length > 0) {
+                throw new Error(`${product.sku} forma parte de los kits: ${kits.map(k => k.sku).join(', ')}`);
+            }
+            
+            // Delete from database, leaving a movement that zeroes the balance
+            await this.db.runTransaction(['products', 'stockMovements', 'reservations'], async (tx) => {
+                const held = (await tx.getAllByIndex('reservations', 'productId', productId))
+                    .filter(r => StockReservations.isActive(r));
+                if (held.length > 0) {
+                    throw new Error(`${product.sku} tiene reservas activas: ${held.map(r => '#' + r.id).join(', ')}. Cancélelas antes de eliminarlo`);
+                }
+                const stored = await tx.get('products', productId);
+                await tx.delete('products', productId);
+                await tx.add('stockMovements', this.createMovement(
+                    { ...stored, quantity: 0 }, MOVEMENT_TYPES.DELETION, -stored.quantity
+                ));
+            });
             
             // Remove from local inventory
             this.inventory = this.inventory.filter(p => p.id !== productId);
@@ -264,41 +401,34 @@ async initializeSampleData() {
      * Process a sale transaction
      * @param {string} identifier - Product SKU or barcode
      * @param {number} quantity - Quantity to sell
+     * @param {string|null} unit - Unit the quantity is in (defaults to the base unit)
+     * @param {string|null} location - Location the stock leaves from (defaults to the sale location)
+     * @param {Array|null} payments - Payments tendered; none means exact cash
+     * @param {Object|string|null} customer - Customer account ({ id }) or the name of who it was sold to
      * @returns {Promise<Object>} Sale result
      */
-    async processSale(identifier, quantity) {
+    async processSale(identifier, quantity, unit = null, location = null, payments = null, customer = null) {
         try {
             const product = await this.findProduct(identifier);
             if (!product) {
                 throw new Error('Producto no encontrado');
             }
 
-            if (product.quantity < quantity) {
-                throw new Error(`Stock insuficiente. Disponible: ${product.quantity}`);
+            location = this.getLocation(location || this.locationSettings.saleLocation).id;
+            const available = this.getAvailableQuantity(product, location);
+            if (available < UnitConverter.toBase(product, quantity, unit)) {
+                throw new Error(`Stock insuficiente. Disponible: ${UnitConverter.format(product, available)}`);
             }
 
-            // Update product quantity
-            product.quantity -= quantity;
-            await this.updateProduct(product);
-
-            // Create sale record
-            const sale = {
-                productId: product.id,
-                sku: product.sku,
-                name: product.name,
-                quantity: quantity,
-                unitPrice: product.price,
-                total: product.price * quantity,
-                date: new Date().toISOString()
-            };
-
-            // Record sale
-            await this.db.addSale(sale);
+            const result = await this.commitTicket([{ productId: product.id, quantity, unit }], null, payments, location, customer);
+            const sale = result.sales[0];
+            // A kit is not written by the sale; its components are
+            const updatedProduct = result.products.find(p => p.id === product.id) || product;
             
-            this.emit('saleProcessed', { sale, product });
+            this.emit('saleProcessed', { sale, product: updatedProduct, ticket: result.ticket });
             console.log('Sale processed:', sale.sku, 'x', quantity);
             
-            return { sale, product };
+            return { sale, product: updatedProduct, ticket: result.ticket };
             
         } catch (error) {
             console.error('Error processing sale:', error);
@@ -307,226 +437,2709 @@ async initializeSampleData() {
     }
 
     /**
-     * Restock a product
-     * @param {string} identifier - Product SKU or barcode
-     * @param {number} quantity - Quantity to add
-     * @returns {Promise<Object>} Updated product
+     * Check out a multi-line ticket. All lines are committed in one
+     * transaction; if any line lacks stock nothing is recorded.
+     * @param {Array} lines - Cart lines ({ productId, quantity, unit, discount, priceOverride, serials })
+     * @param {Object|null} ticketDiscount - Discount on the whole ticket
+     * @param {Array|null} payments - Payments tendered ({ method, amount, reference }); none means exact cash
+     * @param {string|null} location - Location the stock leaves from (defaults to the sale location)
+     * @param {Object|string|null} customer - Customer account ({ id }) or the name of who it was sold to
+     * @param {number|null} quoteId - Quote the ticket converts, if any
+     * @param {number|null} reservationId - Reservation the ticket picks up, if any
+     * @returns {Promise<Object>} Ticket, sale records and updated products
      */
-    async restockProduct(identifier, quantity) {
+    async checkout(lines, ticketDiscount = null, payments = null, location = null, customer = null, quoteId = null, reservationId = null) {
         try {
-            const product = await this.findProduct(identifier);
-            if (!product) {
-                throw new Error('Producto no encontrado');
+            if (!lines || lines.length === 0) {
+                throw new Error('El carrito está vacío');
             }
 
-            // Update product quantity
-            product.quantity += quantity;
-            await this.updateProduct(product);
-            
-            this.emit('productRestocked', { product, quantity });
-            console.log('Product restocked:', product.sku, '+', quantity);
-            
-            return product;
-            
+            const result = await this.commitTicket(lines, ticketDiscount, payments, location, customer, quoteId, reservationId);
+            if (result.reservation) {
+                this.reservations = this.reservations.map(r => r.id === result.reservation.id ? result.reservation : r);
+            }
+
+            this.emit('ticketCompleted', result);
+            console.log('Ticket completed:', result.ticket.id, 'lines:', result.sales.length);
+
+            return result;
+
         } catch (error) {
-            console.error('Error restocking product:', error);
+            console.error('Error during checkout:', error);
             throw error;
         }
     }
 
     /**
-     * Adjust product stock
-     * @param {number} productId - Product ID
-     * @param {number} adjustment - Stock adjustment (positive or negative)
-     * @returns {Promise<Object>} Updated product
+     * Write a ticket, its sale lines, the stock decrements and any charge to
+     * the customer's account atomically. Stock and the customer's balance are
+     * re-read inside the transaction so concurrent changes are seen.
+     * @param {Array} lines - Lines to sell ({ productId, quantity, unit, discount, priceOverride, serials })
+     * @param {Object|null} ticketDiscount - Discount on the whole ticket
+     * @param {Array|null} payments - Payments tendered; none means exact cash
+     * @param {string|null} location - Location the stock leaves from (defaults to the sale location)
+     * @param {Object|string|null} customer - Customer account ({ id }) or the name of who it was sold to
+     * @param {number|null} quoteId - Quote the ticket converts, if any; it is marked converted
+     * @param {number|null} reservationId - Reservation the ticket picks up, if any; its units may be
+     *   sold, its deposit may be applied and it is marked picked up
+     * @returns {Promise<Object>} Ticket, sale records, updated products, the customer charged,
+     *   the quote converted and the reservation picked up
      */
-    async adjustStock(productId, adjustment) {
-        try {
-            const product = this.inventory.find(p => p.id === productId);
-            if (!product) {
-                throw new Error('Producto no encontrado');
+    async commitTicket(lines, ticketDiscount = null, payments = null, location = null, customer = null, quoteId = null, reservationId = null) {
+        location = this.getLocation(location || this.locationSettings.saleLocation).id;
+        const ticketLines = this.priceLines(lines, ticketDiscount);
+        this.authorizeDiscounts(ticketLines);
+        const totals = TaxCalculator.sumLines(ticketLines);
+        const settlement = PaymentCalculator.settle(payments, totals.total);
+        const account = customer && typeof customer === 'object' ? customer : null;
+        const charge = CustomerAccounts.getChargeAmount(settlement.payments);
+        if (charge > 0 && !account) {
+            throw new Error('Seleccione un cliente con cuenta para vender a crédito');
+        }
+        const depositApplied = TaxCalculator.round(settlement.payments
+            .filter(p => p.method === PAYMENT_METHODS.DEPOSIT)
+            .reduce((sum, p) => sum + p.amount, 0));
+        if (depositApplied > 0 && !reservationId) {
+            throw new Error('Solo se puede pagar con anticipo al entregar una reserva');
+        }
+
+        const ticket = {
+            date: new Date().toISOString(),
+            user: this.getCurrentUser(),
+            lines: ticketLines,
+            itemCount: UnitConverter.round(ticketLines.reduce((sum, line) => sum + line.unitQuantity, 0)),
+            pricesIncludeTax: this.taxSettings.pricesIncludeTax,
+            discountAmount: TaxCalculator.round(ticketLines.reduce((sum, line) => sum + line.discountAmount, 0)),
+            ticketDiscount: ticketDiscount ? { ...ticketDiscount } : null,
+            subtotal: totals.subtotal,
+            tax: totals.tax,
+            total: totals.total,
+            location,
+            customerName: !account && customer ? String(customer).trim() || null : null,
+            ...settlement
+        };
+
+        return this.runStockTransaction(['products', 'sales', 'tickets', 'stockMovements', 'settings', 'serialNumbers',
+            'customers', 'accountEntries', 'quotes', 'reservations'], async (tx) => {
+            let quote = null;
+            if (quoteId) {
+                quote = await tx.get('quotes', quoteId);
+                if (!quote) {
+                    throw new Error('Cotización no encontrada');
+                }
+                if (quote.status !== QUOTE_STATUS.OPEN) {
+                    throw new Error(`La cotización ${QuoteDocument.formatQuoteNumber(quote)} ya no está abierta`);
+                }
+                ticket.quoteId = quote.id;
+                ticket.quoteNumber = quote.quoteNumber;
             }
 
-            const newQuantity = product.quantity + adjustment;
-            if (newQuantity < 0) {
-                throw new Error('La cantidad no puede ser negativa');
+            let reservation = null;
+            if (reservationId) {
+                reservation = await tx.get('reservations', reservationId);
+                if (!reservation) {
+                    throw new Error('Reserva no encontrada');
+                }
+                if (!StockReservations.isActive(reservation)) {
+                    throw new Error(`La reserva #${reservation.id} ya no está activa`);
+                }
+                if (reservation.location !== location) {
+                    throw new Error(`La reserva #${reservation.id} está en ${this.getLocation(reservation.location).name}`);
+                }
+                if (!ticketLines.some(line => line.productId === reservation.productId)) {
+                    throw new Error(`El ticket no lleva el producto reservado (${reservation.sku})`);
+                }
+                if (depositApplied > reservation.deposit) {
+                    throw new Error(`El anticipo aplicado supera el de la reserva ($${reservation.deposit.toFixed(2)})`);
+                }
+                ticket.reservationId = reservation.id;
+                ticket.depositApplied = depositApplied;
             }
 
-            product.quantity = newQuantity;
-            await this.updateProduct(product);
-            
-            this.emit('stockAdjusted', { product, adjustment });
-            
-            return product;
-            
-        } catch (error) {
-            console.error('Error adjusting stock:', error);
-            throw error;
-        }
+            let customerCharged = null;
+            let chargeEntry = null;
+            if (account) {
+                customerCharged = await tx.get('customers', account.id);
+                if (!customerCharged) {
+                    throw new Error('Cliente no encontrado');
+                }
+                ticket.customerId = customerCharged.id;
+                ticket.customerName = customerCharged.name;
+
+                if (charge > 0) {
+                    const chargePayment = settlement.payments.find(p => p.method === PAYMENT_METHODS.ACCOUNT);
+                    ticket.creditAuthorizedBy = this.authorizeCredit(customerCharged, charge, chargePayment.authorizedBy);
+                    chargeEntry = CustomerAccounts.createEntry(customerCharged, ACCOUNT_ENTRY_TYPES.CHARGE, charge, {
+                        date: ticket.date, user: ticket.user
+                    });
+                    ticket.accountBalance = chargeEntry.balance;
+                }
+            }
+
+            // Ticket numbers come from their own counter: aborted checkouts
+            // still use up auto-increment IDs but never a ticket number
+            const counter = await tx.get('settings', 'lastTicketNumber');
+            const lastNumber = counter ? counter.value :
+                Math.max(0, ...(await tx.getAll('tickets')).map(t => t.ticketNumber || t.id));
+            ticket.ticketNumber = lastNumber + 1;
+            await tx.put('settings', { key: 'lastTicketNumber', value: ticket.ticketNumber });
+            ticket.id = await tx.add('tickets', ticket);
+
+            if (chargeEntry) {
+                chargeEntry.ticketId = ticket.id;
+                chargeEntry.ticketNumber = ticket.ticketNumber;
+                chargeEntry.id = await tx.add('accountEntries', chargeEntry);
+                CustomerAccounts.applyEntry(customerCharged, chargeEntry);
+                await tx.put('customers', customerCharged);
+            }
+
+            if (quote) {
+                Object.assign(quote, {
+                    status: QUOTE_STATUS.CONVERTED,
+                    ticketId: ticket.id,
+                    ticketNumber: ticket.ticketNumber,
+                    convertedBy: ticket.user,
+                    convertedAt: ticket.date
+                });
+                await tx.put('quotes', quote);
+            }
+
+            if (reservation) {
+                Object.assign(reservation, {
+                    status: RESERVATION_STATUS.PICKED_UP,
+                    ticketId: ticket.id,
+                    ticketNumber: ticket.ticketNumber,
+                    pickedUpBy: ticket.user,
+                    pickedUpAt: ticket.date
+                });
+                await tx.put('reservations', reservation);
+            }
+
+            const products = [];
+            const sales = [];
+
+            for (const line of ticketLines) {
+                const product = await tx.get('products', line.productId);
+                if (!product) {
+                    throw new Error(`Producto no encontrado: ${line.sku}`);
+                }
+
+                // A kit line takes each of its components out of stock instead
+                const isKit = this.isKit(product);
+                const issues = isKit ?
+                    product.components.map(c => ({ productId: c.productId, quantity: UnitConverter.round(c.quantity * line.quantity) })) :
+                    [{ productId: product.id, quantity: line.quantity }];
+                const issued = [];
+
+                for (const issue of issues) {
+                    const stocked = isKit ? await tx.get('products', issue.productId) : product;
+                    if (!stocked) {
+                        throw new Error(`Componente del kit ${product.sku} no encontrado`);
+                    }
+                    LocationStock.ensureStock(stocked, this.locationSettings.saleLocation);
+                    // Units held for other customers cannot be sold
+                    const reserved = StockReservations.sumReserved(
+                        await tx.getAllByIndex('reservations', 'productId', stocked.id), location, reservationId);
+                    const available = UnitConverter.round(LocationStock.getQuantity(stocked, location) - reserved);
+                    if (available < issue.quantity) {
+                        throw new Error(`Stock insuficiente para ${stocked.sku}${isKit ? ' (kit ' + product.sku + ')' : ''} ` +
+                            `en ${this.getLocation(location).name}. Disponible: ${UnitConverter.format(stocked, Math.max(0, available))}`);
+                    }
+
+                    const issueCosts = StockValuation.issue(stocked, issue.quantity);
+                    const lots = LotTracker.issue(stocked, issue.quantity);
+                    LocationStock.change(stocked, location, -issue.quantity);
+                    stocked.updatedAt = ticket.date;
+                    await tx.put('products', stocked);
+                    products.push(stocked);
+                    issued.push({ product: stocked, quantity: issue.quantity, unitCosts: issueCosts, lots });
+                }
+
+                // A kit costs what its components cost
+                const unitCosts = isKit ? this.sumKitCosts(issued, line.quantity) : issued[0].unitCosts;
+
+                const sale = {
+                    ticketId: ticket.id,
+                    productId: product.id,
+                    sku: product.sku,
+                    name: product.name,
+                    category: product.category,
+                    quantity: line.quantity,
+                    unit: line.unit,
+                    unitQuantity: line.unitQuantity,
+                    unitFactor: line.unitFactor,
+                    unitListPrice: line.unitListPrice,
+                    listPrice: line.listPrice,
+                    unitPrice: line.unitPrice,
+                    discountAmount: line.discountAmount,
+                    discountReason: line.discountReason,
+                    discounts: line.discounts,
+                    taxRate: line.taxRate,
+                    subtotal: line.subtotal,
+                    tax: line.tax,
+                    total: line.total,
+                    paymentMethod: ticket.paymentMethod,
+                    customerId: ticket.customerId || null,
+                    location,
+                    unitCost: unitCosts[this.valuationMethod],
+                    unitCosts,
+                    date: ticket.date
+                };
+                if (isKit) {
+                    // Kept so a return puts back what this kit was made of when sold
+                    sale.components = issued.map(i => ({
+                        productId: i.product.id,
+                        sku: i.product.sku,
+                        quantity: UnitConverter.round(i.quantity / line.quantity),
+                        unitCosts: i.unitCosts,
+                        lots: i.lots
+                    }));
+                } else if (issued[0].lots.length > 0) {
+                    sale.lots = issued[0].lots;
+                }
+                if (line.serials) {
+                    sale.serials = line.serials;
+                }
+                sale.id = await tx.add('sales', sale);
+                sales.push(sale);
+
+                if (line.serials) {
+                    await this.issueSerials(tx, product, line.serials, SERIAL_STATUS.SOLD, {
+                        type: SERIAL_EVENTS.SOLD, date: ticket.date, user: ticket.user, location,
+                        ticketId: ticket.id, ticketNumber: ticket.ticketNumber, saleId: sale.id, customerName: ticket.customerName
+                    });
+                }
+
+                for (const i of issued) {
+                    const details = { ticketId: ticket.id, ticketNumber: ticket.ticketNumber, saleId: sale.id,
+                        unitCost: i.unitCosts[this.valuationMethod], location, date: ticket.date };
+                    if (isKit) {
+                        details.note = `Kit ${product.sku}`;
+                    }
+                    if (i.lots.length > 0) {
+                        details.lots = i.lots;
+                    }
+                    if (line.serials) {
+                        details.serials = line.serials;
+                    }
+                    await tx.add('stockMovements', this.createMovement(i.product, MOVEMENT_TYPES.SALE, -i.quantity, details));
+                }
+            }
+
+            return { ticket, sales, products, customer: customerCharged, quote, reservation };
+        });
     }
 
     /**
-     * Find a product by SKU or barcode
-     * @param {string} identifier - SKU or barcode
-     * @returns {Promise<Object|null>} Found product or null
+     * Check that a charge to a customer's account fits in their credit limit,
+     * or that whoever authorized it may go over the limit
+     * @param {Object} customer - Customer charged
+     * @param {number} amount - Amount charged
+     * @param {string|null} authorizedBy - Who authorized going over the limit (defaults to the current user)
+     * @returns {string|null} Who authorized going over the limit, or null if it fits
      */
-    async findProduct(identifier) {
-        // Try to find by SKU first
-        let product = this.inventory.find(p => p.sku === identifier.toUpperCase());
-        
-        // If not found, try by barcode
-        if (!product) {
-            product = await this.getProductByBarcode(identifier);
+    authorizeCredit(customer, amount, authorizedBy = null) {
+        if (amount <= CustomerAccounts.getAvailableCredit(customer)) {
+            return null;
         }
-        
-        return product || null;
+
+        const user = authorizedBy || this.getCurrentUser();
+        const permissions = window.authSystem ? window.authSystem.getUserPermissions(user) : null;
+        if (!permissions || !permissions.canOverrideCreditLimit) {
+            throw new Error(`La venta supera el límite de crédito de ${customer.name}. ` +
+                `Disponible: $${CustomerAccounts.getAvailableCredit(customer).toFixed(2)}`);
+        }
+        return user;
     }
 
     /**
-     * Get product by SKU
-     * @param {string} sku - Product SKU
-     * @returns {Promise<Object|null>} Product or null
+     * Price sale lines: list price, price override or best running promotion,
+     * manual line discount, a share of the ticket discount, then tax.
+     * Lines are priced in the unit they are sold in; the priced quantity,
+     * list price and unit price are per base unit.
+     * @param {Array} lines - Lines to price ({ productId, quantity, unit, discount, priceOverride })
+     * @param {Object|null} ticketDiscount - Discount on the whole ticket ({ type, value, reason, authorizedBy })
+     * @param {boolean} requireSerials - Whether serial-tracked lines must name their units (not for quotes)
+     * @returns {Array} Priced lines
      */
-    async getProductBySKU(sku) {
-        return this.inventory.find(p => p.sku === sku.toUpperCase()) || 
-               await this.db.getProductBySKU(sku.toUpperCase());
+    priceLines(lines, ticketDiscount = null, requireSerials = true) {
+        const now = new Date();
+
+        const pricedLines = lines.map(line => {
+            const product = this.inventory.find(p => p.id === line.productId);
+            if (!product) {
+                throw new Error(`Producto no encontrado: ${line.sku || line.productId}`);
+            }
+            if (isNaN(line.quantity) || line.quantity <= 0) {
+                throw new Error(`Cantidad inválida para ${product.sku}`);
+            }
+
+            const unit = UnitConverter.getUnit(product, line.unit);
+            const quantity = UnitConverter.toBase(product, line.quantity, unit.name);
+            UnitConverter.assertQuantity(product, quantity);
+
+            // A serial-tracked product is sold by naming each unit that leaves
+            const serials = product.serialTracked && (requireSerials || line.serials) ? SerialNumbers.parse(line.serials) : null;
+            if (serials) {
+                SerialNumbers.assertCount(product, serials, quantity);
+            }
+
+            const unitListPrice = UnitConverter.getUnitPrice(product, unit.name);
+            const gross = TaxCalculator.round(unitListPrice * line.quantity);
+            const discounts = [];
+
+            // An overridden price replaces the list price and any promotion
+            if (line.priceOverride) {
+                if (isNaN(line.priceOverride.price) || line.priceOverride.price < 0) {
+                    throw new Error(`Precio inválido para ${product.sku}`);
+                }
+                discounts.push({
+                    source: 'override',
+                    reason: line.priceOverride.reason || 'Cambio de precio',
+                    amount: TaxCalculator.round(gross - line.priceOverride.price * line.quantity),
+                    price: line.priceOverride.price,
+                    authorizedBy: line.priceOverride.authorizedBy || null
+                });
+            } else {
+                const best = DiscountCalculator.findBestPromotion(product, this.promotions, gross, quantity, now);
+                if (best && best.amount > 0) {
+                    discounts.push({
+                        source: 'promotion',
+                        reason: best.promotion.name,
+                        amount: best.amount,
+                        promotionId: best.promotion.id
+                    });
+                }
+            }
+
+            if (line.discount) {
+                DiscountCalculator.validate(line.discount);
+                const base = gross - discounts.reduce((sum, d) => sum + d.amount, 0);
+                discounts.push({
+                    source: 'line',
+                    reason: line.discount.reason || '',
+                    amount: DiscountCalculator.getAmount(base, line.discount),
+                    type: line.discount.type,
+                    value: line.discount.value,
+                    authorizedBy: line.discount.authorizedBy || null
+                });
+            }
+
+            return { product, line, unit, quantity, unitListPrice, gross, discounts, serials };
+        });
+
+        // Spread the ticket discount over the lines in proportion to their amount
+        if (ticketDiscount) {
+            DiscountCalculator.validate(ticketDiscount);
+            const netOf = (entry) => entry.gross - entry.discounts.reduce((sum, d) => sum + d.amount, 0);
+            const ticketBase = pricedLines.reduce((sum, entry) => sum + netOf(entry), 0);
+            const ticketAmount = DiscountCalculator.getAmount(ticketBase, ticketDiscount);
+            let allocated = 0;
+
+            pricedLines.forEach((entry, index) => {
+                const share = index === pricedLines.length - 1 ?
+                    TaxCalculator.round(ticketAmount - allocated) :
+                    TaxCalculator.round(ticketBase > 0 ? ticketAmount * netOf(entry) / ticketBase : 0);
+                allocated += share;
+                entry.discounts.push({
+                    source: 'ticket',
+                    reason: ticketDiscount.reason || '',
+                    amount: share,
+                    type: ticketDiscount.type,
+                    value: ticketDiscount.value,
+                    authorizedBy: ticketDiscount.authorizedBy || null
+                });
+            });
+        }
+
+        return pricedLines.map(({ product, line, unit, quantity, unitListPrice, gross, discounts, serials }) => {
+            const discountAmount = TaxCalculator.round(discounts.reduce((sum, d) => sum + d.amount, 0));
+            const unitPrice = (gross - discountAmount) / quantity;
+            const taxRate = TaxCalculator.getRate(product, this.taxSettings);
+
+            return {
+                productId: product.id,
+                sku: product.sku,
+                name: product.name,
+                quantity,
+                unit: unit.name,
+                unitQuantity: line.quantity,
+                unitFactor: unit.factor,
+                unitListPrice,
+                listPrice: gross / quantity,
+                unitPrice,
+                discountAmount,
+                discounts,
+                discountReason: discounts.map(d => d.reason).filter(Boolean).join('; '),
+                taxRate,
+                ...(serials ? { serials } : {}),
+                ...TaxCalculator.calculateLine(unitPrice, quantity, taxRate, this.taxSettings.pricesIncludeTax)
+            };
+        });
     }
 
     /**
-     * Get product by barcode
-     * @param {string} barcode - Product barcode
-     * @returns {Promise<Object|null>} Product or null
+     * Check that every manual discount and price override on priced lines
+     * was granted by someone allowed to grant it
+     * @param {Array} pricedLines - Lines returned by priceLines
      */
-    async getProductByBarcode(barcode) {
-        return this.inventory.find(p => p.barcode === barcode) || 
-               await this.db.getProductByBarcode(barcode);
+    authorizeDiscounts(pricedLines) {
+        pricedLines.forEach(line => {
+            line.discounts
+                .filter(discount => discount.source !== 'promotion')
+                .forEach(discount => {
+                    const user = discount.authorizedBy || this.getCurrentUser();
+                    const permissions = window.authSystem ? window.authSystem.getUserPermissions(user) : null;
+                    if (!permissions) {
+                        throw new Error('Se requiere un usuario autorizado para aplicar descuentos');
+                    }
+
+                    if (discount.source === 'override') {
+                        if (!permissions.canOverridePrice) {
+                            throw new Error(`El usuario ${user} no puede cambiar precios (${line.sku})`);
+                        }
+                        return;
+                    }
+
+                    const base = line.listPrice * line.quantity;
+                    const percent = base > 0 ? (discount.amount / base) * 100 : 0;
+                    if (percent > permissions.maxDiscountPercent + 0.001) {
+                        throw new Error(`El usuario ${user} solo puede autorizar descuentos de hasta ${permissions.maxDiscountPercent}% (${line.sku})`);
+                    }
+                });
+        });
     }
 
     /**
-     * Search products
-     * @param {string} searchTerm - Search term
-     * @param {string} category - Category filter (optional)
-     * @returns {Array} Filtered products
+     * Save the tax rates and price mode
+     * @param {Object} settings - defaultRate, pricesIncludeTax and categoryRates
+     * @returns {Promise<Object>} Saved settings
      */
-    searchProducts(searchTerm, category = '') {
-        let results = this.inventory;
-        
-        if (searchTerm) {
-            const term = searchTerm.toLowerCase();
-            results = results.filter(product =>
-                product.sku.toLowerCase().includes(term) ||
-                product.name.toLowerCase().includes(term) ||
-                product.category.toLowerCase().includes(term) ||
-                (product.barcode && product.barcode.includes(term)) ||
-                (product.supplier && product.supplier.toLowerCase().includes(term))
-            );
-        }
-        
-        if (category) {
-            results = results.filter(product => product.category === category);
-        }
-        
-        return results;
+    async saveTaxSettings(settings) {
+        const normalized = TaxCalculator.normalizeSettings(settings);
+
+        await this.db.saveSetting('taxSettings', normalized);
+        this.taxSettings = normalized;
+
+        this.emit('taxSettingsChanged', normalized);
+        return normalized;
     }
 
     /**
-     * Get low stock products
-     * @returns {Array} Products with low stock
+     * Save the store details and paper width printed on receipts
+     * @param {Object} settings - storeName, address, phone, taxId, footer and paperWidth
+     * @returns {Promise<Object>} Saved settings
      */
-    getLowStockProducts() {
-        return this.inventory.filter(product => product.quantity <= product.minStock);
+    async saveReceiptSettings(settings) {
+        const normalized = ReceiptPrinter.normalizeSettings(settings);
+
+        await this.db.saveSetting('receiptSettings', normalized);
+        this.receiptSettings = normalized;
+
+        this.emit('receiptSettingsChanged', normalized);
+        return normalized;
     }
 
     /**
-     * Get inventory statistics
-     * @returns {Object} Statistics object
+     * Save the limits above which a stock adjustment needs a manager
+     * @param {Object} settings - approvalQuantity and approvalValue (null for no limit)
+     * @returns {Promise<Object>} Saved settings
      */
-    getStatistics() {
-        const totalProducts = this.inventory.length;
-        const lowStockProducts = this.getLowStockProducts();
-        const totalValue = this.inventory.reduce((sum, product) => 
-            sum + (product.price * product.quantity), 0);
-        const categories = [...new Set(this.inventory.map(product => product.category))];
-        
-        return {
-            totalProducts,
-            lowStockCount: lowStockProducts.length,
-            totalValue,
-            categoriesCount: categories.length,
-            categories,
-            lowStockProducts,
-            averageProductValue: totalProducts > 0 ? totalValue / totalProducts : 0,
-            categoryBreakdown: categories.map(category => ({
-                name: category,
-                count: this.inventory.filter(p => p.category === category).length,
-                value: this.inventory
-                    .filter(p => p.category === category)
-                    .reduce((sum, p) => sum + (p.price * p.quantity), 0)
-            }))
-        };
+    async saveAdjustmentSettings(settings) {
+        const normalized = StockAdjustments.normalizeSettings(settings);
+
+        await this.db.saveSetting('adjustmentSettings', normalized);
+        this.adjustmentSettings = normalized;
+
+        this.emit('adjustmentSettingsChanged', normalized);
+        return normalized;
     }
 
     /**
-     * Get all products
-     * @returns {Array} All products
+     * Save the stock locations and which ones sales and receipts use.
+     * A location still holding stock cannot be removed.
+     * @param {Object} settings - locations ({ id, name }), saleLocation and receivingLocation
+     * @returns {Promise<Object>} Saved settings
      */
-    getAllProducts() {
-        return [...this.inventory];
+    async saveLocationSettings(settings) {
+        const normalized = LocationStock.normalizeSettings(settings);
+        const ids = new Set(normalized.locations.map(location => location.id));
+
+        this.inventory.forEach(product => {
+            const removed = Object.keys(product.stockByLocation || {}).find(id => !ids.has(id));
+            if (removed) {
+                throw new Error(`La ubicación ${this.getLocation(removed).name} todavía tiene stock de ${product.sku}`);
+            }
+        });
+
+        await this.db.saveSetting('locationSettings', normalized);
+        this.locationSettings = normalized;
+
+        this.emit('locationSettingsChanged', normalized);
+        return normalized;
     }
 
     /**
-     * Get products by category
-     * @param {string} category - Category name
-     * @returns {Array} Products in category
+     * Get the configured stock locations
+     * @returns {Array} Locations ({ id, name })
      */
-    getProductsByCategory(category) {
-        return this.inventory.filter(product => product.category === category);
+    getLocations() {
+        return this.locationSettings.locations;
     }
 
     /**
-     * Get product suggestions for autocomplete
-     * @param {string} query - Search query
-     * @param {number} limit - Maximum number of suggestions
-     * @returns {Array} Product suggestions
+     * Find a configured location
+     * @param {string} locationId - Location ID
+     * @returns {Object} Location ({ id, name })
+     * @throws {Error} If there is no such location
      */
-    getProductSuggestions(query, limit = 5) {
-        if (!query || query.length < 2) return [];
-        
-        const term = query.toLowerCase();
-        const matches = this.inventory.filter(product =>
-            product.sku.toLowerCase().includes(term) ||
-            product.name.toLowerCase().includes(term) ||
-            (product.barcode && product.barcode.includes(query))
-        ).slice(0, limit);
-        
-        return matches.map(product => ({
-            id: product.id,
-            sku: product.sku,
-            name: product.name,
-            barcode: product.barcode,
-            stock: product.quantity,
-            price: product.price
-        }));
+    getLocation(locationId) {
+        const location = this.locationSettings.locations.find(l => l.id === locationId);
+        if (!location) {
+            throw new Error(`Ubicación no encontrada: ${locationId}`);
+        }
+        return location;
     }
 
     /**
-     * Validate product data
-     * @param {Object} product - Product to validate
-     * @throws {Error} Validation error
+     * Move stock between two locations. The product's total does not change;
+     * the ledger gets a paired movement out of one location and into the other.
+     * @param {string} identifier - Product SKU or barcode
+     * @param {string} from - Location the stock leaves
+     * @param {string} to - Location the stock arrives at
+     * @param {number} quantity - Quantity in the base unit
+     * @param {string} note - Optional note
+     * @returns {Promise<Object>} Updated product
      */
-    validateProduct(product) {
-        const required = ['sku', 'name', 'category', 'price', 'quantity', 'minStock'];
-        
-        for (const field of required) {
-            if (product[field] === undefined || product[field] === null || product[field] === '') {
-                throw new Error(`Campo requerido: ${field}`);
-            }
+    async transferStock(identifier, from, to, quantity, note = '') {
+        try {
+            const product = await this.findProduct(identifier);
+            if (!product) {
+                throw new Error('Producto no encontrado');
+            }
+            if (this.isKit(product)) {
+                throw new Error(`${product.sku} es un kit; transfiera sus componentes`);
+            }
+
+            const source = this.getLocation(from);
+            const destination = this.getLocation(to);
+            if (source.id === destination.id) {
+                throw new Error('Las ubicaciones de origen y destino deben ser distintas');
+            }
+            UnitConverter.assertQuantity(product, quantity);
+
+            const result = await this.runStockTransaction(['products', 'stockMovements', 'reservations'], async (tx) => {
+                const stored = await tx.get('products', product.id);
+                if (!stored) {
+                    throw new Error('Producto no encontrado');
+                }
+                LocationStock.ensureStock(stored, this.locationSettings.saleLocation);
+                await this.assertReservedStock(tx, stored, source.id, -quantity);
+
+                const date = new Date().toISOString();
+                const transferId = `${Date.now()}-${stored.id}`;
+                const details = { transferId, note: note.trim(), date };
+
+                LocationStock.change(stored, source.id, -quantity);
+                LocationStock.change(stored, destination.id, quantity);
+                stored.updatedAt = date;
+                await tx.put('products', stored);
+                await tx.add('stockMovements', this.createMovement(stored, MOVEMENT_TYPES.TRANSFER, -quantity,
+                    { ...details, location: source.id, counterLocation: destination.id }));
+                await tx.add('stockMovements', this.createMovement(stored, MOVEMENT_TYPES.TRANSFER, quantity,
+                    { ...details, location: destination.id, counterLocation: source.id }));
+
+                return { products: [stored] };
+            });
+
+            const updatedProduct = result.products[0];
+            this.emit('stockTransferred', { product: updatedProduct, from: source, to: destination, quantity });
+            console.log('Stock transferred:', updatedProduct.sku, quantity, source.id, '->', destination.id);
+
+            return updatedProduct;
+
+        } catch (error) {
+            console.error('Error transferring stock:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Set or clear the aisle/shelf/bin where a product is kept
+     * @param {number} productId - Product ID
+     * @param {string|null} bin - Bin location, or empty to clear it
+     * @returns {Promise<Object>} Updated product
+     */
+    async setProductBin(productId, bin) {
+        const product = this.inventory.find(p => p.id === productId);
+        if (!product) {
+            throw new Error('Producto no encontrado');
+        }
+
+        return this.updateProduct({ ...product, binLocation: PickList.normalizeBin(bin) });
+    }
+
+    /**
+     * Build a pick list for the lines of an order or a receipt: one item per
+     * product, kits broken into their components, sorted by bin location
+     * @param {Array} lines - Lines ({ productId, quantity }) with quantities in base units
+     * @param {Object} options - title and location (defaults to the sale location)
+     * @returns {Object} Pick list ({ title, location, date, items })
+     */
+    getPickList(lines, options = {}) {
+        const quantities = new Map();
+        const add = (productId, quantity) => quantities.set(productId,
+            UnitConverter.round((quantities.get(productId) || 0) + quantity));
+
+        (lines || []).forEach(line => {
+            const product = this.inventory.find(p => p.id === line.productId);
+            if (!product || !(line.quantity > 0)) return;
+
+            if (this.isKit(product)) {
+                product.components.forEach(component => add(component.productId, component.quantity * line.quantity));
+            } else {
+                add(product.id, line.quantity);
+            }
+        });
+
+        const items = [...quantities.entries()].map(([productId, quantity]) => {
+            const product = this.inventory.find(p => p.id === productId);
+            return product ? {
+                productId,
+                sku: product.sku,
+                name: product.name,
+                binLocation: product.binLocation || null,
+                baseUnit: product.baseUnit,
+                quantity
+            } : null;
+        }).filter(Boolean);
+
+        if (items.length === 0) {
+            throw new Error('No hay productos para la lista de surtido');
+        }
+
+        return {
+            title: options.title || 'Pick List',
+            location: this.getLocation(options.location || this.locationSettings.saleLocation).name,
+            date: new Date().toISOString(),
+            items: PickList.sort(items)
+        };
+    }
+
+    /**
+     * Set or clear the tax rate override of a product
+     * @param {number} productId - Product ID
+     * @param {number|null} rate - Rate as a percentage, or null to inherit
+     * @returns {Promise<Object>} Updated product
+     */
+    async setProductTaxRate(productId, rate) {
+        const product = this.inventory.find(p => p.id === productId);
+        if (!product) {
+            throw new Error('Producto no encontrado');
+        }
+
+        if (rate !== null && !TaxCalculator.isValidRate(rate)) {
+            throw new Error('La tasa de impuesto debe estar entre 0 y 100');
+        }
+
+        return this.updateProduct({ ...product, taxRate: rate });
+    }
+
+    /**
+     * Set the base unit and alternate units of a product. Changing the base
+     * unit restates stock, minimum stock, price and costs in the new unit;
+     * conversion is how many new base units one old base unit holds.
+     * @param {number} productId - Product ID
+     * @param {Object} definition - { baseUnit, units, conversion }
+     * @returns {Promise<Object>} Updated product
+     */
+    async setProductUnits(productId, definition) {
+        try {
+            const current = this.inventory.find(p => p.id === productId);
+            if (!current) {
+                throw new Error('Producto no encontrado');
+            }
+
+            const baseUnit = definition.baseUnit || current.baseUnit;
+            const units = definition.units || [];
+            const conversion = baseUnit === current.baseUnit ? 1 : parseFloat(definition.conversion);
+            UnitConverter.validateUnits(baseUnit, units);
+            if (isNaN(conversion) || conversion <= 0) {
+                throw new Error('La conversión a la nueva unidad base debe ser mayor a cero');
+            }
+
+            const result = await this.runStockTransaction(['products', 'stockMovements'], async (tx) => {
+                const product = await tx.get('products', productId);
+                if (!product) {
+                    throw new Error('Producto no encontrado');
+                }
+                StockValuation.ensureLayers(product);
+                UnitConverter.ensureUnits(product);
+                LocationStock.ensureStock(product, this.locationSettings.saleLocation);
+
+                const previousUnit = product.baseUnit;
+                const converted = {
+                    ...product,
+                    baseUnit,
+                    units,
+                    quantity: UnitConverter.round(product.quantity * conversion),
+                    minStock: UnitConverter.round(product.minStock * conversion),
+                    updatedAt: new Date().toISOString()
+                };
+                if (!UnitConverter.isValidQuantity(converted, converted.quantity) ||
+                    !UnitConverter.isValidQuantity(converted, converted.minStock)) {
+                    throw new Error(`El stock de ${product.sku} no queda en cantidades enteras de ${baseUnit}`);
+                }
+
+                if (conversion !== 1) {
+                    LocationStock.scale(converted, conversion);
+                    LotTracker.scale(converted, conversion);
+                    converted.price = product.price / conversion;
+                    converted.cost = (product.cost || 0) / conversion;
+                    converted.averageCost = product.averageCost / conversion;
+                    converted.costLayers = product.costLayers.map(layer => ({
+                        ...layer,
+                        quantity: UnitConverter.round(layer.quantity * conversion),
+                        unitCost: layer.unitCost / conversion
+                    }));
+                }
+                this.validateProduct(converted);
+
+                await tx.put('products', converted);
+                if (previousUnit !== baseUnit) {
+                    await tx.add('stockMovements', this.createMovement(
+                        converted, MOVEMENT_TYPES.UNIT_CHANGE, 0,
+                        { note: `1 ${previousUnit} = ${conversion} ${baseUnit}` }
+                    ));
+                }
+
+                return { products: [converted] };
+            });
+
+            const updatedProduct = result.products[0];
+            this.emit('productUpdated', updatedProduct);
+            console.log('Product units updated:', updatedProduct.sku, updatedProduct.baseUnit);
+
+            return updatedProduct;
+
+        } catch (error) {
+            console.error('Error updating product units:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load promotions from database
+     */
+    async loadPromotions() {
+        try {
+            this.promotions = await this.db.getAllPromotions();
+        } catch (error) {
+            console.error('Error loading promotions:', error);
+            this.promotions = [];
+        }
+    }
+
+    /**
+     * Add or update a time-boxed promotion on a SKU or category
+     * @param {Object} data - Promotion data (with id to update)
+     * @returns {Promise<Object>} Saved promotion
+     */
+    async savePromotion(data) {
+        try {
+            const name = (data.name || '').trim();
+            if (name.length < 3) {
+                throw new Error('El nombre de la promoción debe tener al menos 3 caracteres');
+            }
+
+            if (!Object.values(PROMOTION_SCOPES).includes(data.scope)) {
+                throw new Error('Alcance de promoción inválido');
+            }
+
+            const target = (data.target || '').trim();
+            if (data.scope === PROMOTION_SCOPES.SKU && !this.inventory.some(p => p.sku === target)) {
+                throw new Error(`Producto no encontrado: ${target}`);
+            }
+            if (data.scope === PROMOTION_SCOPES.CATEGORY && !target) {
+                throw new Error('Seleccione una categoría');
+            }
+
+            const discount = { type: data.type, value: parseFloat(data.value) };
+            DiscountCalculator.validate(discount);
+
+            if (!data.startDate || !data.endDate || data.startDate > data.endDate) {
+                throw new Error('Las fechas de la promoción no son válidas');
+            }
+
+            const existing = data.id ? this.promotions.find(p => p.id === data.id) : null;
+            const promotion = {
+                ...(existing || { createdBy: this.getCurrentUser(), createdAt: new Date().toISOString() }),
+                name,
+                scope: data.scope,
+                target,
+                ...discount,
+                startDate: data.startDate,
+                endDate: data.endDate,
+                active: data.active !== false,
+                updatedAt: new Date().toISOString()
+            };
+
+            if (existing) {
+                await this.db.updatePromotion(promotion);
+                this.promotions = this.promotions.map(p => p.id === promotion.id ? promotion : p);
+            } else {
+                promotion.id = await this.db.addPromotion(promotion);
+                this.promotions.push(promotion);
+            }
+
+            this.emit('promotionsChanged', this.promotions);
+            return promotion;
+
+        } catch (error) {
+            console.error('Error saving promotion:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a promotion
+     * @param {number} promotionId - Promotion ID
+     */
+    async deletePromotion(promotionId) {
+        await this.db.deletePromotion(promotionId);
+        this.promotions = this.promotions.filter(p => p.id !== promotionId);
+        this.emit('promotionsChanged', this.promotions);
+    }
+
+    /**
+     * Get all promotions, newest first
+     * @returns {Array} Promotions
+     */
+    getPromotions() {
+        return [...this.promotions].sort((a, b) => b.id - a.id);
+    }
+
+    /**
+     * Load parent products from database
+     */
+    async loadParentProducts() {
+        this.parentProducts = await this.db.getAllParentProducts();
+    }
+
+    /**
+     * Check and clean the shared fields of a parent product
+     * @param {Object} data - { name, category, supplier, options }
+     * @returns {Object} Normalized fields
+     */
+    normalizeParentProduct(data) {
+        const name = (data.name || '').trim();
+        if (name.length < 3) {
+            throw new Error('El nombre debe tener al menos 3 caracteres');
+        }
+        if (!data.category) {
+            throw new Error('Campo requerido: category');
+        }
+
+        const options = [...new Set((data.options || [])
+            .map(option => String(option).trim().toLowerCase())
+            .filter(Boolean))];
+        if (options.length === 0) {
+            throw new Error('Indique al menos una opción de variante (por ejemplo: color, tamaño)');
+        }
+
+        return {
+            name,
+            category: data.category,
+            supplier: data.supplier ? data.supplier.trim() : null,
+            options
+        };
+    }
+
+    /**
+     * Create a parent product whose variants share its name, category and supplier
+     * @param {Object} data - { name, category, supplier, options }
+     * @returns {Promise<Object>} Saved parent product
+     */
+    async addParentProduct(data) {
+        try {
+            const parent = {
+                ...this.normalizeParentProduct(data),
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+            parent.id = await this.db.addParentProduct(parent);
+            this.parentProducts.push(parent);
+
+            this.emit('parentProductSaved', parent);
+            return parent;
+
+        } catch (error) {
+            console.error('Error adding parent product:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Change the shared fields of a parent product and carry them to every variant
+     * @param {number} parentId - Parent product ID
+     * @param {Object} data - { name, category, supplier, options }
+     * @returns {Promise<Object>} Updated parent product
+     */
+    async updateParentProduct(parentId, data) {
+        try {
+            const current = this.getParentProduct(parentId);
+            if (!current) {
+                throw new Error('Producto padre no encontrado');
+            }
+
+            const parent = { ...current, ...this.normalizeParentProduct(data), updatedAt: new Date().toISOString() };
+            const variants = this.getVariants(parentId);
+            current.options
+                .filter(option => !parent.options.includes(option))
+                .forEach(option => {
+                    if (variants.some(variant => variant.variantOptions[option])) {
+                        throw new Error(`No se puede quitar la opción ${option}: hay variantes que la usan`);
+                    }
+                });
+
+            const result = await this.runStockTransaction(['parentProducts', 'products'], async (tx) => {
+                await tx.put('parentProducts', parent);
+
+                const products = [];
+                for (const variant of variants) {
+                    const product = await tx.get('products', variant.id);
+                    Object.assign(product, {
+                        name: this.getVariantName(parent, product.variantOptions),
+                        category: parent.category,
+                        supplier: parent.supplier,
+                        updatedAt: parent.updatedAt
+                    });
+                    await tx.put('products', product);
+                    products.push(product);
+                }
+
+                return { products };
+            });
+
+            this.parentProducts = this.parentProducts.map(p => p.id === parent.id ? parent : p);
+            result.products.forEach(product => this.emit('productUpdated', product));
+            this.emit('parentProductSaved', parent);
+
+            return parent;
+
+        } catch (error) {
+            console.error('Error updating parent product:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a parent product that no longer has variants
+     * @param {number} parentId - Parent product ID
+     */
+    async deleteParentProduct(parentId) {
+        if (this.getVariants(parentId).length > 0) {
+            throw new Error('Elimine primero las variantes de este producto');
+        }
+
+        await this.db.deleteParentProduct(parentId);
+        this.parentProducts = this.parentProducts.filter(p => p.id !== parentId);
+        this.emit('parentProductDeleted', parentId);
+    }
+
+    /**
+     * Get a parent product
+     * @param {number} parentId - Parent product ID
+     * @returns {Object|null} Parent product
+     */
+    getParentProduct(parentId) {
+        return this.parentProducts.find(p => p.id === parentId) || null;
+    }
+
+    /**
+     * Get all parent products sorted by name
+     * @returns {Array} Parent products
+     */
+    getParentProducts() {
+        return [...this.parentProducts].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get the variants of a parent product
+     * @param {number} parentId - Parent product ID
+     * @returns {Array} Variant products
+     */
+    getVariants(parentId) {
+        return this.inventory.filter(product => product.parentId === parentId);
+    }
+
+    /**
+     * Describe the options of a variant, e.g. "Blanco / 1gal"
+     * @param {Object} product - Variant product
+     * @returns {string} Label, empty for products without a parent
+     */
+    getVariantLabel(product) {
+        const parent = product.parentId ? this.getParentProduct(product.parentId) : null;
+        if (!parent) return '';
+
+        return parent.options
+            .map(option => (product.variantOptions || {})[option])
+            .filter(Boolean)
+            .join(' / ');
+    }
+
+    /**
+     * Build the name of a variant from its parent and options
+     * @param {Object} parent - Parent product
+     * @param {Object} variantOptions - Option -> value
+     * @returns {string} Variant name
+     */
+    getVariantName(parent, variantOptions) {
+        const values = parent.options.map(option => variantOptions[option]).filter(Boolean);
+        return values.length > 0 ? `${parent.name} - ${values.join(' / ')}` : parent.name;
+    }
+
+    /**
+     * Create a variant of a parent product. Name, category and supplier come
+     * from the parent; SKU, barcode, price and stock are the variant's own.
+     * @param {number} parentId - Parent product ID
+     * @param {Object} productData - Product data plus variantOptions (option -> value)
+     * @returns {Object} Complete product object
+     */
+    createVariant(parentId, productData) {
+        const parent = this.getParentProduct(parentId);
+        if (!parent) {
+            throw new Error('Producto padre no encontrado');
+        }
+
+        const variantOptions = {};
+        Object.keys(productData.variantOptions || {}).forEach(key => {
+            const option = key.trim().toLowerCase();
+            const value = String(productData.variantOptions[key]).trim();
+            if (value) {
+                variantOptions[option] = value;
+            }
+        });
+
+        return {
+            ...this.createProduct({
+                ...productData,
+                name: this.getVariantName(parent, variantOptions),
+                category: parent.category,
+                supplier: parent.supplier || ''
+            }),
+            parentId: parent.id,
+            variantOptions
+        };
+    }
+
+    /**
+     * Check that a variant names only its parent's options and does not repeat
+     * another variant
+     * @param {Object} product - Variant product
+     * @throws {Error} Validation error
+     */
+    validateVariant(product) {
+        const parent = this.getParentProduct(product.parentId);
+        if (!parent) {
+            throw new Error('Producto padre no encontrado');
+        }
+
+        const keys = Object.keys(product.variantOptions || {});
+        const unknown = keys.filter(key => !parent.options.includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`Opción no definida en ${parent.name}: ${unknown.join(', ')}`);
+        }
+        if (keys.length === 0) {
+            throw new Error(`Indique el valor de ${parent.options.join(', ')} para la variante`);
+        }
+
+        const label = this.getVariantLabel(product).toLowerCase();
+        if (this.getVariants(parent.id).some(v => v.id !== product.id && this.getVariantLabel(v).toLowerCase() === label)) {
+            throw new Error(`Ya existe la variante ${this.getVariantLabel(product)} de ${parent.name}`);
+        }
+    }
+
+    /**
+     * Group products so the variants of a parent sit together, in the order
+     * their first variant appears
+     * @param {Array} products - Products to group
+     * @returns {Array} Groups: { parent, variants } or { product }
+     */
+    groupByParent(products) {
+        const groups = [];
+        const byParent = new Map();
+
+        products.forEach(product => {
+            const parent = product.parentId ? this.getParentProduct(product.parentId) : null;
+            if (!parent) {
+                groups.push({ product });
+                return;
+            }
+
+            if (!byParent.has(parent.id)) {
+                const group = { parent, variants: [] };
+                byParent.set(parent.id, group);
+                groups.push(group);
+            }
+            byParent.get(parent.id).variants.push(product);
+        });
+
+        return groups;
+    }
+
+    /**
+     * Check whether a search term matches the parent of a product
+     * @param {Object} product - Product
+     * @param {string} term - Lowercase search term
+     * @returns {boolean}
+     */
+    matchesParent(product, term) {
+        const parent = product.parentId ? this.getParentProduct(product.parentId) : null;
+        return !!parent && (parent.name.toLowerCase().includes(term) ||
+            (!!parent.supplier && parent.supplier.toLowerCase().includes(term)));
+    }
+
+    /**
+     * Check whether a product is a kit
+     * @param {Object} product - Product
+     * @returns {boolean}
+     */
+    isKit(product) {
+        return !!product && product.type === PRODUCT_TYPES.KIT;
+    }
+
+    /**
+     * Get the kits a product is a component of
+     * @param {number} productId - Product ID
+     * @returns {Array} Kit products
+     */
+    getKitsUsing(productId) {
+        return this.inventory.filter(p => this.isKit(p) && p.components.some(c => c.productId === productId));
+    }
+
+    /**
+     * Get the quantity of a product that can be sold now: what is on hand
+     * less what reservations hold. A kit has no stock of its own and can be
+     * sold as many times as its scarcest component allows.
+     * @param {Object} product - Product
+     * @param {string|null} location - Location to count (defaults to all locations)
+     * @returns {number} Available quantity in the base unit
+     */
+    getAvailableQuantity(product, location = null) {
+        if (!this.isKit(product)) {
+            return Math.max(0, UnitConverter.round(LocationStock.getQuantity(product, location) - this.getReservedQuantity(product, location)));
+        }
+        if (product.components.length === 0) return 0;
+
+        return Math.min(...product.components.map(component => {
+            const stocked = this.inventory.find(p => p.id === component.productId);
+            return stocked ?
+                Math.floor(UnitConverter.round(this.getAvailableQuantity(stocked, location) / component.quantity)) : 0;
+        }));
+    }
+
+    /**
+     * Get the quantity of a product held by active reservations
+     * @param {Object} product - Product
+     * @param {string|null} location - Location to count (defaults to all locations)
+     * @returns {number} Reserved quantity in the base unit
+     */
+    getReservedQuantity(product, location = null) {
+        return StockReservations.sumReserved(this.reservations.filter(r => r.productId === product.id), location);
+    }
+
+    /**
+     * Load stock reservations from the database
+     */
+    async loadReservations() {
+        try {
+            this.reservations = await this.db.getAllReservations();
+        } catch (error) {
+            console.error('Error loading reservations:', error);
+            this.reservations = [];
+        }
+    }
+
+    /**
+     * Get reservations, newest first
+     * @param {string|null} status - Only reservations with this status
+     * @returns {Array} Reservations
+     */
+    getReservations(status = null) {
+        return this.reservations
+            .filter(r => !status || r.status === status)
+            .sort((a, b) => b.id - a.id);
+    }
+
+    /**
+     * Get a reservation by ID
+     * @param {number} reservationId - Reservation ID
+     * @returns {Object|null} Reservation
+     */
+    getReservation(reservationId) {
+        return this.reservations.find(r => r.id === reservationId) || null;
+    }
+
+    /**
+     * Hold stock of a product for a customer who pays a deposit and picks it
+     * up later. Stock stays on hand but can no longer be sold to anyone else.
+     * @param {string} identifier - Product SKU or barcode
+     * @param {number} quantity - Quantity to hold
+     * @param {Object} details - customerName, deposit, depositMethod, expiresAt (YYYY-MM-DD),
+     *   note, unit and location (defaults to the sale location)
+     * @returns {Promise<Object>} Reservation
+     */
+    async reserveStock(identifier, quantity, details = {}) {
+        try {
+            const product = await this.findProduct(identifier);
+            if (!product) {
+                throw new Error('Producto no encontrado');
+            }
+            if (this.isKit(product)) {
+                throw new Error(`Un kit no tiene stock propio; reserve sus componentes (${product.sku})`);
+            }
+            if (isNaN(quantity) || quantity <= 0) {
+                throw new Error('La cantidad debe ser mayor a cero');
+            }
+
+            const reservation = {
+                productId: product.id,
+                sku: product.sku,
+                name: product.name,
+                quantity: UnitConverter.toBase(product, quantity, details.unit || null),
+                location: this.getLocation(details.location || this.locationSettings.saleLocation).id,
+                ...StockReservations.normalize(details),
+                status: RESERVATION_STATUS.ACTIVE,
+                createdBy: this.getCurrentUser(),
+                createdAt: new Date().toISOString()
+            };
+            UnitConverter.assertQuantity(product, reservation.quantity);
+
+            // Stock and other holds are re-read inside the transaction so two
+            // clerks cannot reserve the same last units
+            await this.db.runTransaction(['products', 'reservations'], async (tx) => {
+                const stocked = await tx.get('products', product.id);
+                if (!stocked) {
+                    throw new Error('Producto no encontrado');
+                }
+                LocationStock.ensureStock(stocked, this.locationSettings.saleLocation);
+                const reserved = StockReservations.sumReserved(
+                    await tx.getAllByIndex('reservations', 'productId', product.id), reservation.location);
+                const available = UnitConverter.round(LocationStock.getQuantity(stocked, reservation.location) - reserved);
+                if (available < reservation.quantity) {
+                    throw new Error(`Stock insuficiente para reservar en ${this.getLocation(reservation.location).name}. ` +
+                        `Disponible: ${UnitConverter.format(stocked, Math.max(0, available))}`);
+                }
+                reservation.id = await tx.add('reservations', reservation);
+            });
+
+            this.reservations.push(reservation);
+            this.emit('stockReserved', { reservation, product });
+            console.log('Stock reserved:', reservation.sku, 'x', reservation.quantity, 'for', reservation.customerName);
+
+            return reservation;
+
+        } catch (error) {
+            console.error('Error reserving stock:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel an active reservation and release its units
+     * @param {number} reservationId - Reservation ID
+     * @param {boolean} refundDeposit - Whether the deposit was handed back
+     * @returns {Promise<Object>} Cancelled reservation
+     */
+    async cancelReservation(reservationId, refundDeposit = false) {
+        try {
+            const reservation = await this.db.runTransaction(['reservations'], async (tx) => {
+                const stored = await tx.get('reservations', reservationId);
+                if (!stored) {
+                    throw new Error('Reserva no encontrada');
+                }
+                if (stored.status !== RESERVATION_STATUS.ACTIVE) {
+                    throw new Error(`La reserva #${stored.id} ya no está activa`);
+                }
+
+                Object.assign(stored, {
+                    status: RESERVATION_STATUS.CANCELLED,
+                    cancelledBy: this.getCurrentUser(),
+                    cancelledAt: new Date().toISOString(),
+                    depositRefunded: refundDeposit ? stored.deposit : 0
+                });
+                await tx.put('reservations', stored);
+                return stored;
+            });
+
+            this.reservations = this.reservations.map(r => r.id === reservation.id ? reservation : r);
+            this.emit('reservationReleased', { reservations: [reservation] });
+
+            return reservation;
+
+        } catch (error) {
+            console.error('Error cancelling reservation:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark the reservations past their expiry date as expired. Their units
+     * stop counting as reserved when the date passes; this records it.
+     * @param {Date} now - Reference time
+     * @returns {Promise<Array>} Reservations expired
+     */
+    async releaseExpiredReservations(now = new Date()) {
+        const due = this.reservations.filter(r =>
+            r.status === RESERVATION_STATUS.ACTIVE && StockReservations.isPastExpiry(r, now));
+        if (due.length === 0) return [];
+
+        try {
+            const expired = await this.db.runTransaction(['reservations'], async (tx) => {
+                const changed = [];
+                for (const reservation of due) {
+                    const stored = await tx.get('reservations', reservation.id);
+                    if (!stored || stored.status !== RESERVATION_STATUS.ACTIVE) continue;
+
+                    stored.status = RESERVATION_STATUS.EXPIRED;
+                    stored.expiredAt = now.toISOString();
+                    await tx.put('reservations', stored);
+                    changed.push(stored);
+                }
+                return changed;
+            });
+
+            this.reservations = this.reservations.map(r => expired.find(e => e.id === r.id) || r);
+            if (expired.length > 0) {
+                this.emit('reservationReleased', { reservations: expired });
+                console.log('Reservations expired:', expired.length);
+            }
+            return expired;
+
+        } catch (error) {
+            console.error('Error expiring reservations:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the current cost of one kit from its components
+     * @param {Object} kit - Kit product
+     * @returns {number} Cost of one kit under the valuation method
+     */
+    getKitCost(kit) {
+        return kit.components.reduce((sum, component) => {
+            const stocked = this.inventory.find(p => p.id === component.productId);
+            return sum + (stocked ? StockValuation.getUnitCost(stocked, this.valuationMethod) * component.quantity : 0);
+        }, 0);
+    }
+
+    /**
+     * Add up the cost of the components issued for a kit line
+     * @param {Array} issued - Components issued ({ quantity, unitCosts })
+     * @param {number} kits - Number of kits sold
+     * @returns {Object} Unit cost of one kit under each method
+     */
+    sumKitCosts(issued, kits) {
+        const unitCosts = {};
+        Object.values(VALUATION_METHODS).forEach(method => {
+            unitCosts[method] = issued.reduce((sum, i) => sum + i.unitCosts[method] * i.quantity, 0) / kits;
+        });
+        return unitCosts;
+    }
+
+    /**
+     * Check and tidy the components of a kit: each must be an existing
+     * product other than a kit, in a quantity its base unit allows.
+     * Repeated components are merged.
+     * @param {Array} components - Components ({ productId or sku, quantity })
+     * @param {number|null} kitId - ID of the kit being edited
+     * @returns {Array} Components ({ productId, sku, quantity })
+     * @throws {Error} Validation error
+     */
+    normalizeKitComponents(components, kitId = null) {
+        const merged = new Map();
+
+        (components || []).forEach(component => {
+            const product = component.productId ?
+                this.inventory.find(p => p.id === component.productId) :
+                this.inventory.find(p => p.sku === String(component.sku || '').trim().toUpperCase());
+            if (!product) {
+                throw new Error(`Componente no encontrado: ${component.sku || component.productId}`);
+            }
+            if (product.id === kitId || this.isKit(product)) {
+                throw new Error(`Un kit no puede contener otro kit (${product.sku})`);
+            }
+            if (product.serialTracked) {
+                throw new Error(`${product.sku} lleva número de serie y no puede ser parte de un kit`);
+            }
+
+            const quantity = UnitConverter.round((merged.has(product.id) ? merged.get(product.id).quantity : 0) +
+                parseFloat(component.quantity));
+            UnitConverter.assertQuantity(product, quantity);
+            merged.set(product.id, { productId: product.id, sku: product.sku, quantity });
+        });
+
+        if (merged.size === 0) {
+            throw new Error('El kit debe tener al menos un componente');
+        }
+        return [...merged.values()];
+    }
+
+    /**
+     * Check that the current user may define what goes into a kit
+     * @throws {Error} If the user is not a manager or administrator
+     */
+    authorizeKitChange() {
+        const user = this.getCurrentUser();
+        const permissions = window.authSystem ? window.authSystem.getUserPermissions(user) : null;
+        if (!permissions || !permissions.canEditProducts) {
+            throw new Error('Solo un gerente puede modificar la composición de los kits');
+        }
+    }
+
+    /**
+     * Create a kit product made of existing SKUs. It has its own SKU, barcode
+     * and price; selling it takes its components out of stock.
+     * @param {Object} kitData - sku, name, category, price, barcode, taxRate and components
+     * @returns {Promise<Object>} Added kit
+     */
+    async addKit(kitData) {
+        this.authorizeKitChange();
+        const components = this.normalizeKitComponents(kitData.components);
+
+        const kit = {
+            ...this.createProduct({ ...kitData, cost: 0, quantity: 0, minStock: 0, baseUnit: DEFAULT_BASE_UNIT, units: [] }),
+            type: PRODUCT_TYPES.KIT,
+            components
+        };
+        return this.addProduct(kit);
+    }
+
+    /**
+     * Replace the components of a kit
+     * @param {number} kitId - Kit product ID
+     * @param {Array} components - Components ({ productId or sku, quantity })
+     * @returns {Promise<Object>} Updated kit
+     */
+    async setKitComponents(kitId, components) {
+        this.authorizeKitChange();
+
+        const kit = this.inventory.find(p => p.id === kitId);
+        if (!this.isKit(kit)) {
+            throw new Error('Kit no encontrado');
+        }
+
+        return this.updateProduct({ ...kit, components: this.normalizeKitComponents(components, kit.id) });
+    }
+
+    /**
+     * Parse kit components written as "TUB001 x 2, SIL001": a SKU and an
+     * optional quantity, one by default
+     * @param {string} text - Components text
+     * @returns {Array} Components ({ sku, quantity })
+     */
+    parseKitComponents(text) {
+        return String(text || '').split(',').map(part => part.trim()).filter(Boolean).map(part => {
+            const match = part.match(/^(\S+)(?:\s*[x*]\s*([\d.]+))?$/i);
+            if (!match) {
+                throw new Error(`Componente mal escrito: "${part}". Use SKU x cantidad`);
+            }
+            return { sku: match[1].toUpperCase(), quantity: match[2] !== undefined ? parseFloat(match[2]) : 1 };
+        });
+    }
+
+    /**
+     * Write kit components in the form parseKitComponents reads
+     * @param {Object} kit - Kit product
+     * @returns {string} Components text
+     */
+    formatKitComponents(kit) {
+        return kit.components.map(component => {
+            const stocked = this.inventory.find(p => p.id === component.productId);
+            return `${stocked ? stocked.sku : component.sku} x ${component.quantity}`;
+        }).join(', ');
+    }
+
+    /**
+     * Get the username of the logged-in user
+     * @returns {string|null} Current username
+     */
+    getCurrentUser() {
+        return window.authSystem ? window.authSystem.getCurrentUser() : null;
+    }
+
+    /**
+     * Run a database transaction that changes stock and refresh the local
+     * inventory with the products it wrote once it has committed
+     * @param {Array<string>} storeNames - Object stores involved
+     * @param {Function} work - async (tx) => ({ products, ... })
+     * @returns {Promise<Object>} Result of the work callback
+     */
+    async runStockTransaction(storeNames, work) {
+        const result = await this.db.runTransaction(storeNames, work);
+
+        (result.products || []).forEach(product => {
+            UnitConverter.ensureUnits(product);
+            LocationStock.ensureStock(product, this.locationSettings.saleLocation);
+            LotTracker.ensureLots(product);
+            const index = this.inventory.findIndex(p => p.id === product.id);
+            if (index !== -1) {
+                this.inventory[index] = product;
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Build a stock movement record for the ledger
+     * @param {Object} product - Product after the change
+     * @param {string} type - One of MOVEMENT_TYPES
+     * @param {number} delta - Quantity change
+     * @param {Object} details - Extra fields (reference IDs, location, note, date)
+     * @returns {Object} Movement record
+     */
+    createMovement(product, type, delta, details = {}) {
+        const movement = {
+            productId: product.id,
+            sku: product.sku,
+            name: product.name,
+            type,
+            delta,
+            balance: product.quantity,
+            user: this.getCurrentUser(),
+            date: new Date().toISOString(),
+            ...details
+        };
+        if (details.location) {
+            movement.locationBalance = LocationStock.getQuantity(product, details.location);
+        }
+        return movement;
+    }
+
+    /**
+     * Apply a quantity change to a single product inside a transaction
+     * and record it in the movement ledger
+     * @param {number} productId - Product ID
+     * @param {number} delta - Quantity change (positive or negative)
+     * @param {string} type - Movement type
+     * @param {Object} details - Extra movement fields; location defaults to the sale location.
+     *   Serial-tracked products need the serials of the units that move.
+     * @returns {Promise<Object>} Updated product
+     */
+    async changeStock(productId, delta, type, details = {}) {
+        const location = this.getLocation(details.location || this.locationSettings.saleLocation).id;
+        const result = await this.runStockTransaction(['products', 'stockMovements', 'serialNumbers', 'reservations'], async (tx) => {
+            const product = await tx.get('products', productId);
+            if (!product) {
+                throw new Error('Producto no encontrado');
+            }
+
+            await this.applyStockChange(tx, product, delta, type, { ...details, location });
+            return { products: [product] };
+        });
+
+        return result.products[0];
+    }
+
+    /**
+     * Check inside a transaction that taking units out of a location leaves
+     * at least what active reservations hold there
+     * @param {Object} tx - Transaction helper (reservations)
+     * @param {Object} product - Product as read in the transaction
+     * @param {string} location - Location the units leave
+     * @param {number} delta - Quantity change; only negative changes are checked
+     * @throws {Error} If the change would take reserved units
+     */
+    async assertReservedStock(tx, product, location, delta) {
+        if (delta >= 0) return;
+
+        const reserved = StockReservations.sumReserved(
+            await tx.getAllByIndex('reservations', 'productId', product.id), location);
+        const onHand = LocationStock.getQuantity(product, location);
+        if (reserved > 0 && UnitConverter.round(onHand + delta) < reserved) {
+            throw new Error(`Hay ${UnitConverter.format(product, reserved)} de ${product.sku} reservados en ${this.getLocation(location).name}. ` +
+                `Solo se pueden retirar ${UnitConverter.format(product, Math.max(0, UnitConverter.round(onHand - reserved)))}`);
+        }
+    }
+
+    /**
+     * Apply a quantity change to a product read inside a transaction, keeping
+     * its cost layers, lots and serials in step, and record the movement
+     * @param {Object} tx - Transaction helper (products, stockMovements, serialNumbers and reservations)
+     * @param {Object} product - Product as read in the transaction (modified in place)
+     * @param {number} delta - Quantity change (positive or negative)
+     * @param {string} type - Movement type
+     * @param {Object} details - Extra movement fields, including the location
+     * @returns {Promise<Object>} Movement recorded
+     */
+    async applyStockChange(tx, product, delta, type, details) {
+        const location = details.location;
+        if (this.isKit(product)) {
+            throw new Error(`${product.sku} es un kit; ajuste el stock de sus componentes`);
+        }
+
+        LocationStock.ensureStock(product, this.locationSettings.saleLocation);
+        if (UnitConverter.round(LocationStock.getQuantity(product, location) + delta) < 0) {
+            throw new Error(`La cantidad de ${product.sku} en ${this.getLocation(location).name} no puede ser negativa`);
+        }
+        await this.assertReservedStock(tx, product, location, delta);
+
+        // Keep the cost layers in step; incoming stock without a purchase
+        // cost comes in at the current cost
+        let unitCost;
+        const lotDetails = {};
+        const date = new Date().toISOString();
+        if (delta > 0) {
+            const isPurchase = details.unitCost !== undefined;
+            unitCost = isPurchase ? details.unitCost : StockValuation.getDefaultCost(product);
+            StockValuation.receive(product, delta, unitCost, isPurchase);
+            if (details.lotNumber) {
+                LotTracker.receive(product, details, delta, date);
+            }
+        } else if (delta < 0) {
+            unitCost = StockValuation.issue(product, -delta)[this.valuationMethod];
+            const lots = LotTracker.issue(product, -delta);
+            if (lots.length > 0) {
+                lotDetails.lots = lots;
+            }
+        }
+
+        const serialDetails = {};
+        if (product.serialTracked) {
+            const serials = SerialNumbers.parse(details.serials);
+            SerialNumbers.assertCount(product, serials, Math.abs(delta));
+            const event = { date, user: this.getCurrentUser(), location, movementType: type, note: details.note || '' };
+            if (delta > 0) {
+                await this.receiveSerials(tx, product, serials, { ...event, type: SERIAL_EVENTS.RECEIVED });
+            } else {
+                await this.issueSerials(tx, product, serials, SERIAL_STATUS.REMOVED, { ...event, type: SERIAL_EVENTS.REMOVED });
+            }
+            serialDetails.serials = serials;
+        }
+
+        LocationStock.change(product, location, delta);
+        product.updatedAt = date;
+        await tx.put('products', product);
+
+        const movement = this.createMovement(product, type, delta, { ...details, ...lotDetails, ...serialDetails, unitCost });
+        movement.id = await tx.add('stockMovements', movement);
+        return movement;
+    }
+
+    /**
+     * Put serials into stock inside a transaction, starting a record for
+     * serials never seen before
+     * @param {Object} tx - Transaction helper
+     * @param {Object} product - Serial-tracked product
+     * @param {Array<string>} serials - Serial numbers
+     * @param {Object} event - History event ({ type, date, user, ... })
+     * @returns {Promise<void>}
+     */
+    async receiveSerials(tx, product, serials, event) {
+        const records = await tx.getAllByIndex('serialNumbers', 'productId', product.id);
+        for (const serial of serials) {
+            const record = records.find(r => r.serial === serial) || SerialNumbers.createRecord(product, serial);
+            if (record.status === SERIAL_STATUS.IN_STOCK && record.id) {
+                throw new Error(`El número de serie ${serial} de ${product.sku} ya está en stock`);
+            }
+            SerialNumbers.addEvent(record, SERIAL_STATUS.IN_STOCK, event);
+            record.id = await tx.put('serialNumbers', record);
+        }
+    }
+
+    /**
+     * Take serials out of stock inside a transaction
+     * @param {Object} tx - Transaction helper
+     * @param {Object} product - Serial-tracked product
+     * @param {Array<string>} serials - Serial numbers
+     * @param {string} status - Status they leave with (sold or removed)
+     * @param {Object} event - History event ({ type, date, user, ... })
+     * @returns {Promise<void>}
+     */
+    async issueSerials(tx, product, serials, status, event) {
+        const records = await tx.getAllByIndex('serialNumbers', 'productId', product.id);
+        for (const serial of serials) {
+            const record = records.find(r => r.serial === serial);
+            if (!record || record.status !== SERIAL_STATUS.IN_STOCK) {
+                throw new Error(`El número de serie ${serial} no está en stock para ${product.sku}`);
+            }
+            SerialNumbers.addEvent(record, status, event);
+            await tx.put('serialNumbers', record);
+        }
+    }
+
+    /**
+     * Start tracking serial numbers for a product. The units already in
+     * stock need their serials, one per unit.
+     * @param {number} productId - Product ID
+     * @param {string|Array} serials - Serial numbers of the stock on hand
+     * @returns {Promise<Object>} Updated product
+     */
+    async enableSerialTracking(productId, serials = []) {
+        try {
+            const permissions = window.authSystem ? window.authSystem.getUserPermissions(this.getCurrentUser()) : null;
+            if (!permissions || !permissions.canEditProducts) {
+                throw new Error('Solo un gerente puede activar el control de números de serie');
+            }
+
+            const current = this.inventory.find(p => p.id === productId);
+            if (!current) {
+                throw new Error('Producto no encontrado');
+            }
+            if (this.isKit(current)) {
+                throw new Error('Un kit no lleva número de serie; se controlan sus componentes');
+            }
+            if (current.serialTracked) {
+                throw new Error(`${current.sku} ya lleva número de serie`);
+            }
+            if (this.getKitsUsing(productId).length > 0) {
+                throw new Error(`${current.sku} es parte de un kit y no puede llevar número de serie`);
+            }
+
+            const parsed = SerialNumbers.parse(serials);
+            SerialNumbers.assertCount(current, parsed, current.quantity);
+
+            const result = await this.runStockTransaction(['products', 'serialNumbers'], async (tx) => {
+                const product = await tx.get('products', productId);
+                if (!product) {
+                    throw new Error('Producto no encontrado');
+                }
+                const updated = { ...product, serialTracked: true, updatedAt: new Date().toISOString() };
+                this.validateProduct(updated);
+
+                await this.receiveSerials(tx, updated, parsed, {
+                    type: SERIAL_EVENTS.RECEIVED, date: updated.updatedAt, user: this.getCurrentUser(), note: 'Stock on hand'
+                });
+                await tx.put('products', updated);
+                return { products: [updated] };
+            });
+
+            this.emit('productUpdated', result.products[0]);
+            return result.products[0];
+
+        } catch (error) {
+            console.error('Error enabling serial tracking:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the serials of a product that are in stock, for picking the one sold
+     * @param {number} productId - Product ID
+     * @returns {Promise<Array<string>>} Serial numbers, in the order they arrived
+     */
+    async getSerialsInStock(productId) {
+        const records = await this.db.getSerialNumbersByProduct(productId);
+        return records.filter(r => r.status === SERIAL_STATUS.IN_STOCK).map(r => r.serial);
+    }
+
+    /**
+     * Look up a serial number and its full history: received, sold and to
+     * whom, returned
+     * @param {string} serial - Serial number, as typed or scanned
+     * @returns {Promise<Array>} Serial records, one per product carrying that serial
+     */
+    async lookupSerial(serial) {
+        const [normalized] = SerialNumbers.parse(serial);
+        if (!normalized) {
+            throw new Error('Indique un número de serie');
+        }
+        return this.db.getSerialNumbers(normalized);
+    }
+
+    /**
+     * Restock a product
+     * @param {string} identifier - Product SKU or barcode
+     * @param {number} quantity - Quantity to add
+     * @param {Object} details - Extra movement fields (e.g. unitCost, purchaseOrderId, note).
+     *   With a unit, the quantity and unit cost are in that unit and are
+     *   converted to the base unit. Stock goes to the receiving location
+     *   unless a location is given. A lotNumber and expiryDate put it in a lot.
+     * @returns {Promise<Object>} Updated product
+     */
+    async restockProduct(identifier, quantity, details = {}) {
+        try {
+            const product = await this.findProduct(identifier);
+            if (!product) {
+                throw new Error('Producto no encontrado');
+            }
+
+            if (details.unitCost !== undefined && (isNaN(details.unitCost) || details.unitCost < 0)) {
+                throw new Error('El costo no puede ser negativo');
+            }
+
+            const lot = LotTracker.normalizeLot(details.lotNumber, details.expiryDate);
+            const { lotNumber, expiryDate, ...rest } = details;
+            details = lot ? { ...rest, ...lot } : rest;
+
+            if (details.unit) {
+                const unit = UnitConverter.getUnit(product, details.unit);
+                details = { ...details, unitQuantity: quantity };
+                if (details.unitCost !== undefined) {
+                    details.unitCost = details.unitCost / unit.factor;
+                }
+                quantity = UnitConverter.toBase(product, quantity, unit.name);
+            }
+
+            UnitConverter.assertQuantity(product, quantity);
+
+            const updatedProduct = await this.changeStock(product.id, quantity, MOVEMENT_TYPES.RESTOCK,
+                { ...details, location: details.location || this.locationSettings.receivingLocation });
+            
+            this.emit('productRestocked', { product: updatedProduct, quantity });
+            console.log('Product restocked:', updatedProduct.sku, '+', quantity);
+            
+            return updatedProduct;
+            
+        } catch (error) {
+            console.error('Error restocking product:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Adjust product stock for a reason. Adjustments above the approval
+     * limits wait for a manager unless a manager makes them.
+     * @param {number} productId - Product ID
+     * @param {number} adjustment - Stock adjustment (positive or negative)
+     * @param {string} reason - One of ADJUSTMENT_REASONS
+     * @param {string} note - Optional note
+     * @param {string|null} location - Location adjusted (defaults to the sale location)
+     * @param {string|Array|null} serials - Serials added or removed, for serial-tracked products
+     * @returns {Promise<Object>} Adjustment, approved or pending
+     */
+    async adjustStock(productId, adjustment, reason, note = '', location = null, serials = null) {
+        try {
+            const product = this.inventory.find(p => p.id === productId);
+            if (!product) {
+                throw new Error('Producto no encontrado');
+            }
+
+            UnitConverter.assertQuantity(product, Math.abs(adjustment));
+            StockAdjustments.assertReason(reason);
+            if (this.isKit(product)) {
+                throw new Error(`${product.sku} es un kit; ajuste el stock de sus componentes`);
+            }
+
+            const parsedSerials = product.serialTracked ? SerialNumbers.parse(serials) : null;
+            if (parsedSerials) {
+                SerialNumbers.assertCount(product, parsedSerials, Math.abs(adjustment));
+            }
+
+            const user = this.getCurrentUser();
+            const unitCost = StockValuation.getDefaultCost(product);
+            const record = {
+                productId,
+                sku: product.sku,
+                name: product.name,
+                baseUnit: product.baseUnit,
+                delta: adjustment,
+                location: this.getLocation(location || this.locationSettings.saleLocation).id,
+                serials: parsedSerials,
+                reason,
+                note: String(note || '').trim(),
+                unitCost,
+                value: TaxCalculator.round(adjustment * unitCost),
+                requestedBy: user,
+                requestedAt: new Date().toISOString()
+            };
+
+            const permissions = window.authSystem ? window.authSystem.getUserPermissions(user) : null;
+            if (StockAdjustments.needsApproval(this.adjustmentSettings, record.delta, record.value) &&
+                !(permissions && permissions.canApproveAdjustments)) {
+                record.status = ADJUSTMENT_STATUS.PENDING;
+                record.id = await this.db.addStockAdjustment(record);
+
+                this.emit('adjustmentRequested', { product, adjustment: record });
+                return record;
+            }
+
+            return await this.postAdjustment(record, user);
+
+        } catch (error) {
+            console.error('Error adjusting stock:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply an adjustment to stock and save it as approved, in one transaction
+     * @param {Object} record - Adjustment (new or pending)
+     * @param {string} approvedBy - User approving it
+     * @returns {Promise<Object>} Approved adjustment
+     */
+    async postAdjustment(record, approvedBy) {
+        const approved = {
+            ...record,
+            status: ADJUSTMENT_STATUS.APPROVED,
+            approvedBy,
+            approvedAt: new Date().toISOString()
+        };
+
+        const result = await this.runStockTransaction(
+            ['products', 'stockMovements', 'serialNumbers', 'stockAdjustments', 'reservations'],
+            async (tx) => {
+                const product = await tx.get('products', approved.productId);
+                if (!product) {
+                    throw new Error('Producto no encontrado');
+                }
+
+                if (approved.id) {
+                    const saved = await tx.get('stockAdjustments', approved.id);
+                    if (!saved || saved.status !== ADJUSTMENT_STATUS.PENDING) {
+                        throw new Error('El ajuste no existe o ya fue resuelto');
+                    }
+                    await tx.put('stockAdjustments', approved);
+                } else {
+                    approved.id = await tx.add('stockAdjustments', approved);
+                }
+
+                await this.applyStockChange(tx, product, approved.delta, MOVEMENT_TYPES.ADJUSTMENT, {
+                    location: approved.location,
+                    serials: approved.serials,
+                    reason: approved.reason,
+                    note: approved.note,
+                    adjustmentId: approved.id,
+                    user: approved.requestedBy,
+                    ...(approved.requestedBy !== approvedBy ? { approvedBy } : {})
+                });
+                return { products: [product] };
+            }
+        );
+
+        this.emit('stockAdjusted', { product: result.products[0], adjustment: approved.delta, record: approved });
+        return approved;
+    }
+
+    /**
+     * Get the adjustments waiting for a manager, oldest first
+     * @returns {Promise<Array>} Pending adjustments
+     */
+    async getPendingAdjustments() {
+        const adjustments = await this.db.getStockAdjustmentsByStatus(ADJUSTMENT_STATUS.PENDING);
+        return adjustments.sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Check that the current user may approve adjustments and find a pending one
+     * @param {number} adjustmentId - Adjustment ID
+     * @returns {Promise<Object>} Pending adjustment
+     */
+    async getAdjustmentForApproval(adjustmentId) {
+        const permissions = window.authSystem ? window.authSystem.getUserPermissions(this.getCurrentUser()) : null;
+        if (!permissions || !permissions.canApproveAdjustments) {
+            throw new Error('Solo un gerente puede aprobar ajustes de stock');
+        }
+
+        const adjustment = (await this.getPendingAdjustments()).find(a => a.id === adjustmentId);
+        if (!adjustment) {
+            throw new Error('El ajuste no existe o ya fue resuelto');
+        }
+        return adjustment;
+    }
+
+    /**
+     * Approve a pending adjustment and apply it to stock
+     * @param {number} adjustmentId - Adjustment ID
+     * @returns {Promise<Object>} Approved adjustment
+     */
+    async approveAdjustment(adjustmentId) {
+        try {
+            const adjustment = await this.getAdjustmentForApproval(adjustmentId);
+            return await this.postAdjustment(adjustment, this.getCurrentUser());
+        } catch (error) {
+            console.error('Error approving adjustment:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reject a pending adjustment without touching stock
+     * @param {number} adjustmentId - Adjustment ID
+     * @param {string} note - Why it was rejected
+     * @returns {Promise<Object>} Rejected adjustment
+     */
+    async rejectAdjustment(adjustmentId, note = '') {
+        try {
+            const adjustment = await this.getAdjustmentForApproval(adjustmentId);
+            const rejected = {
+                ...adjustment,
+                status: ADJUSTMENT_STATUS.REJECTED,
+                rejectedBy: this.getCurrentUser(),
+                rejectedAt: new Date().toISOString(),
+                rejectionNote: String(note || '').trim()
+            };
+
+            await this.db.updateStockAdjustment(rejected);
+
+            this.emit('adjustmentRejected', { adjustment: rejected });
+            return rejected;
+        } catch (error) {
+            console.error('Error rejecting adjustment:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Sum up the stock lost and found through adjustments and counts in a date range
+     * @param {Date} startDate - Start of the range (inclusive)
+     * @param {Date} endDate - End of the range (inclusive)
+     * @returns {Promise<Object>} Shrinkage by reason, plus the movements behind it
+     */
+    async getShrinkage(startDate, endDate) {
+        const movements = (await this.db.getMovementsByDateRange(startDate, endDate))
+            .filter(movement => movement.reason &&
+                (movement.type === MOVEMENT_TYPES.ADJUSTMENT || movement.type === MOVEMENT_TYPES.COUNT))
+            .sort((a, b) => b.date.localeCompare(a.date) || b.id - a.id);
+
+        return { ...StockAdjustments.summarizeShrinkage(movements), movements };
+    }
+
+    /**
+     * Find a ticket by the number printed on its receipt
+     * @param {number} ticketNumber - Ticket number
+     * @returns {Promise<Object|null>} Ticket
+     */
+    async getTicketByNumber(ticketNumber) {
+        const tickets = await this.db.getAllTickets();
+        return tickets.find(ticket => (ticket.ticketNumber || ticket.id) === ticketNumber) || null;
+    }
+
+    /**
+     * Get the tickets rung up in a date range, newest first
+     * @param {Date} startDate - Start of the range (inclusive)
+     * @param {Date} endDate - End of the range (inclusive)
+     * @returns {Promise<Array>} Tickets
+     */
+    async getTickets(startDate, endDate) {
+        const tickets = await this.db.getTicketsByDateRange(startDate, endDate);
+        return tickets.sort((a, b) => b.id - a.id);
+    }
+
+    /**
+     * Look up the sale lines that can be returned for a ticket number or sale ID
+     * @param {string} lookupType - 'ticket' or 'sale'
+     * @param {number} id - Ticket number or sale ID
+     * @returns {Promise<Array>} Sale lines with their returnable quantity
+     */
+    async findSalesForReturn(lookupType, id) {
+        let sales;
+        if (lookupType === 'ticket') {
+            const ticket = await this.getTicketByNumber(id);
+            sales = ticket ? await this.db.getSalesByTicket(ticket.id) : [];
+        } else {
+            const sale = await this.db.getSale(id);
+            sales = sale ? [sale] : [];
+        }
+
+        if (sales.length === 0) {
+            throw new Error(lookupType === 'ticket' ? 'Ticket no encontrado' : 'Venta no encontrada');
+        }
+
+        return sales.map(sale => ({
+            ...sale,
+            returnedQuantity: sale.returnedQuantity || 0,
+            returnableQuantity: UnitConverter.round(sale.quantity - (sale.returnedQuantity || 0))
+        }));
+    }
+
+    /**
+     * Return some or all of a sale line to stock and record the refund
+     * @param {number} saleId - Original sale ID
+     * @param {number} quantity - Quantity being returned
+     * @param {string} reason - Reason given by the customer
+     * @param {string|null} refundMethod - How the refund is paid; defaults to the
+     *   method the sale was paid with, or cash for split, deposit and older sales
+     * @param {string|Array|null} serials - Serials coming back, for serial-tracked
+     *   sales; may be left out when everything not yet returned comes back
+     * @returns {Promise<Object>} Return record, updated sale and product
+     */
+    async processReturn(saleId, quantity, reason = '', refundMethod = null, serials = null) {
+        try {
+            if (isNaN(quantity) || quantity <= 0) {
+                throw new Error('La cantidad debe ser mayor a cero');
+            }
+            if (refundMethod && !Object.values(PAYMENT_METHODS).includes(refundMethod)) {
+                throw new Error(`Forma de reembolso inválida: ${refundMethod}`);
+            }
+            if (refundMethod === PAYMENT_METHODS.DEPOSIT) {
+                throw new Error('Un reembolso no puede pagarse como anticipo');
+            }
+
+            const result = await this.runStockTransaction(
+                ['sales', 'products', 'returns', 'stockMovements', 'serialNumbers', 'customers', 'accountEntries'],
+                async (tx) => {
+                    const sale = await tx.get('sales', saleId);
+                    if (!sale) {
+                        throw new Error('Venta no encontrada');
+                    }
+
+                    const returnable = UnitConverter.round(sale.quantity - (sale.returnedQuantity || 0));
+                    if (quantity > returnable) {
+                        throw new Error(`Solo se pueden devolver ${returnable} unidades de esta venta`);
+                    }
+
+                    // Serial-tracked units come back by serial, and only those this sale sold
+                    let returnedSerials = null;
+                    if (sale.serials) {
+                        const open = sale.serials.filter(serial => !(sale.returnedSerials || []).includes(serial));
+                        returnedSerials = serials ? SerialNumbers.parse(serials) : (quantity === open.length ? open : []);
+                        SerialNumbers.assertCount({ sku: sale.sku }, returnedSerials, quantity);
+                        const foreign = returnedSerials.find(serial => !open.includes(serial));
+                        if (foreign) {
+                            throw new Error(`El número de serie ${foreign} no se vendió en esta venta o ya fue devuelto`);
+                        }
+                    }
+
+                    // A kit goes back into stock as the components it was sold with
+                    // and each returned unit goes back to the lot it was sold from
+                    const receipts = sale.components ?
+                        sale.components.map(c => ({
+                            productId: c.productId,
+                            sku: c.sku,
+                            quantity: UnitConverter.round(c.quantity * quantity),
+                            unitCost: StockValuation.getRecordUnitCost(c, this.valuationMethod),
+                            lots: LotTracker.allocateReturn(c.lots, UnitConverter.round(c.quantity * quantity))
+                        })) :
+                        [{ productId: sale.productId, sku: sale.sku, quantity, lots: LotTracker.allocateReturn(sale.lots, quantity) }];
+                    const products = [];
+                    for (const receipt of receipts) {
+                        const product = await tx.get('products', receipt.productId);
+                        if (!product) {
+                            throw new Error(`El producto ${receipt.sku} ya no existe en el inventario`);
+                        }
+                        LocationStock.ensureStock(product, this.locationSettings.saleLocation);
+                        products.push(product);
+                    }
+
+                    // Stock goes back where it was sold from, if that location still exists
+                    const location = this.locationSettings.locations.some(l => l.id === sale.location) ?
+                        sale.location : this.locationSettings.saleLocation;
+                    UnitConverter.assertQuantity(sale.components ? { sku: sale.sku } : products[0], quantity);
+
+                    const date = new Date().toISOString();
+                    const unitCost = StockValuation.getRecordUnitCost(sale, this.valuationMethod);
+                    const saleReturn = {
+                        saleId: sale.id,
+                        ticketId: sale.ticketId || null,
+                        productId: sale.productId,
+                        sku: sale.sku,
+                        name: sale.name,
+                        category: sale.category,
+                        quantity,
+                        refundAmount: (sale.total / sale.quantity) * quantity,
+                        refundSubtotal: ((sale.subtotal !== undefined ? sale.subtotal : sale.total) / sale.quantity) * quantity,
+                        refundTax: ((sale.tax || 0) / sale.quantity) * quantity,
+                        taxRate: sale.taxRate,
+                        costAmount: unitCost * quantity,
+                        unitCosts: sale.unitCosts,
+                        reason: reason.trim(),
+                        serials: returnedSerials,
+                        refundMethod: refundMethod ||
+                            (Object.values(PAYMENT_METHODS).includes(sale.paymentMethod) && sale.paymentMethod !== PAYMENT_METHODS.DEPOSIT ?
+                                sale.paymentMethod : PAYMENT_METHODS.CASH),
+                        user: this.getCurrentUser(),
+                        date
+                    };
+                    saleReturn.id = await tx.add('returns', saleReturn);
+
+                    // A refund to the account takes the amount off what the customer owes
+                    if (saleReturn.refundMethod === PAYMENT_METHODS.ACCOUNT) {
+                        const customer = sale.customerId ? await tx.get('customers', sale.customerId) : null;
+                        if (!customer) {
+                            throw new Error('Solo se puede abonar a cuenta una venta hecha a un cliente con cuenta');
+                        }
+                        const entry = CustomerAccounts.createEntry(customer, ACCOUNT_ENTRY_TYPES.CREDIT, saleReturn.refundAmount, {
+                            date, user: saleReturn.user, ticketId: sale.ticketId || null, returnId: saleReturn.id, note: saleReturn.reason
+                        });
+                        entry.id = await tx.add('accountEntries', entry);
+                        CustomerAccounts.applyEntry(customer, entry);
+                        await tx.put('customers', customer);
+                        saleReturn.customerId = customer.id;
+                        await tx.put('returns', saleReturn);
+                    }
+
+                    sale.returnedQuantity = UnitConverter.round((sale.returnedQuantity || 0) + quantity);
+                    if (returnedSerials) {
+                        sale.returnedSerials = [...(sale.returnedSerials || []), ...returnedSerials];
+                        await this.receiveSerials(tx, products[0], returnedSerials, {
+                            type: SERIAL_EVENTS.RETURNED, date, user: saleReturn.user, location,
+                            saleId: sale.id, ticketId: sale.ticketId || null, returnId: saleReturn.id, note: saleReturn.reason
+                        });
+                    }
+                    await tx.put('sales', sale);
+
+                    // Returned units go back into stock at the cost they left with
+                    for (const [index, product] of products.entries()) {
+                        const receipt = receipts[index];
+                        const receiptCost = receipt.unitCost !== undefined ? receipt.unitCost : unitCost;
+                        StockValuation.receive(product, receipt.quantity, receiptCost, false);
+                        LotTracker.restore(product, receipt.lots, date);
+                        LocationStock.change(product, location, receipt.quantity);
+                        product.updatedAt = date;
+                        await tx.put('products', product);
+                        await tx.add('stockMovements', this.createMovement(
+                            product, MOVEMENT_TYPES.RETURN, receipt.quantity,
+                            { saleId: sale.id, ticketId: sale.ticketId, returnId: saleReturn.id, note: saleReturn.reason, unitCost: receiptCost, location, date,
+                              ...(receipt.lots.length > 0 ? { lots: receipt.lots } : {}),
+                              ...(returnedSerials ? { serials: returnedSerials } : {}) }
+                        ));
+                    }
+
+                    return { saleReturn, sale, products };
+                }
+            );
+
+            const data = { saleReturn: result.saleReturn, sale: result.sale, product: result.products[0] };
+            this.emit('returnProcessed', data);
+            console.log('Return processed:', data.saleReturn.sku, 'x', quantity);
+
+            return data;
+
+        } catch (error) {
+            console.error('Error processing return:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the movement history of a product, newest first
+     * @param {number} productId - Product ID
+     * @returns {Promise<Array>} Movement records
+     */
+    async getMovementHistory(productId) {
+        const movements = await this.db.getMovementsByProduct(productId);
+        return movements.sort((a, b) => b.date.localeCompare(a.date) || b.id - a.id);
+    }
+
+    /**
+     * Find a product by SKU or barcode
+     * @param {string} identifier - SKU or barcode
+     * @returns {Promise<Object|null>} Found product or null
+     */
+    async findProduct(identifier) {
+        // Try to find by SKU first
+        let product = this.inventory.find(p => p.sku === identifier.toUpperCase());
+        
+        // If not found, try by barcode
+        if (!product) {
+            product = await this.getProductByBarcode(identifier);
+        }
+        
+        return product || null;
+    }
+
+    /**
+     * Get product by SKU
+     * @param {string} sku - Product SKU
+     * @returns {Promise<Object|null>} Product or null
+     */
+    async getProductBySKU(sku) {
+        return this.inventory.find(p => p.sku === sku.toUpperCase()) || 
+               await this.db.getProductBySKU(sku.toUpperCase());
+    }
+
+    /**
+     * Get product by barcode
+     * @param {string} barcode - Product barcode
+     * @returns {Promise<Object|null>} Product or null
+     */
+    async getProductByBarcode(barcode) {
+        return this.inventory.find(p => p.barcode === barcode) || 
+               await this.db.getProductByBarcode(barcode);
+    }
+
+    /**
+     * Search products
+     * @param {string} searchTerm - Search term
+     * @param {string} category - Category filter (optional)
+     * @returns {Array} Filtered products
+     */
+    searchProducts(searchTerm, category = '') {
+        let results = this.inventory;
+        
+        if (searchTerm) {
+            const term = searchTerm.toLowerCase();
+            results = results.filter(product =>
+                product.sku.toLowerCase().includes(term) ||
+                product.name.toLowerCase().includes(term) ||
+                product.category.toLowerCase().includes(term) ||
+                (product.barcode && product.barcode.includes(term)) ||
+                (product.supplier && product.supplier.toLowerCase().includes(term)) ||
+                (product.binLocation && product.binLocation.toLowerCase().includes(term)) ||
+                this.matchesParent(product, term)
+            );
+        }
+        
+        if (category) {
+            results = results.filter(product => product.category === category);
+        }
+        
+        return results;
+    }
+
+    /**
+     * Get low stock products. Reserved units are already spoken for, so
+     * stock is low when what is available drops to the minimum.
+     * @param {string|null} location - Only count the stock at this location (defaults to all locations)
+     * @returns {Array} Products with low stock
+     */
+    getLowStockProducts(location = null) {
+        return this.inventory.filter(product =>
+            !this.isKit(product) && this.getAvailableQuantity(product, location) <= product.minStock);
+    }
+
+    /**
+     * Get the lots in stock that expire within some days, expired ones included
+     * @param {number} days - Days ahead
+     * @returns {Array} Expiring lots, soonest first
+     */
+    getExpiringLots(days = EXPIRY_ALERT_DAYS) {
+        if (isNaN(days) || days < 0) {
+            throw new Error('Los días deben ser cero o más');
+        }
+        return LotTracker.getExpiring(this.inventory, days);
+    }
+
+    /**
+     * Change the method used to value stock and cost of goods sold
+     * @param {string} method - One of VALUATION_METHODS
+     * @returns {Promise<string>} Method now in use
+     */
+    async setValuationMethod(method) {
+        if (!Object.values(VALUATION_METHODS).includes(method)) {
+            throw new Error(`Método de valuación inválido: ${method}`);
+        }
+
+        await this.db.saveSetting('valuationMethod', method);
+        this.valuationMethod = method;
+
+        this.emit('valuationMethodChanged', method);
+        return method;
+    }
+
+    /**
+     * Get inventory statistics. Stock at cost follows the valuation method;
+     * at a single location it is that location's share of the product's value.
+     * @param {string|null} location - Only count the stock at this location (defaults to all locations)
+     * @returns {Object} Statistics object
+     */
+    getStatistics(location = null) {
+        const quantityOf = product => LocationStock.getQuantity(product, location);
+        const costValueOf = product => product.quantity > 0 ?
+            StockValuation.getStockValue(product, this.valuationMethod) * quantityOf(product) / product.quantity : 0;
+
+        const totalProducts = this.inventory.length;
+        const lowStockProducts = this.getLowStockProducts(location);
+        const expiringLots = this.getExpiringLots();
+        const totalValue = this.inventory.reduce((sum, product) => 
+            sum + (product.price * quantityOf(product)), 0);
+        const totalCostValue = this.inventory.reduce((sum, product) => 
+            sum + costValueOf(product), 0);
+        const categories = [...new Set(this.inventory.map(product => product.category))];
+        const activeReservations = this.reservations.filter(r =>
+            (!location || r.location === location) && StockReservations.isActive(r));
+        
+        return {
+            totalProducts,
+            lowStockCount: lowStockProducts.length,
+            activeReservationsCount: activeReservations.length,
+            reservedValue: this.inventory.reduce((sum, product) =>
+                sum + (product.price * this.getReservedQuantity(product, location)), 0),
+            totalValue,
+            totalCostValue,
+            valuationMethod: this.valuationMethod,
+            location,
+            potentialProfit: totalValue - totalCostValue,
+            categoriesCount: categories.length,
+            categories,
+            lowStockProducts,
+            expiringLotsCount: expiringLots.length,
+            expiringLots,
+            averageProductValue: totalProducts > 0 ? totalValue / totalProducts : 0,
+            categoryBreakdown: categories.map(category => ({
+                name: category,
+                count: this.inventory.filter(p => p.category === category).length,
+                value: this.inventory
+                    .filter(p => p.category === category)
+                    .reduce((sum, p) => sum + (p.price * quantityOf(p)), 0),
+                costValue: this.inventory
+                    .filter(p => p.category === category)
+                    .reduce((sum, p) => sum + costValueOf(p), 0)
+            }))
+        };
+    }
+
+    /**
+     * Build a sales summary for a date range. Returns made in the range are
+     * netted out of revenue and units on the date they were processed.
+     * Revenue is net of tax and cost of goods sold follows the valuation method.
+     * @param {Date} startDate - Start of the range (inclusive)
+     * @param {Date} endDate - End of the range (inclusive)
+     * @param {number} topLimit - Number of top-selling SKUs to return
+     * @returns {Promise<Object>} Revenue by day/week/month, units, top SKUs, margins, tax, discounts and category totals
+     */
+    async getSalesSummary(startDate, endDate, topLimit = 10) {
+        const sales = await this.db.getSalesByDateRange(startDate, endDate);
+        const returns = await this.db.getReturnsByDateRange(startDate, endDate);
+        const byDay = {};
+        const byWeek = {};
+        const byMonth = {};
+        const bySku = {};
+        const byCategory = {};
+        const byRate = {};
+        let grossRevenue = 0;
+        let totalRefunds = 0;
+        let totalUnits = 0;
+        let unitsReturned = 0;
+        let totalCost = 0;
+        let totalTax = 0;
+        let totalDiscounts = 0;
+        const discountsByReason = {};
+
+        const addTo = (bucket, key, amounts, base = { period: key }) => {
+            if (!bucket[key]) {
+                bucket[key] = { ...base, revenue: 0, units: 0, count: 0, cost: 0, tax: 0 };
+            }
+            Object.keys(amounts).forEach(field => {
+                bucket[key][field] += amounts[field];
+            });
+        };
+
+        const addEntry = (record, amounts) => {
+            const date = new Date(record.date);
+            const category = record.category ||
+                (this.inventory.find(p => p.id === record.productId) || {}).category ||
+                'Sin categoría';
+            // Sales recorded before tax tracking have no rate
+            const rate = typeof record.taxRate === 'number' ? record.taxRate : null;
+
+            addTo(byDay, this.formatDateKey(date), amounts);
+            addTo(byWeek, this.formatDateKey(this.getWeekStart(date)), amounts);
+            addTo(byMonth, this.formatDateKey(date).slice(0, 7), amounts);
+            addTo(byCategory, category, amounts);
+            addTo(byRate, String(rate), amounts, { rate });
+            addTo(bySku, record.sku, amounts, { sku: record.sku, name: record.name });
+        };
+
+        // Revenue is reported net of tax; tax is tracked on its own
+        sales.forEach(sale => {
+            const revenue = sale.subtotal !== undefined ? sale.subtotal : sale.total;
+            const tax = sale.tax || 0;
+            const cost = StockValuation.getRecordUnitCost(sale, this.valuationMethod) * sale.quantity;
+            grossRevenue += revenue;
+            totalUnits += sale.quantity;
+            totalCost += cost;
+            totalTax += tax;
+            addEntry(sale, { revenue, units: sale.quantity, count: 1, cost, tax });
+
+            (sale.discounts || []).forEach(discount => {
+                const reason = discount.reason || 'Sin motivo';
+                if (!discountsByReason[reason]) {
+                    discountsByReason[reason] = { reason, source: discount.source, amount: 0, count: 0 };
+                }
+                discountsByReason[reason].amount += discount.amount;
+                discountsByReason[reason].count++;
+                totalDiscounts += discount.amount;
+            });
+        });
+
+        returns.forEach(saleReturn => {
+            const revenue = saleReturn.refundSubtotal !== undefined ? saleReturn.refundSubtotal : saleReturn.refundAmount;
+            const tax = saleReturn.refundTax || 0;
+            const cost = saleReturn.unitCosts ?
+                StockValuation.getRecordUnitCost(saleReturn, this.valuationMethod) * saleReturn.quantity :
+                (saleReturn.costAmount || 0);
+            totalRefunds += revenue;
+            unitsReturned += saleReturn.quantity;
+            totalCost -= cost;
+            totalTax -= tax;
+            addEntry(saleReturn, { revenue: -revenue, units: -saleReturn.quantity, count: 0, cost: -cost, tax: -tax });
+        });
+
+        const sortByPeriod = (bucket) => Object.values(bucket).sort((a, b) => a.period.localeCompare(b.period));
+        const withMargin = (entry) => ({
+            ...entry,
+            margin: entry.revenue - entry.cost,
+            marginPercent: entry.revenue > 0 ? ((entry.revenue - entry.cost) / entry.revenue) * 100 : 0
+        });
+        const skuEntries = Object.values(bySku).map(withMargin);
+        const totalRevenue = grossRevenue - totalRefunds;
+
+        return {
+            startDate,
+            endDate,
+            grossRevenue,
+            totalRefunds,
+            totalRevenue,
+            totalTax,
+            totalCollected: totalRevenue + totalTax,
+            totalDiscounts,
+            discountsByReason: Object.values(discountsByReason).sort((a, b) => b.amount - a.amount),
+            totalCost,
+            grossMargin: totalRevenue - totalCost,
+            grossMarginPercent: totalRevenue > 0 ? ((totalRevenue - totalCost) / totalRevenue) * 100 : 0,
+            totalUnits: totalUnits - unitsReturned,
+            unitsReturned,
+            salesCount: sales.length,
+            returnsCount: returns.length,
+            byDay: sortByPeriod(byDay),
+            byWeek: sortByPeriod(byWeek),
+            byMonth: sortByPeriod(byMonth),
+            taxByRate: Object.values(byRate)
+                .map(entry => ({ rate: entry.rate, taxableBase: entry.revenue, tax: entry.tax }))
+                .sort((a, b) => (b.rate === null ? -1 : b.rate) - (a.rate === null ? -1 : a.rate)),
+            topProducts: [...skuEntries]
+                .sort((a, b) => b.units - a.units || b.revenue - a.revenue)
+                .slice(0, topLimit),
+            marginBySku: [...skuEntries]
+                .sort((a, b) => b.margin - a.margin),
+            byCategory: Object.values(byCategory)
+                .map(entry => withMargin({ category: entry.period, revenue: entry.revenue, units: entry.units, cost: entry.cost }))
+                .sort((a, b) => b.revenue - a.revenue)
+        };
+    }
+
+    /**
+     * Get the average units sold per day of each product, net of returns.
+     * A kit sold or returned counts as demand for the components it was
+     * made of, since kits are replenished through their components.
+     * @param {number} days - Number of days of sales history to use
+     * @returns {Promise<Object>} Map of productId to average daily demand
+     */
+    async getAverageDailyDemand(days = 30) {
+        const endDate = new Date();
+        const startDate = new Date(endDate.getTime() - days * 24 * 60 * 60 * 1000);
+        const sales = await this.db.getSalesByDateRange(startDate, endDate);
+        const returns = await this.db.getReturnsByDateRange(startDate, endDate);
+        const units = {};
+        const count = (sale, productId, quantity) => {
+            if (sale && sale.components) {
+                sale.components.forEach(component => {
+                    units[component.productId] = (units[component.productId] || 0) + component.quantity * quantity;
+                });
+            } else {
+                units[productId] = (units[productId] || 0) + quantity;
+            }
+        };
+
+        sales.forEach(sale => count(sale, sale.productId, sale.quantity));
+        for (const saleReturn of returns) {
+            // The kit may have been sold before the period started
+            const sale = sales.find(s => s.id === saleReturn.saleId) ||
+                (saleReturn.saleId ? await this.db.getSale(saleReturn.saleId) : null);
+            count(sale, saleReturn.productId, -saleReturn.quantity);
+        }
+
+        const demand = {};
+        Object.keys(units).forEach(productId => {
+            demand[productId] = Math.max(units[productId], 0) / days;
+        });
+
+        return demand;
+    }
+
+    /**
+     * Format a date as a local YYYY-MM-DD key
+     * @param {Date} date - Date to format
+     * @returns {string} Date key
+     */
+    formatDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Get the Monday that starts the week of a date
+     * @param {Date} date - Reference date
+     * @returns {Date} Start of the week
+     */
+    getWeekStart(date) {
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const offset = (start.getDay() + 6) % 7;
+        start.setDate(start.getDate() - offset);
+        return start;
+    }
+
+    /**
+     * Get all products
+     * @returns {Array} All products
+     */
+    getAllProducts() {
+        return [...this.inventory];
+    }
+
+    /**
+     * Get products by category
+     * @param {string} category - Category name
+     * @returns {Array} Products in category
+     */
+    getProductsByCategory(category) {
+        return this.inventory.filter(product => product.category === category);
+    }
+
+    /**
+     * Get product suggestions for autocomplete
+     * @param {string} query - Search query
+     * @param {number} limit - Maximum number of suggestions
+     * @returns {Array} Product suggestions
+     */
+    getProductSuggestions(query, limit = 5) {
+        if (!query || query.length < 2) return [];
+        
+        const term = query.toLowerCase();
+        const matches = this.inventory.filter(product =>
+            product.sku.toLowerCase().includes(term) ||
+            product.name.toLowerCase().includes(term) ||
+            (product.barcode && product.barcode.includes(query)) ||
+            this.matchesParent(product, term)
+        );
+        
+        // A matching parent counts once toward the limit and offers every variant
+        return this.groupByParent(matches)
+            .slice(0, limit)
+            .flatMap(group => group.variants || [group.product])
+            .map(product => ({
+                id: product.id,
+                sku: product.sku,
+                name: product.name,
+                variant: this.getVariantLabel(product),
+                barcode: product.barcode,
+                stock: product.quantity,
+                price: product.price
+            }));
+    }
+
+    /**
+     * Validate product data
+     * @param {Object} product - Product to validate
+     * @throws {Error} Validation error
+     */
+    validateProduct(product) {
+        const required = ['sku', 'name', 'category', 'price', 'quantity', 'minStock'];
+        
+        for (const field of required) {
+            if (product[field] === undefined || product[field] === null || product[field] === '') {
+                throw new Error(`Campo requerido: ${field}`);
+            }
         }
         
         if (product.price < 0) {
             throw new Error('El precio no puede ser negativo');
         }
         
+        if (isNaN(product.cost) || product.cost < 0) {
+            throw new Error('El costo no puede ser negativo');
+        }
+        
+        if (product.taxRate !== null && product.taxRate !== undefined && !TaxCalculator.isValidRate(product.taxRate)) {
+            throw new Error('La tasa de impuesto debe estar entre 0 y 100');
+        }
+        
         if (product.quantity < 0) {
             throw new Error('La cantidad no puede ser negativa');
         }
@@ -535,6 +3148,16 @@ async initializeSampleData() {
             throw new Error('El stock mínimo no puede ser negativo');
         }
         
+        UnitConverter.validateUnits(product.baseUnit || DEFAULT_BASE_UNIT, product.units);
+        
+        if (product.serialTracked && ((product.baseUnit || DEFAULT_BASE_UNIT) !== DEFAULT_BASE_UNIT || (product.units || []).length > 0)) {
+            throw new Error('Los productos con número de serie se manejan solo por unidad');
+        }
+        
+        if (!UnitConverter.isValidQuantity(product, product.quantity) || !UnitConverter.isValidQuantity(product, product.minStock)) {
+            throw new Error(`La cantidad y el stock mínimo deben ser enteros para la unidad ${product.baseUnit || DEFAULT_BASE_UNIT}`);
+        }
+        
         if (product.sku.length < 3) {
             throw new Error('El SKU debe tener al menos 3 caracteres');
         }
@@ -566,8 +3189,36 @@ async initializeSampleData() {
      */
     async importData(data) {
         try {
+            const previousProducts = new Map(this.inventory.map(p => [p.sku, p]));
+            
             await this.db.importData(data);
+            await this.loadSettings();
             await this.loadInventoryFromDB();
+            await this.loadPromotions();
+            await this.loadParentProducts();
+            await this.loadReservations();
+            
+            // A backup with its own ledger already adds up to its stock; for
+            // one without, record the change in each balance so the ledger still does
+            if (!Array.isArray(data.stockMovements)) {
+                await this.db.runTransaction(['stockMovements'], async (tx) => {
+                    for (const product of this.inventory) {
+                        const previous = previousProducts.get(product.sku);
+                        const delta = UnitConverter.round(product.quantity - (previous ? previous.quantity : 0));
+                        if (delta !== 0) {
+                            await tx.add('stockMovements', this.createMovement(product, MOVEMENT_TYPES.IMPORT, delta));
+                        }
+                    }
+
+                    // Products the backup does not have leave the inventory
+                    for (const [sku, previous] of previousProducts) {
+                        if (previous.quantity !== 0 && !this.inventory.some(p => p.sku === sku)) {
+                            await tx.add('stockMovements', this.createMovement(previous, MOVEMENT_TYPES.IMPORT, -previous.quantity,
+                                { balance: 0, note: 'Not in backup' }));
+                        }
+                    }
+                });
+            }
             this.emit('dataImported', data);
             console.log('Inventory data imported');
         } catch (error) {
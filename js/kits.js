@@ -0,0 +1,170 @@
+/**
+ * Kits Functionality
+ * Handles kit products made of existing SKUs, such as a plumbing repair kit
+ */
+
+// Render the kit form and list
+function renderKitsSection() {
+    if (!window.inventoryManager) return;
+
+    renderKitCategoryOptions();
+    renderKitList();
+}
+
+// Offer the same categories as the add product form
+function renderKitCategoryOptions() {
+    const select = document.getElementById('kit-category');
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = '<option value="">Select Category</option>' + getKnownCategories()
+        .map(category => `<option value="${category}">${category}</option>`)
+        .join('');
+    select.value = selected;
+}
+
+// Render the kits with their components and what can be sold now
+function renderKitList() {
+    const container = document.getElementById('kit-list');
+    if (!container) return;
+
+    const kits = window.inventoryManager.getAllProducts().filter(p => window.inventoryManager.isKit(p));
+    if (kits.length === 0) {
+        container.innerHTML = '<p class="settings-hint">No kits yet</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="table-container">
+            <table class="inventory-table">
+                <thead>
+                    <tr>
+                        <th>🏷️ SKU</th>
+                        <th>📝 Name</th>
+                        <th>🧩 Components</th>
+                        <th>💲 Cost</th>
+                        <th>💰 Price</th>
+                        <th>📦 Available</th>
+                        <th>⚙️ Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${kits.map(kit => `
+                        <tr>
+                            <td>${kit.sku}</td>
+                            <td>${kit.name}</td>
+                            <td>${window.inventoryManager.formatKitComponents(kit)}</td>
+                            <td>$${window.inventoryManager.getKitCost(kit).toFixed(2)}</td>
+                            <td>$${kit.price.toFixed(2)}</td>
+                            <td>${window.inventoryManager.getAvailableQuantity(kit)}</td>
+                            <td class="action-buttons">
+                                <button class="btn btn-warning" onclick="editKit(${kit.id})" title="Edit components">✏️</button>
+                                <button class="btn btn-danger" onclick="confirmDeleteKit(${kit.id})" title="Delete kit">🗑️</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Save the kit form: a new kit, or the components of the one being edited
+async function handleKitSubmit(e) {
+    e.preventDefault();
+
+    const id = parseInt(document.getElementById('kit-id').value);
+
+    try {
+        const components = window.inventoryManager.parseKitComponents(document.getElementById('kit-components').value);
+
+        if (isNaN(id)) {
+            await window.inventoryManager.addKit({
+                sku: document.getElementById('kit-sku').value,
+                barcode: document.getElementById('kit-barcode').value,
+                name: document.getElementById('kit-name').value,
+                category: document.getElementById('kit-category').value,
+                price: document.getElementById('kit-price').value,
+                components
+            });
+        } else {
+            await window.inventoryManager.setKitComponents(id, components);
+        }
+
+        resetKitForm();
+        renderKitsSection();
+        window.uiController.showAlert('Kit saved!', 'success');
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Load a kit into the form; only its components can be changed
+function editKit(kitId) {
+    const kit = window.inventoryManager.getAllProducts().find(p => p.id === kitId);
+    if (!window.inventoryManager.isKit(kit)) return;
+
+    showSection('add-product');
+    renderKitsSection();
+
+    document.getElementById('kit-id').value = kit.id;
+    document.getElementById('kit-sku').value = kit.sku;
+    document.getElementById('kit-barcode').value = kit.barcode || '';
+    document.getElementById('kit-name').value = kit.name;
+    document.getElementById('kit-category').value = kit.category;
+    document.getElementById('kit-price').value = kit.price.toFixed(2);
+    document.getElementById('kit-components').value = window.inventoryManager.formatKitComponents(kit);
+    setKitFieldsLocked(true);
+    document.getElementById('kit-form-title').textContent = `✏️ Edit Kit: ${kit.sku}`;
+    document.getElementById('kit-components').focus();
+}
+
+// Lock the fields that cannot change once a kit exists
+function setKitFieldsLocked(locked) {
+    ['kit-sku', 'kit-barcode', 'kit-name', 'kit-price'].forEach(id => {
+        document.getElementById(id).readOnly = locked;
+    });
+    document.getElementById('kit-category').disabled = locked;
+}
+
+// Clear the kit form
+function resetKitForm() {
+    const form = document.getElementById('kit-form');
+    if (form) form.reset();
+    document.getElementById('kit-id').value = '';
+    setKitFieldsLocked(false);
+    document.getElementById('kit-form-title').textContent = '🧰 New Kit';
+}
+
+// Delete a kit after confirmation; its components stay in stock
+async function confirmDeleteKit(kitId) {
+    if (!confirm('Are you sure you want to delete this kit? Its components stay in stock.')) return;
+
+    try {
+        await window.inventoryManager.deleteProduct(kitId);
+        renderKitsSection();
+        window.uiController.showAlert('Kit deleted', 'success');
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Setup kit form when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    const form = document.getElementById('kit-form');
+    if (form) {
+        form.addEventListener('submit', handleKitSubmit);
+    }
+
+    const resetBtn = document.getElementById('kit-reset');
+    if (resetBtn) {
+        resetBtn.addEventListener('click', resetKitForm);
+    }
+});
+
+// Make functions globally available
+window.renderKitsSection = renderKitsSection;
+window.editKit = editKit;
+window.confirmDeleteKit = confirmDeleteKit;
+
+console.log('✅ Kits functionality loaded');
@@ -0,0 +1,124 @@
+/**
+ * Location Stock Module
+ * Keeps a product's stock split across the store's locations. The product's
+ * quantity stays the total so everything that only needs the total keeps working.
+ */
+
+// Locations a store starts with; sales are taken from the front counter
+const DEFAULT_LOCATION_SETTINGS = Object.freeze({
+    locations: Object.freeze([
+        Object.freeze({ id: 'front', name: 'Front Counter' }),
+        Object.freeze({ id: 'back', name: 'Back Bodega' })
+    ]),
+    saleLocation: 'front',
+    receivingLocation: 'front'
+});
+
+class LocationStock {
+    /**
+     * Check location settings and fill in defaults
+     * @param {Object} settings - locations ({ id, name }), saleLocation and receivingLocation
+     * @returns {Object} Normalized settings
+     * @throws {Error} Validation error
+     */
+    static normalizeSettings(settings = {}) {
+        const locations = (settings.locations || DEFAULT_LOCATION_SETTINGS.locations).map(location => ({
+            id: String(location.id || '').trim().toLowerCase(),
+            name: String(location.name || '').trim()
+        }));
+        if (locations.length === 0) {
+            throw new Error('Debe haber al menos una ubicación');
+        }
+
+        const ids = new Set();
+        locations.forEach(location => {
+            if (!/^[a-z][a-z0-9-]*$/.test(location.id)) {
+                throw new Error(`Código de ubicación inválido: ${location.id}`);
+            }
+            if (ids.has(location.id)) {
+                throw new Error(`Ubicación repetida: ${location.id}`);
+            }
+            ids.add(location.id);
+            if (!location.name) {
+                location.name = location.id;
+            }
+        });
+
+        // Sales and receipts fall back to the first location when theirs is gone
+        const saleLocation = ids.has(settings.saleLocation) ? settings.saleLocation : locations[0].id;
+        const receivingLocation = ids.has(settings.receivingLocation) ? settings.receivingLocation : saleLocation;
+
+        return { locations, saleLocation, receivingLocation };
+    }
+
+    /**
+     * Give products saved before locations existed all their stock at one location
+     * @param {Object} product - Product to prepare (modified in place)
+     * @param {string} location - Location holding the stock
+     * @returns {Object} The same product
+     */
+    static ensureStock(product, location) {
+        if (!product.stockByLocation || typeof product.stockByLocation !== 'object') {
+            product.stockByLocation = product.quantity ? { [location]: product.quantity } : {};
+        }
+        return product;
+    }
+
+    /**
+     * Get a product's stock at one location, or its total without one
+     * @param {Object} product - Product
+     * @param {string|null} location - Location ID
+     * @returns {number} Quantity in the base unit
+     */
+    static getQuantity(product, location = null) {
+        if (!location) return product.quantity;
+        return (product.stockByLocation && product.stockByLocation[location]) || 0;
+    }
+
+    /**
+     * Change a product's stock at one location, keeping its total in step
+     * @param {Object} product - Product (modified in place)
+     * @param {string} location - Location ID
+     * @param {number} delta - Quantity change in the base unit
+     * @throws {Error} If the location would go below zero
+     */
+    static change(product, location, delta) {
+        const quantity = UnitConverter.round(this.getQuantity(product, location) + delta);
+        if (quantity < 0) {
+            throw new Error(`Stock insuficiente de ${product.sku} en ${location}. ` +
+                `Disponible: ${UnitConverter.format(product, this.getQuantity(product, location))}`);
+        }
+
+        product.stockByLocation = { ...product.stockByLocation, [location]: quantity };
+        if (quantity === 0) {
+            delete product.stockByLocation[location];
+        }
+        product.quantity = UnitConverter.round(product.quantity + delta);
+    }
+
+    /**
+     * Multiply the stock at every location, as when a product's base unit changes
+     * @param {Object} product - Product (modified in place)
+     * @param {number} factor - Multiplier
+     */
+    static scale(product, factor) {
+        const scaled = {};
+        Object.keys(product.stockByLocation || {}).forEach(location => {
+            scaled[location] = UnitConverter.round(product.stockByLocation[location] * factor);
+        });
+        product.stockByLocation = scaled;
+    }
+
+    /**
+     * Describe where a product's stock is
+     * @param {Object} product - Product
+     * @param {Array} locations - Configured locations ({ id, name })
+     * @returns {string} Text such as "Front Counter: 10 · Back Bodega: 5"
+     */
+    static format(product, locations) {
+        return locations
+            .filter(location => this.getQuantity(product, location.id) !== 0)
+            .map(location => `${location.name}: ${UnitConverter.format(product, this.getQuantity(product, location.id))}`)
+            .join(' · ');
+    }
+}
@@ -37,6 +37,11 @@ function performLogout() {
             
             // Clear global variables
             window.inventoryManager = null;
+            window.purchasingManager = null;
+            window.shiftManager = null;
+            window.stockCountManager = null;
+            window.customerManager = null;
+            window.quoteManager = null;
             window.barcodeScanner = null;
             window.uiController = null;
             window.authSystem = null;
@@ -0,0 +1,216 @@
+/**
+ * Lot Tracker Module
+ * Keeps the lots (batches) a product's stock arrived in, with their expiry
+ * dates, and takes stock out earliest-expiring first (FEFO)
+ */
+
+// Days ahead the dashboard warns about lots that are about to expire
+const EXPIRY_ALERT_DAYS = 30;
+
+// Milliseconds in a day, for counting days to expiry
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class LotTracker {
+    /**
+     * Check the lot details given on a restock
+     * @param {string|null} lotNumber - Lot or batch number
+     * @param {string|null} expiryDate - Expiry date (YYYY-MM-DD)
+     * @returns {Object|null} Lot ({ lotNumber, expiryDate }), or null when neither is given
+     * @throws {Error} Validation error
+     */
+    static normalizeLot(lotNumber, expiryDate) {
+        const number = String(lotNumber || '').trim().toUpperCase();
+        const expiry = String(expiryDate || '').trim();
+        if (!number && !expiry) return null;
+
+        if (!number) {
+            throw new Error('Indique el número de lote de la fecha de vencimiento');
+        }
+        if (expiry && (!/^\d{4}-\d{2}-\d{2}$/.test(expiry) || isNaN(new Date(expiry + 'T00:00:00').getTime()))) {
+            throw new Error(`Fecha de vencimiento inválida: ${expiry}`);
+        }
+
+        return { lotNumber: number, expiryDate: expiry || null };
+    }
+
+    /**
+     * Give products saved before lots existed an empty lot list
+     * @param {Object} product - Product to prepare (modified in place)
+     * @returns {Object} The same product
+     */
+    static ensureLots(product) {
+        if (!Array.isArray(product.lots)) {
+            product.lots = [];
+        }
+        return product;
+    }
+
+    /**
+     * Sort lots in the order they are sold: earliest expiry first, lots
+     * without an expiry date after those that have one
+     * @param {Array} lots - Lots
+     * @returns {Array} Sorted copy
+     */
+    static sortLots(lots) {
+        return [...lots].sort((a, b) => {
+            if (a.expiryDate !== b.expiryDate) {
+                if (!a.expiryDate || !b.expiryDate) return a.expiryDate ? -1 : 1;
+                return a.expiryDate.localeCompare(b.expiryDate);
+            }
+            return (a.receivedAt || '').localeCompare(b.receivedAt || '');
+        });
+    }
+
+    /**
+     * Get the stock of a product that is not in any lot, such as stock
+     * received before lots were recorded
+     * @param {Object} product - Product
+     * @returns {number} Quantity in the base unit
+     */
+    static getUntracked(product) {
+        const inLots = (product.lots || []).reduce((sum, lot) => sum + lot.quantity, 0);
+        return Math.max(0, UnitConverter.round(product.quantity - inLots));
+    }
+
+    /**
+     * Record incoming stock in a lot, adding to it if it already exists
+     * @param {Object} product - Product (modified in place)
+     * @param {Object} lot - Lot ({ lotNumber, expiryDate })
+     * @param {number} quantity - Quantity received, in the base unit
+     * @param {string} date - When it was received
+     * @throws {Error} If the lot exists with another expiry date
+     */
+    static receive(product, lot, quantity, date) {
+        this.ensureLots(product);
+
+        const existing = product.lots.find(l => l.lotNumber === lot.lotNumber);
+        if (existing) {
+            if ((existing.expiryDate || null) !== (lot.expiryDate || null)) {
+                throw new Error(`El lote ${lot.lotNumber} de ${product.sku} ya existe con vencimiento ${existing.expiryDate || 'sin fecha'}`);
+            }
+            existing.quantity = UnitConverter.round(existing.quantity + quantity);
+        } else {
+            product.lots.push({ lotNumber: lot.lotNumber, expiryDate: lot.expiryDate || null, quantity, receivedAt: date });
+        }
+        product.lots = this.sortLots(product.lots);
+    }
+
+    /**
+     * Take outgoing stock from the earliest-expiring lots. Stock that is
+     * not in any lot is used only once the lots run out.
+     * @param {Object} product - Product before the quantity change (modified in place)
+     * @param {number} quantity - Quantity issued, in the base unit
+     * @returns {Array} Lots taken from ({ lotNumber, expiryDate, quantity })
+     */
+    static issue(product, quantity) {
+        this.ensureLots(product);
+
+        const taken = [];
+        let remaining = quantity;
+        this.sortLots(product.lots).forEach(lot => {
+            if (remaining <= 0) return;
+            const used = Math.min(lot.quantity, remaining);
+            lot.quantity = UnitConverter.round(lot.quantity - used);
+            remaining = UnitConverter.round(remaining - used);
+            taken.push({ lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: used });
+        });
+
+        product.lots = this.sortLots(product.lots.filter(lot => lot.quantity > 0));
+        return taken;
+    }
+
+    /**
+     * Work out which of the lots a sale took from a returned quantity goes
+     * back to. The sale's lots remember how much has been returned to each;
+     * anything beyond them goes back as stock outside any lot.
+     * @param {Array} soldLots - Lots the sale took from (modified in place)
+     * @param {number} quantity - Quantity returned, in the base unit
+     * @returns {Array} Lots to put back ({ lotNumber, expiryDate, quantity })
+     */
+    static allocateReturn(soldLots, quantity) {
+        const restored = [];
+        let remaining = quantity;
+
+        (soldLots || []).forEach(lot => {
+            const open = UnitConverter.round(lot.quantity - (lot.returnedQuantity || 0));
+            const back = Math.min(open, remaining);
+            if (back <= 0) return;
+
+            lot.returnedQuantity = UnitConverter.round((lot.returnedQuantity || 0) + back);
+            remaining = UnitConverter.round(remaining - back);
+            restored.push({ lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: back });
+        });
+
+        return restored;
+    }
+
+    /**
+     * Put returned stock back into its lots
+     * @param {Object} product - Product (modified in place)
+     * @param {Array} lots - Lots ({ lotNumber, expiryDate, quantity })
+     * @param {string} date - When it came back
+     */
+    static restore(product, lots, date) {
+        lots.forEach(lot => {
+            const existing = (product.lots || []).find(l => l.lotNumber === lot.lotNumber);
+            if (existing) {
+                existing.quantity = UnitConverter.round(existing.quantity + lot.quantity);
+            } else {
+                this.receive(product, lot, lot.quantity, date);
+            }
+        });
+    }
+
+    /**
+     * Multiply every lot, as when a product's base unit changes
+     * @param {Object} product - Product (modified in place)
+     * @param {number} factor - Multiplier
+     */
+    static scale(product, factor) {
+        product.lots = (product.lots || []).map(lot => ({ ...lot, quantity: UnitConverter.round(lot.quantity * factor) }));
+    }
+
+    /**
+     * Count the days from today to an expiry date; negative once it has passed
+     * @param {string} expiryDate - Expiry date (YYYY-MM-DD)
+     * @param {Date} today - Reference date
+     * @returns {number} Days
+     */
+    static daysUntil(expiryDate, today = new Date()) {
+        const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        const [year, month, day] = expiryDate.split('-').map(Number);
+        return Math.round((new Date(year, month - 1, day) - start) / DAY_MS);
+    }
+
+    /**
+     * List the lots in stock that expire within some days, expired ones included
+     * @param {Array} products - Products
+     * @param {number} days - Days ahead
+     * @param {Date} today - Reference date
+     * @returns {Array} Lots ({ productId, sku, name, baseUnit, lotNumber, expiryDate, quantity, daysLeft }), soonest first
+     */
+    static getExpiring(products, days, today = new Date()) {
+        const expiring = [];
+        products.forEach(product => {
+            (product.lots || []).forEach(lot => {
+                if (!lot.expiryDate || lot.quantity <= 0) return;
+
+                const daysLeft = this.daysUntil(lot.expiryDate, today);
+                if (daysLeft <= days) {
+                    expiring.push({
+                        productId: product.id,
+                        sku: product.sku,
+                        name: product.name,
+                        baseUnit: product.baseUnit,
+                        lotNumber: lot.lotNumber,
+                        expiryDate: lot.expiryDate,
+                        quantity: lot.quantity,
+                        daysLeft
+                    });
+                }
+            });
+        });
+
+        return expiring.sort((a, b) => a.expiryDate.localeCompare(b.expiryDate) || a.sku.localeCompare(b.sku));
+    }
+}
@@ -112,6 +112,11 @@ async function initializeMainApp() {
         // Make instances globally accessible
         window.app = app;
         window.inventoryManager = app.inventoryManager;
+        window.purchasingManager = app.purchasingManager;
+        window.shiftManager = app.shiftManager;
+        window.stockCountManager = app.stockCountManager;
+        window.customerManager = app.customerManager;
+        window.quoteManager = app.quoteManager;
         window.barcodeScanner = app.barcodeScanner;
         window.uiController = app.uiController;
         
@@ -198,6 +203,11 @@ function handleLogout() {
             // Clear global variables
             window.app = null;
             window.inventoryManager = null;
+            window.purchasingManager = null;
+            window.shiftManager = null;
+            window.stockCountManager = null;
+            window.customerManager = null;
+            window.quoteManager = null;
             window.barcodeScanner = null;
             window.uiController = null;
             
@@ -243,21 +253,11 @@ function setupGlobalFunctions() {
     
     // Inventory helper functions
     window.quickAdjust = async function(productId, action) {
-        const actionText = action === 'add' ? 'add' : 'remove';
-        const adjustment = prompt(`Enter quantity to ${actionText}:`);
-        const quantity = parseInt(adjustment);
-        
-        if (isNaN(quantity) || quantity <= 0) return;
-
-        try {
-            const adjustmentValue = action === 'add' ? quantity : -quantity;
-            if (window.inventoryManager) {
-                await window.inventoryManager.adjustStock(productId, adjustmentValue);
-            } else {
-                alert('Inventory manager not ready. Please try again.');
-            }
-        } catch (error) {
-            alert('Error: ' + error.message);
+        // Adjustments need a reason, which the UI controller's dialog asks for
+        if (window.uiController) {
+            await window.uiController.quickAdjust(productId, action);
+        } else {
+            alert('Inventory manager not ready. Please try again.');
         }
     };
 
@@ -46,6 +46,26 @@ function updateSectionContent(sectionId) {
             updateDashboardStats();
         } else if (sectionId === 'inventory' && window.inventoryManager) {
             displayInventoryTable();
+        } else if (sectionId === 'add-product' && window.uiController) {
+            window.uiController.updateSupplierOptions();
+            renderVariantsSection();
+            renderKitsSection();
+        } else if (sectionId === 'sell' && window.shiftManager) {
+            renderShiftStatus();
+        } else if (sectionId === 'purchasing' && window.purchasingManager) {
+            renderPurchasingSection();
+        } else if (sectionId === 'quotes' && window.quoteManager) {
+            renderQuotesSection();
+        } else if (sectionId === 'reservations' && window.inventoryManager) {
+            renderReservationsSection();
+        } else if (sectionId === 'customers' && window.customerManager) {
+            renderCustomersSection();
+        } else if (sectionId === 'counts' && window.stockCountManager) {
+            renderStockCountsSection();
+        } else if (sectionId === 'promotions' && window.inventoryManager) {
+            renderPromotionsSection();
+        } else if (sectionId === 'settings' && window.inventoryManager) {
+            renderSettingsSection();
         }
     }, 100);
 }
@@ -55,17 +75,21 @@ function updateDashboardStats() {
     if (!window.inventoryManager) return;
     
     try {
-        const stats = window.inventoryManager.getStatistics();
+        const locationSelect = document.getElementById('dashboard-location');
+        const location = locationSelect ? locationSelect.value || null : null;
+        const stats = window.inventoryManager.getStatistics(location);
         
         const totalProductsEl = document.getElementById('total-products');
         const lowStockCountEl = document.getElementById('low-stock-count');
         const totalValueEl = document.getElementById('total-value');
         const categoriesCountEl = document.getElementById('categories-count');
+        const reservedCountEl = document.getElementById('reserved-count');
         
         if (totalProductsEl) totalProductsEl.textContent = stats.totalProducts;
         if (lowStockCountEl) lowStockCountEl.textContent = stats.lowStockCount;
         if (totalValueEl) totalValueEl.textContent = `$${stats.totalValue.toFixed(2)}`;
         if (categoriesCountEl) categoriesCountEl.textContent = stats.categoriesCount;
+        if (reservedCountEl) reservedCountEl.textContent = stats.activeReservationsCount;
         
         // Update alerts
         const alertsEl = document.getElementById('low-stock-alerts');
@@ -75,7 +99,7 @@ function updateDashboardStats() {
                     <div class="alert alert-warning">
                         <strong>⚠️ Low Stock Alert!</strong><br>
                         ${stats.lowStockProducts.map(item => 
-                            `${item.name} (${item.sku}): ${item.quantity} remaining`
+                            `${item.name} (${item.sku}): ${window.inventoryManager.getAvailableQuantity(item, location)} available`
                         ).join('<br>')}
                     </div>
                 `;
@@ -83,6 +107,9 @@ function updateDashboardStats() {
                 alertsEl.innerHTML = '<div class="alert alert-success"><strong>✅ All products have good stock!</strong></div>';
             }
         }
+        if (window.uiController) {
+            window.uiController.renderExpiryAlerts(stats.expiringLots);
+        }
     } catch (error) {
         console.error('Error updating dashboard:', error);
     }
@@ -90,44 +117,10 @@ function updateDashboardStats() {
 
 // Display inventory table
 function displayInventoryTable() {
-    if (!window.inventoryManager) return;
-    
-    try {
-        const products = window.inventoryManager.getAllProducts();
-        const inventoryBody = document.getElementById('inventory-body');
-        
-        if (!inventoryBody) return;
-        
-        inventoryBody.innerHTML = '';
-        
-        products.forEach(item => {
-            const row = document.createElement('tr');
-            if (item.quantity <= item.minStock) {
-                row.classList.add('low-stock');
-            }
-            
-            row.innerHTML = `
-                <td>${item.sku}</td>
-                <td>
-                    ${item.name}
-                    ${item.barcode ? '<br><small style="color: #7f8c8d;">BC: ' + item.barcode + '</small>' : ''}
-                    ${item.supplier ? '<br><small style="color: #7f8c8d;">Supplier: ' + item.supplier + '</small>' : ''}
-                </td>
-                <td>${item.category}</td>
-                <td>$${item.price.toFixed(2)}</td>
-                <td>${item.quantity}</td>
-                <td>${item.minStock}</td>
-                <td>$${(item.price * item.quantity).toFixed(2)}</td>
-                <td class="action-buttons">
-                    <button class="btn btn-warning" onclick="quickAdjust(${item.id}, 'add')" title="Add stock">+</button>
-                    <button class="btn btn-warning" onclick="quickAdjust(${item.id}, 'subtract')" title="Remove stock">-</button>
-                    <button class="btn btn-danger" onclick="deleteProduct(${item.id})" title="Delete product">🗑️</button>
-                </td>
-            `;
-            inventoryBody.appendChild(row);
-        });
-    } catch (error) {
-        console.error('Error displaying inventory:', error);
+    // The UI controller owns the table markup; re-render it with the current filters
+    if (window.uiController) {
+        window.uiController.filterInventory();
+        window.uiController.renderPendingAdjustments();
     }
 }
 
@@ -168,7 +161,9 @@ document.addEventListener('keydown', (e) => {
             '4': 'sell',
             '5': 'restock',
             '6': 'barcode',
-            '7': 'reports'
+            '7': 'reports',
+            '8': 'returns',
+            '9': 'purchasing'
         };
         
         if (shortcuts[e.key]) {
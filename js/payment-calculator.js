@@ -0,0 +1,118 @@
+/**
+ * Payment Calculator Module
+ * Checks the payments tendered for a ticket and works out the change due
+ */
+
+// Ways a customer can pay
+const PAYMENT_METHODS = Object.freeze({
+    CASH: 'cash',
+    CARD: 'card',
+    TRANSFER: 'transfer',
+    STORE_CREDIT: 'store_credit',
+    ACCOUNT: 'account',
+    DEPOSIT: 'deposit'
+});
+
+// Recorded on sale lines whose ticket was paid with more than one method
+const SPLIT_PAYMENT = 'split';
+
+class PaymentCalculator {
+    /**
+     * Check the payments for a ticket total. Only cash may exceed what is
+     * owed; the excess is returned as change.
+     * @param {Array} payments - Payments ({ method, amount, reference }); empty means exact cash.
+     *   A charge to the customer's account may carry who authorized it (authorizedBy).
+     * @param {number} total - Ticket total
+     * @returns {Object} { payments, paymentMethod, amountTendered, changeDue }
+     */
+    static settle(payments, total) {
+        if (!payments || payments.length === 0) {
+            return {
+                payments: [{ method: PAYMENT_METHODS.CASH, amount: total, reference: '' }],
+                paymentMethod: PAYMENT_METHODS.CASH,
+                amountTendered: total,
+                changeDue: 0
+            };
+        }
+
+        const normalized = payments.map(payment => {
+            const amount = TaxCalculator.round(parseFloat(payment.amount));
+            if (!Object.values(PAYMENT_METHODS).includes(payment.method)) {
+                throw new Error(`Forma de pago inválida: ${payment.method}`);
+            }
+            if (isNaN(amount) || amount <= 0) {
+                throw new Error('El monto del pago debe ser mayor a cero');
+            }
+            const settled = {
+                method: payment.method,
+                amount,
+                reference: payment.reference ? String(payment.reference).trim() : ''
+            };
+            if (payment.method === PAYMENT_METHODS.ACCOUNT && payment.authorizedBy) {
+                settled.authorizedBy = payment.authorizedBy;
+            }
+            return settled;
+        });
+
+        const tendered = TaxCalculator.round(normalized.reduce((sum, p) => sum + p.amount, 0));
+        const nonCash = TaxCalculator.round(normalized
+            .filter(p => p.method !== PAYMENT_METHODS.CASH)
+            .reduce((sum, p) => sum + p.amount, 0));
+
+        if (nonCash > total) {
+            throw new Error('Los pagos con tarjeta, transferencia, crédito, a cuenta o con anticipo no pueden superar el total');
+        }
+        if (tendered < total) {
+            throw new Error(`Pago insuficiente. Faltan $${(total - tendered).toFixed(2)}`);
+        }
+
+        const methods = [...new Set(normalized.map(p => p.method))];
+        return {
+            payments: normalized,
+            paymentMethod: methods.length === 1 ? methods[0] : SPLIT_PAYMENT,
+            amountTendered: tendered,
+            changeDue: TaxCalculator.round(tendered - total)
+        };
+    }
+
+    /**
+     * Get how much each method actually brought in for a ticket, with the
+     * change given back taken off the cash. Tickets saved before payments
+     * were recorded count as cash.
+     * @param {Object} ticket - Ticket
+     * @returns {Object} Method -> amount
+     */
+    static getAmountsByMethod(ticket) {
+        const amounts = {};
+        Object.values(PAYMENT_METHODS).forEach(method => { amounts[method] = 0; });
+
+        if (!Array.isArray(ticket.payments)) {
+            amounts[PAYMENT_METHODS.CASH] = ticket.total || 0;
+            return amounts;
+        }
+
+        ticket.payments.forEach(payment => {
+            amounts[payment.method] = (amounts[payment.method] || 0) + payment.amount;
+        });
+        amounts[PAYMENT_METHODS.CASH] -= ticket.changeDue || 0;
+        return amounts;
+    }
+
+    /**
+     * Get a display label for a payment method
+     * @param {string} method - One of PAYMENT_METHODS or SPLIT_PAYMENT
+     * @returns {string} Label
+     */
+    static getLabel(method) {
+        const labels = {
+            [PAYMENT_METHODS.CASH]: '💵 Cash',
+            [PAYMENT_METHODS.CARD]: '💳 Card',
+            [PAYMENT_METHODS.TRANSFER]: '🏦 Transfer',
+            [PAYMENT_METHODS.STORE_CREDIT]: '🎟️ Store Credit',
+            [PAYMENT_METHODS.ACCOUNT]: '📒 On Account',
+            [PAYMENT_METHODS.DEPOSIT]: '🧾 Deposit',
+            [SPLIT_PAYMENT]: '🔀 Split'
+        };
+        return labels[method] || method;
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * Pick List Module
+ * Orders the lines of a sale or a purchase receipt by bin location so the
+ * clerk collects or puts away everything in one walk through the aisles
+ */
+
+// Longest bin location accepted, e.g. "A12-S3-B04"
+const MAX_BIN_LENGTH = 20;
+
+class PickList {
+    /**
+     * Tidy a bin location: upper case, with aisle, shelf and bin parts
+     * joined by dashes ("a3 / s2 / 4" becomes "A3-S2-4")
+     * @param {string|null} text - Bin location as typed
+     * @returns {string|null} Bin location, or null when empty
+     * @throws {Error} If it is too long
+     */
+    static normalizeBin(text) {
+        const bin = String(text || '').trim().toUpperCase().split(/[\s/\\.,-]+/).filter(Boolean).join('-');
+        if (!bin) return null;
+        if (bin.length > MAX_BIN_LENGTH) {
+            throw new Error(`La ubicación en estante no puede tener más de ${MAX_BIN_LENGTH} caracteres`);
+        }
+        return bin;
+    }
+
+    /**
+     * Compare bin locations so numbered aisles sort as numbers (A2 before A10);
+     * products without a bin go last
+     * @param {string|null} a - Bin location
+     * @param {string|null} b - Bin location
+     * @returns {number} Sort order
+     */
+    static compareBins(a, b) {
+        if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+        return a.localeCompare(b, undefined, { numeric: true });
+    }
+
+    /**
+     * Sort pick list items by bin location, then SKU
+     * @param {Array} items - Items ({ sku, binLocation, ... })
+     * @returns {Array} Sorted copy
+     */
+    static sort(items) {
+        return [...items].sort((a, b) => this.compareBins(a.binLocation, b.binLocation) || a.sku.localeCompare(b.sku));
+    }
+
+    /**
+     * Lay out a pick list as an HTML table
+     * @param {Object} pickList - { title, location, date, items }
+     * @returns {string} HTML
+     */
+    static renderHTML(pickList) {
+        const escape = text => ReceiptPrinter.escapeHTML(text);
+
+        return `
+            <div class="pick-list">
+                <h2>${escape(pickList.title)}</h2>
+                <p>${pickList.location ? escape(pickList.location) + ' · ' : ''}${new Date(pickList.date).toLocaleString()}</p>
+                <table>
+                    <thead>
+                        <tr><th>✓</th><th>Bin</th><th>SKU</th><th>Product</th><th>Qty</th></tr>
+                    </thead>
+                    <tbody>
+                        ${pickList.items.map(item => `
+                            <tr>
+                                <td class="pick-check">☐</td>
+                                <td><strong>${escape(item.binLocation || '-')}</strong></td>
+                                <td>${escape(item.sku)}</td>
+                                <td>${escape(item.name)}</td>
+                                <td>${item.quantity}${item.baseUnit && item.baseUnit !== DEFAULT_BASE_UNIT ? ' ' + escape(item.baseUnit) : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Build a standalone HTML document for printing a pick list on plain paper
+     * @param {Object} pickList - { title, location, date, items }
+     * @returns {string} HTML document
+     */
+    static renderPrintDocument(pickList) {
+        return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>${ReceiptPrinter.escapeHTML(pickList.title)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 15mm; color: #000; }
+        h2 { margin: 0 0 4px; }
+        p { margin: 0 0 12px; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { border: 1px solid #000; padding: 6px 8px; text-align: left; }
+        .pick-check { width: 1.5em; text-align: center; }
+    </style>
+</head>
+<body>${this.renderHTML(pickList)}</body>
+</html>`;
+    }
+}
@@ -0,0 +1,196 @@
+/**
+ * Promotions Functionality
+ * Handles the screen for time-boxed promotions on SKUs and categories
+ */
+
+// Render the whole promotions section
+function renderPromotionsSection() {
+    if (!window.inventoryManager) return;
+
+    renderPromotionTargetOptions();
+    renderPromotionList();
+}
+
+// Offer SKUs or categories in the target field depending on the scope
+function renderPromotionTargetOptions() {
+    const datalist = document.getElementById('promotion-target-options');
+    if (!datalist) return;
+
+    const scope = document.getElementById('promotion-scope').value;
+    if (scope === PROMOTION_SCOPES.CATEGORY) {
+        datalist.innerHTML = getKnownCategories()
+            .map(category => `<option value="${category}"></option>`)
+            .join('');
+    } else {
+        datalist.innerHTML = window.inventoryManager.getAllProducts()
+            .map(product => `<option value="${product.sku}">${product.name}</option>`)
+            .join('');
+    }
+}
+
+// Work out whether a promotion is running, upcoming, finished or paused
+function getPromotionStatus(promotion) {
+    if (promotion.active === false) return '⏸️ Paused';
+    if (DiscountCalculator.isPromotionActive(promotion)) return '🟢 Running';
+
+    const today = new Date().toISOString().split('T')[0];
+    return promotion.startDate > today ? '🕒 Scheduled' : '⛔ Ended';
+}
+
+// Render the list of promotions
+function renderPromotionList() {
+    const container = document.getElementById('promotion-list');
+    if (!container) return;
+
+    const promotions = window.inventoryManager.getPromotions();
+    if (promotions.length === 0) {
+        container.innerHTML = '<p class="settings-hint">No promotions yet</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="table-container">
+            <table class="inventory-table">
+                <thead>
+                    <tr>
+                        <th>📝 Name</th>
+                        <th>🎯 Applies To</th>
+                        <th>🏷️ Discount</th>
+                        <th>📅 Dates</th>
+                        <th>🚦 Status</th>
+                        <th>⚙️ Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${promotions.map(promotion => `
+                        <tr>
+                            <td>${promotion.name}</td>
+                            <td>${promotion.scope === PROMOTION_SCOPES.CATEGORY ? 'Category' : 'SKU'}: ${promotion.target}</td>
+                            <td>${DiscountCalculator.describe(promotion)}${promotion.type === DISCOUNT_TYPES.AMOUNT ? ' per unit' : ''}</td>
+                            <td>${promotion.startDate} → ${promotion.endDate}</td>
+                            <td>${getPromotionStatus(promotion)}</td>
+                            <td class="action-buttons">
+                                <button class="btn btn-warning" onclick="editPromotion(${promotion.id})" title="Edit promotion">✏️</button>
+                                <button class="btn" onclick="togglePromotion(${promotion.id})" title="${promotion.active === false ? 'Resume' : 'Pause'} promotion">${promotion.active === false ? '▶️' : '⏸️'}</button>
+                                <button class="btn btn-danger" onclick="confirmDeletePromotion(${promotion.id})" title="Delete promotion">🗑️</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Save the promotion form
+async function handlePromotionSubmit(e) {
+    e.preventDefault();
+
+    try {
+        const id = parseInt(document.getElementById('promotion-id').value);
+        const existing = isNaN(id) ? null : window.inventoryManager.getPromotions().find(p => p.id === id);
+
+        await window.inventoryManager.savePromotion({
+            id: isNaN(id) ? undefined : id,
+            name: document.getElementById('promotion-name').value,
+            scope: document.getElementById('promotion-scope').value,
+            target: document.getElementById('promotion-target').value,
+            type: document.getElementById('promotion-type').value,
+            value: document.getElementById('promotion-value').value,
+            startDate: document.getElementById('promotion-start').value,
+            endDate: document.getElementById('promotion-end').value,
+            active: existing ? existing.active : true
+        });
+
+        resetPromotionForm();
+        renderPromotionList();
+        window.uiController.renderCart();
+        window.uiController.showAlert('Promotion saved successfully!', 'success');
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Load a promotion into the form for editing
+function editPromotion(promotionId) {
+    const promotion = window.inventoryManager.getPromotions().find(p => p.id === promotionId);
+    if (!promotion) return;
+
+    document.getElementById('promotion-id').value = promotion.id;
+    document.getElementById('promotion-name').value = promotion.name;
+    document.getElementById('promotion-scope').value = promotion.scope;
+    document.getElementById('promotion-target').value = promotion.target;
+    document.getElementById('promotion-type').value = promotion.type;
+    document.getElementById('promotion-value').value = promotion.value;
+    document.getElementById('promotion-start').value = promotion.startDate;
+    document.getElementById('promotion-end').value = promotion.endDate;
+    document.getElementById('promotion-form-title').textContent = `✏️ Edit Promotion: ${promotion.name}`;
+    renderPromotionTargetOptions();
+    document.getElementById('promotion-name').focus();
+}
+
+// Clear the promotion form
+function resetPromotionForm() {
+    const form = document.getElementById('promotion-form');
+    if (form) form.reset();
+    document.getElementById('promotion-id').value = '';
+    document.getElementById('promotion-form-title').textContent = '➕ New Promotion';
+    renderPromotionTargetOptions();
+}
+
+// Pause or resume a promotion
+async function togglePromotion(promotionId) {
+    const promotion = window.inventoryManager.getPromotions().find(p => p.id === promotionId);
+    if (!promotion) return;
+
+    try {
+        await window.inventoryManager.savePromotion({ ...promotion, active: promotion.active === false });
+        renderPromotionList();
+        window.uiController.renderCart();
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Delete a promotion after confirmation
+async function confirmDeletePromotion(promotionId) {
+    if (!confirm('Are you sure you want to delete this promotion?')) return;
+
+    try {
+        await window.inventoryManager.deletePromotion(promotionId);
+        renderPromotionList();
+        window.uiController.renderCart();
+        window.uiController.showAlert('Promotion deleted', 'success');
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Setup promotion form when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    const form = document.getElementById('promotion-form');
+    if (form) {
+        form.addEventListener('submit', handlePromotionSubmit);
+    }
+
+    const scopeSelect = document.getElementById('promotion-scope');
+    if (scopeSelect) {
+        scopeSelect.addEventListener('change', () => {
+            document.getElementById('promotion-target').value = '';
+            renderPromotionTargetOptions();
+        });
+    }
+
+    const resetBtn = document.getElementById('promotion-reset');
+    if (resetBtn) {
+        resetBtn.addEventListener('click', resetPromotionForm);
+    }
+});
+
+// Make functions globally available
+window.renderPromotionsSection = renderPromotionsSection;
+window.editPromotion = editPromotion;
+window.togglePromotion = togglePromotion;
+window.confirmDeletePromotion = confirmDeletePromotion;
+
+console.log('✅ Promotions functionality loaded');
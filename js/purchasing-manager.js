@@ -0,0 +1,478 @@
+/**
+ * Purchasing Manager Module
+ * Handles suppliers, purchase orders and receiving into stock
+ */
+
+// Lifecycle of a purchase order
+const PO_STATUS = Object.freeze({
+    OPEN: 'open',
+    PARTIAL: 'partial',
+    RECEIVED: 'received',
+    CANCELLED: 'cancelled'
+});
+
+// Defaults for the reorder engine
+const REORDER_DEFAULTS = Object.freeze({
+    LEAD_TIME_DAYS: 7,      // Used when a supplier has no lead time set
+    LOOKBACK_DAYS: 30,      // Sales history used to measure demand
+    COVERAGE_DAYS: 14       // Days of demand an order should cover after it arrives
+});
+
+class PurchasingManager {
+    constructor(database, inventoryManager) {
+        this.db = database;
+        this.inventoryManager = inventoryManager;
+        this.suppliers = [];
+        this.purchaseOrders = [];
+    }
+
+    /**
+     * Initialize purchasing manager and load data
+     */
+    async init() {
+        try {
+            await this.loadFromDB();
+            await this.syncSuppliersFromProducts();
+
+            // Keep supplier records in step with products added later
+            this.inventoryManager.on('productAdded', (product) => {
+                if (product.supplier) {
+                    this.ensureSupplier(product.supplier).catch(error => {
+                        console.error('Error creating supplier:', error);
+                    });
+                }
+            });
+
+            this.inventoryManager.on('dataImported', () => {
+                this.loadFromDB().catch(error => {
+                    console.error('Error reloading purchasing data:', error);
+                });
+            });
+
+            console.log('Purchasing manager initialized with', this.suppliers.length, 'suppliers');
+
+        } catch (error) {
+            console.error('Error initializing purchasing manager:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load suppliers and purchase orders from database
+     */
+    async loadFromDB() {
+        this.suppliers = await this.db.getAllSuppliers();
+        this.purchaseOrders = await this.db.getAllPurchaseOrders();
+    }
+
+    /**
+     * Create supplier records for free-text supplier names already on products
+     */
+    async syncSuppliersFromProducts() {
+        const names = [...new Set(this.inventoryManager.getAllProducts()
+            .map(p => p.supplier)
+            .filter(Boolean))];
+
+        for (const name of names) {
+            await this.ensureSupplier(name);
+        }
+    }
+
+    /**
+     * Get a supplier by name, creating a bare record if it does not exist
+     * @param {string} name - Supplier name
+     * @returns {Promise<Object>} Supplier
+     */
+    async ensureSupplier(name) {
+        const existing = this.getSupplierByName(name);
+        if (existing) return existing;
+
+        return this.saveSupplier({ name });
+    }
+
+    /**
+     * Add or update a supplier. Renaming a supplier renames it on its products.
+     * @param {Object} data - Supplier data (with id to update)
+     * @returns {Promise<Object>} Saved supplier
+     */
+    async saveSupplier(data) {
+        try {
+            const name = (data.name || '').trim();
+            if (name.length < 2) {
+                throw new Error('El nombre del proveedor debe tener al menos 2 caracteres');
+            }
+
+            const duplicate = this.getSupplierByName(name);
+            if (duplicate && duplicate.id !== data.id) {
+                throw new Error(`Ya existe un proveedor con el nombre: ${name}`);
+            }
+
+            const leadTimeDays = data.leadTimeDays === undefined || data.leadTimeDays === '' ?
+                REORDER_DEFAULTS.LEAD_TIME_DAYS : parseInt(data.leadTimeDays);
+            if (isNaN(leadTimeDays) || leadTimeDays < 0) {
+                throw new Error('El tiempo de entrega debe ser un número de días válido');
+            }
+
+            const existing = data.id ? this.getSupplierById(data.id) : null;
+            const supplier = {
+                ...(existing || { createdAt: new Date().toISOString() }),
+                name,
+                contactName: (data.contactName || '').trim(),
+                phone: (data.phone || '').trim(),
+                email: (data.email || '').trim(),
+                address: (data.address || '').trim(),
+                notes: (data.notes || '').trim(),
+                leadTimeDays,
+                updatedAt: new Date().toISOString()
+            };
+
+            if (existing) {
+                await this.db.updateSupplier(supplier);
+                this.suppliers = this.suppliers.map(s => s.id === supplier.id ? supplier : s);
+
+                if (existing.name !== name) {
+                    const products = this.inventoryManager.getAllProducts().filter(p => p.supplier === existing.name);
+                    for (const product of products) {
+                        await this.inventoryManager.updateProduct({ ...product, supplier: name });
+                    }
+                }
+            } else {
+                supplier.id = await this.db.addSupplier(supplier);
+                this.suppliers.push(supplier);
+            }
+
+            return supplier;
+
+        } catch (error) {
+            console.error('Error saving supplier:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all suppliers sorted by name
+     * @returns {Array} Suppliers
+     */
+    getSuppliers() {
+        return [...this.suppliers].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get a supplier by ID
+     * @param {number} id - Supplier ID
+     * @returns {Object|null} Supplier
+     */
+    getSupplierById(id) {
+        return this.suppliers.find(s => s.id === id) || null;
+    }
+
+    /**
+     * Get a supplier by name (case-insensitive)
+     * @param {string} name - Supplier name
+     * @returns {Object|null} Supplier
+     */
+    getSupplierByName(name) {
+        const target = (name || '').trim().toLowerCase();
+        return this.suppliers.find(s => s.name.toLowerCase() === target) || null;
+    }
+
+    /**
+     * Create a purchase order
+     * @param {number} supplierId - Supplier ID
+     * @param {Array} lines - Lines ({ productId, quantity, expectedCost })
+     * @param {Object} details - Optional expectedDate and notes
+     * @returns {Promise<Object>} Created purchase order
+     */
+    async createPurchaseOrder(supplierId, lines, details = {}) {
+        try {
+            const supplier = this.getSupplierById(supplierId);
+            if (!supplier) {
+                throw new Error('Proveedor no encontrado');
+            }
+
+            if (!lines || lines.length === 0) {
+                throw new Error('La orden de compra no tiene líneas');
+            }
+
+            const orderLines = lines.map(line => {
+                const product = this.inventoryManager.getAllProducts().find(p => p.id === line.productId);
+                if (!product) {
+                    throw new Error('Producto no encontrado');
+                }
+                if (this.inventoryManager.isKit(product)) {
+                    throw new Error(`${product.sku} es un kit; pida sus componentes`);
+                }
+                if (isNaN(line.quantity) || line.quantity <= 0 || !UnitConverter.isValidQuantity(product, line.quantity)) {
+                    throw new Error(`Cantidad inválida para ${product.sku}`);
+                }
+                if (isNaN(line.expectedCost) || line.expectedCost < 0) {
+                    throw new Error(`Costo inválido para ${product.sku}`);
+                }
+
+                return {
+                    productId: product.id,
+                    sku: product.sku,
+                    name: product.name,
+                    quantityOrdered: line.quantity,
+                    quantityReceived: 0,
+                    expectedCost: line.expectedCost
+                };
+            });
+
+            const order = {
+                supplierId: supplier.id,
+                supplierName: supplier.name,
+                status: PO_STATUS.OPEN,
+                lines: orderLines,
+                expectedTotal: orderLines.reduce((sum, line) => sum + line.quantityOrdered * line.expectedCost, 0),
+                expectedDate: details.expectedDate || null,
+                notes: (details.notes || '').trim(),
+                receipts: [],
+                createdBy: this.inventoryManager.getCurrentUser(),
+                createdAt: new Date().toISOString()
+            };
+
+            order.id = await this.db.addPurchaseOrder(order);
+            this.purchaseOrders.push(order);
+            console.log('Purchase order created:', order.id);
+
+            return order;
+
+        } catch (error) {
+            console.error('Error creating purchase order:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Post a partial or full receipt of a purchase order into stock
+     * @param {number} orderId - Purchase order ID
+     * @param {Object} quantities - Map of productId to quantity received
+     * @param {Object} serials - Map of productId to the serials received, for serial-tracked products
+     * @returns {Promise<Object>} Updated purchase order
+     */
+    async receivePurchaseOrder(orderId, quantities, serials = {}) {
+        const order = this.getPurchaseOrder(orderId);
+        if (!order) {
+            throw new Error('Orden de compra no encontrada');
+        }
+
+        if (order.status !== PO_STATUS.OPEN && order.status !== PO_STATUS.PARTIAL) {
+            throw new Error('La orden de compra no está abierta');
+        }
+
+        const toReceive = order.lines
+            .map(line => ({ line, quantity: Number(quantities[line.productId]) || 0 }))
+            .filter(entry => entry.quantity > 0);
+
+        if (toReceive.length === 0) {
+            throw new Error('Indique al menos una cantidad recibida');
+        }
+
+        toReceive.forEach(({ line, quantity }) => {
+            const outstanding = UnitConverter.round(line.quantityOrdered - line.quantityReceived);
+            if (quantity > outstanding) {
+                throw new Error(`${line.sku}: solo quedan ${outstanding} unidades pendientes`);
+            }
+        });
+
+        const receipt = {
+            date: new Date().toISOString(),
+            user: this.inventoryManager.getCurrentUser(),
+            lines: []
+        };
+
+        try {
+            for (const { line, quantity } of toReceive) {
+                await this.inventoryManager.restockProduct(line.sku, quantity, {
+                    unitCost: line.expectedCost,
+                    purchaseOrderId: order.id,
+                    note: `PO #${order.id}`,
+                    serials: serials[line.productId]
+                });
+                line.quantityReceived = UnitConverter.round(line.quantityReceived + quantity);
+                receipt.lines.push({ productId: line.productId, sku: line.sku, quantity });
+            }
+        } finally {
+            // Record whatever made it into stock, even if a later line failed
+            if (receipt.lines.length > 0) {
+                order.receipts.push(receipt);
+                order.status = order.lines.every(l => l.quantityReceived >= l.quantityOrdered) ?
+                    PO_STATUS.RECEIVED : PO_STATUS.PARTIAL;
+                order.updatedAt = receipt.date;
+                await this.db.updatePurchaseOrder(order);
+            }
+        }
+
+        console.log('Purchase order received:', order.id, order.status);
+        return order;
+    }
+
+    /**
+     * Cancel an open purchase order
+     * @param {number} orderId - Purchase order ID
+     * @returns {Promise<Object>} Updated purchase order
+     */
+    async cancelPurchaseOrder(orderId) {
+        const order = this.getPurchaseOrder(orderId);
+        if (!order) {
+            throw new Error('Orden de compra no encontrada');
+        }
+
+        if (order.status === PO_STATUS.RECEIVED || order.status === PO_STATUS.CANCELLED) {
+            throw new Error('La orden de compra ya está cerrada');
+        }
+
+        order.status = PO_STATUS.CANCELLED;
+        order.updatedAt = new Date().toISOString();
+        await this.db.updatePurchaseOrder(order);
+
+        return order;
+    }
+
+    /**
+     * Get a purchase order by ID
+     * @param {number} orderId - Purchase order ID
+     * @returns {Object|null} Purchase order
+     */
+    getPurchaseOrder(orderId) {
+        return this.purchaseOrders.find(o => o.id === orderId) || null;
+    }
+
+    /**
+     * Get purchase orders, newest first
+     * @returns {Array} Purchase orders
+     */
+    getPurchaseOrders() {
+        return [...this.purchaseOrders].sort((a, b) => b.id - a.id);
+    }
+
+    /**
+     * Get purchase orders still waiting for goods
+     * @returns {Array} Open and partially received orders
+     */
+    getOpenPurchaseOrders() {
+        return this.getPurchaseOrders().filter(o =>
+            o.status === PO_STATUS.OPEN || o.status === PO_STATUS.PARTIAL);
+    }
+
+    /**
+     * Get the quantity of a product still due on open purchase orders
+     * @param {number} productId - Product ID
+     * @returns {Object} Outstanding quantity and the orders it is on
+     */
+    getIncomingQuantity(productId) {
+        let quantity = 0;
+        const orderIds = [];
+
+        this.getOpenPurchaseOrders().forEach(order => {
+            order.lines
+                .filter(line => line.productId === productId)
+                .forEach(line => {
+                    const outstanding = line.quantityOrdered - line.quantityReceived;
+                    if (outstanding > 0) {
+                        quantity += outstanding;
+                        orderIds.push(order.id);
+                    }
+                });
+        });
+
+        return { quantity, orderIds };
+    }
+
+    /**
+     * Get the lead time of a supplier in days
+     * @param {Object|null} supplier - Supplier record
+     * @returns {number} Lead time in days
+     */
+    getLeadTime(supplier) {
+        if (supplier && Number.isInteger(supplier.leadTimeDays)) {
+            return supplier.leadTimeDays;
+        }
+        return REORDER_DEFAULTS.LEAD_TIME_DAYS;
+    }
+
+    /**
+     * Get the unit cost last expected for a product on a purchase order
+     * @param {number} productId - Product ID
+     * @returns {number} Last expected cost, or 0 if never ordered
+     */
+    getLastExpectedCost(productId) {
+        for (const order of this.getPurchaseOrders()) {
+            const line = order.lines.find(l => l.productId === productId);
+            if (line) return line.expectedCost;
+        }
+        return 0;
+    }
+
+    /**
+     * Build draft orders from sales velocity. A product needs reordering when
+     * its unreserved stock plus incoming goods would not last the supplier
+     * lead time on top of its minimum stock, which acts as safety stock.
+     * @param {Object} options - Optional lookbackDays and coverageDays
+     * @returns {Promise<Object>} Draft order lines grouped by supplier
+     */
+    async getReorderSuggestions(options = {}) {
+        const lookbackDays = options.lookbackDays || REORDER_DEFAULTS.LOOKBACK_DAYS;
+        const coverageDays = options.coverageDays || REORDER_DEFAULTS.COVERAGE_DAYS;
+        const demand = await this.inventoryManager.getAverageDailyDemand(lookbackDays);
+        const groups = {};
+
+        this.inventoryManager.getAllProducts().forEach(product => {
+            // Kits are replenished through their components
+            if (this.inventoryManager.isKit(product)) return;
+
+            const supplier = product.supplier ? this.getSupplierByName(product.supplier) : null;
+            const leadTimeDays = this.getLeadTime(supplier);
+            const averageDailyDemand = demand[product.id] || 0;
+            const incoming = this.getIncomingQuantity(product.id).quantity;
+            // Units held for customers are already sold as far as reordering goes
+            const unreserved = this.inventoryManager.getAvailableQuantity(product);
+            const position = unreserved + incoming;
+
+            const reorderPoint = Math.ceil(averageDailyDemand * leadTimeDays) + product.minStock;
+            if (position > reorderPoint) return;
+
+            // Order up to the reorder point plus the coverage period; slow movers
+            // with no demand are brought up to twice their minimum stock
+            const targetStock = reorderPoint + Math.max(Math.ceil(averageDailyDemand * coverageDays), product.minStock);
+            const suggestedQuantity = Math.max(targetStock - position, 1);
+
+            const key = supplier ? supplier.id : 'none';
+            if (!groups[key]) {
+                groups[key] = {
+                    supplierId: supplier ? supplier.id : null,
+                    supplierName: supplier ? supplier.name : (product.supplier || 'Sin proveedor'),
+                    leadTimeDays,
+                    lines: [],
+                    estimatedTotal: 0
+                };
+            }
+
+            const expectedCost = product.cost || this.getLastExpectedCost(product.id);
+            groups[key].lines.push({
+                productId: product.id,
+                sku: product.sku,
+                name: product.name,
+                quantity: product.quantity,
+                minStock: product.minStock,
+                incoming,
+                averageDailyDemand,
+                reserved: this.inventoryManager.getReservedQuantity(product),
+                daysOfStock: averageDailyDemand > 0 ? unreserved / averageDailyDemand : null,
+                reorderPoint,
+                suggestedQuantity,
+                expectedCost
+            });
+            groups[key].estimatedTotal += suggestedQuantity * expectedCost;
+        });
+
+        return {
+            lookbackDays,
+            coverageDays,
+            generatedAt: new Date().toISOString(),
+            groups: Object.values(groups)
+                .sort((a, b) => a.supplierName.localeCompare(b.supplierName))
+        };
+    }
+}
@@ -0,0 +1,460 @@
+/**
+ * Purchasing Functionality
+ * Handles the supplier, purchase order and receiving screens
+ */
+
+// Lines of the purchase order being drafted
+let purchaseOrderDraftLines = [];
+
+// Render the whole purchasing section
+function renderPurchasingSection() {
+    if (!window.purchasingManager) return;
+
+    renderSupplierSelect();
+    renderPurchaseOrderProductOptions();
+    renderPurchaseOrderDraftLines();
+    renderPurchaseOrders();
+    renderSuppliers();
+}
+
+// Fill the supplier dropdown of the purchase order form
+function renderSupplierSelect() {
+    const select = document.getElementById('po-supplier');
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = '<option value="">Select Supplier</option>' +
+        window.purchasingManager.getSuppliers()
+            .map(supplier => `<option value="${supplier.id}">${supplier.name}</option>`)
+            .join('');
+    select.value = selected;
+}
+
+// Fill the product suggestions of the purchase order form
+function renderPurchaseOrderProductOptions() {
+    const datalist = document.getElementById('po-product-options');
+    if (!datalist || !window.inventoryManager) return;
+
+    datalist.innerHTML = window.inventoryManager.getAllProducts()
+        .filter(product => !window.inventoryManager.isKit(product))
+        .map(product => `<option value="${product.sku}">${product.name}</option>`)
+        .join('');
+}
+
+// Render the lines of the purchase order being drafted
+function renderPurchaseOrderDraftLines() {
+    const container = document.getElementById('po-draft-lines');
+    if (!container) return;
+
+    if (purchaseOrderDraftLines.length === 0) {
+        container.innerHTML = '<p style="color: #7f8c8d; margin: 10px 0;">No lines added yet</p>';
+        return;
+    }
+
+    const total = purchaseOrderDraftLines.reduce((sum, line) => sum + line.quantity * line.expectedCost, 0);
+    container.innerHTML = `
+        <table class="inventory-table" style="margin: 15px 0;">
+            <thead><tr><th>SKU</th><th>Name</th><th>Qty</th><th>Unit Cost</th><th>Total</th><th></th></tr></thead>
+            <tbody>
+                ${purchaseOrderDraftLines.map((line, index) => `
+                    <tr>
+                        <td>${line.sku}</td>
+                        <td>${line.name}</td>
+                        <td>${line.quantity}</td>
+                        <td>$${line.expectedCost.toFixed(2)}</td>
+                        <td>$${(line.quantity * line.expectedCost).toFixed(2)}</td>
+                        <td class="action-buttons">
+                            <button class="btn btn-danger" onclick="removePurchaseOrderLine(${index})" title="Remove line">✖</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <p><strong>Expected Total:</strong> $${total.toFixed(2)}</p>
+    `;
+}
+
+// Render the purchase order list
+function renderPurchaseOrders() {
+    const container = document.getElementById('purchase-orders-list');
+    if (!container) return;
+
+    const orders = window.purchasingManager.getPurchaseOrders();
+    if (orders.length === 0) {
+        container.innerHTML = '<p style="color: #7f8c8d;">No purchase orders yet</p>';
+        return;
+    }
+
+    const statusLabels = {
+        open: '🟢 Open',
+        partial: '🟡 Partially Received',
+        received: '✅ Received',
+        cancelled: '⛔ Cancelled'
+    };
+
+    container.innerHTML = `
+        <div class="table-container">
+            <table class="inventory-table">
+                <thead>
+                    <tr>
+                        <th>🔖 PO #</th>
+                        <th>🏭 Supplier</th>
+                        <th>📅 Created</th>
+                        <th>📋 Lines</th>
+                        <th>📦 Received / Ordered</th>
+                        <th>💲 Expected Total</th>
+                        <th>🚦 Status</th>
+                        <th>⚙️ Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${orders.map(order => {
+                        const ordered = order.lines.reduce((sum, line) => sum + line.quantityOrdered, 0);
+                        const received = order.lines.reduce((sum, line) => sum + line.quantityReceived, 0);
+                        const isOpen = order.status === 'open' || order.status === 'partial';
+                        return `
+                            <tr>
+                                <td>${order.id}</td>
+                                <td>${order.supplierName}</td>
+                                <td>${new Date(order.createdAt).toLocaleDateString()}${order.expectedDate ? '<br><small style="color: #7f8c8d;">Due: ' + order.expectedDate + '</small>' : ''}</td>
+                                <td>${order.lines.map(line => line.sku).join(', ')}</td>
+                                <td>${received} / ${ordered}</td>
+                                <td>$${order.expectedTotal.toFixed(2)}</td>
+                                <td>${statusLabels[order.status] || order.status}</td>
+                                <td class="action-buttons">
+                                    ${isOpen ? `
+                                        <button class="btn" onclick="showReceivingForm(${order.id})" title="Receive goods">📥</button>
+                                        <button class="btn btn-danger" onclick="confirmCancelPurchaseOrder(${order.id})" title="Cancel order">⛔</button>
+                                    ` : ''}
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Render the supplier list
+function renderSuppliers() {
+    const container = document.getElementById('suppliers-list');
+    if (!container) return;
+
+    const suppliers = window.purchasingManager.getSuppliers();
+    if (suppliers.length === 0) {
+        container.innerHTML = '<p style="color: #7f8c8d;">No suppliers yet</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="table-container">
+            <table class="inventory-table">
+                <thead>
+                    <tr>
+                        <th>🏭 Name</th>
+                        <th>👤 Contact</th>
+                        <th>📞 Phone</th>
+                        <th>✉️ Email</th>
+                        <th>📍 Address</th>
+                        <th>🚚 Lead Time</th>
+                        <th>⚙️ Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${suppliers.map(supplier => `
+                        <tr>
+                            <td>${supplier.name}</td>
+                            <td>${supplier.contactName || ''}</td>
+                            <td>${supplier.phone || ''}</td>
+                            <td>${supplier.email || ''}</td>
+                            <td>${supplier.address || ''}</td>
+                            <td>${window.purchasingManager.getLeadTime(supplier)} days</td>
+                            <td class="action-buttons">
+                                <button class="btn btn-warning" onclick="editSupplier(${supplier.id})" title="Edit supplier">✏️</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Save the supplier form
+async function handleSupplierSubmit(e) {
+    e.preventDefault();
+
+    try {
+        const id = parseInt(document.getElementById('supplier-id').value);
+        await window.purchasingManager.saveSupplier({
+            id: isNaN(id) ? undefined : id,
+            name: document.getElementById('supplier-name').value,
+            contactName: document.getElementById('supplier-contact').value,
+            phone: document.getElementById('supplier-phone').value,
+            email: document.getElementById('supplier-email').value,
+            address: document.getElementById('supplier-address').value,
+            leadTimeDays: document.getElementById('supplier-lead-time').value
+        });
+
+        resetSupplierForm();
+        renderPurchasingSection();
+        window.uiController.showAlert('Supplier saved successfully!', 'success');
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Load a supplier into the form for editing
+function editSupplier(supplierId) {
+    const supplier = window.purchasingManager.getSupplierById(supplierId);
+    if (!supplier) return;
+
+    document.getElementById('supplier-id').value = supplier.id;
+    document.getElementById('supplier-name').value = supplier.name;
+    document.getElementById('supplier-contact').value = supplier.contactName || '';
+    document.getElementById('supplier-phone').value = supplier.phone || '';
+    document.getElementById('supplier-email').value = supplier.email || '';
+    document.getElementById('supplier-address').value = supplier.address || '';
+    document.getElementById('supplier-lead-time').value = window.purchasingManager.getLeadTime(supplier);
+    document.getElementById('supplier-name').focus();
+}
+
+// Clear the supplier form
+function resetSupplierForm() {
+    const form = document.getElementById('supplier-form');
+    if (form) form.reset();
+    document.getElementById('supplier-id').value = '';
+}
+
+// Add a line to the purchase order being drafted
+async function handleAddPurchaseOrderLine(e) {
+    e.preventDefault();
+
+    const identifier = document.getElementById('po-product').value.trim();
+    const quantity = parseFloat(document.getElementById('po-quantity').value);
+    const expectedCost = parseFloat(document.getElementById('po-cost').value);
+
+    const product = await window.inventoryManager.findProduct(identifier);
+    if (!product) {
+        window.uiController.showAlert('Product not found', 'danger');
+        return;
+    }
+
+    if (isNaN(quantity) || quantity <= 0 || isNaN(expectedCost) || expectedCost < 0) {
+        window.uiController.showAlert('Please enter a valid quantity and cost', 'warning');
+        return;
+    }
+
+    const existing = purchaseOrderDraftLines.find(line => line.productId === product.id);
+    if (existing) {
+        existing.quantity += quantity;
+        existing.expectedCost = expectedCost;
+    } else {
+        purchaseOrderDraftLines.push({
+            productId: product.id,
+            sku: product.sku,
+            name: product.name,
+            quantity,
+            expectedCost
+        });
+    }
+
+    e.target.reset();
+    renderPurchaseOrderDraftLines();
+    document.getElementById('po-product').focus();
+}
+
+// Remove a line from the purchase order being drafted
+function removePurchaseOrderLine(index) {
+    purchaseOrderDraftLines.splice(index, 1);
+    renderPurchaseOrderDraftLines();
+}
+
+// Create the drafted purchase order
+async function handleCreatePurchaseOrder() {
+    const supplierId = parseInt(document.getElementById('po-supplier').value);
+    if (isNaN(supplierId)) {
+        window.uiController.showAlert('Please select a supplier', 'warning');
+        return;
+    }
+
+    try {
+        const order = await window.purchasingManager.createPurchaseOrder(supplierId, purchaseOrderDraftLines, {
+            expectedDate: document.getElementById('po-expected-date').value,
+            notes: document.getElementById('po-notes').value
+        });
+
+        purchaseOrderDraftLines = [];
+        document.getElementById('po-expected-date').value = '';
+        document.getElementById('po-notes').value = '';
+        renderPurchasingSection();
+        window.uiController.updateDashboard();
+        window.uiController.showAlert(`Purchase order #${order.id} created!`, 'success');
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Show the receiving screen for a purchase order
+function showReceivingForm(orderId) {
+    const order = window.purchasingManager.getPurchaseOrder(orderId);
+    const container = document.getElementById('po-receiving');
+    if (!order || !container) return;
+
+    container.innerHTML = `
+        <div class="receiving-box">
+            <div class="section-header">
+                <h3>📥 Receive PO #${order.id} - ${order.supplierName}</h3>
+                <button class="btn btn-danger" onclick="closeReceivingForm()">✖ Close</button>
+            </div>
+            <div class="table-container">
+                <table class="inventory-table">
+                    <thead>
+                        <tr>
+                            <th>🏷️ SKU</th>
+                            <th>📝 Name</th>
+                            <th>📦 Ordered</th>
+                            <th>✅ Received</th>
+                            <th>⏳ Outstanding</th>
+                            <th>📥 Receiving Now</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${order.lines.map(line => {
+                            const outstanding = line.quantityOrdered - line.quantityReceived;
+                            const product = window.inventoryManager.getAllProducts().find(p => p.id === line.productId);
+                            return `
+                                <tr>
+                                    <td>${line.sku}</td>
+                                    <td>${line.name}</td>
+                                    <td>${line.quantityOrdered}</td>
+                                    <td>${line.quantityReceived}</td>
+                                    <td>${outstanding}</td>
+                                    <td>
+                                        <input type="number" class="quantity-input" id="receive-qty-${line.productId}"
+                                               min="0" step="any" max="${outstanding}" value="${outstanding}"
+                                               ${outstanding === 0 ? 'disabled' : ''}>
+                                        ${product && product.serialTracked && outstanding > 0 ? `
+                                            <textarea class="serial-input" id="receive-serials-${line.productId}" rows="2"
+                                                      placeholder="Serial numbers, one per line"></textarea>` : ''}
+                                    </td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <button class="btn" onclick="postReceipt(${order.id})" style="margin-top: 15px;">✅ Post Receipt</button>
+            <button class="btn" onclick="printPutAwayList(${order.id})" style="margin-top: 15px;">📋 Put-away List</button>
+        </div>
+    `;
+    container.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Hide the receiving screen
+function closeReceivingForm() {
+    const container = document.getElementById('po-receiving');
+    if (container) container.innerHTML = '';
+}
+
+// Print the goods being received sorted by bin, so they are shelved in one walk
+function printPutAwayList(orderId) {
+    const order = window.purchasingManager.getPurchaseOrder(orderId);
+    if (!order) return;
+
+    try {
+        const pickList = window.inventoryManager.getPickList(
+            order.lines.map(line => {
+                const input = document.getElementById(`receive-qty-${line.productId}`);
+                return { productId: line.productId, quantity: input && !input.disabled ? parseFloat(input.value) || 0 : 0 };
+            }),
+            { title: `Put-away List - PO #${order.id} ${order.supplierName}`, location: window.inventoryManager.locationSettings.receivingLocation }
+        );
+        window.uiController.printDocument(PickList.renderPrintDocument(pickList));
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Post the quantities entered on the receiving screen into stock
+async function postReceipt(orderId) {
+    const order = window.purchasingManager.getPurchaseOrder(orderId);
+    if (!order) return;
+
+    const quantities = {};
+    const serials = {};
+    order.lines.forEach(line => {
+        const input = document.getElementById(`receive-qty-${line.productId}`);
+        if (input && !input.disabled) {
+            quantities[line.productId] = parseFloat(input.value) || 0;
+        }
+        const serialInput = document.getElementById(`receive-serials-${line.productId}`);
+        if (serialInput) {
+            serials[line.productId] = serialInput.value;
+        }
+    });
+
+    try {
+        const updated = await window.purchasingManager.receivePurchaseOrder(orderId, quantities, serials);
+        closeReceivingForm();
+        window.uiController.showAlert(
+            `PO #${updated.id} ${updated.status === 'received' ? 'fully received' : 'partially received'}`,
+            'success'
+        );
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+
+    renderPurchaseOrders();
+    window.uiController.updateDashboard();
+}
+
+// Cancel a purchase order after confirmation
+async function confirmCancelPurchaseOrder(orderId) {
+    if (!confirm(`Cancel purchase order #${orderId}?`)) return;
+
+    try {
+        await window.purchasingManager.cancelPurchaseOrder(orderId);
+        closeReceivingForm();
+        renderPurchaseOrders();
+        window.uiController.updateDashboard();
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Setup purchasing forms when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    const supplierForm = document.getElementById('supplier-form');
+    if (supplierForm) {
+        supplierForm.addEventListener('submit', handleSupplierSubmit);
+    }
+
+    const supplierReset = document.getElementById('supplier-form-reset');
+    if (supplierReset) {
+        supplierReset.addEventListener('click', resetSupplierForm);
+    }
+
+    const lineForm = document.getElementById('po-line-form');
+    if (lineForm) {
+        lineForm.addEventListener('submit', handleAddPurchaseOrderLine);
+    }
+
+    const createButton = document.getElementById('create-po-btn');
+    if (createButton) {
+        createButton.addEventListener('click', handleCreatePurchaseOrder);
+    }
+});
+
+// Make functions globally available
+window.renderPurchasingSection = renderPurchasingSection;
+window.editSupplier = editSupplier;
+window.removePurchaseOrderLine = removePurchaseOrderLine;
+window.showReceivingForm = showReceivingForm;
+window.closeReceivingForm = closeReceivingForm;
+window.postReceipt = postReceipt;
+window.printPutAwayList = printPutAwayList;
+window.confirmCancelPurchaseOrder = confirmCancelPurchaseOrder;
+
+console.log('✅ Purchasing functionality loaded');
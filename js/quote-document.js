@@ -0,0 +1,159 @@
+/**
+ * Quote Document Module
+ * Works out how long a price quote (cotización) is good for, compares a
+ * quote with today's prices and stock, and lays it out for printing
+ */
+
+// Lifecycle of a quote; an open quote past its date is expired, not a status
+const QUOTE_STATUS = Object.freeze({
+    OPEN: 'open',
+    CONVERTED: 'converted',
+    CANCELLED: 'cancelled'
+});
+
+// Days a quote is good for when no date is given
+const DEFAULT_QUOTE_VALIDITY_DAYS = 15;
+
+class QuoteDocument {
+    /**
+     * Check the date a quote is good until, or work it out from today
+     * @param {string|null} value - Date (YYYY-MM-DD); empty means the default validity
+     * @param {Date} today - Reference date
+     * @returns {string} Date (YYYY-MM-DD)
+     * @throws {Error} If the date is invalid or already past
+     */
+    static getValidUntil(value, today = new Date()) {
+        const dateKey = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        if (!value) {
+            return dateKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() + DEFAULT_QUOTE_VALIDITY_DAYS));
+        }
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(`${value}T00:00:00`))) {
+            throw new Error('Fecha de validez inválida');
+        }
+        if (value < dateKey(today)) {
+            throw new Error('La fecha de validez no puede ser anterior a hoy');
+        }
+        return value;
+    }
+
+    /**
+     * Check whether an open quote is past the date it was good until
+     * @param {Object} quote - Quote
+     * @param {Date} today - Reference date
+     * @returns {boolean}
+     */
+    static isExpired(quote, today = new Date()) {
+        return quote.status === QUOTE_STATUS.OPEN && new Date(`${quote.validUntil}T23:59:59.999`) < today;
+    }
+
+    /**
+     * Format a quote number for display
+     * @param {Object} quote - Quote
+     * @returns {string} Zero-padded number with a Q prefix
+     */
+    static formatQuoteNumber(quote) {
+        return 'Q' + String(quote.quoteNumber || quote.id).padStart(6, '0');
+    }
+
+    /**
+     * Compare a quoted line with the same line priced today
+     * @param {Object} quoted - Line as quoted
+     * @param {Object|null} current - Line priced today, or null if the product is gone
+     * @param {number} available - Stock that can be sold now, in base units
+     * @returns {Object} { quoted, current, priceChanged, shortage, missing }
+     */
+    static compareLine(quoted, current, available) {
+        if (!current) {
+            return { quoted, current: null, priceChanged: false, shortage: quoted.quantity, missing: true };
+        }
+
+        return {
+            quoted,
+            current,
+            priceChanged: TaxCalculator.round(current.total) !== TaxCalculator.round(quoted.total),
+            shortage: Math.max(0, UnitConverter.round(current.quantity - available)),
+            missing: false
+        };
+    }
+
+    /**
+     * Lay out a quote as an HTML document body
+     * @param {Object} quote - Quote
+     * @param {Object} settings - Receipt settings (store name, address, phone, tax ID)
+     * @returns {string} HTML
+     */
+    static renderHTML(quote, settings) {
+        const escape = text => ReceiptPrinter.escapeHTML(text);
+        const money = amount => `$${(amount || 0).toFixed(2)}`;
+
+        return `
+            <div class="quote-document">
+                <h2>${escape(settings.storeName)}</h2>
+                <p>
+                    ${[settings.address, settings.phone ? 'Tel: ' + settings.phone : '', settings.taxId ? 'Tax ID: ' + settings.taxId : '']
+                        .filter(Boolean).map(escape).join(' · ')}
+                </p>
+                <h3>Quote ${this.formatQuoteNumber(quote)}</h3>
+                <p>
+                    Date: ${new Date(quote.date).toLocaleDateString()} ·
+                    Valid until: ${new Date(`${quote.validUntil}T00:00:00`).toLocaleDateString()} ·
+                    Prepared by: ${escape(quote.user || '-')}
+                    ${quote.customerName ? `<br>Customer: ${escape(quote.customerName)}` : ''}
+                </p>
+                <table>
+                    <thead>
+                        <tr><th>SKU</th><th>Product</th><th>Qty</th><th>Unit Price</th><th>Discount</th><th>Tax</th><th>Total</th></tr>
+                    </thead>
+                    <tbody>
+                        ${quote.lines.map(line => `
+                            <tr>
+                                <td>${escape(line.sku)}</td>
+                                <td>${escape(line.name)}</td>
+                                <td>${line.unitQuantity}${line.unit && line.unit !== DEFAULT_BASE_UNIT ? ' ' + escape(line.unit) : ''}</td>
+                                <td>${money(line.unitListPrice)}</td>
+                                <td>${line.discountAmount ? '-' + money(line.discountAmount) : ''}</td>
+                                <td>${line.taxRate}%</td>
+                                <td>${money(line.total)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <p class="quote-totals">
+                    ${quote.discountAmount > 0 ? `Discounts: -${money(quote.discountAmount)}<br>` : ''}
+                    Subtotal: ${money(quote.subtotal)}<br>
+                    Tax: ${money(quote.tax)}<br>
+                    <strong>Total: ${money(quote.total)}</strong>
+                    ${quote.pricesIncludeTax ? '<br><small>Prices include tax</small>' : ''}
+                </p>
+                ${quote.note ? `<p>${escape(quote.note)}</p>` : ''}
+                <p><small>Prices and availability are confirmed when the order is placed. This quote does not reserve stock.</small></p>
+            </div>
+        `;
+    }
+
+    /**
+     * Build a standalone HTML document for printing a quote on plain paper
+     * @param {Object} quote - Quote
+     * @param {Object} settings - Receipt settings
+     * @returns {string} HTML document
+     */
+    static renderPrintDocument(quote, settings) {
+        return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>Quote ${this.formatQuoteNumber(quote)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 15mm; color: #000; }
+        h2, h3 { margin: 0 0 4px; }
+        p { margin: 0 0 12px; }
+        table { width: 100%; border-collapse: collapse; margin-bottom: 12px; }
+        th, td { border: 1px solid #000; padding: 6px 8px; text-align: left; }
+        .quote-totals { text-align: right; }
+    </style>
+</head>
+<body>${this.renderHTML(quote, settings)}</body>
+</html>`;
+    }
+}
@@ -0,0 +1,201 @@
+/**
+ * Quote Manager Module
+ * Handles price quotes (cotizaciones): building them from the catalog with
+ * the same pricing as a sale, and turning them into a sale later with
+ * today's prices and stock. A quote never holds or takes out stock.
+ */
+class QuoteManager {
+    constructor(database, inventoryManager) {
+        this.db = database;
+        this.inventoryManager = inventoryManager;
+        this.quotes = [];
+    }
+
+    /**
+     * Initialize quote manager and load data
+     */
+    async init() {
+        try {
+            await this.loadFromDB();
+
+            // A ticket that converts a quote closes it
+            ['ticketCompleted', 'dataImported'].forEach(event => {
+                this.inventoryManager.on(event, () => {
+                    this.loadFromDB().catch(error => {
+                        console.error('Error reloading quotes:', error);
+                    });
+                });
+            });
+
+            console.log('Quote manager initialized with', this.quotes.length, 'quotes');
+
+        } catch (error) {
+            console.error('Error initializing quote manager:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load quotes from database
+     */
+    async loadFromDB() {
+        this.quotes = await this.db.getAllQuotes();
+    }
+
+    /**
+     * Save a quote for cart lines. Lines are priced and discounts checked
+     * exactly as at checkout; stock is neither checked nor held.
+     * @param {Array} lines - Cart lines ({ productId, quantity, unit, discount, priceOverride })
+     * @param {Object|null} ticketDiscount - Discount on the whole quote
+     * @param {Object} options - customer (account { id } or a name), validUntil (YYYY-MM-DD) and note
+     * @returns {Promise<Object>} Saved quote
+     */
+    async createQuote(lines, ticketDiscount = null, options = {}) {
+        try {
+            if (!lines || lines.length === 0) {
+                throw new Error('La cotización no tiene productos');
+            }
+
+            const validUntil = QuoteDocument.getValidUntil(options.validUntil);
+            // Units are named when the sale is made, not when it is quoted
+            const items = lines.map(line => {
+                const { serials, ...item } = line;
+                return item;
+            });
+            const quoteLines = this.inventoryManager.priceLines(items, ticketDiscount, false);
+            this.inventoryManager.authorizeDiscounts(quoteLines);
+            const totals = TaxCalculator.sumLines(quoteLines);
+
+            const account = options.customer && typeof options.customer === 'object' ? options.customer : null;
+            const customerName = account ? account.name : String(options.customer || '').trim();
+
+            const quote = {
+                date: new Date().toISOString(),
+                user: this.inventoryManager.getCurrentUser(),
+                validUntil,
+                status: QUOTE_STATUS.OPEN,
+                customerId: account ? account.id : null,
+                customerName: customerName || null,
+                items,
+                ticketDiscount: ticketDiscount ? { ...ticketDiscount } : null,
+                lines: quoteLines,
+                pricesIncludeTax: this.inventoryManager.taxSettings.pricesIncludeTax,
+                discountAmount: TaxCalculator.round(quoteLines.reduce((sum, line) => sum + line.discountAmount, 0)),
+                subtotal: totals.subtotal,
+                tax: totals.tax,
+                total: totals.total,
+                note: String(options.note || '').trim()
+            };
+
+            // Quote numbers have their own counter, like ticket numbers
+            await this.db.runTransaction(['quotes', 'settings'], async (tx) => {
+                const counter = await tx.get('settings', 'lastQuoteNumber');
+                quote.quoteNumber = (counter ? counter.value : 0) + 1;
+                await tx.put('settings', { key: 'lastQuoteNumber', value: quote.quoteNumber });
+                quote.id = await tx.add('quotes', quote);
+            });
+
+            this.quotes.push(quote);
+            this.inventoryManager.emit('quoteSaved', { quote });
+            console.log('Quote saved:', quote.quoteNumber, 'total:', quote.total);
+
+            return quote;
+
+        } catch (error) {
+            console.error('Error saving quote:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all quotes, newest first
+     * @returns {Array} Quotes
+     */
+    getQuotes() {
+        return [...this.quotes].sort((a, b) => b.id - a.id);
+    }
+
+    /**
+     * Get a quote by ID
+     * @param {number} quoteId - Quote ID
+     * @returns {Object|null} Quote
+     */
+    getQuote(quoteId) {
+        return this.quotes.find(q => q.id === quoteId) || null;
+    }
+
+    /**
+     * Re-price an open quote with today's prices and check today's stock
+     * before it is turned into a sale
+     * @param {number} quoteId - Quote ID
+     * @returns {Object} { quote, lines (see QuoteDocument.compareLine), total, changed }
+     */
+    prepareConversion(quoteId) {
+        const quote = this.getQuote(quoteId);
+        if (!quote) {
+            throw new Error('Cotización no encontrada');
+        }
+        if (quote.status !== QUOTE_STATUS.OPEN) {
+            throw new Error(`La cotización ${QuoteDocument.formatQuoteNumber(quote)} ya no está abierta`);
+        }
+        if (QuoteDocument.isExpired(quote)) {
+            throw new Error(`La cotización ${QuoteDocument.formatQuoteNumber(quote)} venció el ${quote.validUntil}`);
+        }
+
+        const products = this.inventoryManager.getAllProducts();
+        const items = quote.items.filter(item => products.some(p => p.id === item.productId));
+        const priced = items.length > 0 ? this.inventoryManager.priceLines(items, quote.ticketDiscount, false) : [];
+        const saleLocation = this.inventoryManager.locationSettings.saleLocation;
+
+        // Lines are matched by position: the same product can be quoted twice, e.g. in different units
+        let next = 0;
+        const pricedByIndex = quote.items.map(item => items.includes(item) ? priced[next++] : null);
+
+        const lines = quote.lines.map((quoted, index) => {
+            const current = pricedByIndex[index] || null;
+            const product = products.find(p => p.id === quoted.productId);
+            const available = product ? this.inventoryManager.getAvailableQuantity(product, saleLocation) : 0;
+            return { item: quote.items[index], ...QuoteDocument.compareLine(quoted, current, available) };
+        });
+
+        const total = TaxCalculator.sumLines(priced).total;
+        return {
+            quote,
+            lines,
+            total,
+            changed: total !== quote.total || lines.some(line => line.priceChanged || line.shortage > 0 || line.missing)
+        };
+    }
+
+    /**
+     * Cancel an open quote
+     * @param {number} quoteId - Quote ID
+     * @returns {Promise<Object>} Cancelled quote
+     */
+    async cancelQuote(quoteId) {
+        try {
+            const quote = this.getQuote(quoteId);
+            if (!quote) {
+                throw new Error('Cotización no encontrada');
+            }
+            if (quote.status !== QUOTE_STATUS.OPEN) {
+                throw new Error(`La cotización ${QuoteDocument.formatQuoteNumber(quote)} ya no está abierta`);
+            }
+
+            const cancelled = {
+                ...quote,
+                status: QUOTE_STATUS.CANCELLED,
+                cancelledBy: this.inventoryManager.getCurrentUser(),
+                cancelledAt: new Date().toISOString()
+            };
+            await this.db.updateQuote(cancelled);
+            this.quotes = this.quotes.map(q => q.id === cancelled.id ? cancelled : q);
+
+            return cancelled;
+
+        } catch (error) {
+            console.error('Error cancelling quote:', error);
+            throw error;
+        }
+    }
+}
@@ -0,0 +1,222 @@
+/**
+ * Quotes Functionality
+ * Handles the quotes screen: listing, printing, cancelling and turning a
+ * quote into a sale after checking today's prices and stock
+ */
+
+// Quote being checked before it is turned into a sale
+let activeQuoteConversion = null;
+
+// Render the whole quotes section
+function renderQuotesSection() {
+    if (!window.quoteManager) return;
+
+    renderQuotesList();
+    renderQuoteConversion();
+}
+
+// Render the quote list, filtered by status
+function renderQuotesList() {
+    const container = document.getElementById('quotes-list');
+    if (!container) return;
+
+    const filter = document.getElementById('quote-status-filter');
+    const status = filter ? filter.value : '';
+    const quotes = window.quoteManager.getQuotes().filter(quote => !status ||
+        (status === 'expired' ? QuoteDocument.isExpired(quote) :
+            quote.status === status && !(status === QUOTE_STATUS.OPEN && QuoteDocument.isExpired(quote))));
+
+    if (quotes.length === 0) {
+        container.innerHTML = '<p style="color: #7f8c8d;">No quotes</p>';
+        return;
+    }
+
+    const statusLabel = quote => {
+        if (QuoteDocument.isExpired(quote)) return '⌛ Expired';
+        if (quote.status === QUOTE_STATUS.CONVERTED) return `✅ Sold (ticket #${String(quote.ticketNumber).padStart(6, '0')})`;
+        if (quote.status === QUOTE_STATUS.CANCELLED) return '⛔ Cancelled';
+        return '🟢 Open';
+    };
+
+    container.innerHTML = `
+        <div class="table-container">
+            <table class="inventory-table">
+                <thead>
+                    <tr>
+                        <th>🔖 Quote</th>
+                        <th>📅 Date</th>
+                        <th>⏳ Valid Until</th>
+                        <th>👤 Customer</th>
+                        <th>💵 Total</th>
+                        <th>🚦 Status</th>
+                        <th>⚙️ Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${quotes.map(quote => {
+                        const canConvert = quote.status === QUOTE_STATUS.OPEN && !QuoteDocument.isExpired(quote);
+                        return `
+                            <tr>
+                                <td>${QuoteDocument.formatQuoteNumber(quote)}</td>
+                                <td>${new Date(quote.date).toLocaleDateString()}</td>
+                                <td>${new Date(`${quote.validUntil}T00:00:00`).toLocaleDateString()}</td>
+                                <td>${quote.customerName || '-'}</td>
+                                <td>$${quote.total.toFixed(2)}</td>
+                                <td>${statusLabel(quote)}</td>
+                                <td class="action-buttons">
+                                    <button class="btn" onclick="printQuote(${quote.id})" title="Print">🖨️</button>
+                                    ${canConvert ? `<button class="btn" onclick="checkQuoteConversion(${quote.id})" title="Convert to sale">🛒</button>` : ''}
+                                    ${quote.status === QUOTE_STATUS.OPEN ? `<button class="btn btn-danger" onclick="confirmCancelQuote(${quote.id})" title="Cancel">⛔</button>` : ''}
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Show how a quote compares with today's prices and stock
+function renderQuoteConversion() {
+    const container = document.getElementById('quote-conversion');
+    if (!container) return;
+
+    if (!activeQuoteConversion) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const { quote, lines, total, changed } = activeQuoteConversion;
+    const money = amount => `$${amount.toFixed(2)}`;
+
+    container.innerHTML = `
+        <div class="receiving-box">
+            <div class="section-header">
+                <h3>🛒 Convert Quote ${QuoteDocument.formatQuoteNumber(quote)}</h3>
+                <button class="btn btn-danger" onclick="closeQuoteConversion()">✖ Close</button>
+            </div>
+            ${changed ?
+                '<div class="alert alert-warning">⚠️ Prices or stock changed since this quote. Lines marked below will be sold at today\'s price or cut to the stock available.</div>' :
+                '<div class="alert alert-success">✅ Prices and stock are unchanged</div>'}
+            <div class="table-container">
+                <table class="inventory-table">
+                    <thead>
+                        <tr>
+                            <th>🏷️ SKU</th>
+                            <th>📝 Name</th>
+                            <th>📦 Quantity</th>
+                            <th>📄 Quoted</th>
+                            <th>💰 Today</th>
+                            <th>🚩 Changes</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${lines.map(line => {
+                            const flags = [];
+                            if (line.missing) flags.push('❌ No longer sold');
+                            if (line.priceChanged) flags.push(`💲 Price ${line.current.total > line.quoted.total ? 'up' : 'down'}`);
+                            if (!line.missing && line.shortage > 0) flags.push(`📉 Short by ${line.shortage}`);
+                            return `
+                                <tr${flags.length > 0 ? ' style="background: #fff3cd;"' : ''}>
+                                    <td>${line.quoted.sku}</td>
+                                    <td>${line.quoted.name}</td>
+                                    <td>${line.quoted.unitQuantity} ${line.quoted.unit}</td>
+                                    <td>${money(line.quoted.total)}</td>
+                                    <td>${line.current ? money(line.current.total) : '-'}</td>
+                                    <td>${flags.join('<br>') || '✅'}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p style="margin-top: 15px;">
+                <strong>Quoted total:</strong> ${money(quote.total)} ·
+                <strong>Total today:</strong> ${money(total)}
+                ${total !== quote.total ? `(${total > quote.total ? '+' : '-'}${money(Math.abs(total - quote.total))})` : ''}
+            </p>
+            <button class="btn" onclick="convertQuoteToSale(${quote.id})">🛒 Load into Cart and Sell</button>
+        </div>
+    `;
+}
+
+// Re-price a quote and show what changed
+function checkQuoteConversion(quoteId) {
+    try {
+        activeQuoteConversion = window.quoteManager.prepareConversion(quoteId);
+        renderQuoteConversion();
+
+        const container = document.getElementById('quote-conversion');
+        if (container) container.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Hide the conversion check
+function closeQuoteConversion() {
+    activeQuoteConversion = null;
+    renderQuoteConversion();
+}
+
+// Put a checked quote in the cart and go to the sell screen to take payment
+async function convertQuoteToSale(quoteId) {
+    try {
+        // Checked again in case prices or stock moved while it was on screen
+        const conversion = window.quoteManager.prepareConversion(quoteId);
+        if (!(await window.uiController.loadQuoteIntoCart(conversion))) return;
+
+        activeQuoteConversion = null;
+        showSection('sell');
+        window.uiController.showAlert(
+            `Quote ${QuoteDocument.formatQuoteNumber(conversion.quote)} loaded into the cart` +
+            (conversion.changed ? ' with today\'s prices and stock' : ''),
+            conversion.changed ? 'warning' : 'success'
+        );
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Print a quote on plain paper
+function printQuote(quoteId) {
+    const quote = window.quoteManager.getQuote(quoteId);
+    if (!quote) return;
+
+    window.uiController.printDocument(QuoteDocument.renderPrintDocument(quote, window.inventoryManager.receiptSettings));
+}
+
+// Cancel a quote after confirmation
+async function confirmCancelQuote(quoteId) {
+    const quote = window.quoteManager.getQuote(quoteId);
+    if (!quote || !confirm(`Cancel quote ${QuoteDocument.formatQuoteNumber(quote)}?`)) return;
+
+    try {
+        await window.quoteManager.cancelQuote(quoteId);
+        if (activeQuoteConversion && activeQuoteConversion.quote.id === quoteId) {
+            activeQuoteConversion = null;
+        }
+        renderQuotesSection();
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Setup the quote filter when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    const statusFilter = document.getElementById('quote-status-filter');
+    if (statusFilter) {
+        statusFilter.addEventListener('change', renderQuotesList);
+    }
+});
+
+// Make functions globally available
+window.renderQuotesSection = renderQuotesSection;
+window.checkQuoteConversion = checkQuoteConversion;
+window.closeQuoteConversion = closeQuoteConversion;
+window.convertQuoteToSale = convertQuoteToSale;
+window.printQuote = printQuote;
+window.confirmCancelQuote = confirmCancelQuote;
+
+console.log('✅ Quotes functionality loaded');
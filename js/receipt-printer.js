@@ -0,0 +1,311 @@
+/**
+ * Receipt Printer Module
+ * Lays out ticket receipts for thermal printers as printable HTML or
+ * ESC/POS commands
+ */
+
+// Receipt header and footer used until the store saves its own
+const DEFAULT_RECEIPT_SETTINGS = Object.freeze({
+    storeName: 'Stockpile',
+    address: '',
+    phone: '',
+    taxId: '',
+    footer: 'Thank you for your purchase!',
+    paperWidth: '80'
+});
+
+// Thermal paper widths: printable width and characters per line in the default font
+const PAPER_WIDTHS = Object.freeze({
+    '58': { label: '58 mm', printableMm: 48, columns: 32 },
+    '80': { label: '80 mm', printableMm: 72, columns: 48 }
+});
+
+// ESC/POS command bytes
+const ESC_POS = Object.freeze({
+    INIT: [0x1B, 0x40],
+    ALIGN_LEFT: [0x1B, 0x61, 0x00],
+    ALIGN_CENTER: [0x1B, 0x61, 0x01],
+    BOLD_ON: [0x1B, 0x45, 0x01],
+    BOLD_OFF: [0x1B, 0x45, 0x00],
+    DOUBLE_ON: [0x1D, 0x21, 0x11],
+    DOUBLE_OFF: [0x1D, 0x21, 0x00],
+    FEED: [0x1B, 0x64, 0x04],
+    CUT: [0x1D, 0x56, 0x42, 0x00]
+});
+
+class ReceiptPrinter {
+    /**
+     * Merge saved settings with the defaults
+     * @param {Object} settings - Settings to normalize
+     * @returns {Object} Complete receipt settings
+     */
+    static normalizeSettings(settings = {}) {
+        const normalized = { ...DEFAULT_RECEIPT_SETTINGS };
+
+        ['storeName', 'address', 'phone', 'taxId', 'footer'].forEach(field => {
+            if (settings[field] !== undefined && settings[field] !== null) {
+                normalized[field] = String(settings[field]).trim();
+            }
+        });
+
+        if (settings.paperWidth !== undefined) {
+            normalized.paperWidth = String(settings.paperWidth);
+        }
+        if (!PAPER_WIDTHS[normalized.paperWidth]) {
+            throw new Error('Ancho de papel inválido');
+        }
+        if (!normalized.storeName) {
+            throw new Error('El nombre de la tienda es obligatorio');
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Format the number printed on a ticket. Tickets saved before numbering
+     * fall back to their ID.
+     * @param {Object} ticket - Ticket
+     * @returns {string} Ticket number
+     */
+    static formatTicketNumber(ticket) {
+        return String(ticket.ticketNumber || ticket.id).padStart(6, '0');
+    }
+
+    /**
+     * Put text at the left and right edges of a line
+     * @param {string} left - Left text
+     * @param {string} right - Right text
+     * @param {number} columns - Characters per line
+     * @returns {string} Line
+     */
+    static justify(left, right, columns) {
+        const space = columns - left.length - right.length;
+        if (space >= 1) {
+            return left + ' '.repeat(space) + right;
+        }
+        return left.slice(0, Math.max(columns - right.length - 1, 0)) + ' ' + right;
+    }
+
+    /**
+     * Break text into lines no longer than the paper allows
+     * @param {string} text - Text to wrap
+     * @param {number} columns - Characters per line
+     * @returns {Array<string>} Lines
+     */
+    static wrap(text, columns) {
+        const lines = [];
+        let current = '';
+
+        String(text).split(/\s+/).filter(Boolean).forEach(word => {
+            while (word.length > columns) {
+                if (current) {
+                    lines.push(current);
+                    current = '';
+                }
+                lines.push(word.slice(0, columns));
+                word = word.slice(columns);
+            }
+            if (!current) {
+                current = word;
+            } else if (current.length + 1 + word.length <= columns) {
+                current += ' ' + word;
+            } else {
+                lines.push(current);
+                current = word;
+            }
+        });
+
+        if (current) lines.push(current);
+        return lines;
+    }
+
+    /**
+     * Lay out a ticket as receipt lines shared by the HTML and ESC/POS output
+     * @param {Object} ticket - Ticket
+     * @param {Object} settings - Receipt settings
+     * @param {Object} options - { reprint }
+     * @returns {Array} Lines ({ text, align, bold, double })
+     */
+    static layout(ticket, settings, options = {}) {
+        const columns = PAPER_WIDTHS[settings.paperWidth].columns;
+        const money = (amount) => `$${(amount || 0).toFixed(2)}`;
+        const lines = [];
+        const add = (text, style = {}) => lines.push({ text, align: 'left', bold: false, double: false, ...style });
+        // Double-size text takes two columns per character
+        const center = (text, style = {}) => this.wrap(text, style.double ? Math.floor(columns / 2) : columns)
+            .forEach(part => add(part, { align: 'center', ...style }));
+        const rule = () => add('-'.repeat(columns));
+
+        // Store header
+        center(settings.storeName, { bold: true, double: true });
+        if (settings.address) center(settings.address);
+        if (settings.phone) center(`Tel: ${settings.phone}`);
+        if (settings.taxId) center(`Tax ID: ${settings.taxId}`);
+        add('');
+
+        if (options.reprint) {
+            center('*** REPRINT ***', { bold: true });
+        }
+        add(this.justify(`Ticket #${this.formatTicketNumber(ticket)}`, new Date(ticket.date).toLocaleDateString(), columns), { bold: true });
+        add(this.justify(`Cashier: ${ticket.user || '-'}`, new Date(ticket.date).toLocaleTimeString(), columns));
+        if (ticket.customerName) {
+            this.wrap(`Customer: ${ticket.customerName}`, columns).forEach(part => add(part));
+        }
+        rule();
+
+        // Line items, in the unit they were sold in
+        ticket.lines.forEach(line => {
+            const listPrice = line.unitListPrice !== undefined ? line.unitListPrice :
+                (line.listPrice !== undefined ? line.listPrice : line.unitPrice);
+            const quantity = line.unitQuantity !== undefined ? line.unitQuantity : line.quantity;
+            const unit = line.unit && line.unit !== DEFAULT_BASE_UNIT ? ` ${line.unit}` : '';
+            this.wrap(`${line.sku} ${line.name}`, columns).forEach(part => add(part));
+            add(this.justify(`  ${quantity}${unit} x ${money(listPrice)}`, money(listPrice * quantity), columns));
+            if (line.serials && line.serials.length > 0) {
+                this.wrap(`S/N: ${line.serials.join(', ')}`, columns - 2).forEach(part => add(`  ${part}`));
+            }
+            (line.discounts || []).forEach(discount => {
+                add(this.justify(`  ${discount.reason || 'Discount'}`.slice(0, columns - 12), `-${money(discount.amount)}`, columns));
+            });
+        });
+        rule();
+
+        // Totals
+        const subtotal = ticket.subtotal !== undefined ? ticket.subtotal : ticket.total;
+        if (ticket.discountAmount > 0) {
+            add(this.justify('Discounts', `-${money(ticket.discountAmount)}`, columns));
+        }
+        add(this.justify('Subtotal', money(subtotal), columns));
+
+        const taxByRate = {};
+        ticket.lines.forEach(line => {
+            if (typeof line.taxRate !== 'number') return;
+            taxByRate[line.taxRate] = (taxByRate[line.taxRate] || 0) + (line.tax || 0);
+        });
+        Object.keys(taxByRate).sort((a, b) => b - a).forEach(rate => {
+            add(this.justify(`Tax ${rate}%`, money(taxByRate[rate]), columns));
+        });
+        add(this.justify('TOTAL', money(ticket.total), columns), { bold: true });
+        if (ticket.pricesIncludeTax) {
+            add('Prices include tax');
+        }
+        rule();
+
+        // Payment
+        (ticket.payments || []).forEach(payment => {
+            const label = PaymentCalculator.getLabel(payment.method).replace(/^\S+\s/, '');
+            add(this.justify(payment.reference ? `${label} (${payment.reference})` : label, money(payment.amount), columns));
+        });
+        if (ticket.changeDue > 0) {
+            add(this.justify('Change', money(ticket.changeDue), columns), { bold: true });
+        }
+        if (ticket.accountBalance !== undefined) {
+            add(this.justify('Account balance', money(ticket.accountBalance), columns));
+        }
+        add(`Items: ${ticket.itemCount || ticket.lines.reduce((sum, line) => sum + (line.unitQuantity || line.quantity), 0)}`);
+
+        if (settings.footer) {
+            add('');
+            center(settings.footer);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Escape text for HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    static escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Render the receipt body as HTML sized for the paper width
+     * @param {Object} ticket - Ticket
+     * @param {Object} settings - Receipt settings
+     * @param {Object} options - { reprint }
+     * @returns {string} HTML
+     */
+    static renderHTML(ticket, settings, options = {}) {
+        const lines = this.layout(ticket, settings, options);
+
+        return `
+            <div class="receipt-paper receipt-${settings.paperWidth}">
+                ${lines.map(line => `<div class="receipt-line${line.align === 'center' ? ' receipt-center' : ''}${line.bold ? ' receipt-bold' : ''}${line.double ? ' receipt-double' : ''}">${this.escapeHTML(line.text) || '&nbsp;'}</div>`).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a complete HTML document that prints the receipt on thermal paper
+     * @param {Object} ticket - Ticket
+     * @param {Object} settings - Receipt settings
+     * @param {Object} options - { reprint }
+     * @returns {string} HTML document
+     */
+    static renderPrintDocument(ticket, settings, options = {}) {
+        const paper = PAPER_WIDTHS[settings.paperWidth];
+        const fontMm = (paper.printableMm / paper.columns / 0.6).toFixed(2);
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>Ticket #${this.formatTicketNumber(ticket)}</title>
+    <style>
+        @page { size: ${settings.paperWidth}mm auto; margin: 0; }
+        body { margin: 0; padding: 0; }
+        .receipt-paper { width: ${paper.printableMm}mm; margin: 0 auto; padding: 4mm 0; font-family: 'Courier New', monospace; font-size: ${fontMm}mm; line-height: 1.25; color: #000; }
+        .receipt-line { white-space: pre; overflow: hidden; }
+        .receipt-center { text-align: center; }
+        .receipt-bold { font-weight: bold; }
+        .receipt-double { font-size: 2em; }
+    </style>
+</head>
+<body>${this.renderHTML(ticket, settings, options)}</body>
+</html>`;
+    }
+
+    /**
+     * Convert text to the plain ASCII most thermal printers accept in
+     * their default code page
+     * @param {string} text - Text
+     * @returns {Array<number>} Bytes
+     */
+    static encodeText(text) {
+        const plain = String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        return Array.from(plain).map(char => {
+            const code = char.charCodeAt(0);
+            return code >= 0x20 && code < 0x7F ? code : 0x3F;
+        });
+    }
+
+    /**
+     * Build the ESC/POS commands that print the receipt and cut the paper
+     * @param {Object} ticket - Ticket
+     * @param {Object} settings - Receipt settings
+     * @param {Object} options - { reprint }
+     * @returns {Uint8Array} Printer bytes
+     */
+    static toEscPos(ticket, settings, options = {}) {
+        const bytes = [...ESC_POS.INIT];
+
+        this.layout(ticket, settings, options).forEach(line => {
+            bytes.push(...(line.align === 'center' ? ESC_POS.ALIGN_CENTER : ESC_POS.ALIGN_LEFT));
+            if (line.bold) bytes.push(...ESC_POS.BOLD_ON);
+            if (line.double) bytes.push(...ESC_POS.DOUBLE_ON);
+            bytes.push(...this.encodeText(line.text), 0x0A);
+            if (line.double) bytes.push(...ESC_POS.DOUBLE_OFF);
+            if (line.bold) bytes.push(...ESC_POS.BOLD_OFF);
+        });
+
+        bytes.push(...ESC_POS.FEED, ...ESC_POS.CUT);
+        return new Uint8Array(bytes);
+    }
+}
@@ -22,73 +22,867 @@ function generateInventoryReport() {
     reportContent.innerHTML = `
         <div style="background: white; padding: 25px; border-radius: 15px; border: 2px solid #27ae60;">
             <h3 style="color: #27ae60; margin-bottom: 20px;">📊 Complete Inventory Report</h3>
+            <div class="form-group">
+                <label for="valuation-method">🧮 Valuation Method</label>
+                <select id="valuation-method" onchange="changeValuationMethod(this.value)">
+                    ${Object.values(VALUATION_METHODS).map(method => `
+                        <option value="${method}" ${method === stats.valuationMethod ? 'selected' : ''}>${StockValuation.getLabel(method)}</option>`
+                    ).join('')}
+                </select>
+            </div>
             <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin-bottom: 20px;">
                 <div style="text-align: center; padding: 15px; background: #f8f9fa; border-radius: 10px;">
                     <div style="font-size: 2rem; font-weight: bold; color: #27ae60;">${stats.totalProducts}</div>
                     <div>Total Products</div>
                 </div>
                 <div style="text-align: center; padding: 15px; background: #f8f9fa; border-radius: 10px;">
-                    <div style="font-size: 2rem; font-weight: bold; color: #e67e22;">$${stats.totalValue.toFixed(2)}</div>
-                    <div>Total Value</div>
+                    <div style="font-size: 2rem; font-weight: bold; color: #e67e22;">$${stats.totalCostValue.toFixed(2)}</div>
+                    <div>Value at Cost</div>
+                </div>
+                <div style="text-align: center; padding: 15px; background: #f8f9fa; border-radius: 10px;">
+                    <div style="font-size: 2rem; font-weight: bold; color: #8e44ad;">$${stats.totalValue.toFixed(2)}</div>
+                    <div>Value at Retail</div>
                 </div>
                 <div style="text-align: center; padding: 15px; background: #f8f9fa; border-radius: 10px;">
                     <div style="font-size: 2rem; font-weight: bold; color: #3498db;">${stats.categoriesCount}</div>
                     <div>Categories</div>
                 </div>
             </div>
+            <h4 style="margin: 20px 0 10px;">🗂️ Value by Category</h4>
+            <table class="inventory-table">
+                <thead><tr><th>Category</th><th>Products</th><th>At Cost</th><th>At Retail</th><th>Potential Margin</th></tr></thead>
+                <tbody>
+                    ${stats.categoryBreakdown.map(entry => `
+                        <tr>
+                            <td>${entry.name}</td>
+                            <td>${entry.count}</td>
+                            <td>$${entry.costValue.toFixed(2)}</td>
+                            <td>$${entry.value.toFixed(2)}</td>
+                            <td>$${(entry.value - entry.costValue).toFixed(2)}</td>
+                        </tr>`
+                    ).join('')}
+                </tbody>
+            </table>
+            <p style="margin-top: 15px;"><strong>Potential gross profit on stock:</strong> $${stats.potentialProfit.toFixed(2)}</p>
             <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
             <button class="btn" onclick="window.print()" style="margin-top: 15px;">🖨️ Print</button>
         </div>
     `;
 }
 
-// Generate low stock report
-function generateLowStockReport() {
-    if (!window.inventoryManager) {
+// Save the valuation method and redraw the inventory report with it
+async function changeValuationMethod(method) {
+    try {
+        await window.inventoryManager.setValuationMethod(method);
+        generateInventoryReport();
+        window.uiController.updateDashboard();
+    } catch (error) {
+        alert('Error changing valuation method: ' + error.message);
+    }
+}
+
+// Reorder suggestions shown in the low stock report
+let reorderSuggestions = null;
+
+// Generate low stock report as reorder suggestions grouped by supplier
+async function generateLowStockReport() {
+    if (!window.inventoryManager || !window.purchasingManager) {
         alert('Inventory manager not ready');
         return;
     }
     
-    const lowStockProducts = window.inventoryManager.getLowStockProducts();
+    const lookbackInput = document.getElementById('reorder-lookback');
+    const coverageInput = document.getElementById('reorder-coverage');
+    const options = {
+        lookbackDays: lookbackInput ? parseInt(lookbackInput.value) || undefined : undefined,
+        coverageDays: coverageInput ? parseInt(coverageInput.value) || undefined : undefined
+    };
+    
+    try {
+        reorderSuggestions = await window.purchasingManager.getReorderSuggestions(options);
+    } catch (error) {
+        alert('Error calculating reorder suggestions: ' + error.message);
+        return;
+    }
+    
+    const canOrder = window.checkPermission('canManagePurchasing');
+    const lineCount = reorderSuggestions.groups.reduce((sum, group) => sum + group.lines.length, 0);
     
     const reportContent = document.getElementById('report-content');
     reportContent.innerHTML = `
         <div style="background: white; padding: 25px; border-radius: 15px; border: 2px solid #e67e22;">
-            <h3 style="color: #e67e22; margin-bottom: 20px;">⚠️ Low Stock Report</h3>
-            ${lowStockProducts.length === 0 ? 
+            <h3 style="color: #e67e22; margin-bottom: 20px;">⚠️ Low Stock - Reorder Suggestions</h3>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="reorder-lookback">📈 Sales history (days)</label>
+                    <input type="number" id="reorder-lookback" min="1" value="${reorderSuggestions.lookbackDays}">
+                </div>
+                <div class="form-group">
+                    <label for="reorder-coverage">📦 Order coverage (days)</label>
+                    <input type="number" id="reorder-coverage" min="1" value="${reorderSuggestions.coverageDays}">
+                </div>
+            </div>
+            <button class="btn" onclick="generateLowStockReport()">🔄 Update</button>
+            <p style="margin: 15px 0; color: #7f8c8d;">
+                Reorder point = average daily demand × supplier lead time + minimum stock.
+                Incoming quantities on open purchase orders count as stock; reserved units do not.
+            </p>
+            ${lineCount === 0 ? 
                 '<p style="color: #27ae60; font-size: 1.2rem;">✅ All products have adequate stock</p>' :
-                `<div style="margin-bottom: 20px;">
-                    <p><strong>${lowStockProducts.length}</strong> products require restocking:</p>
-                    <ul style="margin-top: 15px;">
-                        ${lowStockProducts.map(product => 
-                            `<li style="margin-bottom: 8px; padding: 8px; background: #fff3cd; border-radius: 5px;">
-                                <strong>${product.name}</strong> (${product.sku}) - 
-                                Stock: ${product.quantity} / Minimum: ${product.minStock}
-                            </li>`
+                `<p><strong>${lineCount}</strong> products require restocking from <strong>${reorderSuggestions.groups.length}</strong> suppliers:</p>
+                ${reorderSuggestions.groups.map((group, index) => `
+                    <h4 style="margin: 20px 0 10px;">🏭 ${group.supplierName} <small style="color: #7f8c8d;">(lead time ${group.leadTimeDays} days)</small></h4>
+                    <table class="inventory-table">
+                        <thead>
+                            <tr>
+                                <th>SKU</th><th>Name</th><th>Stock</th><th>Reserved</th><th>Incoming</th><th>Daily Demand</th>
+                                <th>Days Left</th><th>Reorder Point</th><th>Suggested Qty</th><th>Est. Cost</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${group.lines.map(line => `
+                                <tr>
+                                    <td>${line.sku}</td>
+                                    <td>${line.name}</td>
+                                    <td>${line.quantity}</td>
+                                    <td>${line.reserved}</td>
+                                    <td>${line.incoming}</td>
+                                    <td>${line.averageDailyDemand.toFixed(2)}</td>
+                                    <td>${line.daysOfStock === null ? '-' : Math.floor(line.daysOfStock)}</td>
+                                    <td>${line.reorderPoint}</td>
+                                    <td><strong>${line.suggestedQuantity}</strong></td>
+                                    <td>$${(line.suggestedQuantity * line.expectedCost).toFixed(2)}</td>
+                                </tr>`
+                            ).join('')}
+                        </tbody>
+                    </table>
+                    ${group.supplierId === null ?
+                        '<p style="color: #7f8c8d; margin-top: 10px;">Assign a supplier to these products to order them</p>' :
+                        canOrder ? `<button class="btn" onclick="createSuggestedPurchaseOrder(${index})" style="margin-top: 10px;">📝 Create Purchase Order</button>` : ''
+                    }
+                `).join('')}`
+            }
+            <p style="margin-top: 15px;"><strong>Generated:</strong> ${new Date(reorderSuggestions.generatedAt).toLocaleString()}</p>
+            <button class="btn" onclick="window.print()" style="margin-top: 15px;">🖨️ Print</button>
+        </div>
+    `;
+}
+
+// Turn one supplier group of the reorder suggestions into a purchase order
+async function createSuggestedPurchaseOrder(index) {
+    const group = reorderSuggestions && reorderSuggestions.groups[index];
+    if (!group) return;
+    
+    try {
+        const order = await window.purchasingManager.createPurchaseOrder(group.supplierId, group.lines.map(line => ({
+            productId: line.productId,
+            quantity: line.suggestedQuantity,
+            expectedCost: line.expectedCost
+        })), { notes: 'Reorder suggestion' });
+        
+        window.uiController.showAlert(`Purchase order #${order.id} created for ${group.supplierName}`, 'success');
+        await generateLowStockReport();
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Generate report of lots that have expired or expire within the chosen days
+function generateExpiryReport() {
+    if (!window.inventoryManager) {
+        alert('Inventory manager not ready');
+        return;
+    }
+    
+    const daysInput = document.getElementById('expiry-days');
+    const days = daysInput ? parseInt(daysInput.value) : EXPIRY_ALERT_DAYS;
+    
+    let lots;
+    try {
+        lots = window.inventoryManager.getExpiringLots(isNaN(days) ? EXPIRY_ALERT_DAYS : days);
+    } catch (error) {
+        alert('Error listing expiring lots: ' + error.message);
+        return;
+    }
+    
+    const reportContent = document.getElementById('report-content');
+    reportContent.innerHTML = `
+        <div style="background: white; padding: 25px; border-radius: 15px; border: 2px solid #c0392b;">
+            <h3 style="color: #c0392b; margin-bottom: 20px;">⏳ Expiring Lots</h3>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="expiry-days">📅 Expiring within (days)</label>
+                    <input type="number" id="expiry-days" min="0" value="${isNaN(days) ? EXPIRY_ALERT_DAYS : days}">
+                </div>
+            </div>
+            <button class="btn" onclick="generateExpiryReport()">🔄 Update</button>
+            ${lots.length === 0 ? 
+                '<p style="color: #27ae60; font-size: 1.2rem; margin-top: 15px;">✅ No lots expire in this period</p>' :
+                `<table class="inventory-table" style="margin-top: 15px;">
+                    <thead>
+                        <tr><th>SKU</th><th>Name</th><th>Lot</th><th>Expiry Date</th><th>Days Left</th><th>Quantity</th></tr>
+                    </thead>
+                    <tbody>
+                        ${lots.map(lot => `
+                            <tr${lot.daysLeft < 0 ? ' class="low-stock"' : ''}>
+                                <td>${lot.sku}</td>
+                                <td>${lot.name}</td>
+                                <td>${lot.lotNumber}</td>
+                                <td>${lot.expiryDate}</td>
+                                <td>${lot.daysLeft < 0 ? 'Expired' : lot.daysLeft}</td>
+                                <td>${UnitConverter.format(lot, lot.quantity)}</td>
+                            </tr>`
                         ).join('')}
-                    </ul>
-                </div>`
+                    </tbody>
+                </table>`
             }
-            <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
+            <p style="margin-top: 15px;"><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
+            <button class="btn" onclick="window.print()" style="margin-top: 15px;">🖨️ Print</button>
+        </div>
+    `;
+}
+
+// Labels for the events in a serial number's history
+const SERIAL_EVENT_LABELS = {
+    received: '📥 Received',
+    sold: '💰 Sold',
+    returned: '↩️ Returned',
+    removed: '➖ Removed'
+};
+
+// Show the serial number lookup
+function generateSerialReport() {
+    const reportContent = document.getElementById('report-content');
+    reportContent.innerHTML = `
+        <div style="background: white; padding: 25px; border-radius: 15px; border: 2px solid #8e44ad;">
+            <h3 style="color: #8e44ad; margin-bottom: 20px;">🔢 Serial Number Lookup</h3>
+            <form id="serial-lookup-form" class="form-row">
+                <div class="form-group">
+                    <label for="serial-lookup">🔎 Serial Number</label>
+                    <input type="text" id="serial-lookup" placeholder="Scan or type a serial number" required>
+                </div>
+            </form>
+            <button class="btn" onclick="lookupSerialNumber()">🔎 Look Up</button>
+            <div id="serial-results" style="margin-top: 20px;"></div>
+        </div>
+    `;
+    
+    document.getElementById('serial-lookup-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        lookupSerialNumber();
+    });
+    document.getElementById('serial-lookup').focus();
+}
+
+// Show where a serial number is and everything that happened to it
+async function lookupSerialNumber() {
+    if (!window.inventoryManager) {
+        alert('Inventory manager not ready');
+        return;
+    }
+    
+    const results = document.getElementById('serial-results');
+    try {
+        const records = await window.inventoryManager.lookupSerial(document.getElementById('serial-lookup').value);
+        if (records.length === 0) {
+            results.innerHTML = '<div class="alert alert-warning">Serial number not found</div>';
+            return;
+        }
+        
+        results.innerHTML = records.map(record => `
+            <h4 style="margin: 15px 0 10px;">${record.serial} - ${record.name} (${record.sku})
+                <small style="color: #7f8c8d;">${record.status === 'in_stock' ? 'In stock' : record.status === 'sold' ? 'Sold' : 'Removed'}</small>
+            </h4>
+            <table class="inventory-table">
+                <thead>
+                    <tr><th>Date</th><th>Event</th><th>Customer</th><th>Reference</th><th>User</th></tr>
+                </thead>
+                <tbody>
+                    ${record.history.map(event => `
+                        <tr>
+                            <td>${new Date(event.date).toLocaleString()}</td>
+                            <td>${SERIAL_EVENT_LABELS[event.type] || event.type}</td>
+                            <td>${event.customerName || '-'}</td>
+                            <td>
+                                ${event.ticketId ? 'Ticket #' + (event.ticketNumber || event.ticketId) : ''}
+                                ${event.returnId ? ' Return #' + event.returnId : ''}
+                                ${event.note ? ' ' + event.note : ''}
+                                ${event.location ? '<br><small style="color: #7f8c8d;">📍 ' + window.uiController.getLocationName(event.location) + '</small>' : ''}
+                            </td>
+                            <td>${event.user || 'N/A'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `).join('');
+    } catch (error) {
+        results.innerHTML = `<div class="alert alert-warning">${error.message}</div>`;
+    }
+}
+
+// Show stock lost and found through adjustments and counts, by reason
+async function generateShrinkageReport() {
+    if (!window.checkPermission('canViewReports')) {
+        alert('No permission to view reports');
+        return;
+    }
+    
+    if (!window.inventoryManager) {
+        alert('Inventory manager not ready');
+        return;
+    }
+    
+    // Default to the last 30 days unless a range was picked
+    const startInput = document.getElementById('shrinkage-report-start');
+    const endInput = document.getElementById('shrinkage-report-end');
+    const today = new Date();
+    const defaultStart = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 29);
+    const startValue = startInput && startInput.value ? startInput.value : window.inventoryManager.formatDateKey(defaultStart);
+    const endValue = endInput && endInput.value ? endInput.value : window.inventoryManager.formatDateKey(today);
+    
+    const startDate = new Date(`${startValue}T00:00:00`);
+    const endDate = new Date(`${endValue}T23:59:59.999`);
+    
+    if (startDate > endDate) {
+        alert('Start date must be before end date');
+        return;
+    }
+    
+    let shrinkage;
+    try {
+        shrinkage = await window.inventoryManager.getShrinkage(startDate, endDate);
+    } catch (error) {
+        alert('Error loading adjustments: ' + error.message);
+        return;
+    }
+    
+    const reasonLabels = window.uiController.getReasonLabels();
+    const formatValue = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+    
+    const reportContent = document.getElementById('report-content');
+    reportContent.innerHTML = `
+        <div style="background: white; padding: 25px; border-radius: 15px; border: 2px solid #d35400;">
+            <h3 style="color: #d35400; margin-bottom: 20px;">📉 Shrinkage by Reason</h3>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="shrinkage-report-start">📅 From</label>
+                    <input type="date" id="shrinkage-report-start" value="${startValue}">
+                </div>
+                <div class="form-group">
+                    <label for="shrinkage-report-end">📅 To</label>
+                    <input type="date" id="shrinkage-report-end" value="${endValue}">
+                </div>
+            </div>
+            <button class="btn" onclick="generateShrinkageReport()">🔄 Update</button>
+            
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin: 20px 0;">
+                <div style="text-align: center; padding: 15px; background: #f8f9fa; border-radius: 10px;">
+                    <div style="font-size: 2rem; font-weight: bold; color: #e74c3c;">-$${shrinkage.valueLost.toFixed(2)}</div>
+                    <div>Stock Lost (at cost)</div>
+                </div>
+                <div style="text-align: center; padding: 15px; background: #f8f9fa; border-radius: 10px;">
+                    <div style="font-size: 2rem; font-weight: bold; color: #27ae60;">$${shrinkage.valueFound.toFixed(2)}</div>
+                    <div>Stock Found (at cost)</div>
+                </div>
+                <div style="text-align: center; padding: 15px; background: #f8f9fa; border-radius: 10px;">
+                    <div style="font-size: 2rem; font-weight: bold; color: ${shrinkage.netValue < 0 ? '#e74c3c' : '#27ae60'};">${formatValue(shrinkage.netValue)}</div>
+                    <div>Net Shrinkage</div>
+                </div>
+            </div>
+            
+            ${shrinkage.byReason.length === 0 ? 
+                '<p style="color: #27ae60; font-size: 1.2rem;">✅ No adjustments in this range</p>' : `
+                <table class="inventory-table">
+                    <thead>
+                        <tr><th>Reason</th><th>Adjustments</th><th>Units Lost</th><th>Units Found</th><th>Value Lost</th><th>Value Found</th><th>Net</th></tr>
+                    </thead>
+                    <tbody>
+                        ${shrinkage.byReason.map(row => `
+                            <tr>
+                                <td>${reasonLabels[row.reason] || row.reason}</td>
+                                <td>${row.movements}</td>
+                                <td>${row.unitsLost}</td>
+                                <td>${row.unitsFound}</td>
+                                <td>$${row.valueLost.toFixed(2)}</td>
+                                <td>$${row.valueFound.toFixed(2)}</td>
+                                <td class="${row.netValue < 0 ? 'delta-negative' : 'delta-positive'}">${formatValue(row.netValue)}</td>
+                            </tr>`
+                        ).join('')}
+                    </tbody>
+                </table>
+                
+                <h4 style="margin: 20px 0 10px;">Adjustments</h4>
+                <table class="inventory-table">
+                    <thead>
+                        <tr><th>Date</th><th>SKU</th><th>Name</th><th>Change</th><th>Value</th><th>Reason</th><th>User</th></tr>
+                    </thead>
+                    <tbody>
+                        ${shrinkage.movements.map(movement => `
+                            <tr>
+                                <td>${new Date(movement.date).toLocaleString()}</td>
+                                <td>${movement.sku}</td>
+                                <td>${movement.name}</td>
+                                <td class="${movement.delta < 0 ? 'delta-negative' : 'delta-positive'}">${movement.delta > 0 ? '+' : ''}${movement.delta}</td>
+                                <td>${formatValue(movement.delta * (movement.unitCost || 0))}</td>
+                                <td>${reasonLabels[movement.reason] || movement.reason}${movement.note ? '<br><small style="color: #7f8c8d;">' + movement.note + '</small>' : ''}</td>
+                                <td>${movement.user || 'N/A'}${movement.approvedBy ? '<br><small style="color: #7f8c8d;">Approved by ' + movement.approvedBy + '</small>' : ''}</td>
+                            </tr>`
+                        ).join('')}
+                    </tbody>
+                </table>`
+            }
+            <p style="margin-top: 15px;"><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
+            <button class="btn" onclick="window.print()" style="margin-top: 15px;">🖨️ Print</button>
+        </div>
+    `;
+}
+
+// Show what account customers owe, by how long it has been unpaid
+async function generateReceivablesReport() {
+    if (!window.checkPermission('canViewReports')) {
+        alert('No permission to view reports');
+        return;
+    }
+    
+    if (!window.customerManager) {
+        alert('Customer manager not ready');
+        return;
+    }
+    
+    let receivables;
+    try {
+        receivables = await window.customerManager.getAgedReceivables();
+    } catch (error) {
+        alert('Error loading customer accounts: ' + error.message);
+        return;
+    }
+    
+    const { customers, totals } = receivables;
+    const overdue = TaxCalculator.round(totals.balance - totals.current);
+    
+    const reportContent = document.getElementById('report-content');
+    reportContent.innerHTML = `
+        <div style="background: white; padding: 25px; border-radius: 15px; border: 2px solid #8e44ad;">
+            <h3 style="color: #8e44ad; margin-bottom: 20px;">⏳ Aged Receivables</h3>
+            
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin-bottom: 20px;">
+                <div style="text-align: center; padding: 15px; background: #f8f9fa; border-radius: 10px;">
+                    <div style="font-size: 2rem; font-weight: bold; color: #8e44ad;">$${totals.balance.toFixed(2)}</div>
+                    <div>Total Owed</div>
+                </div>
+                <div style="text-align: center; padding: 15px; background: #f8f9fa; border-radius: 10px;">
+                    <div style="font-size: 2rem; font-weight: bold; color: ${overdue > 0 ? '#e74c3c' : '#27ae60'};">$${overdue.toFixed(2)}</div>
+                    <div>Over 30 Days</div>
+                </div>
+                <div style="text-align: center; padding: 15px; background: #f8f9fa; border-radius: 10px;">
+                    <div style="font-size: 2rem; font-weight: bold; color: #2c3e50;">${customers.length}</div>
+                    <div>Customers with a Balance</div>
+                </div>
+            </div>
+            
+            ${customers.length === 0 ? 
+                '<p style="color: #27ae60; font-size: 1.2rem;">✅ No customer owes anything</p>' : `
+                <table class="inventory-table">
+                    <thead>
+                        <tr>
+                            <th>Customer</th><th>Tax ID</th><th>Phone</th>
+                            ${AGING_BUCKETS.map(bucket => `<th>${bucket.label}</th>`).join('')}
+                            <th>Balance</th><th>Credit Limit</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${customers.map(row => `
+                            <tr>
+                                <td>${row.customer.name}</td>
+                                <td>${row.customer.taxId || '-'}</td>
+                                <td>${row.customer.phone || '-'}</td>
+                                ${AGING_BUCKETS.map(bucket => `<td${bucket.key !== 'current' && row[bucket.key] > 0 ? ' class="delta-negative"' : ''}>$${row[bucket.key].toFixed(2)}</td>`).join('')}
+                                <td><strong>$${row.balance.toFixed(2)}</strong>${row.unapplied > 0 ? '<br><small style="color: #7f8c8d;">In favor: $' + row.unapplied.toFixed(2) + '</small>' : ''}</td>
+                                <td>$${row.customer.creditLimit.toFixed(2)}</td>
+                            </tr>`
+                        ).join('')}
+                        <tr>
+                            <td colspan="3"><strong>Total</strong></td>
+                            ${AGING_BUCKETS.map(bucket => `<td><strong>$${totals[bucket.key].toFixed(2)}</strong></td>`).join('')}
+                            <td><strong>$${totals.balance.toFixed(2)}</strong></td>
+                            <td></td>
+                        </tr>
+                    </tbody>
+                </table>`
+            }
+            <p style="margin-top: 15px;"><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
+            <button class="btn" onclick="window.print()" style="margin-top: 15px;">🖨️ Print</button>
         </div>
     `;
 }
 
 // Generate sales report
-function generateSalesReport() {
+async function generateSalesReport() {
+    if (!window.checkPermission('canViewReports')) {
+        alert('No permission to view reports');
+        return;
+    }
+    
+    if (!window.inventoryManager) {
+        alert('Inventory manager not ready');
+        return;
+    }
+    
+    // Default to the last 30 days unless a range was picked
+    const startInput = document.getElementById('sales-report-start');
+    const endInput = document.getElementById('sales-report-end');
+    const today = new Date();
+    const defaultStart = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 29);
+    const startValue = startInput && startInput.value ? startInput.value : window.inventoryManager.formatDateKey(defaultStart);
+    const endValue = endInput && endInput.value ? endInput.value : window.inventoryManager.formatDateKey(today);
+    
+    const startDate = new Date(`${startValue}T00:00:00`);
+    const endDate = new Date(`${endValue}T23:59:59.999`);
+    
+    if (startDate > endDate) {
+        alert('Start date must be before end date');
+        return;
+    }
+    
+    let summary;
+    let tickets;
+    try {
+        summary = await window.inventoryManager.getSalesSummary(startDate, endDate);
+        tickets = await window.inventoryManager.getTickets(startDate, endDate);
+    } catch (error) {
+        alert('Error loading sales: ' + error.message);
+        return;
+    }
+    
+    const periodTable = (title, rows) => `
+        <h4 style="margin: 20px 0 10px;">${title}</h4>
+        ${rows.length === 0 ? '<p style="color: #7f8c8d;">No sales in this range</p>' : `
+        <table class="inventory-table">
+            <thead><tr><th>Period</th><th>Sales</th><th>Units</th><th>Revenue</th></tr></thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr>
+                        <td>${row.period}</td>
+                        <td>${row.count}</td>
+                        <td>${row.units}</td>
+                        <td>$${row.revenue.toFixed(2)}</td>
+                    </tr>`
+                ).join('')}
+            </tbody>
+        </table>`}
+    `;
+    
     const reportContent = document.getElementById('report-content');
     reportContent.innerHTML = `
         <div style="background: white; padding: 25px; border-radius: 15px; border: 2px solid #3498db;">
             <h3 style="color: #3498db; margin-bottom: 20px;">💰 Sales Report</h3>
-            <p style="color: #7f8c8d;">This feature will be available in a future update.</p>
-            <p>Will include:</p>
-            <ul style="margin-top: 15px; color: #7f8c8d;">
-                <li>Sales by period</li>
-                <li>Best-selling products</li>
-                <li>Trend analysis</li>
-                <li>Total revenue</li>
-            </ul>
-            <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="sales-report-start">📅 From</label>
+                    <input type="date" id="sales-report-start" value="${startValue}">
+                </div>
+                <div class="form-group">
+                    <label for="sales-report-end">📅 To</label>
+                    <input type="date" id="sales-report-end" value="${endValue}">
+                </div>
+            </div>
+            <button class="btn" onclick="generateSalesReport()">🔄 Update</button>
+            <p style="margin-top: 10px; color: #7f8c8d;">Cost of goods sold valued by: ${StockValuation.getLabel(window.inventoryManager.valuationMethod)}</p>
+            
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin: 20px 0;">
+                <div style="text-align: center; padding: 15px; background: #f8f9fa; border-radius: 10px;">
+                    <div style="font-size: 2rem; font-weight: bold; color: #27ae60;">$${summary.totalRevenue.toFixed(2)}</div>
+                    <div>Net Revenue (excl. tax)</div>
+                </div>
+                <div style="text-align: center; padding: 15px; background: #f8f9fa; border-radius: 10px;">
+                    <div style="font-size: 2rem; font-weight: bold; color: #e74c3c;">-$${summary.totalRefunds.toFixed(2)}</div>
+                    <div>Refunds (${summary.returnsCount} returns, ${summary.unitsReturned} units)</div>
+                </div>
+                <div style="text-align: center; padding: 15px; background: #f8f9fa; border-radius: 10px;">
+                    <div style="font-size: 2rem; font-weight: bold; color: #16a085;">$${summary.totalTax.toFixed(2)}</div>
+                    <div>Tax Collected</div>
+                </div>
+                <div style="text-align: center; padding: 15px; background: #f8f9fa; border-radius: 10px;">
+                    <div style="font-size: 2rem; font-weight: bold; color: #e67e22;">${summary.totalUnits}</div>
+                    <div>Net Units Sold</div>
+                </div>
+                <div style="text-align: center; padding: 15px; background: #f8f9fa; border-radius: 10px;">
+                    <div style="font-size: 2rem; font-weight: bold; color: #3498db;">${summary.salesCount}</div>
+                    <div>Sales</div>
+                </div>
+                <div style="text-align: center; padding: 15px; background: #f8f9fa; border-radius: 10px;">
+                    <div style="font-size: 2rem; font-weight: bold; color: #8e44ad;">$${summary.grossMargin.toFixed(2)}</div>
+                    <div>Gross Margin (${summary.grossMarginPercent.toFixed(1)}%)</div>
+                </div>
+                <div style="text-align: center; padding: 15px; background: #f8f9fa; border-radius: 10px;">
+                    <div style="font-size: 2rem; font-weight: bold; color: #c0392b;">-$${summary.totalDiscounts.toFixed(2)}</div>
+                    <div>Discounts Given</div>
+                </div>
+            </div>
+            
+            <h4 style="margin: 20px 0 10px;">🏆 Top-Selling Products</h4>
+            ${summary.topProducts.length === 0 ? '<p style="color: #7f8c8d;">No sales in this range</p>' : `
+            <table class="inventory-table">
+                <thead><tr><th>SKU</th><th>Name</th><th>Units</th><th>Revenue</th></tr></thead>
+                <tbody>
+                    ${summary.topProducts.map(product => `
+                        <tr>
+                            <td>${product.sku}</td>
+                            <td>${product.name}</td>
+                            <td>${product.units}</td>
+                            <td>$${product.revenue.toFixed(2)}</td>
+                        </tr>`
+                    ).join('')}
+                </tbody>
+            </table>`}
+            
+            <h4 style="margin: 20px 0 10px;">📊 Gross Margin by Product</h4>
+            ${summary.marginBySku.length === 0 ? '<p style="color: #7f8c8d;">No sales in this range</p>' : `
+            <table class="inventory-table">
+                <thead><tr><th>SKU</th><th>Name</th><th>Units</th><th>Revenue</th><th>Cost</th><th>Margin</th><th>Margin %</th></tr></thead>
+                <tbody>
+                    ${summary.marginBySku.map(product => `
+                        <tr>
+                            <td>${product.sku}</td>
+                            <td>${product.name}</td>
+                            <td>${product.units}</td>
+                            <td>$${product.revenue.toFixed(2)}</td>
+                            <td>$${product.cost.toFixed(2)}</td>
+                            <td>$${product.margin.toFixed(2)}</td>
+                            <td>${product.marginPercent.toFixed(1)}%</td>
+                        </tr>`
+                    ).join('')}
+                </tbody>
+            </table>`}
+            
+            <h4 style="margin: 20px 0 10px;">🗂️ Revenue and Margin by Category</h4>
+            ${summary.byCategory.length === 0 ? '<p style="color: #7f8c8d;">No sales in this range</p>' : `
+            <table class="inventory-table">
+                <thead><tr><th>Category</th><th>Units</th><th>Revenue</th><th>Cost</th><th>Margin</th><th>Margin %</th></tr></thead>
+                <tbody>
+                    ${summary.byCategory.map(entry => `
+                        <tr>
+                            <td>${entry.category}</td>
+                            <td>${entry.units}</td>
+                            <td>$${entry.revenue.toFixed(2)}</td>
+                            <td>$${entry.cost.toFixed(2)}</td>
+                            <td>$${entry.margin.toFixed(2)}</td>
+                            <td>${entry.marginPercent.toFixed(1)}%</td>
+                        </tr>`
+                    ).join('')}
+                </tbody>
+            </table>`}
+            
+            ${periodTable('📆 Revenue by Day', summary.byDay)}
+            ${periodTable('🗓️ Revenue by Week (starting Monday)', summary.byWeek)}
+            ${periodTable('📅 Revenue by Month', summary.byMonth)}
+            
+            <h4 style="margin: 20px 0 10px;">🧾 Tax Summary by Month</h4>
+            ${summary.byMonth.length === 0 ? '<p style="color: #7f8c8d;">No sales in this range</p>' : `
+            <table class="inventory-table">
+                <thead><tr><th>Period</th><th>Taxable Base</th><th>Tax</th><th>Total</th></tr></thead>
+                <tbody>
+                    ${summary.byMonth.map(row => `
+                        <tr>
+                            <td>${row.period}</td>
+                            <td>$${row.revenue.toFixed(2)}</td>
+                            <td>$${row.tax.toFixed(2)}</td>
+                            <td>$${(row.revenue + row.tax).toFixed(2)}</td>
+                        </tr>`
+                    ).join('')}
+                </tbody>
+            </table>`}
+            
+            <h4 style="margin: 20px 0 10px;">🧾 Tax by Rate</h4>
+            ${summary.taxByRate.length === 0 ? '<p style="color: #7f8c8d;">No sales in this range</p>' : `
+            <table class="inventory-table">
+                <thead><tr><th>Rate</th><th>Taxable Base</th><th>Tax</th></tr></thead>
+                <tbody>
+                    ${summary.taxByRate.map(entry => `
+                        <tr>
+                            <td>${entry.rate === null ? 'Not recorded' : entry.rate + '%'}</td>
+                            <td>$${entry.taxableBase.toFixed(2)}</td>
+                            <td>$${entry.tax.toFixed(2)}</td>
+                        </tr>`
+                    ).join('')}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <th>Total</th>
+                        <th>$${summary.totalRevenue.toFixed(2)}</th>
+                        <th>$${summary.totalTax.toFixed(2)}</th>
+                    </tr>
+                </tfoot>
+            </table>`}
+            
+            <h4 style="margin: 20px 0 10px;">🧾 Tickets</h4>
+            ${tickets.length === 0 ? '<p style="color: #7f8c8d;">No tickets in this range</p>' : `
+            <table class="inventory-table">
+                <thead><tr><th>Ticket #</th><th>Date</th><th>Cashier</th><th>Items</th><th>Payment</th><th>Total</th><th>Actions</th></tr></thead>
+                <tbody>
+                    ${tickets.map(ticket => `
+                        <tr>
+                            <td>${ReceiptPrinter.formatTicketNumber(ticket)}</td>
+                            <td>${new Date(ticket.date).toLocaleString()}</td>
+                            <td>${ticket.user || '-'}</td>
+                            <td>${ticket.itemCount || ticket.lines.reduce((sum, line) => sum + line.quantity, 0)}</td>
+                            <td>${ticket.paymentMethod ? PaymentCalculator.getLabel(ticket.paymentMethod) : '-'}</td>
+                            <td>$${ticket.total.toFixed(2)}</td>
+                            <td class="action-buttons">
+                                <button class="btn" onclick="reprintTicket(${ticket.ticketNumber || ticket.id})" title="Reprint receipt">🖨️</button>
+                            </td>
+                        </tr>`
+                    ).join('')}
+                </tbody>
+            </table>`}
+            
+            <h4 style="margin: 20px 0 10px;">🏷️ Discounts by Reason</h4>
+            ${summary.discountsByReason.length === 0 ? '<p style="color: #7f8c8d;">No discounts in this range</p>' : `
+            <table class="inventory-table">
+                <thead><tr><th>Reason</th><th>Type</th><th>Lines</th><th>Amount</th></tr></thead>
+                <tbody>
+                    ${summary.discountsByReason.map(entry => `
+                        <tr>
+                            <td>${entry.reason}</td>
+                            <td>${entry.source}</td>
+                            <td>${entry.count}</td>
+                            <td>$${entry.amount.toFixed(2)}</td>
+                        </tr>`
+                    ).join('')}
+                </tbody>
+            </table>`}
+            
+            <p style="margin-top: 15px;"><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
+            <button class="btn" onclick="window.print()" style="margin-top: 15px;">🖨️ Print</button>
+        </div>
+    `;
+}
+
+// Show a past ticket's receipt again, marked as a reprint
+async function reprintTicket(ticketNumber) {
+    try {
+        const ticket = await window.inventoryManager.getTicketByNumber(ticketNumber);
+        if (!ticket) {
+            throw new Error('Ticket not found');
+        }
+        window.uiController.showReceipt(ticket, { reprint: true });
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Generate shift report: expected vs counted cash per user and per shift
+async function generateShiftReport() {
+    if (!window.checkPermission('canViewReports')) {
+        alert('No permission to view reports');
+        return;
+    }
+    
+    if (!window.shiftManager) {
+        alert('Shift manager not ready');
+        return;
+    }
+    
+    // Default to the last 7 days unless a range was picked
+    const startInput = document.getElementById('shift-report-start');
+    const endInput = document.getElementById('shift-report-end');
+    const today = new Date();
+    const defaultStart = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 6);
+    const startValue = startInput && startInput.value ? startInput.value : window.inventoryManager.formatDateKey(defaultStart);
+    const endValue = endInput && endInput.value ? endInput.value : window.inventoryManager.formatDateKey(today);
+    
+    const startDate = new Date(`${startValue}T00:00:00`);
+    const endDate = new Date(`${endValue}T23:59:59.999`);
+    
+    if (startDate > endDate) {
+        alert('Start date must be before end date');
+        return;
+    }
+    
+    const byUser = window.shiftManager.getReconciliationByUser(startDate, endDate);
+    const shifts = window.shiftManager.getShifts().filter(shift => {
+        const openedAt = new Date(shift.openedAt);
+        return shift.status === SHIFT_STATUS.OPEN || (openedAt >= startDate && openedAt <= endDate);
+    });
+    
+    let summaries;
+    try {
+        summaries = await Promise.all(shifts.map(shift => window.shiftManager.getShiftSummary(shift)));
+    } catch (error) {
+        alert('Error loading shifts: ' + error.message);
+        return;
+    }
+    
+    const differenceCell = (difference) => difference === null ? '<td>—</td>' :
+        `<td style="color: ${difference === 0 ? '#27ae60' : '#e74c3c'}; font-weight: 600;">${difference > 0 ? '+' : ''}$${difference.toFixed(2)}</td>`;
+    
+    const reportContent = document.getElementById('report-content');
+    reportContent.innerHTML = `
+        <div style="background: white; padding: 25px; border-radius: 15px; border: 2px solid #16a085;">
+            <h3 style="color: #16a085; margin-bottom: 20px;">🧮 Cash Reconciliation</h3>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="shift-report-start">📅 From</label>
+                    <input type="date" id="shift-report-start" value="${startValue}">
+                </div>
+                <div class="form-group">
+                    <label for="shift-report-end">📅 To</label>
+                    <input type="date" id="shift-report-end" value="${endValue}">
+                </div>
+            </div>
+            <button class="btn" onclick="generateShiftReport()">🔄 Update</button>
+            
+            <h4 style="margin: 20px 0 10px;">👤 By User (closed shifts)</h4>
+            ${byUser.length === 0 ? '<p style="color: #7f8c8d;">No closed shifts in this range</p>' : `
+            <table class="inventory-table">
+                <thead><tr><th>User</th><th>Shifts</th><th>Expected Cash</th><th>Counted Cash</th><th>Over / Short</th></tr></thead>
+                <tbody>
+                    ${byUser.map(entry => `
+                        <tr>
+                            <td>${entry.user}</td>
+                            <td>${entry.shifts}</td>
+                            <td>$${entry.expectedCash.toFixed(2)}</td>
+                            <td>$${entry.countedCash.toFixed(2)}</td>
+                            ${differenceCell(TaxCalculator.round(entry.difference))}
+                        </tr>`
+                    ).join('')}
+                </tbody>
+            </table>`}
+            
+            <h4 style="margin: 20px 0 10px;">🕒 Shifts</h4>
+            ${summaries.length === 0 ? '<p style="color: #7f8c8d;">No shifts in this range</p>' : `
+            <table class="inventory-table">
+                <thead>
+                    <tr>
+                        <th>#</th><th>User</th><th>Opened</th><th>Closed</th><th>Tickets</th>
+                        <th>Float</th>
+                        ${Object.values(PAYMENT_METHODS).map(method => `<th>${PaymentCalculator.getLabel(method)}</th>`).join('')}
+                        <th>Cash Account Payments</th><th>Cash Deposits</th><th>Cash Refunds</th><th>Expected Cash</th><th>Counted</th><th>Over / Short</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${summaries.map(summary => `
+                        <tr>
+                            <td>${summary.shift.id}</td>
+                            <td>${summary.shift.user}</td>
+                            <td>${new Date(summary.shift.openedAt).toLocaleString()}</td>
+                            <td>${summary.shift.closedAt ? new Date(summary.shift.closedAt).toLocaleString() : '🟢 Open'}</td>
+                            <td>${summary.ticketCount}</td>
+                            <td>$${summary.shift.openingFloat.toFixed(2)}</td>
+                            ${Object.values(PAYMENT_METHODS).map(method => `<td>$${summary.takings[method].toFixed(2)}</td>`).join('')}
+                            <td>$${summary.accountPayments[PAYMENT_METHODS.CASH].toFixed(2)}</td>
+                            <td>$${summary.deposits[PAYMENT_METHODS.CASH].toFixed(2)}</td>
+                            <td>$${summary.refunds[PAYMENT_METHODS.CASH].toFixed(2)}</td>
+                            <td>$${summary.expectedCash.toFixed(2)}</td>
+                            <td>${summary.countedCash === null ? '—' : '$' + summary.countedCash.toFixed(2)}</td>
+                            ${differenceCell(summary.difference)}
+                        </tr>`
+                    ).join('')}
+                </tbody>
+            </table>`}
+            
+            <p style="margin-top: 15px;"><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
+            <button class="btn" onclick="window.print()" style="margin-top: 15px;">🖨️ Print</button>
         </div>
     `;
 }
@@ -140,12 +934,42 @@ document.addEventListener('DOMContentLoaded', function() {
             lowStockReportBtn.addEventListener('click', generateLowStockReport);
         }
         
+        // Expiring Lots Report
+        const expiryReportBtn = document.getElementById('expiry-report');
+        if (expiryReportBtn) {
+            expiryReportBtn.addEventListener('click', generateExpiryReport);
+        }
+        
+        // Serial Number Lookup
+        const serialReportBtn = document.getElementById('serial-report');
+        if (serialReportBtn) {
+            serialReportBtn.addEventListener('click', generateSerialReport);
+        }
+        
+        // Shrinkage Report
+        const shrinkageReportBtn = document.getElementById('shrinkage-report');
+        if (shrinkageReportBtn) {
+            shrinkageReportBtn.addEventListener('click', generateShrinkageReport);
+        }
+        
+        // Aged Receivables Report
+        const receivablesReportBtn = document.getElementById('receivables-report');
+        if (receivablesReportBtn) {
+            receivablesReportBtn.addEventListener('click', generateReceivablesReport);
+        }
+        
         // Sales Report
         const salesReportBtn = document.getElementById('sales-report');
         if (salesReportBtn) {
             salesReportBtn.addEventListener('click', generateSalesReport);
         }
         
+        // Shift Report
+        const shiftReportBtn = document.getElementById('shift-report');
+        if (shiftReportBtn) {
+            shiftReportBtn.addEventListener('click', generateShiftReport);
+        }
+        
         // Security Report
         const securityReportBtn = document.getElementById('security-report');
         if (securityReportBtn) {
@@ -217,8 +1041,17 @@ document.addEventListener('DOMContentLoaded', function() {
 
 // Make functions globally available
 window.generateInventoryReport = generateInventoryReport;
+window.changeValuationMethod = changeValuationMethod;
 window.generateLowStockReport = generateLowStockReport;
+window.createSuggestedPurchaseOrder = createSuggestedPurchaseOrder;
+window.generateExpiryReport = generateExpiryReport;
+window.generateSerialReport = generateSerialReport;
+window.lookupSerialNumber = lookupSerialNumber;
+window.generateShrinkageReport = generateShrinkageReport;
+window.generateReceivablesReport = generateReceivablesReport;
 window.generateSalesReport = generateSalesReport;
+window.generateShiftReport = generateShiftReport;
+window.reprintTicket = reprintTicket;
 window.generateSecurityReport = generateSecurityReport;
 
 console.log('✅ Reports functionality loaded');
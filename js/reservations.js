@@ -0,0 +1,169 @@
+/**
+ * Reservations Functionality
+ * Handles the layaway screen: holding stock for a customer against a
+ * deposit, picking it up at the counter and cancelling it
+ */
+
+// Render the whole reservations section
+async function renderReservationsSection() {
+    if (!window.inventoryManager) return;
+
+    const methodSelect = document.getElementById('reservation-deposit-method');
+    if (methodSelect && methodSelect.options.length === 0) {
+        methodSelect.innerHTML = DEPOSIT_METHODS
+            .map(method => `<option value="${method}">${PaymentCalculator.getLabel(method)}</option>`)
+            .join('');
+    }
+
+    // Record the reservations whose date passed while the app was open
+    await window.inventoryManager.releaseExpiredReservations();
+    renderReservationsList();
+}
+
+// Render the reservation list, filtered by status
+function renderReservationsList() {
+    const container = document.getElementById('reservations-list');
+    if (!container) return;
+
+    const filter = document.getElementById('reservation-status-filter');
+    const reservations = window.inventoryManager.getReservations(filter ? filter.value || null : null);
+
+    if (reservations.length === 0) {
+        container.innerHTML = '<p style="color: #7f8c8d;">No reservations</p>';
+        return;
+    }
+
+    const statusLabels = {
+        [RESERVATION_STATUS.ACTIVE]: '🔒 Active',
+        [RESERVATION_STATUS.PICKED_UP]: '✅ Picked up',
+        [RESERVATION_STATUS.CANCELLED]: '⛔ Cancelled',
+        [RESERVATION_STATUS.EXPIRED]: '⌛ Expired'
+    };
+    const productOf = reservation => window.inventoryManager.getAllProducts().find(p => p.id === reservation.productId);
+
+    container.innerHTML = `
+        <div class="table-container">
+            <table class="inventory-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>👤 Customer</th>
+                        <th>📦 Product</th>
+                        <th>💵 Deposit</th>
+                        <th>⏳ Hold Until</th>
+                        <th>🚦 Status</th>
+                        <th>⚙️ Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${reservations.map(reservation => {
+                        const product = productOf(reservation);
+                        const active = StockReservations.isActive(reservation);
+                        return `
+                            <tr>
+                                <td>${reservation.id}</td>
+                                <td>${reservation.customerName}${reservation.note ? `<br><small style="color: #7f8c8d;">${reservation.note}</small>` : ''}</td>
+                                <td>
+                                    ${product ? UnitConverter.format(product, reservation.quantity) : reservation.quantity} x ${reservation.name}
+                                    <br><small style="color: #7f8c8d;">${reservation.sku} · 📍 ${window.uiController.getLocationName(reservation.location)}</small>
+                                </td>
+                                <td>
+                                    $${reservation.deposit.toFixed(2)}
+                                    ${reservation.depositMethod ? `<br><small style="color: #7f8c8d;">${PaymentCalculator.getLabel(reservation.depositMethod)}</small>` : ''}
+                                    ${reservation.depositRefunded ? '<br><small style="color: #7f8c8d;">Refunded</small>' : ''}
+                                </td>
+                                <td>${new Date(`${reservation.expiresAt}T00:00:00`).toLocaleDateString()}</td>
+                                <td>
+                                    ${statusLabels[reservation.status] || reservation.status}
+                                    ${reservation.ticketNumber ? `<br><small style="color: #7f8c8d;">Ticket #${String(reservation.ticketNumber).padStart(6, '0')}</small>` : ''}
+                                </td>
+                                <td class="action-buttons">
+                                    ${active ? `
+                                        <button class="btn" onclick="pickUpReservation(${reservation.id})" title="Pick up and sell">🛒</button>
+                                        <button class="btn btn-danger" onclick="confirmCancelReservation(${reservation.id})" title="Cancel">⛔</button>` : ''}
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Reserve stock from the reservation form
+async function handleReserveStock(e) {
+    e.preventDefault();
+
+    try {
+        const reservation = await window.inventoryManager.reserveStock(
+            document.getElementById('reservation-sku').value.trim(),
+            parseFloat(document.getElementById('reservation-quantity').value),
+            {
+                customerName: document.getElementById('reservation-customer').value,
+                deposit: document.getElementById('reservation-deposit').value,
+                depositMethod: document.getElementById('reservation-deposit-method').value,
+                expiresAt: document.getElementById('reservation-expires').value,
+                note: document.getElementById('reservation-note').value
+            }
+        );
+
+        e.target.reset();
+        renderReservationsList();
+        if (reservation.deposit > 0) {
+            window.uiController.showAlert(
+                `Take the $${reservation.deposit.toFixed(2)} deposit (${PaymentCalculator.getLabel(reservation.depositMethod)}). ` +
+                `Held until ${new Date(`${reservation.expiresAt}T00:00:00`).toLocaleDateString()}`, 'success');
+        }
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Put a reservation in the cart and go to the sell screen to take the rest
+async function pickUpReservation(reservationId) {
+    const reservation = window.inventoryManager.getReservation(reservationId);
+    if (!reservation) return;
+
+    if (await window.uiController.loadReservationIntoCart(reservation)) {
+        showSection('sell');
+        window.uiController.showAlert(`Reservation #${reservation.id} for ${reservation.customerName} loaded into the cart`, 'success');
+    }
+}
+
+// Cancel a reservation after confirmation, asking whether the deposit goes back
+async function confirmCancelReservation(reservationId) {
+    const reservation = window.inventoryManager.getReservation(reservationId);
+    if (!reservation || !confirm(`Cancel reservation #${reservation.id} for ${reservation.customerName}?`)) return;
+
+    const refundDeposit = reservation.deposit > 0 &&
+        confirm(`Hand back the $${reservation.deposit.toFixed(2)} deposit (${PaymentCalculator.getLabel(reservation.depositMethod)})?`);
+
+    try {
+        await window.inventoryManager.cancelReservation(reservationId, refundDeposit);
+        renderReservationsList();
+        window.uiController.showAlert(`Reservation #${reservation.id} cancelled`, 'warning');
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Setup the reservation form and filter when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    const reservationForm = document.getElementById('reservation-form');
+    if (reservationForm) {
+        reservationForm.addEventListener('submit', handleReserveStock);
+    }
+
+    const statusFilter = document.getElementById('reservation-status-filter');
+    if (statusFilter) {
+        statusFilter.addEventListener('change', renderReservationsList);
+    }
+});
+
+// Make functions globally available
+window.renderReservationsSection = renderReservationsSection;
+window.pickUpReservation = pickUpReservation;
+window.confirmCancelReservation = confirmCancelReservation;
+
+console.log('✅ Reservations functionality loaded');
@@ -0,0 +1,143 @@
+/**
+ * Returns Functionality
+ * Handles customer returns and refunds against original sales
+ */
+
+// Look up the sale lines of a ticket or sale ID
+async function lookupReturnSale(e) {
+    if (e) e.preventDefault();
+
+    if (!window.inventoryManager) {
+        alert('Inventory manager not ready');
+        return;
+    }
+
+    const lookupType = document.getElementById('return-lookup-type').value;
+    const reference = parseInt(document.getElementById('return-reference').value);
+    const detailsEl = document.getElementById('return-sale-details');
+
+    if (isNaN(reference) || reference <= 0) {
+        window.uiController.showAlert('Please enter a valid number', 'warning');
+        return;
+    }
+
+    try {
+        const sales = await window.inventoryManager.findSalesForReturn(lookupType, reference);
+
+        detailsEl.innerHTML = `
+            <div class="return-details-box">
+                <h3>🧾 ${lookupType === 'ticket' ? 'Ticket #' + reference : 'Sale #' + reference}</h3>
+                <p><strong>Date:</strong> ${new Date(sales[0].date).toLocaleString()}</p>
+                ${sales[0].paymentMethod ? `<p><strong>Paid With:</strong> ${PaymentCalculator.getLabel(sales[0].paymentMethod)}</p>` : ''}
+                <div class="table-container">
+                    <table class="inventory-table">
+                        <thead>
+                            <tr>
+                                <th>🏷️ SKU</th>
+                                <th>📝 Name</th>
+                                <th>💰 Unit Price</th>
+                                <th>📦 Sold</th>
+                                <th>↩️ Returned</th>
+                                <th>🔢 Return Qty</th>
+                                <th>💬 Reason</th>
+                                <th>💵 Refund As</th>
+                                <th>⚙️ Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${sales.map(sale => `
+                                <tr>
+                                    <td>${sale.sku}</td>
+                                    <td>
+                                        ${sale.name}
+                                        ${sale.serials ? `<br><small style="color: #7f8c8d;">S/N: ${sale.serials.join(', ')}</small>` : ''}
+                                    </td>
+                                    <td>$${(sale.total / sale.quantity).toFixed(2)}</td>
+                                    <td>${sale.quantity}${sale.unit && sale.unitFactor !== 1 ? `<br><small style="color: #7f8c8d;">${sale.unitQuantity} ${sale.unit}</small>` : ''}</td>
+                                    <td>${sale.returnedQuantity}</td>
+                                    <td>
+                                        <input type="number" class="quantity-input" id="return-qty-${sale.id}"
+                                               min="0" step="any" max="${sale.returnableQuantity}" value="${sale.returnableQuantity}"
+                                               ${sale.returnableQuantity === 0 ? 'disabled' : ''}>
+                                        ${sale.serials && sale.returnableQuantity > 0 ? `
+                                            <input type="text" class="reason-input" id="return-serials-${sale.id}" title="Serials coming back"
+                                                   value="${getOpenSerials(sale).join(', ')}">` : ''}
+                                    </td>
+                                    <td>
+                                        <input type="text" class="reason-input" id="return-reason-${sale.id}"
+                                               placeholder="Optional" ${sale.returnableQuantity === 0 ? 'disabled' : ''}>
+                                    </td>
+                                    <td>
+                                        <select id="return-method-${sale.id}" ${sale.returnableQuantity === 0 ? 'disabled' : ''}>
+                                            ${Object.values(PAYMENT_METHODS).filter(method => method !== PAYMENT_METHODS.DEPOSIT && (method !== PAYMENT_METHODS.ACCOUNT || sale.customerId)).map(method => `
+                                                <option value="${method}" ${method === getDefaultRefundMethod(sale) ? 'selected' : ''}>${PaymentCalculator.getLabel(method)}</option>
+                                            `).join('')}
+                                        </select>
+                                    </td>
+                                    <td class="action-buttons">
+                                        ${sale.returnableQuantity === 0 ?
+                                            '<span style="color: #7f8c8d;">Fully returned</span>' :
+                                            `<button class="btn btn-warning" onclick="processReturnLine(${sale.id})">↩️ Return</button>`
+                                        }
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    } catch (error) {
+        detailsEl.innerHTML = `<div class="alert alert-warning">${error.message}</div>`;
+    }
+}
+
+// Refund the way the sale was paid, or in cash for split, deposit and older sales
+function getDefaultRefundMethod(sale) {
+    return Object.values(PAYMENT_METHODS).includes(sale.paymentMethod) && sale.paymentMethod !== PAYMENT_METHODS.DEPOSIT ?
+        sale.paymentMethod : PAYMENT_METHODS.CASH;
+}
+
+// Serials a sale sold that have not come back yet
+function getOpenSerials(sale) {
+    return sale.serials.filter(serial => !(sale.returnedSerials || []).includes(serial));
+}
+
+// Return the chosen quantity of one sale line
+async function processReturnLine(saleId) {
+    if (!window.inventoryManager) {
+        alert('Inventory manager not ready');
+        return;
+    }
+
+    const quantity = parseFloat(document.getElementById(`return-qty-${saleId}`).value);
+    const reason = document.getElementById(`return-reason-${saleId}`).value;
+    const refundMethod = document.getElementById(`return-method-${saleId}`).value;
+    const serialInput = document.getElementById(`return-serials-${saleId}`);
+
+    if (!confirm(`Return ${quantity} to stock and record the refund?`)) {
+        return;
+    }
+
+    try {
+        await window.inventoryManager.processReturn(saleId, quantity, reason, refundMethod, serialInput ? serialInput.value : null);
+        // Refresh the lookup so returned quantities are up to date
+        await lookupReturnSale();
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Setup returns form when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    const lookupForm = document.getElementById('return-lookup-form');
+    if (lookupForm) {
+        lookupForm.addEventListener('submit', lookupReturnSale);
+    }
+});
+
+// Make functions globally available
+window.lookupReturnSale = lookupReturnSale;
+window.processReturnLine = processReturnLine;
+
+console.log('✅ Returns functionality loaded');
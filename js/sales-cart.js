@@ -0,0 +1,232 @@
+/**
+ * Sales Cart Module
+ * Holds the lines of the ticket being rung up at the counter
+ */
+class SalesCart {
+    constructor() {
+        this.lines = [];
+        this.ticketDiscount = null;
+        this.payments = [];
+        // Quote the cart was loaded from; the ticket converts it
+        this.quoteId = null;
+        // Reservation being picked up; its units and deposit go to this ticket
+        this.reservationId = null;
+    }
+
+    /**
+     * Add a product to the cart, merging with an existing line. Adding a
+     * product in a different unit than its line turns the line into base units.
+     * @param {Object} product - Product to add
+     * @param {number} quantity - Quantity to add
+     * @param {string|null} unitName - Unit the quantity is in (defaults to the base unit)
+     * @param {number} available - Stock that can be sold, in base units (defaults to the product's stock)
+     * @param {string|Array|null} serials - Serials of the units added, for serial-tracked products
+     * @returns {Object} Cart line
+     */
+    addItem(product, quantity, unitName = null, available = product ? product.quantity : 0, serials = null) {
+        if (!product) {
+            throw new Error('Producto no encontrado');
+        }
+
+        if (isNaN(quantity) || quantity <= 0) {
+            throw new Error('La cantidad debe ser mayor a cero');
+        }
+
+        let unit = UnitConverter.getUnit(product, unitName);
+        let line = this.lines.find(l => l.productId === product.id);
+        let newQuantity = UnitConverter.round((line && line.unit === unit.name ? line.quantity : 0) + quantity);
+
+        if (line && line.unit !== unit.name) {
+            unit = UnitConverter.getUnit(product);
+            newQuantity = UnitConverter.round(line.quantity * line.unitFactor + UnitConverter.toBase(product, quantity, unitName));
+        }
+
+        const baseQuantity = UnitConverter.toBase(product, newQuantity, unit.name);
+        UnitConverter.assertQuantity(product, baseQuantity);
+        if (baseQuantity > available) {
+            throw new Error(`Stock insuficiente. Disponible: ${UnitConverter.format(product, available)}`);
+        }
+
+        // Serial-tracked units are sold by serial; the same unit cannot be rung up twice
+        let lineSerials = null;
+        if (product.serialTracked) {
+            const added = SerialNumbers.parse(serials);
+            SerialNumbers.assertCount(product, added, quantity);
+            lineSerials = SerialNumbers.parse([...((line && line.serials) || []), ...added]);
+        }
+
+        if (line) {
+            Object.assign(line, {
+                unit: unit.name,
+                unitFactor: unit.factor,
+                unitPrice: UnitConverter.getUnitPrice(product, unit.name),
+                quantity: newQuantity
+            });
+            if (lineSerials) {
+                line.serials = lineSerials;
+            }
+        } else {
+            line = {
+                productId: product.id,
+                sku: product.sku,
+                name: product.name,
+                unit: unit.name,
+                unitFactor: unit.factor,
+                unitPrice: UnitConverter.getUnitPrice(product, unit.name),
+                quantity: newQuantity
+            };
+            if (lineSerials) {
+                line.serials = lineSerials;
+            }
+            this.lines.push(line);
+        }
+
+        return line;
+    }
+
+    /**
+     * Change the quantity of a cart line
+     * @param {number} productId - Product ID of the line
+     * @param {number} quantity - New quantity in the line's unit (0 removes the line)
+     * @param {number} available - Stock currently available, in base units
+     * @param {Object|null} product - Product of the line, to name its unit in errors
+     */
+    updateQuantity(productId, quantity, available = Infinity, product = null) {
+        const line = this.lines.find(l => l.productId === productId);
+        if (!line) {
+            throw new Error('Línea no encontrada en el carrito');
+        }
+
+        if (isNaN(quantity) || quantity < 0) {
+            throw new Error('La cantidad no puede ser negativa');
+        }
+
+        if (line.serials && quantity !== 0 && quantity !== line.quantity) {
+            throw new Error(`Para cambiar la cantidad de ${line.sku} quite la línea y agréguela de nuevo con sus números de serie`);
+        }
+
+        if (UnitConverter.round(quantity * line.unitFactor) > available) {
+            throw new Error(`Stock insuficiente. Disponible: ${UnitConverter.format(product || {}, available)}`);
+        }
+
+        if (quantity === 0) {
+            this.removeItem(productId);
+        } else {
+            line.quantity = quantity;
+        }
+    }
+
+    /**
+     * Set or clear the manual discount of a cart line
+     * @param {number} productId - Product ID of the line
+     * @param {Object|null} discount - { type, value, reason, authorizedBy }
+     */
+    setLineDiscount(productId, discount) {
+        const line = this.lines.find(l => l.productId === productId);
+        if (!line) {
+            throw new Error('Línea no encontrada en el carrito');
+        }
+        line.discount = discount;
+    }
+
+    /**
+     * Set or clear the overridden unit price of a cart line
+     * @param {number} productId - Product ID of the line
+     * @param {Object|null} priceOverride - { price, reason, authorizedBy }
+     */
+    setPriceOverride(productId, priceOverride) {
+        const line = this.lines.find(l => l.productId === productId);
+        if (!line) {
+            throw new Error('Línea no encontrada en el carrito');
+        }
+        line.priceOverride = priceOverride;
+    }
+
+    /**
+     * Set or clear the discount on the whole ticket
+     * @param {Object|null} discount - { type, value, reason, authorizedBy }
+     */
+    setTicketDiscount(discount) {
+        this.ticketDiscount = discount;
+    }
+
+    /**
+     * Add a payment toward the ticket
+     * @param {string} method - One of PAYMENT_METHODS
+     * @param {number} amount - Amount tendered
+     * @param {string} reference - Card authorization or transfer reference
+     * @returns {Object} Payment
+     */
+    addPayment(method, amount, reference = '') {
+        if (!Object.values(PAYMENT_METHODS).includes(method)) {
+            throw new Error('Forma de pago inválida');
+        }
+        if (isNaN(amount) || amount <= 0) {
+            throw new Error('El monto del pago debe ser mayor a cero');
+        }
+
+        const payment = { method, amount, reference };
+        this.payments.push(payment);
+        return payment;
+    }
+
+    /**
+     * Remove a payment
+     * @param {number} index - Position of the payment
+     */
+    removePayment(index) {
+        this.payments.splice(index, 1);
+    }
+
+    /**
+     * Get a copy of the payments added so far
+     * @returns {Array} Payments
+     */
+    getPayments() {
+        return this.payments.map(payment => ({ ...payment }));
+    }
+
+    /**
+     * Remove a line from the cart
+     * @param {number} productId - Product ID of the line
+     */
+    removeItem(productId) {
+        this.lines = this.lines.filter(l => l.productId !== productId);
+    }
+
+    /**
+     * Get a copy of the cart lines. They carry no totals: price them with
+     * InventoryManager.priceLines, as checkout does.
+     * @returns {Array} Cart lines
+     */
+    getLines() {
+        return this.lines.map(line => ({ ...line }));
+    }
+
+    /**
+     * Get the number of units in the cart
+     * @returns {number} Unit count
+     */
+    getItemCount() {
+        return this.lines.reduce((sum, line) => sum + line.quantity, 0);
+    }
+
+    /**
+     * Check whether the cart has no lines
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.lines.length === 0;
+    }
+
+    /**
+     * Remove all lines
+     */
+    clear() {
+        this.lines = [];
+        this.ticketDiscount = null;
+        this.payments = [];
+        this.quoteId = null;
+        this.reservationId = null;
+    }
+}
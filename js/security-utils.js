@@ -42,12 +42,12 @@ class SecurityUtils {
         }
         
         if (productData.quantity !== undefined) {
-            const quantity = parseInt(productData.quantity);
+            const quantity = parseFloat(productData.quantity);
             sanitized.quantity = isNaN(quantity) ? 0 : Math.max(0, quantity);
         }
         
         if (productData.minStock !== undefined) {
-            const minStock = parseInt(productData.minStock);
+            const minStock = parseFloat(productData.minStock);
             sanitized.minStock = isNaN(minStock) ? 0 : Math.max(0, minStock);
         }
         
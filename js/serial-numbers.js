@@ -0,0 +1,92 @@
+/**
+ * Serial Numbers Module
+ * Checks the serial numbers of serial-tracked products, such as power tools
+ * sold with a warranty, and keeps the history of each serial
+ */
+
+// Where a serial-tracked unit is
+const SERIAL_STATUS = Object.freeze({
+    IN_STOCK: 'in_stock',
+    SOLD: 'sold',
+    REMOVED: 'removed'
+});
+
+// Events in a serial's history
+const SERIAL_EVENTS = Object.freeze({
+    RECEIVED: 'received',
+    SOLD: 'sold',
+    RETURNED: 'returned',
+    REMOVED: 'removed'
+});
+
+// Longest serial number accepted
+const MAX_SERIAL_LENGTH = 40;
+
+class SerialNumbers {
+    /**
+     * Read serial numbers typed or scanned one per line, or separated by commas
+     * @param {string|Array|null} input - Serial numbers
+     * @returns {Array<string>} Serial numbers in upper case
+     * @throws {Error} If one is too long or repeated
+     */
+    static parse(input) {
+        const list = Array.isArray(input) ? input : String(input || '').split(/[\n,;]+/);
+        const serials = list.map(serial => String(serial).trim().toUpperCase()).filter(Boolean);
+
+        const seen = new Set();
+        serials.forEach(serial => {
+            if (serial.length > MAX_SERIAL_LENGTH) {
+                throw new Error(`El número de serie ${serial} es demasiado largo`);
+            }
+            if (seen.has(serial)) {
+                throw new Error(`Número de serie repetido: ${serial}`);
+            }
+            seen.add(serial);
+        });
+
+        return serials;
+    }
+
+    /**
+     * Check that one serial number was given for each unit moved
+     * @param {Object} product - Serial-tracked product
+     * @param {Array<string>} serials - Serial numbers
+     * @param {number} quantity - Units moved
+     * @throws {Error} If the count does not match
+     */
+    static assertCount(product, serials, quantity) {
+        if (serials.length !== quantity) {
+            throw new Error(`${product.sku} lleva número de serie: indique ${quantity} ` +
+                `número${quantity === 1 ? '' : 's'} de serie (recibidos ${serials.length})`);
+        }
+    }
+
+    /**
+     * Start the record of a serial entering stock for the first time
+     * @param {Object} product - Product
+     * @param {string} serial - Serial number
+     * @returns {Object} Serial record without its history
+     */
+    static createRecord(product, serial) {
+        return {
+            serial,
+            productId: product.id,
+            sku: product.sku,
+            name: product.name,
+            status: SERIAL_STATUS.IN_STOCK,
+            history: []
+        };
+    }
+
+    /**
+     * Move a serial to a new status and add the event to its history
+     * @param {Object} record - Serial record (modified in place)
+     * @param {string} status - One of SERIAL_STATUS
+     * @param {Object} event - Event ({ type, date, user, ... })
+     */
+    static addEvent(record, status, event) {
+        record.status = status;
+        record.updatedAt = event.date;
+        record.history = [...(record.history || []), event];
+    }
+}
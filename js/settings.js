@@ -0,0 +1,408 @@
+/**
+ * Settings Functionality
+ * Handles the tax, receipt, stock location, adjustment approval and units of measure configuration screen
+ */
+
+// Render the whole settings section
+function renderSettingsSection() {
+    if (!window.inventoryManager) return;
+
+    renderTaxSettings();
+    renderReceiptSettings();
+    renderLocationSettings();
+    renderAdjustmentSettings();
+    renderProductTaxOverrides();
+    renderProductUnits();
+}
+
+// Categories offered on the add product form plus any already in stock
+function getKnownCategories() {
+    const formCategories = Array.from(document.querySelectorAll('#category option'))
+        .map(option => option.value)
+        .filter(Boolean);
+    const stockCategories = window.inventoryManager.getAllProducts().map(p => p.category);
+
+    return [...new Set([...formCategories, ...stockCategories])].sort((a, b) => a.localeCompare(b));
+}
+
+// Fill the tax settings form from the saved settings
+function renderTaxSettings() {
+    const settings = window.inventoryManager.taxSettings;
+
+    document.getElementById('tax-default-rate').value = settings.defaultRate;
+    document.getElementById('tax-price-mode').value = settings.pricesIncludeTax ? 'included' : 'excluded';
+
+    const container = document.getElementById('tax-category-rates');
+    if (!container) return;
+
+    container.innerHTML = `
+        <div class="table-container">
+            <table class="inventory-table">
+                <thead><tr><th>🗂️ Category</th><th>📊 Rate (%)</th></tr></thead>
+                <tbody>
+                    ${getKnownCategories().map(category => `
+                        <tr>
+                            <td>${category}</td>
+                            <td>
+                                <input type="number" class="quantity-input tax-category-input" data-category="${category}"
+                                       step="0.01" min="0" max="100" placeholder="${settings.defaultRate}"
+                                       value="${settings.categoryRates[category] !== undefined ? settings.categoryRates[category] : ''}">
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Fill the receipt settings form from the saved settings
+function renderReceiptSettings() {
+    const settings = window.inventoryManager.receiptSettings;
+
+    document.getElementById('receipt-store-name').value = settings.storeName;
+    document.getElementById('receipt-tax-id').value = settings.taxId;
+    document.getElementById('receipt-address').value = settings.address;
+    document.getElementById('receipt-phone').value = settings.phone;
+    document.getElementById('receipt-footer').value = settings.footer;
+    document.getElementById('receipt-paper-width').value = settings.paperWidth;
+}
+
+// Fill the stock locations form and show what each location holds
+function renderLocationSettings() {
+    const settings = window.inventoryManager.locationSettings;
+    const options = settings.locations
+        .map(location => `<option value="${location.id}">${location.name}</option>`)
+        .join('');
+
+    document.getElementById('location-list').value = settings.locations
+        .map(location => `${location.id}=${location.name}`)
+        .join(', ');
+    document.getElementById('location-sale').innerHTML = options;
+    document.getElementById('location-sale').value = settings.saleLocation;
+    document.getElementById('location-receiving').innerHTML = options;
+    document.getElementById('location-receiving').value = settings.receivingLocation;
+
+    const container = document.getElementById('location-stock-table');
+    if (!container) return;
+
+    const stats = settings.locations.map(location => ({
+        location,
+        products: window.inventoryManager.getAllProducts().filter(p => LocationStock.getQuantity(p, location.id) > 0).length,
+        value: window.inventoryManager.getStatistics(location.id).totalCostValue
+    }));
+
+    container.innerHTML = `
+        <div class="table-container">
+            <table class="inventory-table">
+                <thead><tr><th>📍 Location</th><th>📦 Products in Stock</th><th>💲 Value at Cost</th></tr></thead>
+                <tbody>
+                    ${stats.map(stat => `
+                        <tr>
+                            <td>${stat.location.name} (${stat.location.id})</td>
+                            <td>${stat.products}</td>
+                            <td>$${stat.value.toFixed(2)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Fill the adjustment approval limits from the saved settings
+function renderAdjustmentSettings() {
+    const settings = window.inventoryManager.adjustmentSettings;
+
+    document.getElementById('adjustment-approval-quantity').value = settings.approvalQuantity === null ? '' : settings.approvalQuantity;
+    document.getElementById('adjustment-approval-value').value = settings.approvalValue === null ? '' : settings.approvalValue;
+}
+
+// Render products that carry their own tax rate
+function renderProductTaxOverrides() {
+    const datalist = document.getElementById('product-tax-options');
+    const container = document.getElementById('product-tax-overrides');
+    const products = window.inventoryManager.getAllProducts();
+
+    if (datalist) {
+        datalist.innerHTML = products
+            .map(product => `<option value="${product.sku}">${product.name}</option>`)
+            .join('');
+    }
+
+    if (!container) return;
+
+    const overrides = products.filter(product => TaxCalculator.isValidRate(product.taxRate));
+    if (overrides.length === 0) {
+        container.innerHTML = '<p class="settings-hint">No product overrides</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="table-container">
+            <table class="inventory-table">
+                <thead><tr><th>🏷️ SKU</th><th>📝 Name</th><th>🗂️ Category</th><th>📊 Rate</th><th>⚙️ Actions</th></tr></thead>
+                <tbody>
+                    ${overrides.map(product => `
+                        <tr>
+                            <td>${product.sku}</td>
+                            <td>${product.name}</td>
+                            <td>${product.category}</td>
+                            <td>${product.taxRate}%</td>
+                            <td class="action-buttons">
+                                <button class="btn btn-danger" onclick="clearProductTaxRate(${product.id})" title="Use category or default rate">✖</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Render products sold in units other than the plain default
+function renderProductUnits() {
+    const baseSelect = document.getElementById('product-units-base');
+    const container = document.getElementById('product-units-table');
+
+    if (baseSelect && baseSelect.options.length === 0) {
+        baseSelect.innerHTML = Object.keys(BASE_UNITS)
+            .map(unit => `<option value="${unit}">${UnitConverter.getLabel(unit)}</option>`)
+            .join('');
+    }
+
+    if (!container) return;
+
+    const products = window.inventoryManager.getAllProducts()
+        .filter(product => product.baseUnit !== DEFAULT_BASE_UNIT || product.units.length > 0);
+    if (products.length === 0) {
+        container.innerHTML = '<p class="settings-hint">All products are sold by the unit</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="table-container">
+            <table class="inventory-table">
+                <thead><tr><th>🏷️ SKU</th><th>📝 Name</th><th>📏 Base Unit</th><th>📦 Selling Units</th><th>📊 Stock</th></tr></thead>
+                <tbody>
+                    ${products.map(product => `
+                        <tr>
+                            <td>${product.sku}</td>
+                            <td>${product.name}</td>
+                            <td>${product.baseUnit} ($${product.price.toFixed(2)})</td>
+                            <td>${product.units.map(unit => `${unit.name} = ${unit.factor} ${product.baseUnit} ($${UnitConverter.getUnitPrice(product, unit.name).toFixed(2)})`).join('<br>') || '-'}</td>
+                            <td>${UnitConverter.format(product, product.quantity)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Fill the units form with the units of the chosen product
+async function fillProductUnitsForm() {
+    const product = await window.inventoryManager.findProduct(document.getElementById('product-units-sku').value.trim());
+    if (!product) return;
+
+    document.getElementById('product-units-base').value = product.baseUnit;
+    document.getElementById('product-units-conversion').value = 1;
+    document.getElementById('product-units-alternates').value = UnitConverter.formatUnits(product.units);
+}
+
+// Save the tax settings form
+async function handleTaxSettingsSubmit(e) {
+    e.preventDefault();
+
+    const categoryRates = {};
+    document.querySelectorAll('.tax-category-input').forEach(input => {
+        if (input.value !== '') {
+            categoryRates[input.dataset.category] = parseFloat(input.value);
+        }
+    });
+
+    try {
+        await window.inventoryManager.saveTaxSettings({
+            defaultRate: parseFloat(document.getElementById('tax-default-rate').value),
+            pricesIncludeTax: document.getElementById('tax-price-mode').value === 'included',
+            categoryRates
+        });
+
+        renderTaxSettings();
+        window.uiController.renderCart();
+        window.uiController.showAlert('Tax settings saved!', 'success');
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Save the receipt settings form
+async function handleReceiptSettingsSubmit(e) {
+    e.preventDefault();
+
+    try {
+        await window.inventoryManager.saveReceiptSettings({
+            storeName: document.getElementById('receipt-store-name').value,
+            taxId: document.getElementById('receipt-tax-id').value,
+            address: document.getElementById('receipt-address').value,
+            phone: document.getElementById('receipt-phone').value,
+            footer: document.getElementById('receipt-footer').value,
+            paperWidth: document.getElementById('receipt-paper-width').value
+        });
+
+        renderReceiptSettings();
+        window.uiController.showAlert('Receipt settings saved!', 'success');
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Save the stock locations form; locations are written as "front=Front Counter, back=Back Bodega"
+async function handleLocationSettingsSubmit(e) {
+    e.preventDefault();
+
+    try {
+        const locations = document.getElementById('location-list').value
+            .split(',')
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map(part => {
+                const [id, ...name] = part.split('=');
+                return { id, name: name.join('=') };
+            });
+
+        await window.inventoryManager.saveLocationSettings({
+            locations,
+            saleLocation: document.getElementById('location-sale').value,
+            receivingLocation: document.getElementById('location-receiving').value
+        });
+
+        renderLocationSettings();
+        window.uiController.showAlert('Locations saved!', 'success');
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Save the adjustment approval limits; a blank limit is turned off
+async function handleAdjustmentSettingsSubmit(e) {
+    e.preventDefault();
+
+    try {
+        await window.inventoryManager.saveAdjustmentSettings({
+            approvalQuantity: document.getElementById('adjustment-approval-quantity').value,
+            approvalValue: document.getElementById('adjustment-approval-value').value
+        });
+
+        renderAdjustmentSettings();
+        window.uiController.showAlert('Adjustment limits saved!', 'success');
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Save a product tax override
+async function handleProductTaxSubmit(e) {
+    e.preventDefault();
+
+    const identifier = document.getElementById('product-tax-sku').value.trim();
+    const rate = parseFloat(document.getElementById('product-tax-rate').value);
+
+    try {
+        const product = await window.inventoryManager.findProduct(identifier);
+        if (!product) {
+            throw new Error('Product not found');
+        }
+
+        await window.inventoryManager.setProductTaxRate(product.id, rate);
+
+        e.target.reset();
+        renderProductTaxOverrides();
+        window.uiController.renderCart();
+        window.uiController.showAlert(`Tax rate for ${product.sku} set to ${rate}%`, 'success');
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Save the units of measure of a product
+async function handleProductUnitsSubmit(e) {
+    e.preventDefault();
+
+    const identifier = document.getElementById('product-units-sku').value.trim();
+
+    try {
+        const product = await window.inventoryManager.findProduct(identifier);
+        if (!product) {
+            throw new Error('Product not found');
+        }
+
+        const updated = await window.inventoryManager.setProductUnits(product.id, {
+            baseUnit: document.getElementById('product-units-base').value,
+            conversion: document.getElementById('product-units-conversion').value,
+            units: UnitConverter.parseUnits(document.getElementById('product-units-alternates').value)
+        });
+
+        e.target.reset();
+        renderProductUnits();
+        window.uiController.renderCart();
+        window.uiController.showAlert(`Units for ${updated.sku} saved. Stock: ${UnitConverter.format(updated, updated.quantity)}`, 'success');
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Remove a product tax override
+async function clearProductTaxRate(productId) {
+    try {
+        await window.inventoryManager.setProductTaxRate(productId, null);
+        renderProductTaxOverrides();
+        window.uiController.renderCart();
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Setup settings forms when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    const taxForm = document.getElementById('tax-settings-form');
+    if (taxForm) {
+        taxForm.addEventListener('submit', handleTaxSettingsSubmit);
+    }
+
+    const receiptForm = document.getElementById('receipt-settings-form');
+    if (receiptForm) {
+        receiptForm.addEventListener('submit', handleReceiptSettingsSubmit);
+    }
+
+    const locationForm = document.getElementById('location-settings-form');
+    if (locationForm) {
+        locationForm.addEventListener('submit', handleLocationSettingsSubmit);
+    }
+
+    const adjustmentForm = document.getElementById('adjustment-settings-form');
+    if (adjustmentForm) {
+        adjustmentForm.addEventListener('submit', handleAdjustmentSettingsSubmit);
+    }
+
+    const productTaxForm = document.getElementById('product-tax-form');
+    if (productTaxForm) {
+        productTaxForm.addEventListener('submit', handleProductTaxSubmit);
+    }
+
+    const productUnitsForm = document.getElementById('product-units-form');
+    if (productUnitsForm) {
+        productUnitsForm.addEventListener('submit', handleProductUnitsSubmit);
+    }
+
+    const productUnitsSku = document.getElementById('product-units-sku');
+    if (productUnitsSku) {
+        productUnitsSku.addEventListener('change', fillProductUnitsForm);
+    }
+});
+
+// Make functions globally available
+window.renderSettingsSection = renderSettingsSection;
+window.clearProductTaxRate = clearProductTaxRate;
+
+console.log('✅ Settings functionality loaded');
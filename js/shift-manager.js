@@ -0,0 +1,274 @@
+/**
+ * Shift Manager Module
+ * Handles cashier shifts: opening float, takings by payment method and
+ * cash drawer reconciliation at close
+ */
+
+// Lifecycle of a cashier shift
+const SHIFT_STATUS = Object.freeze({
+    OPEN: 'open',
+    CLOSED: 'closed'
+});
+
+class ShiftManager {
+    constructor(database, inventoryManager) {
+        this.db = database;
+        this.inventoryManager = inventoryManager;
+        this.shifts = [];
+    }
+
+    /**
+     * Initialize shift manager and load data
+     */
+    async init() {
+        try {
+            await this.loadFromDB();
+
+            this.inventoryManager.on('dataImported', () => {
+                this.loadFromDB().catch(error => {
+                    console.error('Error reloading shifts:', error);
+                });
+            });
+
+            console.log('Shift manager initialized with', this.shifts.length, 'shifts');
+
+        } catch (error) {
+            console.error('Error initializing shift manager:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load shifts from database
+     */
+    async loadFromDB() {
+        this.shifts = await this.db.getAllShifts();
+    }
+
+    /**
+     * Get the logged-in user
+     * @returns {string|null} Username
+     */
+    getCurrentUser() {
+        return window.authSystem ? window.authSystem.getCurrentUser() : null;
+    }
+
+    /**
+     * Get the open shift of a user
+     * @param {string} user - Username (defaults to the logged-in user)
+     * @returns {Object|null} Open shift
+     */
+    getOpenShift(user = this.getCurrentUser()) {
+        return this.shifts.find(shift => shift.user === user && shift.status === SHIFT_STATUS.OPEN) || null;
+    }
+
+    /**
+     * Get all shifts, newest first
+     * @param {string|null} user - Only shifts of this user
+     * @returns {Array} Shifts
+     */
+    getShifts(user = null) {
+        return this.shifts
+            .filter(shift => !user || shift.user === user)
+            .sort((a, b) => b.id - a.id);
+    }
+
+    /**
+     * Open a shift for the logged-in user with a starting float
+     * @param {number} openingFloat - Cash in the drawer at the start
+     * @returns {Promise<Object>} Opened shift
+     */
+    async openShift(openingFloat) {
+        try {
+            const user = this.getCurrentUser();
+            if (!user) {
+                throw new Error('Debe iniciar sesión para abrir un turno');
+            }
+            if (this.getOpenShift(user)) {
+                throw new Error(`El usuario ${user} ya tiene un turno abierto`);
+            }
+
+            const float = parseFloat(openingFloat);
+            if (isNaN(float) || float < 0) {
+                throw new Error('El fondo inicial debe ser un número positivo');
+            }
+
+            const shift = {
+                user,
+                status: SHIFT_STATUS.OPEN,
+                openedAt: new Date().toISOString(),
+                openingFloat: TaxCalculator.round(float),
+                closedAt: null
+            };
+            shift.id = await this.db.addShift(shift);
+            this.shifts.push(shift);
+
+            return shift;
+
+        } catch (error) {
+            console.error('Error opening shift:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Work out what a shift took in and how much cash should be in the drawer.
+     * Sales, refunds, payments on customer accounts and reservation deposits
+     * count toward a shift when the shift's user took them while it was open.
+     * @param {Object} shift - Shift
+     * @returns {Promise<Object>} Takings by method, refunds, account payments, deposits and expected cash
+     */
+    async getShiftSummary(shift) {
+        const start = new Date(shift.openedAt);
+        const end = shift.closedAt ? new Date(shift.closedAt) : new Date();
+        const tickets = (await this.db.getTicketsByDateRange(start, end)).filter(t => t.user === shift.user);
+        const returns = (await this.db.getReturnsByDateRange(start, end)).filter(r => r.user === shift.user);
+        const accountPayments = (await this.db.getAccountEntriesByDateRange(start, end))
+            .filter(entry => entry.type === ACCOUNT_ENTRY_TYPES.PAYMENT && entry.user === shift.user);
+        const inShift = date => date && new Date(date) >= start && new Date(date) <= end;
+        const reservations = await this.db.getAllReservations();
+
+        const takings = {};
+        const refunds = {};
+        const collected = {};
+        const deposits = {};
+        Object.values(PAYMENT_METHODS).forEach(method => {
+            takings[method] = 0;
+            refunds[method] = 0;
+            collected[method] = 0;
+            deposits[method] = 0;
+        });
+
+        let changeGiven = 0;
+        tickets.forEach(ticket => {
+            const amounts = PaymentCalculator.getAmountsByMethod(ticket);
+            Object.keys(amounts).forEach(method => {
+                takings[method] += amounts[method];
+            });
+            changeGiven += ticket.changeDue || 0;
+        });
+
+        returns.forEach(saleReturn => {
+            const method = saleReturn.refundMethod || PAYMENT_METHODS.CASH;
+            refunds[method] += saleReturn.refundAmount;
+        });
+
+        accountPayments.forEach(entry => {
+            collected[entry.method] += entry.amount;
+        });
+
+        // Deposits taken less deposits handed back on cancelled reservations
+        reservations.filter(r => r.depositMethod).forEach(reservation => {
+            if (reservation.createdBy === shift.user && inShift(reservation.createdAt)) {
+                deposits[reservation.depositMethod] += reservation.deposit;
+            }
+            if (reservation.depositRefunded && reservation.cancelledBy === shift.user && inShift(reservation.cancelledAt)) {
+                deposits[reservation.depositMethod] -= reservation.depositRefunded;
+            }
+        });
+
+        Object.keys(takings).forEach(method => {
+            takings[method] = TaxCalculator.round(takings[method]);
+            refunds[method] = TaxCalculator.round(refunds[method]);
+            collected[method] = TaxCalculator.round(collected[method]);
+            deposits[method] = TaxCalculator.round(deposits[method]);
+        });
+
+        const expectedCash = TaxCalculator.round(
+            shift.openingFloat + takings[PAYMENT_METHODS.CASH] + collected[PAYMENT_METHODS.CASH] +
+            deposits[PAYMENT_METHODS.CASH] - refunds[PAYMENT_METHODS.CASH]
+        );
+
+        return {
+            shift,
+            ticketCount: tickets.length,
+            returnCount: returns.length,
+            salesTotal: TaxCalculator.round(tickets.reduce((sum, ticket) => sum + ticket.total, 0)),
+            takings,
+            refunds,
+            accountPayments: collected,
+            deposits,
+            changeGiven: TaxCalculator.round(changeGiven),
+            expectedCash,
+            countedCash: shift.status === SHIFT_STATUS.CLOSED ? shift.countedCash : null,
+            difference: shift.status === SHIFT_STATUS.CLOSED ? shift.difference : null
+        };
+    }
+
+    /**
+     * Close the logged-in user's shift with the cash counted in the drawer
+     * @param {number} countedCash - Cash counted at close
+     * @param {string} notes - Optional notes about the count
+     * @returns {Promise<Object>} Closing summary
+     */
+    async closeShift(countedCash, notes = '') {
+        try {
+            const shift = this.getOpenShift();
+            if (!shift) {
+                throw new Error('No hay un turno abierto para este usuario');
+            }
+
+            const counted = parseFloat(countedCash);
+            if (isNaN(counted) || counted < 0) {
+                throw new Error('El efectivo contado debe ser un número positivo');
+            }
+
+            const closing = { ...shift, closedAt: new Date().toISOString() };
+            const summary = await this.getShiftSummary(closing);
+
+            Object.assign(closing, {
+                status: SHIFT_STATUS.CLOSED,
+                closedBy: this.getCurrentUser(),
+                ticketCount: summary.ticketCount,
+                returnCount: summary.returnCount,
+                salesTotal: summary.salesTotal,
+                takings: summary.takings,
+                refunds: summary.refunds,
+                accountPayments: summary.accountPayments,
+                deposits: summary.deposits,
+                expectedCash: summary.expectedCash,
+                countedCash: TaxCalculator.round(counted),
+                difference: TaxCalculator.round(counted - summary.expectedCash),
+                notes: notes.trim()
+            });
+
+            await this.db.updateShift(closing);
+            this.shifts = this.shifts.map(s => s.id === closing.id ? closing : s);
+
+            return { ...summary, shift: closing, countedCash: closing.countedCash, difference: closing.difference };
+
+        } catch (error) {
+            console.error('Error closing shift:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Total the closed shifts of each user in a date range
+     * @param {Date} startDate - Start of the range (inclusive)
+     * @param {Date} endDate - End of the range (inclusive)
+     * @returns {Array} Per-user totals of expected and counted cash
+     */
+    getReconciliationByUser(startDate, endDate) {
+        const byUser = {};
+
+        this.shifts
+            .filter(shift => shift.status === SHIFT_STATUS.CLOSED)
+            .filter(shift => {
+                const closedAt = new Date(shift.closedAt);
+                return closedAt >= startDate && closedAt <= endDate;
+            })
+            .forEach(shift => {
+                if (!byUser[shift.user]) {
+                    byUser[shift.user] = { user: shift.user, shifts: 0, expectedCash: 0, countedCash: 0, difference: 0 };
+                }
+                const entry = byUser[shift.user];
+                entry.shifts++;
+                entry.expectedCash += shift.expectedCash;
+                entry.countedCash += shift.countedCash;
+                entry.difference += shift.difference;
+            });
+
+        return Object.values(byUser).sort((a, b) => a.user.localeCompare(b.user));
+    }
+}
@@ -0,0 +1,77 @@
+/**
+ * Shifts Functionality
+ * Handles opening and closing cashier shifts from the sell screen
+ */
+
+// Show the logged-in user's shift on the sell screen
+function renderShiftStatus() {
+    const statusEl = document.getElementById('shift-status');
+    const openBtn = document.getElementById('open-shift-btn');
+    const closeBtn = document.getElementById('close-shift-btn');
+    if (!statusEl || !window.shiftManager) return;
+
+    const shift = window.shiftManager.getOpenShift();
+    if (shift) {
+        statusEl.innerHTML = `🟢 Shift open for <strong>${shift.user}</strong> since ${new Date(shift.openedAt).toLocaleString()} · Float: $${shift.openingFloat.toFixed(2)}`;
+    } else {
+        statusEl.innerHTML = '🔴 No open shift';
+    }
+
+    if (openBtn) openBtn.style.display = shift ? 'none' : '';
+    if (closeBtn) closeBtn.style.display = shift ? '' : 'none';
+}
+
+// Open a shift with the float counted into the drawer
+async function handleOpenShift() {
+    const input = prompt('Starting float in the cash drawer:', '0.00');
+    if (input === null) return;
+
+    try {
+        const shift = await window.shiftManager.openShift(input);
+        renderShiftStatus();
+        window.uiController.showAlert(`Shift opened with a float of $${shift.openingFloat.toFixed(2)}`, 'success');
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Close the shift with a blind count of the drawer, then show the result
+async function handleCloseShift() {
+    const counted = prompt('Count the cash in the drawer and enter the total:');
+    if (counted === null) return;
+
+    const notes = prompt('Notes about the count (optional):') || '';
+
+    try {
+        const summary = await window.shiftManager.closeShift(counted, notes);
+        renderShiftStatus();
+
+        const difference = summary.difference;
+        const result = difference === 0 ? 'Drawer balanced' :
+            `${difference > 0 ? 'Over' : 'Short'} by $${Math.abs(difference).toFixed(2)}`;
+        window.uiController.showAlert(
+            `Shift closed. Expected cash: $${summary.expectedCash.toFixed(2)} · Counted: $${summary.countedCash.toFixed(2)} · ${result}`,
+            difference === 0 ? 'success' : 'warning'
+        );
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Setup shift buttons when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    const openBtn = document.getElementById('open-shift-btn');
+    if (openBtn) {
+        openBtn.addEventListener('click', handleOpenShift);
+    }
+
+    const closeBtn = document.getElementById('close-shift-btn');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', handleCloseShift);
+    }
+});
+
+// Make functions globally available
+window.renderShiftStatus = renderShiftStatus;
+
+console.log('✅ Shifts functionality loaded');
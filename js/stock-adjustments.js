@@ -0,0 +1,122 @@
+/**
+ * Stock Adjustments Module
+ * Checks the reason and approval threshold of manual stock adjustments and
+ * sums up shrinkage (stock lost or found outside sales and receipts) by reason
+ */
+
+// Why stock was adjusted; every adjustment and posted count carries one
+const ADJUSTMENT_REASONS = Object.freeze({
+    DAMAGED: 'damaged',
+    THEFT: 'theft',
+    FOUND: 'found',
+    CORRECTION: 'correction',
+    INTERNAL_USE: 'internal_use',
+    EXPIRED: 'expired',
+    CYCLE_COUNT: 'cycle_count',
+    FULL_COUNT: 'full_count'
+});
+
+// Where an adjustment is in its approval
+const ADJUSTMENT_STATUS = Object.freeze({
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+});
+
+// Adjustments larger than either limit wait for a manager; null turns a limit off
+const DEFAULT_ADJUSTMENT_SETTINGS = Object.freeze({
+    approvalQuantity: 20,
+    approvalValue: 50
+});
+
+class StockAdjustments {
+    /**
+     * Check adjustment approval settings and fill in defaults
+     * @param {Object} settings - approvalQuantity and approvalValue
+     * @returns {Object} Normalized settings
+     * @throws {Error} Validation error
+     */
+    static normalizeSettings(settings = {}) {
+        const limit = (value, fallback, message) => {
+            if (value === undefined) return fallback;
+            if (value === null || value === '') return null;
+
+            const number = parseFloat(value);
+            if (isNaN(number) || number < 0) {
+                throw new Error(message);
+            }
+            return number;
+        };
+
+        return {
+            approvalQuantity: limit(settings.approvalQuantity, DEFAULT_ADJUSTMENT_SETTINGS.approvalQuantity,
+                'El límite de cantidad debe ser cero o más'),
+            approvalValue: limit(settings.approvalValue, DEFAULT_ADJUSTMENT_SETTINGS.approvalValue,
+                'El límite de valor debe ser cero o más')
+        };
+    }
+
+    /**
+     * Check the reason given for an adjustment
+     * @param {string} reason - One of ADJUSTMENT_REASONS
+     * @throws {Error} If it is missing or unknown
+     */
+    static assertReason(reason) {
+        if (!reason) {
+            throw new Error('Indique el motivo del ajuste');
+        }
+        if (!Object.values(ADJUSTMENT_REASONS).includes(reason)) {
+            throw new Error(`Motivo de ajuste inválido: ${reason}`);
+        }
+    }
+
+    /**
+     * Check whether an adjustment is large enough to need a manager
+     * @param {Object} settings - Adjustment settings
+     * @param {number} quantity - Quantity adjusted, either sign
+     * @param {number} value - Value adjusted at cost, either sign
+     * @returns {boolean}
+     */
+    static needsApproval(settings, quantity, value) {
+        return (settings.approvalQuantity !== null && Math.abs(quantity) > settings.approvalQuantity) ||
+            (settings.approvalValue !== null && Math.abs(value) > settings.approvalValue);
+    }
+
+    /**
+     * Sum up adjustment and count movements by reason. Movements value
+     * stock at the cost it left or entered at.
+     * @param {Array} movements - Stock movements carrying a reason
+     * @returns {Object} { byReason ({ reason, movements, unitsLost, unitsFound, valueLost, valueFound, netValue }), valueLost, valueFound, netValue }
+     */
+    static summarizeShrinkage(movements) {
+        const byReason = {};
+
+        movements.forEach(movement => {
+            const row = byReason[movement.reason] || (byReason[movement.reason] = {
+                reason: movement.reason, movements: 0, unitsLost: 0, unitsFound: 0, valueLost: 0, valueFound: 0
+            });
+            const value = Math.abs(movement.delta) * (movement.unitCost || 0);
+
+            row.movements++;
+            if (movement.delta < 0) {
+                row.unitsLost = UnitConverter.round(row.unitsLost - movement.delta);
+                row.valueLost += value;
+            } else {
+                row.unitsFound = UnitConverter.round(row.unitsFound + movement.delta);
+                row.valueFound += value;
+            }
+        });
+
+        const rows = Object.values(byReason).map(row => ({
+            ...row,
+            valueLost: TaxCalculator.round(row.valueLost),
+            valueFound: TaxCalculator.round(row.valueFound),
+            netValue: TaxCalculator.round(row.valueFound - row.valueLost)
+        })).sort((a, b) => a.netValue - b.netValue);
+
+        const valueLost = TaxCalculator.round(rows.reduce((sum, row) => sum + row.valueLost, 0));
+        const valueFound = TaxCalculator.round(rows.reduce((sum, row) => sum + row.valueFound, 0));
+
+        return { byReason: rows, valueLost, valueFound, netValue: TaxCalculator.round(valueFound - valueLost) };
+    }
+}
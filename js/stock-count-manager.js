@@ -0,0 +1,422 @@
+/**
+ * Stock Count Manager Module
+ * Handles physical stock counts: full counts and weekly cycle counts.
+ * A count session freezes the system quantities when it starts, so sales
+ * rung up while the shelves are counted do not show up as variances.
+ */
+
+// Lifecycle of a count session
+const COUNT_STATUS = Object.freeze({
+    OPEN: 'open',
+    APPROVED: 'approved',
+    CANCELLED: 'cancelled'
+});
+
+// What a count session covers
+const COUNT_SCOPES = Object.freeze({
+    CATEGORY: 'category',
+    LOCATION: 'location',
+    SAMPLE: 'sample'
+});
+
+// Products picked for a random cycle count when no size is given
+const DEFAULT_SAMPLE_SIZE = 10;
+
+class StockCountManager {
+    constructor(database, inventoryManager) {
+        this.db = database;
+        this.inventoryManager = inventoryManager;
+        this.sessions = [];
+    }
+
+    /**
+     * Initialize stock count manager and load data
+     */
+    async init() {
+        try {
+            await this.loadFromDB();
+
+            this.inventoryManager.on('dataImported', () => {
+                this.loadFromDB().catch(error => {
+                    console.error('Error reloading count sessions:', error);
+                });
+            });
+
+            console.log('Stock count manager initialized with', this.sessions.length, 'sessions');
+
+        } catch (error) {
+            console.error('Error initializing stock count manager:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load count sessions from database
+     */
+    async loadFromDB() {
+        this.sessions = await this.db.getAllCountSessions();
+    }
+
+    /**
+     * Check whether a product can be counted. Kits have no stock of their
+     * own and serial-tracked products are adjusted unit by unit.
+     * @param {Object} product - Product
+     * @returns {boolean}
+     */
+    isCountable(product) {
+        return !this.inventoryManager.isKit(product) && !product.serialTracked;
+    }
+
+    /**
+     * Start a count session with the expected quantities frozen now
+     * @param {Object} options - scope (one of COUNT_SCOPES), category for a
+     *   category count, sampleSize for a random sample, location counted
+     *   (defaults to the sale location) and an optional name
+     * @returns {Promise<Object>} Created session
+     */
+    async createSession(options = {}) {
+        try {
+            const location = this.inventoryManager.getLocation(
+                options.location || this.inventoryManager.locationSettings.saleLocation).id;
+            const countable = this.inventoryManager.getAllProducts().filter(p => this.isCountable(p));
+
+            let products;
+            let scopeValue = null;
+            if (options.scope === COUNT_SCOPES.CATEGORY) {
+                scopeValue = options.category;
+                products = countable.filter(p => p.category === scopeValue);
+            } else if (options.scope === COUNT_SCOPES.LOCATION) {
+                products = countable.filter(p => LocationStock.getQuantity(p, location) !== 0);
+            } else if (options.scope === COUNT_SCOPES.SAMPLE) {
+                scopeValue = options.sampleSize === undefined || options.sampleSize === '' ?
+                    DEFAULT_SAMPLE_SIZE : parseInt(options.sampleSize);
+                if (isNaN(scopeValue) || scopeValue <= 0) {
+                    throw new Error('El tamaño de la muestra debe ser mayor a cero');
+                }
+                products = this.pickSample(countable, scopeValue);
+            } else {
+                throw new Error(`Tipo de conteo inválido: ${options.scope}`);
+            }
+
+            if (products.length === 0) {
+                throw new Error('No hay productos para contar con ese criterio');
+            }
+
+            const date = new Date().toISOString();
+            const session = {
+                name: (options.name || '').trim() || this.describeScope(options.scope, scopeValue, location),
+                scope: options.scope,
+                scopeValue,
+                location,
+                status: COUNT_STATUS.OPEN,
+                // Walk order: by bin so the counter goes down each aisle once
+                lines: PickList.sort(products.map(product => this.createLine(product, location, date))),
+                createdBy: this.inventoryManager.getCurrentUser(),
+                createdAt: date,
+                updatedAt: date
+            };
+
+            session.id = await this.db.addCountSession(session);
+            this.sessions.push(session);
+            console.log('Count session created:', session.id, session.lines.length, 'products');
+
+            return session;
+
+        } catch (error) {
+            console.error('Error creating count session:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Pick products at random for a cycle count
+     * @param {Array} products - Products to pick from
+     * @param {number} size - How many to pick
+     * @returns {Array} Picked products
+     */
+    pickSample(products, size) {
+        const pool = [...products];
+        for (let i = pool.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        return pool.slice(0, size);
+    }
+
+    /**
+     * Name a session after what it covers
+     * @param {string} scope - One of COUNT_SCOPES
+     * @param {string|number|null} scopeValue - Category or sample size
+     * @param {string} location - Location ID
+     * @returns {string} Name such as "Plumbing - Front Counter"
+     */
+    describeScope(scope, scopeValue, location) {
+        const locationName = this.inventoryManager.getLocation(location).name;
+        if (scope === COUNT_SCOPES.CATEGORY) return `${scopeValue} - ${locationName}`;
+        if (scope === COUNT_SCOPES.SAMPLE) return `Cycle count of ${scopeValue} - ${locationName}`;
+        return `Full count - ${locationName}`;
+    }
+
+    /**
+     * Freeze a product's system quantity and cost for a count
+     * @param {Object} product - Product
+     * @param {string} location - Location counted
+     * @param {string} date - When the snapshot is taken
+     * @returns {Object} Count line
+     */
+    createLine(product, location, date) {
+        return {
+            productId: product.id,
+            sku: product.sku,
+            name: product.name,
+            baseUnit: product.baseUnit,
+            binLocation: product.binLocation || null,
+            expected: LocationStock.getQuantity(product, location),
+            unitCost: StockValuation.getDefaultCost(product),
+            snapshotAt: date,
+            counted: null,
+            countedBy: null,
+            countedAt: null
+        };
+    }
+
+    /**
+     * Record a counted quantity. Scanning the same product again adds to
+     * its count; a product outside the session is added with its
+     * quantity frozen when it is first scanned.
+     * @param {number} sessionId - Count session ID
+     * @param {string} identifier - SKU or barcode of the product counted
+     * @param {number} quantity - Quantity counted, in the base unit
+     * @param {boolean} replace - Set the count instead of adding to it
+     * @returns {Promise<Object>} Count line
+     */
+    async recordCount(sessionId, identifier, quantity, replace = false) {
+        const session = this.getOpenSession(sessionId);
+
+        const product = await this.inventoryManager.findProduct(String(identifier || '').trim());
+        if (!product) {
+            throw new Error('Producto no encontrado');
+        }
+        if (!this.isCountable(product)) {
+            throw new Error(this.inventoryManager.isKit(product) ?
+                `${product.sku} es un kit; cuente sus componentes` :
+                `${product.sku} lleva número de serie; ajústelo por número de serie`);
+        }
+        if (isNaN(quantity) || quantity < 0 || (quantity === 0 && !replace)) {
+            throw new Error('La cantidad contada no es válida');
+        }
+
+        const date = new Date().toISOString();
+        let line = session.lines.find(l => l.productId === product.id);
+        if (!line) {
+            line = { ...this.createLine(product, session.location, date), added: true };
+            session.lines.push(line);
+        }
+
+        const counted = UnitConverter.round(replace ? quantity : (line.counted || 0) + quantity);
+        if (counted > 0) {
+            UnitConverter.assertQuantity(product, counted);
+        }
+        line.counted = counted;
+        line.countedBy = this.inventoryManager.getCurrentUser();
+        line.countedAt = date;
+
+        await this.saveSession(session);
+        return line;
+    }
+
+    /**
+     * Count every line not counted yet as zero, as at the end of a full count
+     * @param {number} sessionId - Count session ID
+     * @returns {Promise<number>} Lines set to zero
+     */
+    async setUncountedToZero(sessionId) {
+        const session = this.getOpenSession(sessionId);
+        const date = new Date().toISOString();
+        const uncounted = session.lines.filter(line => line.counted === null);
+
+        uncounted.forEach(line => {
+            line.counted = 0;
+            line.countedBy = this.inventoryManager.getCurrentUser();
+            line.countedAt = date;
+        });
+
+        await this.saveSession(session);
+        return uncounted.length;
+    }
+
+    /**
+     * Get the difference between a line's count and its frozen quantity
+     * @param {Object} line - Count line
+     * @returns {Object} { variance, value }, both null until the line is counted
+     */
+    getVariance(line) {
+        if (line.counted === null) {
+            return { variance: null, value: null };
+        }
+        const variance = UnitConverter.round(line.counted - line.expected);
+        return { variance, value: TaxCalculator.round(variance * line.unitCost) };
+    }
+
+    /**
+     * Sum up a session's progress and variance
+     * @param {Object} session - Count session
+     * @returns {Object} { totalLines, countedLines, varianceLines, shortageValue, overageValue, netValue }
+     */
+    getSummary(session) {
+        const summary = { totalLines: session.lines.length, countedLines: 0, varianceLines: 0, shortageValue: 0, overageValue: 0 };
+
+        session.lines.forEach(line => {
+            const { variance, value } = this.getVariance(line);
+            if (variance === null) return;
+
+            summary.countedLines++;
+            if (variance !== 0) summary.varianceLines++;
+            if (value < 0) summary.shortageValue += value;
+            if (value > 0) summary.overageValue += value;
+        });
+
+        summary.shortageValue = TaxCalculator.round(summary.shortageValue);
+        summary.overageValue = TaxCalculator.round(summary.overageValue);
+        summary.netValue = TaxCalculator.round(summary.shortageValue + summary.overageValue);
+        return summary;
+    }
+
+    /**
+     * Approve a count and post its variances to stock as one batch. Each
+     * variance is applied to the current quantity, so sales made during
+     * the count are kept; a shortage never takes the location below zero.
+     * @param {number} sessionId - Count session ID
+     * @param {string} reason - One of ADJUSTMENT_REASONS
+     * @param {string} note - Optional note
+     * @returns {Promise<Object>} Approved session
+     */
+    async approveSession(sessionId, reason, note = '') {
+        try {
+            const user = this.inventoryManager.getCurrentUser();
+            const permissions = window.authSystem ? window.authSystem.getUserPermissions(user) : null;
+            if (!permissions || !permissions.canApproveAdjustments) {
+                throw new Error('Solo un gerente puede aprobar un conteo');
+            }
+            StockAdjustments.assertReason(reason);
+
+            const session = this.getOpenSession(sessionId);
+            const uncounted = session.lines.filter(line => line.counted === null).length;
+            if (uncounted > 0) {
+                throw new Error(uncounted === 1 ? 'Falta 1 producto por contar' : `Faltan ${uncounted} productos por contar`);
+            }
+
+            const summary = this.getSummary(session);
+            const date = new Date().toISOString();
+            const approved = {
+                ...session,
+                status: COUNT_STATUS.APPROVED,
+                reason,
+                note: note.trim(),
+                approvedBy: user,
+                approvedAt: date,
+                updatedAt: date,
+                summary
+            };
+
+            const result = await this.inventoryManager.runStockTransaction(
+                ['products', 'stockMovements', 'serialNumbers', 'countSessions', 'reservations'],
+                async (tx) => {
+                    const products = [];
+                    for (const line of approved.lines) {
+                        const { variance } = this.getVariance(line);
+                        if (variance === 0) continue;
+
+                        const product = await tx.get('products', line.productId);
+                        if (!product) {
+                            throw new Error(`El producto ${line.sku} ya no existe en el inventario`);
+                        }
+                        LocationStock.ensureStock(product, this.inventoryManager.locationSettings.saleLocation);
+                        const onHand = LocationStock.getQuantity(product, approved.location);
+                        const delta = Math.max(variance, -onHand);
+                        if (delta === 0) continue;
+
+                        await this.inventoryManager.applyStockChange(tx, product, delta, MOVEMENT_TYPES.COUNT, {
+                            location: approved.location,
+                            reason,
+                            countSessionId: approved.id,
+                            expected: line.expected,
+                            counted: line.counted,
+                            note: `Count #${approved.id}${approved.note ? ' ' + approved.note : ''}`
+                        });
+                        products.push(product);
+                    }
+
+                    await tx.put('countSessions', approved);
+                    return { products };
+                }
+            );
+
+            this.sessions = this.sessions.map(s => s.id === approved.id ? approved : s);
+            this.inventoryManager.emit('stockCountApproved', { session: approved, products: result.products });
+            console.log('Count session approved:', approved.id, result.products.length, 'adjustments');
+
+            return approved;
+
+        } catch (error) {
+            console.error('Error approving count session:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel an open count session without touching stock
+     * @param {number} sessionId - Count session ID
+     * @returns {Promise<Object>} Cancelled session
+     */
+    async cancelSession(sessionId) {
+        const session = this.getOpenSession(sessionId);
+        session.status = COUNT_STATUS.CANCELLED;
+        await this.saveSession(session);
+        return session;
+    }
+
+    /**
+     * Get an open session
+     * @param {number} sessionId - Count session ID
+     * @returns {Object} Session
+     * @throws {Error} If it does not exist or is closed
+     */
+    getOpenSession(sessionId) {
+        const session = this.getSession(sessionId);
+        if (!session) {
+            throw new Error('Conteo no encontrado');
+        }
+        if (session.status !== COUNT_STATUS.OPEN) {
+            throw new Error('El conteo ya está cerrado');
+        }
+        return session;
+    }
+
+    /**
+     * Save a changed session
+     * @param {Object} session - Count session
+     * @returns {Promise<void>}
+     */
+    async saveSession(session) {
+        session.updatedAt = new Date().toISOString();
+        await this.db.updateCountSession(session);
+    }
+
+    /**
+     * Get a count session by ID
+     * @param {number} sessionId - Count session ID
+     * @returns {Object|null} Session
+     */
+    getSession(sessionId) {
+        return this.sessions.find(s => s.id === sessionId) || null;
+    }
+
+    /**
+     * Get count sessions, newest first
+     * @returns {Array} Sessions
+     */
+    getSessions() {
+        return [...this.sessions].sort((a, b) => b.id - a.id);
+    }
+}
@@ -0,0 +1,345 @@
+/**
+ * Stock Count Functionality
+ * Handles the count session, counting and approval screens
+ */
+
+// Session open on the counting screen
+let activeCountSessionId = null;
+
+// Render the whole stock counts section
+function renderStockCountsSection() {
+    if (!window.stockCountManager) return;
+
+    renderCountCategoryOptions();
+    renderCountSessions();
+    renderCountSessionDetails();
+}
+
+// Fill the category dropdown of the new count form
+function renderCountCategoryOptions() {
+    const select = document.getElementById('count-category');
+    if (!select || !window.inventoryManager) return;
+
+    const selected = select.value;
+    select.innerHTML = window.inventoryManager.getStatistics().categories
+        .map(category => `<option value="${category}">${category}</option>`)
+        .join('');
+    if (selected) select.value = selected;
+}
+
+// Show the field that goes with the chosen kind of count
+function updateCountScopeFields() {
+    const scope = document.getElementById('count-scope').value;
+    document.getElementById('count-category-group').style.display = scope === COUNT_SCOPES.CATEGORY ? '' : 'none';
+    document.getElementById('count-sample-group').style.display = scope === COUNT_SCOPES.SAMPLE ? '' : 'none';
+}
+
+// Render the count session list
+function renderCountSessions() {
+    const container = document.getElementById('count-sessions-list');
+    if (!container) return;
+
+    const sessions = window.stockCountManager.getSessions();
+    if (sessions.length === 0) {
+        container.innerHTML = '<p style="color: #7f8c8d;">No counts yet</p>';
+        return;
+    }
+
+    const statusLabels = {
+        open: '🟢 Open',
+        approved: '✅ Approved',
+        cancelled: '⛔ Cancelled'
+    };
+
+    container.innerHTML = `
+        <div class="table-container">
+            <table class="inventory-table">
+                <thead>
+                    <tr>
+                        <th>🔖 #</th>
+                        <th>📝 Name</th>
+                        <th>📅 Started</th>
+                        <th>📦 Counted</th>
+                        <th>🚦 Status</th>
+                        <th>⚙️ Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sessions.map(session => {
+                        const summary = window.stockCountManager.getSummary(session);
+                        return `
+                            <tr>
+                                <td>${session.id}</td>
+                                <td>${session.name}</td>
+                                <td>${new Date(session.createdAt).toLocaleDateString()}</td>
+                                <td>${summary.countedLines} / ${summary.totalLines}</td>
+                                <td>${statusLabels[session.status] || session.status}</td>
+                                <td class="action-buttons">
+                                    <button class="btn" onclick="openCountSession(${session.id})" title="${session.status === 'open' ? 'Count' : 'View'}">${session.status === 'open' ? '📝' : '👁️'}</button>
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Render the lines of the session being counted or viewed
+function renderCountSessionDetails() {
+    const container = document.getElementById('count-session-details');
+    if (!container) return;
+
+    const session = activeCountSessionId ? window.stockCountManager.getSession(activeCountSessionId) : null;
+    if (!session) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const isOpen = session.status === COUNT_STATUS.OPEN;
+    const summary = window.stockCountManager.getSummary(session);
+    const reasonLabels = window.uiController.getReasonLabels();
+    const canApprove = isOpen && window.checkPermission('canApproveAdjustments');
+    const formatValue = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+
+    container.innerHTML = `
+        <div class="receiving-box">
+            <div class="section-header">
+                <h3>📝 Count #${session.id} - ${session.name}</h3>
+                <button class="btn btn-danger" onclick="closeCountSession()">✖ Close</button>
+            </div>
+            <p style="color: #7f8c8d; margin-bottom: 15px;">
+                📍 ${window.uiController.getLocationName(session.location)} ·
+                Quantities frozen ${new Date(session.createdAt).toLocaleString()} by ${session.createdBy}
+                ${session.approvedAt ? ` · Approved ${new Date(session.approvedAt).toLocaleString()} by ${session.approvedBy} (${reasonLabels[session.reason] || session.reason})` : ''}
+            </p>
+            ${isOpen ? `
+                <form id="count-entry-form" class="form-row">
+                    <div class="form-group">
+                        <label for="count-entry-product">🔍 SKU or Barcode</label>
+                        <input type="text" id="count-entry-product" required placeholder="Scan or type">
+                    </div>
+                    <div class="form-group">
+                        <label for="count-entry-quantity">📦 Quantity</label>
+                        <input type="number" id="count-entry-quantity" min="0" step="any" value="1" required>
+                    </div>
+                    <div class="form-group">
+                        <label>&nbsp;</label>
+                        <button type="submit" class="btn">➕ Add to Count</button>
+                    </div>
+                </form>
+            ` : ''}
+            <div class="table-container">
+                <table class="inventory-table">
+                    <thead>
+                        <tr>
+                            <th>📍 Bin</th>
+                            <th>🏷️ SKU</th>
+                            <th>📝 Name</th>
+                            <th>🧊 Expected</th>
+                            <th>✅ Counted</th>
+                            <th>± Variance</th>
+                            <th>💲 Value</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${session.lines.map(line => {
+                            const { variance, value } = window.stockCountManager.getVariance(line);
+                            return `
+                                <tr>
+                                    <td>${line.binLocation || ''}</td>
+                                    <td>${line.sku}${line.added ? ' <small style="color: #7f8c8d;">(added)</small>' : ''}</td>
+                                    <td>${line.name}</td>
+                                    <td>${line.expected} ${line.baseUnit || ''}</td>
+                                    <td>
+                                        ${isOpen ? `
+                                            <input type="number" class="quantity-input" min="0" step="any"
+                                                   value="${line.counted === null ? '' : line.counted}"
+                                                   onchange="setCountedQuantity('${line.sku}', this.value)">
+                                        ` : line.counted}
+                                    </td>
+                                    <td class="${variance < 0 ? 'delta-negative' : 'delta-positive'}">${variance === null ? '' : (variance > 0 ? '+' : '') + variance}</td>
+                                    <td class="${value < 0 ? 'delta-negative' : 'delta-positive'}">${value === null ? '' : formatValue(value)}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p style="margin-top: 15px;">
+                <strong>Counted:</strong> ${summary.countedLines} / ${summary.totalLines} ·
+                <strong>Lines with variance:</strong> ${summary.varianceLines} ·
+                <strong>Shortage:</strong> ${formatValue(summary.shortageValue)} ·
+                <strong>Overage:</strong> ${formatValue(summary.overageValue)} ·
+                <strong>Net:</strong> ${formatValue(summary.netValue)}
+            </p>
+            ${isOpen ? `
+                <div class="action-buttons" style="margin-top: 15px;">
+                    <button class="btn btn-warning" onclick="setUncountedToZero(${session.id})">0️⃣ Uncounted = 0</button>
+                    <button class="btn btn-danger" onclick="confirmCancelCountSession(${session.id})">⛔ Cancel Count</button>
+                </div>
+            ` : ''}
+            ${canApprove ? `
+                <div class="form-row" style="margin-top: 15px;">
+                    <div class="form-group">
+                        <label for="count-reason">🔖 Reason</label>
+                        <select id="count-reason">
+                            ${Object.entries(reasonLabels).map(([reason, label]) => `<option value="${reason}">${label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="count-note">💬 Note</label>
+                        <input type="text" id="count-note" placeholder="Optional">
+                    </div>
+                </div>
+                <button class="btn" onclick="approveCountSession(${session.id})">✅ Approve and Post Adjustments</button>
+            ` : ''}
+        </div>
+    `;
+
+    const reasonSelect = document.getElementById('count-reason');
+    if (reasonSelect) {
+        reasonSelect.value = session.scope === COUNT_SCOPES.SAMPLE ? ADJUSTMENT_REASONS.CYCLE_COUNT : ADJUSTMENT_REASONS.FULL_COUNT;
+    }
+
+    const entryForm = document.getElementById('count-entry-form');
+    if (entryForm) {
+        entryForm.addEventListener('submit', handleCountEntry);
+    }
+}
+
+// Start a count session from the new count form
+async function handleCreateCountSession(e) {
+    e.preventDefault();
+
+    try {
+        const session = await window.stockCountManager.createSession({
+            scope: document.getElementById('count-scope').value,
+            category: document.getElementById('count-category').value,
+            sampleSize: document.getElementById('count-sample-size').value,
+            location: document.getElementById('count-location').value,
+            name: document.getElementById('count-name').value
+        });
+
+        document.getElementById('count-name').value = '';
+        activeCountSessionId = session.id;
+        renderStockCountsSection();
+        window.uiController.showAlert(`Count #${session.id} started with ${session.lines.length} products`, 'success');
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Show a session on the counting screen
+function openCountSession(sessionId) {
+    activeCountSessionId = sessionId;
+    renderCountSessionDetails();
+
+    const container = document.getElementById('count-session-details');
+    if (container) container.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Hide the counting screen
+function closeCountSession() {
+    activeCountSessionId = null;
+    renderCountSessionDetails();
+}
+
+// Add a scanned or typed quantity to the count
+async function handleCountEntry(e) {
+    e.preventDefault();
+
+    const productInput = document.getElementById('count-entry-product');
+    const quantity = parseFloat(document.getElementById('count-entry-quantity').value);
+
+    try {
+        const line = await window.stockCountManager.recordCount(activeCountSessionId, productInput.value, quantity);
+        renderStockCountsSection();
+        window.uiController.showAlert(`${line.sku}: ${line.counted} counted`, 'success');
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+
+    const input = document.getElementById('count-entry-product');
+    if (input) input.focus();
+}
+
+// Correct the counted quantity of a line
+async function setCountedQuantity(sku, value) {
+    try {
+        await window.stockCountManager.recordCount(activeCountSessionId, sku, parseFloat(value), true);
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+    renderStockCountsSection();
+}
+
+// Count every line not counted yet as zero
+async function setUncountedToZero(sessionId) {
+    if (!confirm('Set every product not counted yet to 0?')) return;
+
+    try {
+        const lines = await window.stockCountManager.setUncountedToZero(sessionId);
+        renderStockCountsSection();
+        window.uiController.showAlert(`${lines} products set to 0`, 'success');
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Approve a count and post its adjustments
+async function approveCountSession(sessionId) {
+    const session = window.stockCountManager.getSession(sessionId);
+    if (!session) return;
+
+    const summary = window.stockCountManager.getSummary(session);
+    if (!confirm(`Post ${summary.varianceLines} adjustments (net $${summary.netValue.toFixed(2)}) from count #${sessionId}?`)) return;
+
+    try {
+        await window.stockCountManager.approveSession(
+            sessionId,
+            document.getElementById('count-reason').value,
+            document.getElementById('count-note').value
+        );
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+    renderStockCountsSection();
+}
+
+// Cancel a count after confirmation
+async function confirmCancelCountSession(sessionId) {
+    if (!confirm(`Cancel count #${sessionId}? Nothing will be adjusted.`)) return;
+
+    try {
+        await window.stockCountManager.cancelSession(sessionId);
+        renderStockCountsSection();
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Setup stock count forms when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    const sessionForm = document.getElementById('count-session-form');
+    if (sessionForm) {
+        sessionForm.addEventListener('submit', handleCreateCountSession);
+    }
+
+    const scopeSelect = document.getElementById('count-scope');
+    if (scopeSelect) {
+        scopeSelect.addEventListener('change', updateCountScopeFields);
+    }
+});
+
+// Make functions globally available
+window.renderStockCountsSection = renderStockCountsSection;
+window.openCountSession = openCountSession;
+window.closeCountSession = closeCountSession;
+window.setCountedQuantity = setCountedQuantity;
+window.setUncountedToZero = setUncountedToZero;
+window.approveCountSession = approveCountSession;
+window.confirmCancelCountSession = confirmCancelCountSession;
+
+console.log('✅ Stock count functionality loaded');
@@ -0,0 +1,102 @@
+/**
+ * Stock Reservations Module
+ * Checks layaway holds (apartados) and works out how much stock they hold.
+ * A reservation holds units until its expiry date; after that they count as
+ * available again whether or not the reservation has been marked expired.
+ */
+
+// Lifecycle of a reservation
+const RESERVATION_STATUS = Object.freeze({
+    ACTIVE: 'active',
+    PICKED_UP: 'picked_up',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired'
+});
+
+// How a deposit may be paid
+const DEPOSIT_METHODS = Object.freeze([
+    PAYMENT_METHODS.CASH,
+    PAYMENT_METHODS.CARD,
+    PAYMENT_METHODS.TRANSFER
+]);
+
+// Days a reservation is held when no expiry date is given
+const DEFAULT_RESERVATION_DAYS = 30;
+
+class StockReservations {
+    /**
+     * Check the details of a new reservation
+     * @param {Object} data - customerName, deposit, depositMethod, expiresAt (YYYY-MM-DD) and note
+     * @param {Date} today - Reference date
+     * @returns {Object} Normalized details
+     * @throws {Error} Validation error
+     */
+    static normalize(data, today = new Date()) {
+        const customerName = String(data.customerName || '').trim();
+        if (!customerName) {
+            throw new Error('Indique a nombre de quién es la reserva');
+        }
+
+        const deposit = data.deposit === undefined || data.deposit === '' ? 0 : TaxCalculator.round(parseFloat(data.deposit));
+        if (isNaN(deposit) || deposit < 0) {
+            throw new Error('El anticipo debe ser cero o más');
+        }
+        const depositMethod = data.depositMethod || PAYMENT_METHODS.CASH;
+        if (deposit > 0 && !DEPOSIT_METHODS.includes(depositMethod)) {
+            throw new Error(`Forma de pago inválida: ${depositMethod}`);
+        }
+
+        const dateKey = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        let expiresAt = data.expiresAt;
+        if (!expiresAt) {
+            expiresAt = dateKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() + DEFAULT_RESERVATION_DAYS));
+        } else if (!/^\d{4}-\d{2}-\d{2}$/.test(expiresAt) || isNaN(new Date(`${expiresAt}T00:00:00`))) {
+            throw new Error('Fecha de vencimiento inválida');
+        } else if (expiresAt < dateKey(today)) {
+            throw new Error('La fecha de vencimiento no puede ser anterior a hoy');
+        }
+
+        return {
+            customerName,
+            deposit,
+            depositMethod: deposit > 0 ? depositMethod : null,
+            expiresAt,
+            note: String(data.note || '').trim()
+        };
+    }
+
+    /**
+     * Check whether a reservation still holds its units
+     * @param {Object} reservation - Reservation
+     * @param {Date} now - Reference time
+     * @returns {boolean}
+     */
+    static isActive(reservation, now = new Date()) {
+        return reservation.status === RESERVATION_STATUS.ACTIVE && !this.isPastExpiry(reservation, now);
+    }
+
+    /**
+     * Check whether a reservation's expiry date has passed (it holds through
+     * the whole expiry day)
+     * @param {Object} reservation - Reservation
+     * @param {Date} now - Reference time
+     * @returns {boolean}
+     */
+    static isPastExpiry(reservation, now = new Date()) {
+        return new Date(`${reservation.expiresAt}T23:59:59.999`) < now;
+    }
+
+    /**
+     * Sum the units that active reservations hold
+     * @param {Array} reservations - Reservations of one product
+     * @param {string|null} location - Only reservations at this location; null for all
+     * @param {number|null} exceptId - Reservation to leave out (the one being picked up)
+     * @param {Date} now - Reference time
+     * @returns {number} Units held, in base units
+     */
+    static sumReserved(reservations, location = null, exceptId = null, now = new Date()) {
+        return UnitConverter.round(reservations
+            .filter(r => r.id !== exceptId && (!location || r.location === location) && this.isActive(r, now))
+            .reduce((sum, r) => sum + r.quantity, 0));
+    }
+}
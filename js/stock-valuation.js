@@ -0,0 +1,160 @@
+/**
+ * Stock Valuation Module
+ * Keeps the cost layers, weighted average and last cost of each product so
+ * stock and cost of goods sold can be valued by any method
+ */
+
+// Methods available for valuing stock and cost of goods sold
+const VALUATION_METHODS = Object.freeze({
+    FIFO: 'fifo',
+    AVERAGE: 'average',
+    LAST: 'last'
+});
+
+class StockValuation {
+    /**
+     * Give products saved before cost layers existed a single opening layer
+     * holding their current stock at their recorded cost
+     * @param {Object} product - Product to prepare (modified in place)
+     * @returns {Object} The same product
+     */
+    static ensureLayers(product) {
+        if (!Array.isArray(product.costLayers)) {
+            const cost = product.cost || 0;
+            product.costLayers = product.quantity > 0 ?
+                [{ quantity: product.quantity, unitCost: cost, date: product.createdAt || new Date().toISOString() }] : [];
+            product.averageCost = cost;
+        }
+        return product;
+    }
+
+    /**
+     * Get the cost incoming stock is valued at when no purchase cost is given
+     * @param {Object} product - Product
+     * @returns {number} Unit cost
+     */
+    static getDefaultCost(product) {
+        if (typeof product.averageCost === 'number' && product.quantity > 0) {
+            return product.averageCost;
+        }
+        return product.cost || 0;
+    }
+
+    /**
+     * Record incoming stock: adds a FIFO layer and updates the weighted
+     * average. Purchases also set the last cost. Call before changing quantity.
+     * @param {Object} product - Product before the quantity change (modified in place)
+     * @param {number} quantity - Units received
+     * @param {number} unitCost - Cost per unit
+     * @param {boolean} isPurchase - Whether the units were bought at this cost
+     */
+    static receive(product, quantity, unitCost, isPurchase = true) {
+        this.ensureLayers(product);
+
+        const onHand = Math.max(product.quantity, 0);
+        const currentAverage = typeof product.averageCost === 'number' ? product.averageCost : unitCost;
+        product.averageCost = onHand + quantity > 0 ?
+            (onHand * currentAverage + quantity * unitCost) / (onHand + quantity) : unitCost;
+
+        product.costLayers.push({ quantity, unitCost, date: new Date().toISOString() });
+        if (isPurchase) {
+            product.cost = unitCost;
+        }
+    }
+
+    /**
+     * Record outgoing stock, consuming the oldest FIFO layers first
+     * @param {Object} product - Product before the quantity change (modified in place)
+     * @param {number} quantity - Units issued
+     * @returns {Object} Unit cost of the issued units under each method
+     */
+    static issue(product, quantity) {
+        this.ensureLayers(product);
+
+        let remaining = quantity;
+        let fifoTotal = 0;
+
+        while (remaining > 0 && product.costLayers.length > 0) {
+            const layer = product.costLayers[0];
+            const taken = Math.min(layer.quantity, remaining);
+            fifoTotal += taken * layer.unitCost;
+            // Fractional quantities are rounded so no sliver of a layer is left behind
+            layer.quantity = UnitConverter.round(layer.quantity - taken);
+            remaining = UnitConverter.round(remaining - taken);
+            if (layer.quantity <= 0) {
+                product.costLayers.shift();
+            }
+        }
+
+        // Units beyond the recorded layers are costed at the last cost
+        fifoTotal += remaining * (product.cost || 0);
+
+        return {
+            fifo: quantity > 0 ? fifoTotal / quantity : 0,
+            average: typeof product.averageCost === 'number' ? product.averageCost : (product.cost || 0),
+            last: product.cost || 0
+        };
+    }
+
+    /**
+     * Value the stock on hand of a product
+     * @param {Object} product - Product
+     * @param {string} method - One of VALUATION_METHODS
+     * @returns {number} Stock value
+     */
+    static getStockValue(product, method) {
+        if (product.quantity <= 0) return 0;
+
+        if (method === VALUATION_METHODS.FIFO && Array.isArray(product.costLayers)) {
+            return product.costLayers.reduce((sum, layer) => sum + layer.quantity * layer.unitCost, 0);
+        }
+
+        return product.quantity * this.getUnitCost(product, method);
+    }
+
+    /**
+     * Get the unit cost of a product under a method
+     * @param {Object} product - Product
+     * @param {string} method - One of VALUATION_METHODS
+     * @returns {number} Unit cost
+     */
+    static getUnitCost(product, method) {
+        if (method === VALUATION_METHODS.FIFO && Array.isArray(product.costLayers)) {
+            const units = product.costLayers.reduce((sum, layer) => sum + layer.quantity, 0);
+            return units > 0 ? this.getStockValue(product, method) / units : (product.cost || 0);
+        }
+
+        if (method === VALUATION_METHODS.AVERAGE && typeof product.averageCost === 'number') {
+            return product.averageCost;
+        }
+
+        return product.cost || 0;
+    }
+
+    /**
+     * Pick the cost a sale or return line carries under a method
+     * @param {Object} record - Sale or return record
+     * @param {string} method - One of VALUATION_METHODS
+     * @returns {number} Unit cost
+     */
+    static getRecordUnitCost(record, method) {
+        if (record.unitCosts && typeof record.unitCosts[method] === 'number') {
+            return record.unitCosts[method];
+        }
+        return record.unitCost || 0;
+    }
+
+    /**
+     * Get a display label for a method
+     * @param {string} method - One of VALUATION_METHODS
+     * @returns {string} Label
+     */
+    static getLabel(method) {
+        const labels = {
+            [VALUATION_METHODS.FIFO]: 'FIFO (first in, first out)',
+            [VALUATION_METHODS.AVERAGE]: 'Weighted average cost',
+            [VALUATION_METHODS.LAST]: 'Last purchase cost'
+        };
+        return labels[method] || method;
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * Tax Calculator Module
+ * Works out sales tax (IVA) for sale lines from the configured rates
+ */
+
+// Tax configuration used until the store saves its own
+const DEFAULT_TAX_SETTINGS = Object.freeze({
+    defaultRate: 16,            // Percentage applied when no override matches
+    pricesIncludeTax: true,     // Whether product prices already contain tax
+    categoryRates: {}           // Category name -> percentage
+});
+
+class TaxCalculator {
+    /**
+     * Round an amount to cents
+     * @param {number} amount - Amount to round
+     * @returns {number} Rounded amount
+     */
+    static round(amount) {
+        return Math.round((amount + Number.EPSILON) * 100) / 100;
+    }
+
+    /**
+     * Check that a tax rate is a usable percentage
+     * @param {number} rate - Rate to check
+     * @returns {boolean}
+     */
+    static isValidRate(rate) {
+        return typeof rate === 'number' && !isNaN(rate) && rate >= 0 && rate <= 100;
+    }
+
+    /**
+     * Merge saved settings with the defaults and validate every rate
+     * @param {Object} settings - Settings to normalize
+     * @returns {Object} Complete tax settings
+     */
+    static normalizeSettings(settings = {}) {
+        const normalized = {
+            defaultRate: settings.defaultRate !== undefined ? Number(settings.defaultRate) : DEFAULT_TAX_SETTINGS.defaultRate,
+            pricesIncludeTax: settings.pricesIncludeTax !== undefined ?
+                Boolean(settings.pricesIncludeTax) : DEFAULT_TAX_SETTINGS.pricesIncludeTax,
+            categoryRates: {}
+        };
+
+        if (!this.isValidRate(normalized.defaultRate)) {
+            throw new Error('La tasa de impuesto por defecto debe estar entre 0 y 100');
+        }
+
+        Object.entries(settings.categoryRates || {}).forEach(([category, rate]) => {
+            const value = Number(rate);
+            if (!this.isValidRate(value)) {
+                throw new Error(`Tasa de impuesto inválida para la categoría ${category}`);
+            }
+            normalized.categoryRates[category] = value;
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Get the tax rate of a product: product override, then category
+     * override, then the default rate
+     * @param {Object} product - Product
+     * @param {Object} settings - Tax settings
+     * @returns {number} Rate as a percentage
+     */
+    static getRate(product, settings) {
+        if (this.isValidRate(product.taxRate)) {
+            return product.taxRate;
+        }
+        if (this.isValidRate(settings.categoryRates[product.category])) {
+            return settings.categoryRates[product.category];
+        }
+        return settings.defaultRate;
+    }
+
+    /**
+     * Split a line into subtotal, tax and total
+     * @param {number} unitPrice - Price per unit as entered on the product
+     * @param {number} quantity - Units sold
+     * @param {number} rate - Tax rate as a percentage
+     * @param {boolean} pricesIncludeTax - Whether unitPrice already contains tax
+     * @returns {Object} { subtotal, tax, total }
+     */
+    static calculateLine(unitPrice, quantity, rate, pricesIncludeTax) {
+        const amount = unitPrice * quantity;
+
+        if (pricesIncludeTax) {
+            const total = this.round(amount);
+            const subtotal = this.round(total / (1 + rate / 100));
+            return { subtotal, tax: this.round(total - subtotal), total };
+        }
+
+        const subtotal = this.round(amount);
+        const tax = this.round(subtotal * rate / 100);
+        return { subtotal, tax, total: this.round(subtotal + tax) };
+    }
+
+    /**
+     * Add up the subtotal, tax and total of several lines
+     * @param {Array} lines - Lines with subtotal, tax and total
+     * @returns {Object} { subtotal, tax, total }
+     */
+    static sumLines(lines) {
+        return lines.reduce((sums, line) => ({
+            subtotal: this.round(sums.subtotal + line.subtotal),
+            tax: this.round(sums.tax + line.tax),
+            total: this.round(sums.total + line.total)
+        }), { subtotal: 0, tax: 0, total: 0 });
+    }
+}
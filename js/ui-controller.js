@@ -3,11 +3,15 @@
  * Handles all user interface interactions and updates
  */
 class UIController {
-    constructor(inventoryManager, barcodeScanner) {
+    constructor(inventoryManager, barcodeScanner, purchasingManager = null, shiftManager = null) {
         this.inventoryManager = inventoryManager;
         this.barcodeScanner = barcodeScanner;
+        this.purchasingManager = purchasingManager;
+        this.shiftManager = shiftManager;
         this.currentSection = 'dashboard';
         this.searchCache = new Map();
+        this.cart = new SalesCart();
+        this.currentReceipt = null;
         
         // DOM elements cache
         this.elements = {};
@@ -24,6 +28,9 @@ class UIController {
         this.setupInventoryEventHandlers();
         this.setupKeyboardShortcuts();
         
+        this.renderBaseUnitOptions();
+        this.renderCart();
+        
         // Show dashboard by default
         this.showSection('dashboard');
         
@@ -44,7 +51,9 @@ class UIController {
             lowStockCount: document.getElementById('low-stock-count'),
             totalValue: document.getElementById('total-value'),
             categoriesCount: document.getElementById('categories-count'),
+            reservedCount: document.getElementById('reserved-count'),
             lowStockAlerts: document.getElementById('low-stock-alerts'),
+            expiryAlerts: document.getElementById('expiry-alerts'),
             
             // Forms
             addProductForm: document.getElementById('add-product-form'),
@@ -55,6 +64,10 @@ class UIController {
             inventoryBody: document.getElementById('inventory-body'),
             searchInput: document.getElementById('search'),
             categoryFilter: document.getElementById('category-filter'),
+            locationFilter: document.getElementById('location-filter'),
+            dashboardLocation: document.getElementById('dashboard-location'),
+            movementHistory: document.getElementById('movement-history'),
+            pendingAdjustments: document.getElementById('pending-adjustments'),
             
             // Alerts
             alerts: document.getElementById('alerts'),
@@ -64,6 +77,25 @@ class UIController {
             productDetails: document.getElementById('product-details'),
             restockProductInfo: document.getElementById('restock-product-info'),
             restockProductDetails: document.getElementById('restock-product-details'),
+            sellUnit: document.getElementById('sell-unit'),
+            restockUnit: document.getElementById('restock-unit'),
+            baseUnit: document.getElementById('base-unit'),
+            
+            // Cart
+            cartBody: document.getElementById('cart-body'),
+            cartTotal: document.getElementById('cart-total'),
+            cartTax: document.getElementById('cart-tax'),
+            cartCount: document.getElementById('cart-count'),
+            checkoutBtn: document.getElementById('checkout-btn'),
+            ticketDiscountBtn: document.getElementById('ticket-discount-btn'),
+            cartDiscount: document.getElementById('cart-discount'),
+            paymentMethod: document.getElementById('payment-method'),
+            paymentAmount: document.getElementById('payment-amount'),
+            paymentReference: document.getElementById('payment-reference'),
+            addPaymentBtn: document.getElementById('add-payment-btn'),
+            paymentLines: document.getElementById('payment-lines'),
+            paymentStatus: document.getElementById('payment-status'),
+            clearCartBtn: document.getElementById('clear-cart-btn'),
             
             // Barcode
             barcodeResult: document.getElementById('barcode-result')
@@ -79,11 +111,13 @@ class UIController {
             btn.addEventListener('click', (e) => {
                 e.preventDefault();
                 
-                // Determine section from button onclick attribute or text content
+                // Determine section from data-section, onclick attribute or text content
                 let sectionId = 'dashboard';
                 const onclickAttr = btn.getAttribute('onclick');
                 
-                if (onclickAttr) {
+                if (btn.dataset.section) {
+                    sectionId = btn.dataset.section;
+                } else if (onclickAttr) {
                     const match = onclickAttr.match(/showSection\('([^']+)'\)/);
                     if (match) {
                         sectionId = match[1];
@@ -111,7 +145,47 @@ class UIController {
 
         // Sell Form
         if (this.elements.sellForm) {
-            this.elements.sellForm.addEventListener('submit', (e) => this.handleSale(e));
+            this.elements.sellForm.addEventListener('submit', (e) => this.handleAddToCart(e));
+        }
+
+        // Cart actions
+        if (this.elements.checkoutBtn) {
+            this.elements.checkoutBtn.addEventListener('click', () => this.handleCheckout());
+        }
+        // Receipt dialog
+        const receiptPrintBtn = document.getElementById('receipt-print-btn');
+        if (receiptPrintBtn) {
+            receiptPrintBtn.addEventListener('click', () => this.printReceipt());
+        }
+        const receiptEscPosBtn = document.getElementById('receipt-escpos-btn');
+        if (receiptEscPosBtn) {
+            receiptEscPosBtn.addEventListener('click', () => this.saveReceiptEscPos());
+        }
+        const receiptCloseBtn = document.getElementById('receipt-close-btn');
+        if (receiptCloseBtn) {
+            receiptCloseBtn.addEventListener('click', () => this.closeReceipt());
+        }
+
+        if (this.elements.addPaymentBtn) {
+            this.elements.addPaymentBtn.addEventListener('click', () => this.addPayment());
+        }
+        const cartCustomerInput = document.getElementById('cart-customer');
+        if (cartCustomerInput) {
+            cartCustomerInput.addEventListener('input', () => this.renderCartCustomer());
+        }
+        if (this.elements.ticketDiscountBtn) {
+            this.elements.ticketDiscountBtn.addEventListener('click', () => this.applyTicketDiscount());
+        }
+        if (this.elements.clearCartBtn) {
+            this.elements.clearCartBtn.addEventListener('click', () => this.clearCart());
+        }
+        const saveQuoteBtn = document.getElementById('save-quote-btn');
+        if (saveQuoteBtn) {
+            saveQuoteBtn.addEventListener('click', () => this.saveCartAsQuote());
+        }
+        const pickListBtn = document.getElementById('pick-list-btn');
+        if (pickListBtn) {
+            pickListBtn.addEventListener('click', () => this.printCartPickList());
         }
 
         // Restock Form
@@ -119,6 +193,12 @@ class UIController {
             this.elements.restockForm.addEventListener('submit', (e) => this.handleRestock(e));
         }
 
+        // Transfer Form
+        const transferForm = document.getElementById('transfer-form');
+        if (transferForm) {
+            transferForm.addEventListener('submit', (e) => this.handleTransfer(e));
+        }
+
         // Search
         if (this.elements.searchInput) {
             this.elements.searchInput.addEventListener('input', 
@@ -130,6 +210,14 @@ class UIController {
             this.elements.categoryFilter.addEventListener('change', () => this.filterInventory());
         }
 
+        // Location Filters
+        if (this.elements.locationFilter) {
+            this.elements.locationFilter.addEventListener('change', () => this.filterInventory());
+        }
+        if (this.elements.dashboardLocation) {
+            this.elements.dashboardLocation.addEventListener('change', () => this.updateDashboard());
+        }
+
         // Product search suggestions
         this.setupProductSearch('sell-sku', 'search-suggestions', (sku) => this.showSellProductInfo(sku));
         this.setupProductSearch('restock-sku', 'restock-suggestions', (sku) => this.showRestockProductInfo(sku));
@@ -172,6 +260,10 @@ class UIController {
         
         // Set active nav button
         const activeBtn = Array.from(this.elements.navButtons).find(btn => {
+            if (btn.dataset.section) {
+                return btn.dataset.section === sectionId;
+            }
+            
             const onclickAttr = btn.getAttribute('onclick');
             if (onclickAttr) {
                 return onclickAttr.includes(`'${sectionId}'`);
@@ -207,9 +299,26 @@ class UIController {
      */
     setupInventoryEventHandlers() {
         this.inventoryManager.on('inventoryLoaded', () => {
+            this.renderLocationOptions();
             this.updateDashboard();
             this.displayInventory();
             this.updateCategoryFilter();
+            this.renderPendingAdjustments();
+        });
+
+        this.inventoryManager.on('locationSettingsChanged', () => {
+            this.renderLocationOptions();
+            this.updateDashboard();
+            this.filterInventory();
+        });
+
+        this.inventoryManager.on('stockTransferred', (data) => {
+            this.updateDashboard();
+            this.filterInventory();
+            this.showAlert(
+                `Moved ${data.quantity} x ${data.product.name} from ${data.from.name} to ${data.to.name}`, 
+                'success'
+            );
         });
 
         this.inventoryManager.on('productAdded', () => {
@@ -237,6 +346,27 @@ class UIController {
                 `Sale completed! ${data.sale.quantity} x ${data.sale.name} - Total: $${data.sale.total.toFixed(2)}`, 
                 'success'
             );
+            this.showReceipt(data.ticket);
+        });
+
+        this.inventoryManager.on('ticketCompleted', (data) => {
+            this.updateDashboard();
+            this.displayInventory();
+            this.showAlert(
+                `Sale completed! Ticket #${ReceiptPrinter.formatTicketNumber(data.ticket)} - ${data.ticket.itemCount} items - Total: $${data.ticket.total.toFixed(2)}` +
+                (data.ticket.changeDue > 0 ? ` - Change due: $${data.ticket.changeDue.toFixed(2)}` : ''), 
+                'success'
+            );
+            this.showReceipt(data.ticket);
+        });
+
+        this.inventoryManager.on('returnProcessed', (data) => {
+            this.updateDashboard();
+            this.displayInventory();
+            this.showAlert(
+                `Return processed! ${data.saleReturn.quantity} x ${data.saleReturn.name} - Refund: $${data.saleReturn.refundAmount.toFixed(2)}`, 
+                'success'
+            );
         });
 
         this.inventoryManager.on('productRestocked', (data) => {
@@ -248,15 +378,52 @@ class UIController {
             );
         });
 
+        this.inventoryManager.on('stockCountApproved', (data) => {
+            this.updateDashboard();
+            this.displayInventory();
+            this.showAlert(
+                `Count #${data.session.id} approved! ${data.products.length} products adjusted`, 
+                'success'
+            );
+        });
+
         this.inventoryManager.on('stockAdjusted', (data) => {
             this.updateDashboard();
             this.displayInventory();
+            this.renderPendingAdjustments();
             const action = data.adjustment > 0 ? 'Added' : 'Removed';
             this.showAlert(
-                `${action} ${Math.abs(data.adjustment)} of ${data.product.name}`, 
+                `${action} ${Math.abs(data.adjustment)} of ${data.product.name} (${this.getReasonLabels()[data.record.reason]})`, 
+                'success'
+            );
+        });
+
+        this.inventoryManager.on('adjustmentRequested', (data) => {
+            this.renderPendingAdjustments();
+            this.showAlert(
+                `Adjustment of ${data.adjustment.delta > 0 ? '+' : ''}${data.adjustment.delta} ${data.product.name} is waiting for a manager's approval`, 
+                'warning'
+            );
+        });
+
+        this.inventoryManager.on('adjustmentRejected', (data) => {
+            this.renderPendingAdjustments();
+            this.showAlert(`Adjustment of ${data.adjustment.sku} rejected`, 'warning');
+        });
+
+        this.inventoryManager.on('stockReserved', (data) => {
+            this.updateDashboard();
+            this.displayInventory();
+            this.showAlert(
+                `Reserved ${UnitConverter.format(data.product, data.reservation.quantity)} of ${data.product.name} for ${data.reservation.customerName}`, 
                 'success'
             );
         });
+
+        this.inventoryManager.on('reservationReleased', () => {
+            this.updateDashboard();
+            this.displayInventory();
+        });
     }
 
     /**
@@ -290,22 +457,36 @@ class UIController {
         e.preventDefault();
         
         try {
+            const parentId = parseInt(document.getElementById('variant-parent').value);
             const productData = {
                 sku: document.getElementById('sku').value,
                 name: document.getElementById('name').value,
                 category: document.getElementById('category').value,
                 price: document.getElementById('price').value,
+                cost: document.getElementById('cost').value,
+                taxRate: document.getElementById('tax-rate').value,
                 quantity: document.getElementById('quantity').value,
                 minStock: document.getElementById('min-stock').value,
+                baseUnit: document.getElementById('base-unit').value,
+                units: UnitConverter.parseUnits(document.getElementById('alternate-units').value),
                 barcode: document.getElementById('barcode').value,
-                supplier: document.getElementById('supplier').value
+                supplier: document.getElementById('supplier').value,
+                binLocation: document.getElementById('bin-location').value,
+                serialTracked: document.getElementById('serial-tracked').value === 'yes'
             };
             
-            const product = this.inventoryManager.createProduct(productData);
+            const product = isNaN(parentId) ? this.inventoryManager.createProduct(productData) :
+                this.inventoryManager.createVariant(parentId, {
+                    ...productData,
+                    variantOptions: this.parseVariantOptions(document.getElementById('variant-options').value)
+                });
             await this.inventoryManager.addProduct(product);
             
-            // Reset form
+            // Reset form, keeping the parent chosen for its next variant
             e.target.reset();
+            if (!isNaN(parentId)) {
+                document.getElementById('variant-parent').value = parentId;
+            }
             
         } catch (error) {
             this.showAlert(error.message, 'danger');
@@ -313,23 +494,119 @@ class UIController {
     }
 
     /**
-     * Handle sale form submission
+     * Parse variant options written as "color=White, size=1gal"
+     * @param {string} text - Options text
+     * @returns {Object} Option -> value
+     */
+    parseVariantOptions(text) {
+        const options = {};
+        text.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const [option, ...value] = part.split('=');
+            if (value.length === 0) {
+                throw new Error(`Write each option as name=value: "${part}"`);
+            }
+            options[option.trim()] = value.join('=').trim();
+        });
+        return options;
+    }
+
+    /**
+     * Fill the base unit choices of the add product form
+     */
+    renderBaseUnitOptions() {
+        if (!this.elements.baseUnit) return;
+        
+        this.elements.baseUnit.innerHTML = Object.keys(BASE_UNITS)
+            .map(unit => `<option value="${unit}">${UnitConverter.getLabel(unit)}</option>`)
+            .join('');
+    }
+
+    /**
+     * Fill every location select. Filters offer all locations; forms start
+     * at the sale or receiving location.
+     */
+    renderLocationOptions() {
+        const settings = this.inventoryManager.locationSettings;
+        
+        document.querySelectorAll('.location-select').forEach(select => {
+            const selected = select.value;
+            const allLabel = select.getAttribute('data-all-label');
+            select.innerHTML = (allLabel ? `<option value="">${allLabel}</option>` : '') + settings.locations
+                .map(location => `<option value="${location.id}">${location.name}</option>`)
+                .join('');
+            
+            const fallback = select.getAttribute('data-default') === 'receiving' ? settings.receivingLocation :
+                (allLabel ? '' : settings.saleLocation);
+            select.value = settings.locations.some(l => l.id === selected) ? selected : fallback;
+        });
+    }
+
+    /**
+     * Get the name of a location for display
+     * @param {string} locationId - Location ID
+     * @returns {string} Name, or the ID of a location no longer configured
+     */
+    getLocationName(locationId) {
+        const location = this.inventoryManager.getLocations().find(l => l.id === locationId);
+        return location ? location.name : locationId;
+    }
+
+    /**
+     * Get the labels of the stock adjustment reasons for display
+     * @returns {Object} Labels by reason code
+     */
+    getReasonLabels() {
+        return {
+            [ADJUSTMENT_REASONS.DAMAGED]: '💥 Damaged',
+            [ADJUSTMENT_REASONS.THEFT]: '🚨 Theft',
+            [ADJUSTMENT_REASONS.FOUND]: '🔍 Found',
+            [ADJUSTMENT_REASONS.CORRECTION]: '✏️ Correction',
+            [ADJUSTMENT_REASONS.INTERNAL_USE]: '🏠 Internal Use',
+            [ADJUSTMENT_REASONS.EXPIRED]: '⌛ Expired',
+            [ADJUSTMENT_REASONS.CYCLE_COUNT]: '🔁 Cycle Count',
+            [ADJUSTMENT_REASONS.FULL_COUNT]: '📋 Full Count'
+        };
+    }
+
+    /**
+     * Fill a unit select with the units a product is handled in
+     * @param {HTMLSelectElement} select - Unit select
+     * @param {Object|null} product - Product, or null to clear the choices
+     * @param {Function} describe - (unit) => option text
+     */
+    renderUnitOptions(select, product, describe) {
+        if (!select) return;
+        
+        select.innerHTML = product ? UnitConverter.getUnits(product)
+            .map(unit => `<option value="${unit.name}">${describe(unit)}</option>`)
+            .join('') : '';
+    }
+
+    /**
+     * Handle sell form submission by adding the product to the cart
      * @param {Event} e - Form submit event
      */
-    async handleSale(e) {
+    async handleAddToCart(e) {
         e.preventDefault();
         
         try {
             const identifier = document.getElementById('sell-sku').value.trim();
-            const quantity = parseInt(document.getElementById('sell-quantity').value);
+            const quantity = parseFloat(document.getElementById('sell-quantity').value);
+            const unit = this.elements.sellUnit ? this.elements.sellUnit.value : '';
             
-            await this.inventoryManager.processSale(identifier, quantity);
+            const product = await this.inventoryManager.findProduct(identifier);
+            const serials = product && product.serialTracked ? await this.promptSaleSerials(product, quantity) : null;
+            if (product && product.serialTracked && serials === null) return;
+            this.cart.addItem(product, quantity, unit || null, product ? this.getCartAvailable(product) : 0, serials);
+            this.renderCart();
             
-            // Reset form
+            // Reset form for the next item
             e.target.reset();
+            this.renderUnitOptions(this.elements.sellUnit, null);
             if (this.elements.productInfo) {
                 this.elements.productInfo.style.display = 'none';
             }
+            document.getElementById('sell-sku').focus();
             
         } catch (error) {
             this.showAlert(error.message, 'danger');
@@ -337,215 +614,1308 @@ class UIController {
     }
 
     /**
-     * Handle restock form submission
-     * @param {Event} e - Form submit event
+     * Ask which serials of a serial-tracked product are being sold
+     * @param {Object} product - Serial-tracked product
+     * @param {number} quantity - Units being added
+     * @returns {Promise<string|null>} Serials as typed or scanned, or null if cancelled
      */
-    async handleRestock(e) {
-        e.preventDefault();
+    async promptSaleSerials(product, quantity) {
+        const line = this.cart.getLines().find(l => l.productId === product.id);
+        const inCart = (line && line.serials) || [];
+        const available = (await this.inventoryManager.getSerialsInStock(product.id)).filter(serial => !inCart.includes(serial));
+        
+        return prompt(
+            `Scan or type the serial number${quantity === 1 ? '' : 's'} of the ${quantity} x ${product.name} sold (separate with commas).\n` +
+            `In stock: ${available.join(', ') || 'none'}`
+        );
+    }
+
+    /**
+     * Price the cart lines the same way checkout will, tax included. Lines
+     * whose product was deleted or whose quantity is invalid are taken out
+     * of the cart with a warning instead of breaking the screen.
+     * @returns {Array} Priced lines
+     */
+    priceCart() {
+        if (this.cart.isEmpty()) return [];
         
         try {
-            const identifier = document.getElementById('restock-sku').value.trim();
-            const quantity = parseInt(document.getElementById('restock-quantity').value);
-            
-            await this.inventoryManager.restockProduct(identifier, quantity);
+            return this.inventoryManager.priceLines(this.cart.getLines(), this.cart.ticketDiscount);
+        } catch (error) {
+            const products = this.inventoryManager.getAllProducts();
+            const stale = this.cart.getLines().filter(line =>
+                !products.some(p => p.id === line.productId) || isNaN(line.quantity) || line.quantity <= 0);
+            stale.forEach(line => this.cart.removeItem(line.productId));
+            this.showAlert(
+                stale.length > 0 ? `${error.message}. Removed from the cart: ${stale.map(line => line.sku).join(', ')}` : error.message,
+                'warning'
+            );
             
-            // Reset form
-            e.target.reset();
-            if (this.elements.restockProductInfo) {
-                this.elements.restockProductInfo.style.display = 'none';
+            try {
+                return this.cart.isEmpty() ? [] : this.inventoryManager.priceLines(this.cart.getLines(), this.cart.ticketDiscount);
+            } catch (retryError) {
+                this.showAlert(retryError.message, 'danger');
+                return [];
             }
-            
-        } catch (error) {
-            this.showAlert(error.message, 'danger');
         }
     }
 
     /**
-     * Update dashboard statistics
+     * Render the cart table and totals
      */
-    updateDashboard() {
-        const stats = this.inventoryManager.getStatistics();
+    renderCart() {
+        if (!this.elements.cartBody) return;
         
-        if (this.elements.totalProducts) {
-            this.elements.totalProducts.textContent = stats.totalProducts;
-        }
+        const lines = this.priceCart();
+        const totals = TaxCalculator.sumLines(lines);
+        const discountTotal = lines.reduce((sum, line) => sum + line.discountAmount, 0);
         
-        if (this.elements.lowStockCount) {
-            this.elements.lowStockCount.textContent = stats.lowStockCount;
-        }
+        this.elements.cartBody.innerHTML = lines.length === 0 ?
+            `<tr><td colspan="7" style="text-align: center; color: #7f8c8d;">${this.cart.isEmpty() ? 'Cart is empty' : 'Cart could not be priced'}</td></tr>` :
+            lines.map(line => `
+                <tr>
+                    <td>${line.sku}</td>
+                    <td>
+                        ${line.name}
+                        ${line.serials ? '<br><small style="color: #7f8c8d;">S/N: ' + line.serials.join(', ') + '</small>' : ''}
+                    </td>
+                    <td>
+                        ${line.discountAmount !== 0 ? `<s style="color: #7f8c8d;">$${line.unitListPrice.toFixed(2)}</s><br>` : ''}
+                        $${(line.unitPrice * line.unitFactor).toFixed(2)} / ${line.unit}
+                    </td>
+                    <td>
+                        <input type="number" class="quantity-input" min="0" step="any" value="${line.unitQuantity}"
+                               ${line.serials ? 'readonly title="Remove the line to change serials"' : ''}
+                               onchange="window.uiController.updateCartQuantity(${line.productId}, this.value)">
+                        ${line.unit}${line.unitFactor !== 1 ? `<br><small style="color: #7f8c8d;">${line.quantity} ${this.getBaseUnit(line.productId)}</small>` : ''}
+                    </td>
+                    <td>
+                        ${line.discounts.map(discount => `
+                            <small>${discount.amount >= 0 ? '-' : '+'}$${Math.abs(discount.amount).toFixed(2)} ${discount.reason}</small>
+                        `).join('<br>')}
+                    </td>
+                    <td>$${line.total.toFixed(2)}</td>
+                    <td class="action-buttons">
+                        <button class="btn btn-warning" onclick="window.uiController.applyLineDiscount(${line.productId})" title="Line discount">🏷️</button>
+                        <button class="btn btn-warning" onclick="window.uiController.overrideLinePrice(${line.productId})" title="Override price">✏️</button>
+                        <button class="btn btn-danger" onclick="window.uiController.removeCartItem(${line.productId})" title="Remove line">✖</button>
+                    </td>
+                </tr>
+            `).join('');
         
-        if (this.elements.totalValue) {
-            this.elements.totalValue.textContent = `$${stats.totalValue.toFixed(2)}`;
+        if (this.elements.cartDiscount) {
+            this.elements.cartDiscount.textContent = discountTotal > 0 ? `Discounts: -$${discountTotal.toFixed(2)}` : '';
+        }
+        if (this.elements.cartTotal) {
+            this.elements.cartTotal.textContent = `$${totals.total.toFixed(2)}`;
+        }
+        if (this.elements.cartTax) {
+            this.elements.cartTax.textContent = `Subtotal: $${totals.subtotal.toFixed(2)} · Tax: $${totals.tax.toFixed(2)}`;
+        }
+        if (this.elements.cartCount) {
+            const count = this.cart.getItemCount();
+            this.elements.cartCount.textContent = `${count} item${count === 1 ? '' : 's'}`;
         }
         
-        if (this.elements.categoriesCount) {
-            this.elements.categoriesCount.textContent = stats.categoriesCount;
+        this.renderPayments(totals.total);
+        this.renderCartCustomer();
+        
+        const quoteInfo = document.getElementById('cart-quote-info');
+        if (quoteInfo) {
+            const quote = this.cart.quoteId && window.quoteManager ? window.quoteManager.getQuote(this.cart.quoteId) : null;
+            quoteInfo.textContent = quote ? `📄 Converting quote ${QuoteDocument.formatQuoteNumber(quote)}` : '';
         }
         
-        // Update low stock alerts
-        if (this.elements.lowStockAlerts) {
-            if (stats.lowStockCount > 0) {
-                this.elements.lowStockAlerts.innerHTML = `
-                    <div class="alert alert-warning">
-                        <strong>⚠️ Low Stock Alert!</strong><br>
-                        ${stats.lowStockProducts.map(item => 
-                            `${item.name} (${item.sku}): ${item.quantity} remaining`
-                        ).join('<br>')}
-                    </div>
-                `;
-            } else {
-                this.elements.lowStockAlerts.innerHTML = 
-                    '<div class="alert alert-success"><strong>✅ All products have good stock!</strong></div>';
-            }
+        const reservationInfo = document.getElementById('cart-reservation-info');
+        if (reservationInfo) {
+            const reservation = this.cart.reservationId ? this.inventoryManager.getReservation(this.cart.reservationId) : null;
+            reservationInfo.textContent = reservation ?
+                `🔒 Picking up reservation #${reservation.id} for ${reservation.customerName} · Deposit: $${reservation.deposit.toFixed(2)}` : '';
         }
     }
 
     /**
-     * Display inventory table
-     * @param {Array} items - Items to display (optional, defaults to all)
+     * List the account customers to pick from on the sell screen and show
+     * the balance and credit left of the one picked
      */
-    displayInventory(items = null) {
-        if (!this.elements.inventoryBody) return;
+    renderCartCustomer() {
+        const options = document.getElementById('cart-customer-options');
+        const info = document.getElementById('cart-customer-info');
+        const input = document.getElementById('cart-customer');
+        if (!options || !info || !input || !window.customerManager) return;
         
-        const products = items || this.inventoryManager.getAllProducts();
-        this.elements.inventoryBody.innerHTML = '';
-
-        products.forEach(item => {
-            const row = document.createElement('tr');
-            if (item.quantity <= item.minStock) {
-                row.classList.add('low-stock');
-            }
-            
-            row.innerHTML = `
-                <td>${item.sku}</td>
-                <td>
-                    ${item.name}
-                    ${item.barcode ? '<br><small style="color: #7f8c8d;">BC: ' + item.barcode + '</small>' : ''}
-                    ${item.supplier ? '<br><small style="color: #7f8c8d;">Supplier: ' + item.supplier + '</small>' : ''}
-                </td>
-                <td>${item.category}</td>
-                <td>$${item.price.toFixed(2)}</td>
-                <td>${item.quantity}</td>
-                <td>${item.minStock}</td>
-                <td>$${(item.price * item.quantity).toFixed(2)}</td>
-                <td class="action-buttons">
-                    <button class="btn btn-warning" onclick="window.uiController.quickAdjust(${item.id}, 'add')" title="Add stock">+</button>
-                    <button class="btn btn-warning" onclick="window.uiController.quickAdjust(${item.id}, 'subtract')" title="Remove stock">-</button>
-                    <button class="btn btn-danger" onclick="window.uiController.deleteProduct(${item.id})" title="Delete product">🗑️</button>
-                </td>
-            `;
-            this.elements.inventoryBody.appendChild(row);
-        });
+        const customers = window.customerManager.getCustomers();
+        options.innerHTML = customers
+            .map(customer => `<option value="${customer.name}">${customer.taxId || ''}</option>`)
+            .join('');
+        
+        const customer = window.customerManager.findCustomer(input.value);
+        info.textContent = customer ?
+            `📒 Account balance: $${(customer.balance || 0).toFixed(2)} · Credit available: $${CustomerAccounts.getAvailableCredit(customer).toFixed(2)}` :
+            '';
     }
 
     /**
-     * Filter inventory based on search and category
+     * Render the payments added to the ticket and the balance or change due
+     * @param {number} total - Ticket total
      */
-    filterInventory() {
-        const searchTerm = this.elements.searchInput?.value || '';
-        const categoryFilter = this.elements.categoryFilter?.value || '';
+    renderPayments(total) {
+        if (!this.elements.paymentLines || !this.elements.paymentStatus) return;
         
-        const filteredProducts = this.inventoryManager.searchProducts(searchTerm, categoryFilter);
-        this.displayInventory(filteredProducts);
+        const payments = this.cart.getPayments();
+        this.elements.paymentLines.innerHTML = payments.map((payment, index) => `
+            <div class="cart-summary">
+                <span>${PaymentCalculator.getLabel(payment.method)}${payment.reference ? ' · ' + payment.reference : ''}</span>
+                <span>$${payment.amount.toFixed(2)}
+                    <button class="btn btn-danger" onclick="window.uiController.removePayment(${index})" title="Remove payment">✖</button>
+                </span>
+            </div>
+        `).join('');
+        
+        const paid = payments.reduce((sum, payment) => sum + payment.amount, 0);
+        const balance = TaxCalculator.round(total - paid);
+        
+        if (payments.length === 0 || total === 0) {
+            this.elements.paymentStatus.textContent = '';
+        } else if (balance > 0) {
+            this.elements.paymentStatus.textContent = `Balance due: $${balance.toFixed(2)}`;
+            this.elements.paymentStatus.style.color = '#e74c3c';
+        } else {
+            this.elements.paymentStatus.textContent = `Change due: $${(-balance).toFixed(2)}`;
+            this.elements.paymentStatus.style.color = '#27ae60';
+        }
     }
 
     /**
-     * Update category filter options
+     * Get what is still owed on the ticket after the payments added so far
+     * @returns {number} Balance due
      */
-    updateCategoryFilter() {
-        if (!this.elements.categoryFilter) return;
-        
-        const stats = this.inventoryManager.getStatistics();
-        this.elements.categoryFilter.innerHTML = '<option value="">All Categories</option>';
-        
-        stats.categories.forEach(category => {
-            const option = document.createElement('option');
-            option.value = category;
-            option.textContent = category;
-            this.elements.categoryFilter.appendChild(option);
-        });
+    getBalanceDue() {
+        const lines = this.inventoryManager.priceLines(this.cart.getLines(), this.cart.ticketDiscount);
+        const total = TaxCalculator.sumLines(lines).total;
+        const paid = this.cart.getPayments().reduce((sum, payment) => sum + payment.amount, 0);
+        return TaxCalculator.round(total - paid);
     }
 
     /**
-     * Setup product search with suggestions
-     * @param {string} inputId - Input element ID
-     * @param {string} suggestionsId - Suggestions container ID
-     * @param {Function} callback - Selection callback
+     * Add a payment from the payment fields; an empty amount pays the balance due
      */
-    setupProductSearch(inputId, suggestionsId, callback) {
-        const input = document.getElementById(inputId);
-        const suggestions = document.getElementById(suggestionsId);
-        
-        if (!input || !suggestions) return;
+    addPayment() {
+        if (this.cart.isEmpty()) {
+            this.showAlert('Cart is empty', 'warning');
+            return;
+        }
         
-        input.addEventListener('input', this.debounce((e) => {
-            const query = e.target.value;
+        try {
+            const amountValue = this.elements.paymentAmount.value;
+            const amount = amountValue === '' ? this.getBalanceDue() : parseFloat(amountValue);
             
-            if (query.length < 2) {
-                suggestions.style.display = 'none';
-                return;
-            }
-
-            const matches = this.inventoryManager.getProductSuggestions(query, 5);
-
-            if (matches.length > 0) {
-                suggestions.innerHTML = matches.map(item => 
-                    `<div style="padding: 10px; cursor: pointer; border-bottom: 1px solid #eee;" 
-                     onclick="window.uiController.selectProduct('${item.sku}', '${inputId}', '${suggestionsId}', '${callback.name}')">
-                        ${item.sku} - ${item.name} 
-                        ${item.barcode ? '(BC: ' + item.barcode + ')' : ''} 
-                        (Stock: ${item.stock})
-                     </div>`
-                ).join('');
-                suggestions.style.display = 'block';
-            } else {
-                suggestions.style.display = 'none';
-            }
-        }, 300));
-
-        // Hide suggestions when clicking outside
-        document.addEventListener('click', (e) => {
-            if (!input.contains(e.target) && !suggestions.contains(e.target)) {
-                suggestions.style.display = 'none';
-            }
-        });
+            this.cart.addPayment(
+                this.elements.paymentMethod.value,
+                amount,
+                this.elements.paymentReference.value.trim()
+            );
+            
+            this.elements.paymentAmount.value = '';
+            this.elements.paymentReference.value = '';
+            this.renderCart();
+        } catch (error) {
+            this.showAlert(error.message, 'danger');
+        }
     }
 
     /**
-     * Select a product from suggestions
-     * @param {string} sku - Product SKU
-     * @param {string} inputId - Input element ID
-     * @param {string} suggestionsId - Suggestions container ID
-     * @param {string} callbackName - Callback function name
+     * Remove a payment from the ticket
+     * @param {number} index - Position of the payment
      */
-    selectProduct(sku, inputId, suggestionsId, callbackName) {
-        document.getElementById(inputId).value = sku;
-        document.getElementById(suggestionsId).style.display = 'none';
-        
-        // Call the appropriate callback
-        if (callbackName === 'showSellProductInfo') {
-            this.showSellProductInfo(sku);
-        } else if (callbackName === 'showRestockProductInfo') {
-            this.showRestockProductInfo(sku);
-        }
+    removePayment(index) {
+        this.cart.removePayment(index);
+        this.renderCart();
     }
 
     /**
-     * Show product info for selling
-     * @param {string} identifier - Product SKU or barcode
+     * Ask for a line discount and apply it, requesting authorization if it
+     * is beyond what the logged-in user may grant
+     * @param {number} productId - Product ID of the line
      */
-    async showSellProductInfo(identifier) {
-        try {
+    async applyLineDiscount(productId) {
+        const input = prompt('Discount for this line (e.g. 10% or 5.00). Leave empty to remove:');
+        if (input === null) return;
+        
+        if (input.trim() === '') {
+            this.cart.setLineDiscount(productId, null);
+            this.renderCart();
+            return;
+        }
+        
+        try {
+            const discount = DiscountCalculator.parse(input);
+            discount.reason = prompt('Reason for the discount:') || '';
+            
+            await this.grantWithAuthorization(
+                (authorizedBy) => this.cart.setLineDiscount(productId, { ...discount, authorizedBy }),
+                () => this.cart.setLineDiscount(productId, null),
+                `Line discount of ${DiscountCalculator.describe(discount)}`
+            );
+        } catch (error) {
+            this.showAlert(error.message, 'danger');
+        }
+        this.renderCart();
+    }
+
+    /**
+     * Ask for a manual unit price for a line; always needs a user allowed
+     * to override prices
+     * @param {number} productId - Product ID of the line
+     */
+    async overrideLinePrice(productId) {
+        const input = prompt('New unit price for this line. Leave empty to restore the list price:');
+        if (input === null) return;
+        
+        if (input.trim() === '') {
+            this.cart.setPriceOverride(productId, null);
+            this.renderCart();
+            return;
+        }
+        
+        const price = parseFloat(input);
+        if (isNaN(price) || price < 0) {
+            this.showAlert('Please enter a valid price', 'warning');
+            return;
+        }
+        
+        const reason = prompt('Reason for the price change:') || '';
+        await this.grantWithAuthorization(
+            (authorizedBy) => this.cart.setPriceOverride(productId, { price, reason, authorizedBy }),
+            () => this.cart.setPriceOverride(productId, null),
+            `Price override to $${price.toFixed(2)}`
+        );
+        this.renderCart();
+    }
+
+    /**
+     * Ask for a discount on the whole ticket
+     */
+    async applyTicketDiscount() {
+        if (this.cart.isEmpty()) {
+            this.showAlert('Cart is empty', 'warning');
+            return;
+        }
+        
+        const input = prompt('Discount for the whole ticket (e.g. 10% or 5.00). Leave empty to remove:');
+        if (input === null) return;
+        
+        if (input.trim() === '') {
+            this.cart.setTicketDiscount(null);
+            this.renderCart();
+            return;
+        }
+        
+        try {
+            const discount = DiscountCalculator.parse(input);
+            discount.reason = prompt('Reason for the discount:') || '';
+            
+            await this.grantWithAuthorization(
+                (authorizedBy) => this.cart.setTicketDiscount({ ...discount, authorizedBy }),
+                () => this.cart.setTicketDiscount(null),
+                `Ticket discount of ${DiscountCalculator.describe(discount)}`
+            );
+        } catch (error) {
+            this.showAlert(error.message, 'danger');
+        }
+        this.renderCart();
+    }
+
+    /**
+     * Apply a cart change under the logged-in user; if their permissions do
+     * not cover it, ask another user to authorize and try again
+     * @param {Function} apply - (authorizedBy) => void, changes the cart
+     * @param {Function} revert - Undoes the change
+     * @param {string} action - Description shown on the authorization dialog
+     * @returns {Promise<boolean>} True if the change was kept
+     */
+    async grantWithAuthorization(apply, revert, action) {
+        const check = () => this.inventoryManager.authorizeDiscounts(
+            this.inventoryManager.priceLines(this.cart.getLines(), this.cart.ticketDiscount)
+        );
+        
+        apply(null);
+        try {
+            check();
+            return true;
+        } catch (error) {
+            const authorizer = await this.requestAuthorization(`${action}: ${error.message}`);
+            if (authorizer) {
+                apply(authorizer);
+                try {
+                    check();
+                    return true;
+                } catch (authorizerError) {
+                    this.showAlert(authorizerError.message, 'danger');
+                }
+            }
+        }
+        
+        revert();
+        return false;
+    }
+
+    /**
+     * Show the authorization dialog and wait for valid credentials
+     * @param {string} action - What is being authorized
+     * @returns {Promise<string|null>} Authorizing username, or null if cancelled
+     */
+    requestAuthorization(action) {
+        const overlay = document.getElementById('authorization-overlay');
+        const form = document.getElementById('authorization-form');
+        const cancelBtn = document.getElementById('authorization-cancel');
+        const usernameInput = document.getElementById('authorization-username');
+        const passwordInput = document.getElementById('authorization-password');
+        const messageEl = document.getElementById('authorization-message');
+        
+        if (!overlay || !form || !window.authSystem) {
+            return Promise.resolve(null);
+        }
+        
+        document.getElementById('authorization-action').textContent = action;
+        form.reset();
+        messageEl.textContent = '';
+        overlay.style.display = 'flex';
+        setTimeout(() => usernameInput.focus(), 100);
+        
+        return new Promise(resolve => {
+            const finish = (username) => {
+                form.removeEventListener('submit', onSubmit);
+                cancelBtn.removeEventListener('click', onCancel);
+                overlay.style.display = 'none';
+                form.reset();
+                resolve(username);
+            };
+            const onSubmit = (e) => {
+                e.preventDefault();
+                const username = usernameInput.value.trim();
+                if (window.authSystem.verifyCredentials(username, passwordInput.value, action)) {
+                    finish(username);
+                } else {
+                    messageEl.textContent = 'Invalid credentials';
+                    passwordInput.value = '';
+                }
+            };
+            const onCancel = () => finish(null);
+            
+            form.addEventListener('submit', onSubmit);
+            cancelBtn.addEventListener('click', onCancel);
+        });
+    }
+
+    /**
+     * Show the receipt of a ticket with print and save options
+     * @param {Object} ticket - Ticket
+     * @param {Object} options - { reprint }
+     */
+    showReceipt(ticket, options = {}) {
+        const overlay = document.getElementById('receipt-overlay');
+        const preview = document.getElementById('receipt-preview');
+        if (!overlay || !preview) return;
+        
+        this.currentReceipt = { ticket, options };
+        preview.innerHTML = ReceiptPrinter.renderHTML(ticket, this.inventoryManager.receiptSettings, options);
+        overlay.style.display = 'flex';
+    }
+
+    /**
+     * Print the receipt being shown on the configured paper width
+     */
+    printReceipt() {
+        if (!this.currentReceipt) return;
+        
+        const { ticket, options } = this.currentReceipt;
+        this.printDocument(ReceiptPrinter.renderPrintDocument(ticket, this.inventoryManager.receiptSettings, options));
+    }
+
+    /**
+     * Print a standalone HTML document through a hidden frame
+     * @param {string} html - HTML document
+     */
+    printDocument(html) {
+        const frame = document.createElement('iframe');
+        frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0;';
+        document.body.appendChild(frame);
+        
+        frame.contentDocument.open();
+        frame.contentDocument.write(html);
+        frame.contentDocument.close();
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+        
+        setTimeout(() => frame.remove(), 1000);
+    }
+
+    /**
+     * Resolve the customer typed on the sell screen to an account customer,
+     * or keep it as a name
+     * @returns {Object|string|null} Account customer or name
+     */
+    getCartCustomer() {
+        const customerInput = document.getElementById('cart-customer');
+        const customerText = customerInput ? customerInput.value : null;
+        return (window.customerManager && window.customerManager.findCustomer(customerText)) || customerText;
+    }
+
+    /**
+     * Save the cart as a price quote and print it
+     */
+    async saveCartAsQuote() {
+        if (this.cart.isEmpty()) {
+            this.showAlert('Cart is empty', 'warning');
+            return;
+        }
+        if (!window.quoteManager) return;
+        
+        const validUntil = prompt('Quote valid until (YYYY-MM-DD):', QuoteDocument.getValidUntil(null));
+        if (validUntil === null) return;
+        const note = prompt('Note for the customer (optional):') || '';
+        
+        try {
+            const quote = await window.quoteManager.createQuote(this.cart.getLines(), this.cart.ticketDiscount, {
+                customer: this.getCartCustomer(),
+                validUntil: validUntil.trim(),
+                note
+            });
+            
+            this.cart.clear();
+            const customerInput = document.getElementById('cart-customer');
+            if (customerInput) {
+                customerInput.value = '';
+            }
+            this.renderCart();
+            this.showAlert(`Quote ${QuoteDocument.formatQuoteNumber(quote)} saved - Total: $${quote.total.toFixed(2)}`, 'success');
+            this.printDocument(QuoteDocument.renderPrintDocument(quote, this.inventoryManager.receiptSettings));
+        } catch (error) {
+            this.showAlert(error.message, 'danger');
+        }
+    }
+
+    /**
+     * Load a quote re-priced by QuoteManager.prepareConversion into the cart.
+     * Lines short of stock are cut down to what is available and the units
+     * of serial-tracked lines are asked for.
+     * @param {Object} conversion - Result of prepareConversion
+     * @returns {Promise<boolean>} Whether the cart was loaded
+     */
+    async loadQuoteIntoCart(conversion) {
+        if (!this.cart.isEmpty() && !confirm('Replace the items in the cart with this quote?')) {
+            return false;
+        }
+        
+        const { quote } = conversion;
+        const cart = new SalesCart();
+        const saleLocation = this.inventoryManager.locationSettings.saleLocation;
+        try {
+            for (const line of conversion.lines) {
+                if (line.missing) continue;
+                
+                const product = this.inventoryManager.getAllProducts().find(p => p.id === line.item.productId);
+                const available = this.inventoryManager.getAvailableQuantity(product, saleLocation);
+                const quantity = line.shortage > 0 ?
+                    UnitConverter.round(Math.floor(available / line.current.unitFactor)) : line.item.quantity;
+                if (quantity <= 0) continue;
+                
+                const serials = product.serialTracked ? await this.promptSaleSerials(product, quantity) : null;
+                if (product.serialTracked && serials === null) return false;
+                
+                cart.addItem(product, quantity, line.item.unit, available, serials);
+                if (line.item.discount) {
+                    cart.setLineDiscount(product.id, line.item.discount);
+                }
+                if (line.item.priceOverride) {
+                    cart.setPriceOverride(product.id, line.item.priceOverride);
+                }
+            }
+        } catch (error) {
+            this.showAlert(error.message, 'danger');
+            return false;
+        }
+        
+        if (cart.isEmpty()) {
+            this.showAlert(`Nothing from quote ${QuoteDocument.formatQuoteNumber(quote)} is in stock`, 'warning');
+            return false;
+        }
+        
+        cart.setTicketDiscount(quote.ticketDiscount);
+        cart.quoteId = quote.id;
+        this.cart = cart;
+        
+        const customerInput = document.getElementById('cart-customer');
+        if (customerInput) {
+            customerInput.value = quote.customerName || '';
+        }
+        this.renderCart();
+        return true;
+    }
+
+    /**
+     * Load a reservation being picked up into the cart. Its units count as
+     * available to this ticket and the deposit is put toward the total.
+     * @param {Object} reservation - Active reservation
+     * @returns {Promise<boolean>} Whether the cart was loaded
+     */
+    async loadReservationIntoCart(reservation) {
+        if (!this.cart.isEmpty() && !confirm('Replace the items in the cart with this reservation?')) {
+            return false;
+        }
+        
+        const product = this.inventoryManager.getAllProducts().find(p => p.id === reservation.productId);
+        if (!product) {
+            this.showAlert(`Product ${reservation.sku} no longer exists`, 'danger');
+            return false;
+        }
+        
+        const cart = new SalesCart();
+        try {
+            const serials = product.serialTracked ? await this.promptSaleSerials(product, reservation.quantity) : null;
+            if (product.serialTracked && serials === null) return false;
+            
+            cart.addItem(product, reservation.quantity, null, this.getCartAvailable(product, reservation.id), serials);
+            cart.reservationId = reservation.id;
+            this.cart = cart;
+            
+            const total = this.getBalanceDue();
+            const deposit = Math.min(reservation.deposit, total);
+            if (deposit > 0) {
+                cart.addPayment(PAYMENT_METHODS.DEPOSIT, deposit, `Reservation #${reservation.id}`);
+            }
+        } catch (error) {
+            this.showAlert(error.message, 'danger');
+            return false;
+        }
+        
+        const customerInput = document.getElementById('cart-customer');
+        if (customerInput) {
+            customerInput.value = reservation.customerName;
+        }
+        this.renderCart();
+        return true;
+    }
+
+    /**
+     * Get the stock of a product the cart may sell at the sale location,
+     * counting the units of the reservation being picked up
+     * @param {Object} product - Product
+     * @param {number|null} reservationId - Reservation being picked up (defaults to the cart's)
+     * @returns {number} Available quantity in the base unit
+     */
+    getCartAvailable(product, reservationId = this.cart.reservationId) {
+        const saleLocation = this.inventoryManager.locationSettings.saleLocation;
+        const available = this.inventoryManager.getAvailableQuantity(product, saleLocation);
+        const reservation = reservationId ? this.inventoryManager.getReservation(reservationId) : null;
+        return reservation && reservation.productId === product.id && reservation.location === saleLocation &&
+            StockReservations.isActive(reservation) ?
+            UnitConverter.round(available + reservation.quantity) : available;
+    }
+
+    /**
+     * Print the pick list of the items in the cart, sorted by bin location
+     */
+    printCartPickList() {
+        try {
+            const pickList = this.inventoryManager.getPickList(
+                this.cart.lines.map(line => ({ productId: line.productId, quantity: UnitConverter.round(line.quantity * line.unitFactor) })),
+                { title: 'Pick List' }
+            );
+            this.printDocument(PickList.renderPrintDocument(pickList));
+        } catch (error) {
+            this.showAlert(error.message, 'danger');
+        }
+    }
+
+    /**
+     * Save the receipt being shown as ESC/POS printer commands
+     */
+    saveReceiptEscPos() {
+        if (!this.currentReceipt) return;
+        
+        const { ticket, options } = this.currentReceipt;
+        const bytes = ReceiptPrinter.toEscPos(ticket, this.inventoryManager.receiptSettings, options);
+        const blob = new Blob([bytes], { type: 'application/octet-stream' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `ticket-${ReceiptPrinter.formatTicketNumber(ticket)}.bin`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Hide the receipt dialog
+     */
+    closeReceipt() {
+        const overlay = document.getElementById('receipt-overlay');
+        if (overlay) {
+            overlay.style.display = 'none';
+        }
+        this.currentReceipt = null;
+    }
+
+    /**
+     * Update the quantity of a cart line
+     * @param {number} productId - Product ID
+     * @param {string} value - New quantity from the input
+     */
+    updateCartQuantity(productId, value) {
+        try {
+            const product = this.inventoryManager.getAllProducts().find(p => p.id === productId);
+            this.cart.updateQuantity(productId, parseFloat(value), product ? this.getCartAvailable(product) : 0, product);
+        } catch (error) {
+            this.showAlert(error.message, 'danger');
+        }
+        this.renderCart();
+    }
+
+    /**
+     * Get the base unit of a product for display
+     * @param {number} productId - Product ID
+     * @returns {string} Base unit
+     */
+    getBaseUnit(productId) {
+        const product = this.inventoryManager.getAllProducts().find(p => p.id === productId);
+        return product ? product.baseUnit : DEFAULT_BASE_UNIT;
+    }
+
+    /**
+     * Remove a line from the cart
+     * @param {number} productId - Product ID
+     */
+    removeCartItem(productId) {
+        this.cart.removeItem(productId);
+        this.renderCart();
+    }
+
+    /**
+     * Clear the cart after confirmation
+     */
+    clearCart() {
+        if (this.cart.isEmpty() || confirm('Remove all items from the cart?')) {
+            this.cart.clear();
+            this.renderCart();
+        }
+    }
+
+    /**
+     * Commit the cart as a single ticket
+     */
+    async handleCheckout() {
+        if (this.cart.isEmpty()) {
+            this.showAlert('Cart is empty', 'warning');
+            return;
+        }
+        
+        try {
+            // With no payments added, the payment fields describe a single payment
+            let payments = this.cart.getPayments();
+            if (payments.length === 0 && this.elements.paymentMethod) {
+                const amountValue = this.elements.paymentAmount.value;
+                const amount = amountValue === '' ? this.getBalanceDue() : parseFloat(amountValue);
+                payments = amountValue !== '' || amount > 0 ? [{
+                    method: this.elements.paymentMethod.value,
+                    amount,
+                    reference: this.elements.paymentReference.value.trim()
+                }] : [];
+            }
+            
+            const customerInput = document.getElementById('cart-customer');
+            const customer = this.getCartCustomer();
+            
+            // Charging more than the customer's credit takes a manager's authorization
+            const charge = CustomerAccounts.getChargeAmount(payments.map(p => ({ ...p, amount: parseFloat(p.amount) || 0 })));
+            if (charge > 0 && customer && typeof customer === 'object') {
+                try {
+                    this.inventoryManager.authorizeCredit(customer, charge);
+                } catch (error) {
+                    const authorizer = await this.requestAuthorization(`Sell on account: ${error.message}`);
+                    if (!authorizer) return;
+                    payments = payments.map(p => p.method === PAYMENT_METHODS.ACCOUNT ? { ...p, authorizedBy: authorizer } : p);
+                }
+            }
+            
+            await this.inventoryManager.checkout(this.cart.getLines(), this.cart.ticketDiscount, payments, null, customer,
+                this.cart.quoteId, this.cart.reservationId);
+            this.cart.clear();
+            if (this.elements.paymentAmount) {
+                this.elements.paymentAmount.value = '';
+                this.elements.paymentReference.value = '';
+            }
+            if (customerInput) {
+                customerInput.value = '';
+            }
+            this.renderCart();
+        } catch (error) {
+            this.showAlert('Checkout failed, nothing was charged: ' + error.message, 'danger');
+        }
+    }
+
+    /**
+     * Handle restock form submission
+     * @param {Event} e - Form submit event
+     */
+    async handleRestock(e) {
+        e.preventDefault();
+        
+        try {
+            const identifier = document.getElementById('restock-sku').value.trim();
+            const quantity = parseFloat(document.getElementById('restock-quantity').value);
+            const costValue = document.getElementById('restock-cost').value;
+            const unit = this.elements.restockUnit ? this.elements.restockUnit.value : '';
+            const location = document.getElementById('restock-location').value;
+            const details = costValue === '' ? {} : { unitCost: parseFloat(costValue) };
+            if (unit) {
+                details.unit = unit;
+            }
+            if (location) {
+                details.location = location;
+            }
+            details.lotNumber = document.getElementById('restock-lot').value;
+            details.expiryDate = document.getElementById('restock-expiry').value;
+            details.serials = document.getElementById('restock-serials').value;
+            
+            await this.inventoryManager.restockProduct(identifier, quantity, details);
+            
+            // Reset form
+            e.target.reset();
+            this.renderLocationOptions();
+            this.renderUnitOptions(this.elements.restockUnit, null);
+            if (this.elements.restockProductInfo) {
+                this.elements.restockProductInfo.style.display = 'none';
+            }
+            
+        } catch (error) {
+            this.showAlert(error.message, 'danger');
+        }
+    }
+
+    /**
+     * Handle transfer form submission
+     * @param {Event} e - Form submit event
+     */
+    async handleTransfer(e) {
+        e.preventDefault();
+        
+        try {
+            await this.inventoryManager.transferStock(
+                document.getElementById('transfer-sku').value.trim(),
+                document.getElementById('transfer-from').value,
+                document.getElementById('transfer-to').value,
+                parseFloat(document.getElementById('transfer-quantity').value),
+                document.getElementById('transfer-note').value
+            );
+            
+            e.target.reset();
+            this.renderLocationOptions();
+            
+        } catch (error) {
+            this.showAlert(error.message, 'danger');
+        }
+    }
+
+    /**
+     * Update dashboard statistics, for one location when one is chosen
+     */
+    updateDashboard() {
+        const location = this.elements.dashboardLocation ? this.elements.dashboardLocation.value || null : null;
+        const stats = this.inventoryManager.getStatistics(location);
+        
+        if (this.elements.totalProducts) {
+            this.elements.totalProducts.textContent = stats.totalProducts;
+        }
+        
+        if (this.elements.lowStockCount) {
+            this.elements.lowStockCount.textContent = stats.lowStockCount;
+        }
+        
+        if (this.elements.reservedCount) {
+            this.elements.reservedCount.textContent = stats.activeReservationsCount;
+        }
+        
+        if (this.elements.totalValue) {
+            this.elements.totalValue.textContent = `$${stats.totalValue.toFixed(2)}`;
+        }
+        
+        if (this.elements.categoriesCount) {
+            this.elements.categoriesCount.textContent = stats.categoriesCount;
+        }
+        
+        // Update low stock alerts
+        if (this.elements.lowStockAlerts) {
+            if (stats.lowStockCount > 0) {
+                this.elements.lowStockAlerts.innerHTML = `
+                    <div class="alert alert-warning">
+                        <strong>⚠️ Low Stock Alert!</strong><br>
+                        ${stats.lowStockProducts.map(item => 
+                            `${item.name} (${item.sku}): ${UnitConverter.format(item, this.inventoryManager.getAvailableQuantity(item, location))} available` +
+                            `${this.formatReserved(item, location)}` +
+                            `${location ? ' at ' + this.getLocationName(location) : ''}${this.formatIncoming(item.id)}`
+                        ).join('<br>')}
+                    </div>
+                `;
+            } else {
+                this.elements.lowStockAlerts.innerHTML = 
+                    '<div class="alert alert-success"><strong>✅ All products have good stock!</strong></div>';
+            }
+        }
+        
+        this.renderExpiryAlerts(stats.expiringLots);
+    }
+
+    /**
+     * Show the lots that have expired or expire soon below the low stock alerts
+     * @param {Array} lots - Expiring lots from the inventory manager
+     */
+    renderExpiryAlerts(lots) {
+        if (!this.elements.expiryAlerts) return;
+        
+        if (lots.length === 0) {
+            this.elements.expiryAlerts.innerHTML = '';
+            return;
+        }
+        
+        this.elements.expiryAlerts.innerHTML = `
+            <div class="alert alert-danger">
+                <strong>⏳ Expiring Lots (next ${EXPIRY_ALERT_DAYS} days)</strong><br>
+                ${lots.map(lot => 
+                    `${lot.name} (${lot.sku}) lot ${lot.lotNumber}: ${UnitConverter.format(lot, lot.quantity)} - ${this.formatDaysLeft(lot.daysLeft)}`
+                ).join('<br>')}
+            </div>
+        `;
+    }
+
+    /**
+     * Describe how long until a lot expires
+     * @param {number} daysLeft - Days until expiry, negative once expired
+     * @returns {string} Text such as "expires in 5 days"
+     */
+    formatDaysLeft(daysLeft) {
+        if (daysLeft < 0) return `expired ${-daysLeft} day${daysLeft === -1 ? '' : 's'} ago`;
+        if (daysLeft === 0) return 'expires today';
+        return `expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * List a product's lots in the order they will be sold
+     * @param {Object} product - Product
+     * @returns {string} Text such as "L123 (exp 2026-03-01): 4 · L130: 6", empty without lots
+     */
+    formatLots(product) {
+        return (product.lots || []).map(lot =>
+            `${lot.lotNumber}${lot.expiryDate ? ' (exp ' + lot.expiryDate + ')' : ''}: ${UnitConverter.format(product, lot.quantity)}`
+        ).join(' · ');
+    }
+
+    /**
+     * Describe the quantity of a product held by reservations
+     * @param {Object} product - Product
+     * @param {string|null} location - Location counted (defaults to all locations)
+     * @returns {string} Text such as " (5 reserved)" or empty
+     */
+    formatReserved(product, location = null) {
+        const reserved = this.inventoryManager.getReservedQuantity(product, location);
+        return reserved > 0 ? ` (${UnitConverter.format(product, reserved)} reserved)` : '';
+    }
+
+    /**
+     * Describe the quantity of a product due on open purchase orders
+     * @param {number} productId - Product ID
+     * @returns {string} Text such as " (+20 incoming on PO #3)" or empty
+     */
+    formatIncoming(productId) {
+        if (!this.purchasingManager) return '';
+        
+        const incoming = this.purchasingManager.getIncomingQuantity(productId);
+        if (incoming.quantity === 0) return '';
+        
+        return ` (+${incoming.quantity} incoming on ${incoming.orderIds.map(id => 'PO #' + id).join(', ')})`;
+    }
+
+    /**
+     * Fill the supplier suggestions of the add product form
+     */
+    updateSupplierOptions() {
+        const datalist = document.getElementById('supplier-options');
+        if (!datalist || !this.purchasingManager) return;
+        
+        datalist.innerHTML = this.purchasingManager.getSuppliers()
+            .map(supplier => `<option value="${supplier.name}">`)
+            .join('');
+    }
+
+    /**
+     * Display inventory table, with the variants of a parent grouped under it.
+     * With a location chosen, stock and value are those at that location.
+     * @param {Array} items - Items to display (optional, defaults to all)
+     */
+    displayInventory(items = null) {
+        if (!this.elements.inventoryBody) return;
+        
+        const products = items || this.inventoryManager.getAllProducts();
+        this.elements.inventoryBody.innerHTML = '';
+
+        this.inventoryManager.groupByParent(products).forEach(group => {
+            if (group.parent) {
+                this.elements.inventoryBody.appendChild(this.createParentRow(group.parent, group.variants));
+                group.variants.forEach(item => this.elements.inventoryBody.appendChild(this.createInventoryRow(item)));
+            } else {
+                this.elements.inventoryBody.appendChild(this.createInventoryRow(group.product));
+            }
+        });
+    }
+
+    /**
+     * Get the location the inventory table is filtered to
+     * @returns {string|null} Location ID, or null for all locations
+     */
+    getInventoryLocation() {
+        return this.elements.locationFilter ? this.elements.locationFilter.value || null : null;
+    }
+
+    /**
+     * Build the heading row of a parent product with the totals of its variants
+     * @param {Object} parent - Parent product
+     * @param {Array} variants - Variants being displayed
+     * @returns {HTMLTableRowElement} Row
+     */
+    createParentRow(parent, variants) {
+        const row = document.createElement('tr');
+        row.classList.add('variant-parent');
+        
+        const prices = variants.map(v => v.price);
+        const minPrice = Math.min(...prices);
+        const maxPrice = Math.max(...prices);
+        const sameUnit = variants.every(v => v.baseUnit === variants[0].baseUnit);
+        const location = this.getInventoryLocation();
+        const totalStock = UnitConverter.round(variants.reduce((sum, v) => sum + LocationStock.getQuantity(v, location), 0));
+        const totalReserved = UnitConverter.round(variants.reduce((sum, v) => sum + this.inventoryManager.getReservedQuantity(v, location), 0));
+        const totalAvailable = UnitConverter.round(variants.reduce((sum, v) => sum + this.inventoryManager.getAvailableQuantity(v, location), 0));
+        const unitSuffix = sameUnit && variants[0].baseUnit !== DEFAULT_BASE_UNIT ? ' ' + variants[0].baseUnit : '';
+        
+        row.innerHTML = `
+            <td>🎨 ${variants.length} variant${variants.length === 1 ? '' : 's'}</td>
+            <td>
+                <strong>${parent.name}</strong>
+                ${parent.supplier ? '<br><small style="color: #7f8c8d;">Supplier: ' + parent.supplier + '</small>' : ''}
+            </td>
+            <td>${parent.category}</td>
+            <td>$${minPrice.toFixed(2)}${maxPrice !== minPrice ? ' - $' + maxPrice.toFixed(2) : ''}</td>
+            <td>${sameUnit ? totalStock + unitSuffix : '-'}</td>
+            <td>${sameUnit ? totalReserved + unitSuffix : '-'}</td>
+            <td>${sameUnit ? totalAvailable + unitSuffix : '-'}</td>
+            <td></td>
+            <td>$${variants.reduce((sum, v) => sum + v.price * LocationStock.getQuantity(v, location), 0).toFixed(2)}</td>
+            <td class="action-buttons">
+                <button class="btn" onclick="addVariantOf(${parent.id})" title="Add variant">➕</button>
+                <button class="btn btn-warning" onclick="editParentProduct(${parent.id})" title="Edit shared fields">✏️</button>
+            </td>
+        `;
+        return row;
+    }
+
+    /**
+     * Build the inventory row of a product or variant
+     * @param {Object} item - Product
+     * @returns {HTMLTableRowElement} Row
+     */
+    createInventoryRow(item) {
+        const row = document.createElement('tr');
+        const location = this.getInventoryLocation();
+        const quantity = LocationStock.getQuantity(item, location);
+        const available = this.inventoryManager.getAvailableQuantity(item, location);
+        if (available <= item.minStock && !this.inventoryManager.isKit(item)) {
+            row.classList.add('low-stock');
+        }
+        
+        if (this.inventoryManager.isKit(item)) {
+            return this.createKitRow(row, item);
+        }
+        
+        const variantLabel = this.inventoryManager.getVariantLabel(item);
+        if (variantLabel) {
+            row.classList.add('variant-row');
+        }
+        
+        row.innerHTML = `
+            <td>${item.sku}</td>
+            <td>
+                ${variantLabel ? '↳ ' + variantLabel : item.name}
+                ${item.barcode ? '<br><small style="color: #7f8c8d;">BC: ' + item.barcode + '</small>' : ''}
+                ${item.supplier && !variantLabel ? '<br><small style="color: #7f8c8d;">Supplier: ' + item.supplier + '</small>' : ''}
+                ${item.binLocation ? '<br><small style="color: #7f8c8d;">🗄️ Bin: ' + item.binLocation + '</small>' : ''}
+                ${item.serialTracked ? '<br><small style="color: #7f8c8d;">🔢 Serial tracked</small>' : ''}
+                ${item.lots && item.lots.length > 0 && item.lots[0].expiryDate ? '<br><small style="color: #7f8c8d;">⏳ Next expiry: ' + item.lots[0].expiryDate + '</small>' : ''}
+            </td>
+            <td>${item.category}</td>
+            <td>$${item.price.toFixed(2)}${item.baseUnit !== DEFAULT_BASE_UNIT ? ' / ' + item.baseUnit : ''}</td>
+            <td>
+                ${UnitConverter.format(item, quantity)}
+                ${!location && this.inventoryManager.getLocations().length > 1 && item.quantity > 0 ?
+                    '<br><small style="color: #7f8c8d;">' + LocationStock.format(item, this.inventoryManager.getLocations()) + '</small>' : ''}
+            </td>
+            <td>${UnitConverter.format(item, this.inventoryManager.getReservedQuantity(item, location))}</td>
+            <td>${UnitConverter.format(item, available)}</td>
+            <td>${UnitConverter.format(item, item.minStock)}</td>
+            <td>$${(item.price * quantity).toFixed(2)}</td>
+            <td class="action-buttons">
+                <button class="btn btn-warning" onclick="window.uiController.quickAdjust(${item.id}, 'add')" title="Add stock">+</button>
+                <button class="btn btn-warning" onclick="window.uiController.quickAdjust(${item.id}, 'subtract')" title="Remove stock">-</button>
+                <button class="btn" onclick="window.uiController.showMovementHistory(${item.id})" title="Movement history">📜</button>
+                <button class="btn" onclick="window.uiController.editBinLocation(${item.id})" title="Set bin location">🗄️</button>
+                <button class="btn" onclick="window.uiController.manageSerials(${item.id})" title="Serial numbers">🔢</button>
+                <button class="btn btn-danger" onclick="window.uiController.deleteProduct(${item.id})" title="Delete product">🗑️</button>
+            </td>
+        `;
+        return row;
+    }
+
+    /**
+     * Fill the inventory row of a kit: its stock is what its components allow
+     * and it is adjusted through them
+     * @param {HTMLTableRowElement} row - Row to fill
+     * @param {Object} kit - Kit product
+     * @returns {HTMLTableRowElement} Row
+     */
+    createKitRow(row, kit) {
+        const available = this.inventoryManager.getAvailableQuantity(kit, this.getInventoryLocation());
+        if (available === 0) {
+            row.classList.add('low-stock');
+        }
+        
+        row.innerHTML = `
+            <td>${kit.sku}</td>
+            <td>
+                🧰 ${kit.name}
+                <br><small style="color: #7f8c8d;">Kit: ${this.inventoryManager.formatKitComponents(kit)}</small>
+                ${kit.barcode ? '<br><small style="color: #7f8c8d;">BC: ' + kit.barcode + '</small>' : ''}
+            </td>
+            <td>${kit.category}</td>
+            <td>$${kit.price.toFixed(2)}</td>
+            <td>-</td>
+            <td>-</td>
+            <td>${available}</td>
+            <td>-</td>
+            <td>$${(kit.price * available).toFixed(2)}</td>
+            <td class="action-buttons">
+                <button class="btn" onclick="editKit(${kit.id})" title="Edit kit">✏️</button>
+                <button class="btn btn-danger" onclick="window.uiController.deleteProduct(${kit.id})" title="Delete product">🗑️</button>
+            </td>
+        `;
+        return row;
+    }
+
+    /**
+     * Show the stock movement history of a product below the inventory table
+     * @param {number} productId - Product ID
+     */
+    async showMovementHistory(productId) {
+        if (!this.elements.movementHistory) return;
+        
+        const product = this.inventoryManager.getAllProducts().find(p => p.id === productId);
+        if (!product) return;
+        
+        try {
+            const movements = await this.inventoryManager.getMovementHistory(productId);
+            const typeLabels = {
+                initial: '🆕 Initial',
+                sale: '💰 Sale',
+                restock: '📈 Restock',
+                adjustment: '🔧 Adjustment',
+                import: '📥 Import',
+                return: '↩️ Return',
+                deletion: '🗑️ Deletion',
+                unit_change: '📏 Unit Change',
+                transfer: '🔀 Transfer',
+                count: '📝 Count'
+            };
+            const reasonLabels = this.getReasonLabels();
+            
+            this.elements.movementHistory.innerHTML = `
+                <div class="movement-history-box">
+                    <div class="section-header">
+                        <h3>📜 Movement History: ${product.name} (${product.sku})</h3>
+                        <button class="btn btn-danger" onclick="window.uiController.hideMovementHistory()">✖ Close</button>
+                    </div>
+                    ${movements.length === 0 ? '<p>No movements recorded</p>' : `
+                    <div class="table-container">
+                        <table class="inventory-table">
+                            <thead>
+                                <tr>
+                                    <th>📅 Date</th>
+                                    <th>🔖 Type</th>
+                                    <th>± Change</th>
+                                    <th>📦 Balance</th>
+                                    <th>👤 User</th>
+                                    <th>🔗 Reference</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${movements.map(movement => `
+                                    <tr>
+                                        <td>${new Date(movement.date).toLocaleString()}</td>
+                                        <td>${typeLabels[movement.type] || movement.type}</td>
+                                        <td class="${movement.delta < 0 ? 'delta-negative' : 'delta-positive'}">${movement.delta > 0 ? '+' : ''}${movement.delta}${movement.unit ? ` (${movement.unitQuantity} ${movement.unit})` : ''}</td>
+                                        <td>${movement.balance}</td>
+                                        <td>${movement.user || 'N/A'}</td>
+                                        <td>
+                                            ${movement.ticketId ? 'Ticket #' + (movement.ticketNumber || movement.ticketId) : ''}${movement.note || ''}
+                                            ${movement.reason ? `<br><small style="color: #7f8c8d;">${reasonLabels[movement.reason] || movement.reason}` +
+                                                `${movement.counted !== undefined ? ` (expected ${movement.expected}, counted ${movement.counted})` : ''}` +
+                                                `${movement.approvedBy ? ' · approved by ' + movement.approvedBy : ''}</small>` : ''}
+                                            ${movement.location ? `<br><small style="color: #7f8c8d;">📍 ${this.getLocationName(movement.location)}` +
+                                                `${movement.counterLocation ? (movement.delta < 0 ? ' → ' : ' ← ') + this.getLocationName(movement.counterLocation) : ''}` +
+                                                `: ${movement.locationBalance}</small>` : ''}
+                                            ${movement.lotNumber ? `<br><small style="color: #7f8c8d;">🏷️ Lot ${movement.lotNumber}` +
+                                                `${movement.expiryDate ? ' (exp ' + movement.expiryDate + ')' : ''}</small>` : ''}
+                                            ${movement.serials ? '<br><small style="color: #7f8c8d;">🔢 S/N: ' + movement.serials.join(', ') + '</small>' : ''}
+                                            ${movement.lots ? '<br><small style="color: #7f8c8d;">🏷️ ' +
+                                                movement.lots.map(lot => `Lot ${lot.lotNumber}: ${lot.quantity}`).join(', ') + '</small>' : ''}
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>`}
+                </div>
+            `;
+            this.elements.movementHistory.scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+            this.showAlert('Error loading history: ' + error.message, 'danger');
+        }
+    }
+
+    /**
+     * Hide the movement history panel
+     */
+    hideMovementHistory() {
+        if (this.elements.movementHistory) {
+            this.elements.movementHistory.innerHTML = '';
+        }
+    }
+
+    /**
+     * Filter inventory based on search and category
+     */
+    filterInventory() {
+        const searchTerm = this.elements.searchInput?.value || '';
+        const categoryFilter = this.elements.categoryFilter?.value || '';
+        
+        const filteredProducts = this.inventoryManager.searchProducts(searchTerm, categoryFilter);
+        this.displayInventory(filteredProducts);
+    }
+
+    /**
+     * Update category filter options
+     */
+    updateCategoryFilter() {
+        if (!this.elements.categoryFilter) return;
+        
+        const stats = this.inventoryManager.getStatistics();
+        this.elements.categoryFilter.innerHTML = '<option value="">All Categories</option>';
+        
+        stats.categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = category;
+            this.elements.categoryFilter.appendChild(option);
+        });
+    }
+
+    /**
+     * Setup product search with suggestions
+     * @param {string} inputId - Input element ID
+     * @param {string} suggestionsId - Suggestions container ID
+     * @param {Function} callback - Selection callback
+     */
+    setupProductSearch(inputId, suggestionsId, callback) {
+        const input = document.getElementById(inputId);
+        const suggestions = document.getElementById(suggestionsId);
+        
+        if (!input || !suggestions) return;
+        
+        input.addEventListener('input', this.debounce((e) => {
+            const query = e.target.value;
+            
+            if (query.length < 2) {
+                suggestions.style.display = 'none';
+                return;
+            }
+
+            const matches = this.inventoryManager.getProductSuggestions(query, 5);
+
+            if (matches.length > 0) {
+                suggestions.innerHTML = matches.map(item => 
+                    `<div style="padding: 10px; cursor: pointer; border-bottom: 1px solid #eee;" 
+                     onclick="window.uiController.selectProduct('${item.sku}', '${inputId}', '${suggestionsId}', '${callback.name}')">
+                        ${item.sku} - ${item.name} 
+                        ${item.barcode ? '(BC: ' + item.barcode + ')' : ''} 
+                        (Stock: ${item.stock})
+                     </div>`
+                ).join('');
+                suggestions.style.display = 'block';
+            } else {
+                suggestions.style.display = 'none';
+            }
+        }, 300));
+
+        // Hide suggestions when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!input.contains(e.target) && !suggestions.contains(e.target)) {
+                suggestions.style.display = 'none';
+            }
+        });
+    }
+
+    /**
+     * Select a product from suggestions
+     * @param {string} sku - Product SKU
+     * @param {string} inputId - Input element ID
+     * @param {string} suggestionsId - Suggestions container ID
+     * @param {string} callbackName - Callback function name
+     */
+    selectProduct(sku, inputId, suggestionsId, callbackName) {
+        document.getElementById(inputId).value = sku;
+        document.getElementById(suggestionsId).style.display = 'none';
+        
+        // Call the appropriate callback
+        if (callbackName === 'showSellProductInfo') {
+            this.showSellProductInfo(sku);
+        } else if (callbackName === 'showRestockProductInfo') {
+            this.showRestockProductInfo(sku);
+        }
+    }
+
+    /**
+     * Show product info for selling
+     * @param {string} identifier - Product SKU or barcode
+     */
+    async showSellProductInfo(identifier) {
+        try {
             const product = await this.inventoryManager.findProduct(identifier);
             if (product && this.elements.productInfo && this.elements.productDetails) {
+                const saleLocation = this.inventoryManager.locationSettings.saleLocation;
                 this.elements.productInfo.style.display = 'block';
+                this.renderUnitOptions(this.elements.sellUnit, product,
+                    unit => `${unit.name} - $${UnitConverter.getUnitPrice(product, unit.name).toFixed(2)}`);
                 this.elements.productDetails.innerHTML = `
                     <strong>${product.name}</strong><br>
                     Category: ${product.category}<br>
-                    Price: $${product.price.toFixed(2)}<br>
-                    Current Stock: ${product.quantity}
+                    Price: $${product.price.toFixed(2)} / ${product.baseUnit}<br>
+                    ${this.inventoryManager.isKit(product) ?
+                        `Kit: ${this.inventoryManager.formatKitComponents(product)}<br>Available: ${this.inventoryManager.getAvailableQuantity(product, saleLocation)}` :
+                        `Current Stock: ${UnitConverter.format(product, LocationStock.getQuantity(product, saleLocation))} at ${this.getLocationName(saleLocation)}` +
+                        (product.quantity !== LocationStock.getQuantity(product, saleLocation) ? ` (${UnitConverter.format(product, product.quantity)} in all locations)` : '')}
+                    ${product.serialTracked ? '<br>🔢 Serial number required for each unit' : ''}
+                    ${product.lots && product.lots.length > 0 ? '<br>Sell first: lot <strong>' + product.lots[0].lotNumber + '</strong>' +
+                        (product.lots[0].expiryDate ? ' (exp ' + product.lots[0].expiryDate + ')' : '') : ''}
+                    ${product.binLocation ? '<br>Bin: <strong>' + product.binLocation + '</strong>' : ''}
                     ${product.barcode ? '<br>Barcode: ' + product.barcode : ''}
                     ${product.supplier ? '<br>Supplier: ' + product.supplier : ''}
+                    ${this.formatOtherVariants(product)}
                 `;
             }
         } catch (error) {
@@ -553,6 +1923,23 @@ class UIController {
         }
     }
 
+    /**
+     * List the other variants of a product so the clerk can switch to one
+     * @param {Object} product - Product being sold
+     * @returns {string} HTML, empty for products without variants
+     */
+    formatOtherVariants(product) {
+        if (!product.parentId) return '';
+        
+        const others = this.inventoryManager.getVariants(product.parentId).filter(v => v.id !== product.id);
+        if (others.length === 0) return '';
+        
+        return '<br>Other variants: ' + others.map(variant =>
+            `<a href="#" onclick="window.uiController.selectProduct('${variant.sku}', 'sell-sku', 'search-suggestions', 'showSellProductInfo'); return false;">` +
+            `${this.inventoryManager.getVariantLabel(variant)}</a> (${UnitConverter.format(variant, variant.quantity)})`
+        ).join(', ');
+    }
+
     /**
      * Show product info for restocking
      * @param {string} identifier - Product SKU or barcode
@@ -562,11 +1949,19 @@ class UIController {
             const product = await this.inventoryManager.findProduct(identifier);
             if (product && this.elements.restockProductInfo && this.elements.restockProductDetails) {
                 this.elements.restockProductInfo.style.display = 'block';
+                this.renderUnitOptions(this.elements.restockUnit, product,
+                    unit => unit.factor === 1 ? unit.name : `${unit.name} (${unit.factor} ${product.baseUnit})`);
                 this.elements.restockProductDetails.innerHTML = `
                     <strong>${product.name}</strong><br>
                     Category: ${product.category}<br>
-                    Price: $${product.price.toFixed(2)}<br>
-                    Current Stock: ${product.quantity}
+                    Price: $${product.price.toFixed(2)} / ${product.baseUnit}<br>
+                    Current Cost: $${(product.cost || 0).toFixed(2)} / ${product.baseUnit}<br>
+                    Current Stock: ${UnitConverter.format(product, product.quantity)}
+                    ${this.inventoryManager.getLocations().length > 1 && product.quantity > 0 ?
+                        '<br>' + LocationStock.format(product, this.inventoryManager.getLocations()) : ''}
+                    ${product.lots && product.lots.length > 0 ? '<br>Lots: ' + this.formatLots(product) : ''}
+                    ${product.serialTracked ? '<br>🔢 Enter one serial number per unit received' : ''}
+                    ${product.binLocation ? '<br>Bin: <strong>' + product.binLocation + '</strong>' : ''}
                     ${product.barcode ? '<br>Barcode: ' + product.barcode : ''}
                     ${product.supplier ? '<br>Supplier: ' + product.supplier : ''}
                 `;
@@ -582,15 +1977,211 @@ class UIController {
      * @param {string} action - 'add' or 'subtract'
      */
     async quickAdjust(productId, action) {
-        const actionText = action === 'add' ? 'add' : 'remove';
-        const adjustment = prompt(`Enter quantity to ${actionText}:`);
-        const quantity = parseInt(adjustment);
+        const product = this.inventoryManager.getAllProducts().find(p => p.id === productId);
+        if (!product) return;
+        
+        // Adjust the location the table is filtered to, otherwise the sale location
+        const location = this.getInventoryLocation() || this.inventoryManager.locationSettings.saleLocation;
+        const details = await this.requestAdjustmentDetails(product, action, location);
+        if (!details) return;
+
+        try {
+            const adjustmentValue = action === 'add' ? details.quantity : -details.quantity;
+            await this.inventoryManager.adjustStock(productId, adjustmentValue, details.reason, details.note, location, details.serials);
+        } catch (error) {
+            this.showAlert(error.message, 'danger');
+        }
+    }
+
+    /**
+     * Show the adjustment dialog and wait for the quantity and reason
+     * @param {Object} product - Product adjusted
+     * @param {string} action - 'add' or 'subtract'
+     * @param {string} location - Location adjusted
+     * @returns {Promise<Object|null>} { quantity, reason, note, serials }, or null if cancelled
+     */
+    requestAdjustmentDetails(product, action, location) {
+        const overlay = document.getElementById('adjustment-overlay');
+        const form = document.getElementById('adjustment-form');
+        const cancelBtn = document.getElementById('adjustment-cancel');
+        const quantityInput = document.getElementById('adjustment-quantity');
+        const reasonSelect = document.getElementById('adjustment-reason');
+        
+        if (!overlay || !form) {
+            return Promise.resolve(null);
+        }
+        
+        const actionText = action === 'add' ? 'Add' : 'Remove';
+        form.reset();
+        document.getElementById('adjustment-title').textContent = `🔧 ${actionText} Stock`;
+        document.getElementById('adjustment-product').textContent =
+            `${product.sku} - ${product.name} at ${this.getLocationName(location)}`;
+        document.getElementById('adjustment-quantity-label').textContent =
+            `Quantity to ${actionText.toLowerCase()} (${product.baseUnit || DEFAULT_BASE_UNIT})`;
+        document.getElementById('adjustment-serials-group').style.display = product.serialTracked ? '' : 'none';
+        reasonSelect.innerHTML = '<option value="">Select Reason</option>' + Object.entries(this.getReasonLabels())
+            .map(([reason, label]) => `<option value="${reason}">${label}</option>`)
+            .join('');
+        overlay.style.display = 'flex';
+        setTimeout(() => quantityInput.focus(), 100);
+        
+        return new Promise(resolve => {
+            const finish = (details) => {
+                form.removeEventListener('submit', onSubmit);
+                cancelBtn.removeEventListener('click', onCancel);
+                overlay.style.display = 'none';
+                form.reset();
+                resolve(details);
+            };
+            const onSubmit = (e) => {
+                e.preventDefault();
+                const quantity = parseFloat(quantityInput.value);
+                if (isNaN(quantity) || quantity <= 0) return;
+                finish({
+                    quantity,
+                    reason: reasonSelect.value,
+                    note: document.getElementById('adjustment-note').value,
+                    serials: product.serialTracked ? document.getElementById('adjustment-serials').value : null
+                });
+            };
+            const onCancel = () => finish(null);
+            
+            form.addEventListener('submit', onSubmit);
+            cancelBtn.addEventListener('click', onCancel);
+        });
+    }
+
+    /**
+     * Show the adjustments waiting for a manager above the inventory table.
+     * Managers can approve or reject them from there.
+     */
+    async renderPendingAdjustments() {
+        const container = this.elements.pendingAdjustments;
+        if (!container) return;
+        
+        try {
+            const adjustments = await this.inventoryManager.getPendingAdjustments();
+            if (adjustments.length === 0) {
+                container.innerHTML = '';
+                return;
+            }
+            
+            const permissions = window.authSystem ? window.authSystem.getUserPermissions() : {};
+            const reasonLabels = this.getReasonLabels();
+            container.innerHTML = `
+                <div class="movement-history-box">
+                    <h3>⏳ Adjustments Waiting for Approval (${adjustments.length})</h3>
+                    <div class="table-container">
+                        <table class="inventory-table">
+                            <thead>
+                                <tr>
+                                    <th>📅 Requested</th>
+                                    <th>🏷️ SKU</th>
+                                    <th>± Change</th>
+                                    <th>💲 Value</th>
+                                    <th>🔖 Reason</th>
+                                    <th>👤 User</th>
+                                    <th>⚙️ Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${adjustments.map(adjustment => `
+                                    <tr>
+                                        <td>${new Date(adjustment.requestedAt).toLocaleString()}</td>
+                                        <td>${adjustment.sku}<br><small style="color: #7f8c8d;">${adjustment.name} · 📍 ${this.getLocationName(adjustment.location)}</small></td>
+                                        <td class="${adjustment.delta < 0 ? 'delta-negative' : 'delta-positive'}">${adjustment.delta > 0 ? '+' : ''}${adjustment.delta}</td>
+                                        <td>$${Math.abs(adjustment.value).toFixed(2)}</td>
+                                        <td>${reasonLabels[adjustment.reason] || adjustment.reason}${adjustment.note ? '<br><small style="color: #7f8c8d;">' + adjustment.note + '</small>' : ''}</td>
+                                        <td>${adjustment.requestedBy}</td>
+                                        <td class="action-buttons">
+                                            ${permissions.canApproveAdjustments ? `
+                                                <button class="btn" onclick="window.uiController.approveAdjustment(${adjustment.id})" title="Approve and apply">✅</button>
+                                                <button class="btn btn-danger" onclick="window.uiController.rejectAdjustment(${adjustment.id})" title="Reject">⛔</button>
+                                            ` : '<small style="color: #7f8c8d;">Waiting for a manager</small>'}
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            `;
+        } catch (error) {
+            console.error('Error loading pending adjustments:', error);
+        }
+    }
+
+    /**
+     * Approve a pending adjustment
+     * @param {number} adjustmentId - Adjustment ID
+     */
+    async approveAdjustment(adjustmentId) {
+        try {
+            await this.inventoryManager.approveAdjustment(adjustmentId);
+        } catch (error) {
+            this.showAlert(error.message, 'danger');
+            this.renderPendingAdjustments();
+        }
+    }
+
+    /**
+     * Reject a pending adjustment, asking why
+     * @param {number} adjustmentId - Adjustment ID
+     */
+    async rejectAdjustment(adjustmentId) {
+        const note = prompt('Why is this adjustment rejected? (optional)');
+        if (note === null) return;
+        
+        try {
+            await this.inventoryManager.rejectAdjustment(adjustmentId, note);
+        } catch (error) {
+            this.showAlert(error.message, 'danger');
+            this.renderPendingAdjustments();
+        }
+    }
+
+    /**
+     * Ask for the aisle/shelf/bin of a product
+     * @param {number} productId - Product ID
+     */
+    async editBinLocation(productId) {
+        const product = this.inventoryManager.getAllProducts().find(p => p.id === productId);
+        if (!product) return;
         
-        if (isNaN(quantity) || quantity <= 0) return;
+        const bin = prompt(`Aisle / shelf / bin of ${product.sku} (leave empty to clear):`, product.binLocation || '');
+        if (bin === null) return;
+        
+        try {
+            await this.inventoryManager.setProductBin(productId, bin);
+        } catch (error) {
+            this.showAlert(error.message, 'danger');
+        }
+    }
 
+    /**
+     * Show the serials of a serial-tracked product in stock, or start
+     * tracking serials for a product, naming the units already on hand
+     * @param {number} productId - Product ID
+     */
+    async manageSerials(productId) {
+        const product = this.inventoryManager.getAllProducts().find(p => p.id === productId);
+        if (!product) return;
+        
         try {
-            const adjustmentValue = action === 'add' ? quantity : -quantity;
-            await this.inventoryManager.adjustStock(productId, adjustmentValue);
+            if (product.serialTracked) {
+                const serials = await this.inventoryManager.getSerialsInStock(productId);
+                alert(`${product.sku} serials in stock (${serials.length}):\n${serials.join('\n') || 'none'}`);
+                return;
+            }
+            
+            if (this.inventoryManager.isKit(product)) return;
+            const serials = product.quantity > 0 ?
+                prompt(`Track serial numbers for ${product.sku}? Enter the serials of the ${product.quantity} units in stock (separate with commas):`) :
+                (confirm(`Track serial numbers for ${product.sku}? Each unit received or sold will need its serial.`) ? '' : null);
+            if (serials === null) return;
+            
+            await this.inventoryManager.enableSerialTracking(productId, serials);
+            this.showAlert(`${product.sku} now tracks serial numbers`, 'success');
         } catch (error) {
             this.showAlert(error.message, 'danger');
         }
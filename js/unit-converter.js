@@ -0,0 +1,233 @@
+/**
+ * Unit Converter Module
+ * Converts quantities between a product's base unit, in which stock is kept,
+ * and the alternate units it is sold or bought in
+ */
+
+// Units stock can be kept in; only measured units allow fractional quantities
+const BASE_UNITS = Object.freeze({
+    unit: { label: 'Unit', decimals: false },
+    ft: { label: 'Foot', decimals: true },
+    m: { label: 'Meter', decimals: true },
+    kg: { label: 'Kilogram', decimals: true },
+    lb: { label: 'Pound', decimals: true },
+    l: { label: 'Liter', decimals: true },
+    gal: { label: 'Gallon', decimals: true }
+});
+
+// Unit every product saved before units of measure existed is kept in
+const DEFAULT_BASE_UNIT = 'unit';
+
+// Decimal places kept on fractional quantities
+const QUANTITY_DECIMALS = 3;
+
+class UnitConverter {
+    /**
+     * Round a quantity to the precision stock is kept at
+     * @param {number} quantity - Quantity
+     * @returns {number} Rounded quantity
+     */
+    static round(quantity) {
+        const factor = Math.pow(10, QUANTITY_DECIMALS);
+        return Math.round(quantity * factor) / factor;
+    }
+
+    /**
+     * Give products saved before units of measure existed the default base
+     * unit and no alternate units
+     * @param {Object} product - Product to prepare (modified in place)
+     * @returns {Object} The same product
+     */
+    static ensureUnits(product) {
+        if (!product.baseUnit) {
+            product.baseUnit = DEFAULT_BASE_UNIT;
+        }
+        if (!Array.isArray(product.units)) {
+            product.units = [];
+        }
+        return product;
+    }
+
+    /**
+     * Check whether a product's stock may hold fractional quantities
+     * @param {Object} product - Product
+     * @returns {boolean}
+     */
+    static allowsDecimals(product) {
+        const base = BASE_UNITS[product.baseUnit || DEFAULT_BASE_UNIT];
+        return !!(base && base.decimals);
+    }
+
+    /**
+     * Get every unit a product can be handled in, base unit first
+     * @param {Object} product - Product
+     * @returns {Array} Units ({ name, factor, price })
+     */
+    static getUnits(product) {
+        return [
+            { name: product.baseUnit || DEFAULT_BASE_UNIT, factor: 1 },
+            ...(product.units || [])
+        ];
+    }
+
+    /**
+     * Find one of a product's units; no name means the base unit
+     * @param {Object} product - Product
+     * @param {string|null} name - Unit name
+     * @returns {Object} Unit ({ name, factor, price })
+     */
+    static getUnit(product, name = null) {
+        const unit = this.getUnits(product).find(u => !name || u.name === name);
+        if (!unit) {
+            throw new Error(`Unidad inválida para ${product.sku}: ${name}`);
+        }
+        return unit;
+    }
+
+    /**
+     * Convert a quantity in one of a product's units to its base unit
+     * @param {Object} product - Product
+     * @param {number} quantity - Quantity in the given unit
+     * @param {string|null} unitName - Unit of the quantity (defaults to the base unit)
+     * @returns {number} Quantity in the base unit
+     */
+    static toBase(product, quantity, unitName = null) {
+        return this.round(quantity * this.getUnit(product, unitName).factor);
+    }
+
+    /**
+     * Check whether a quantity in the base unit can be kept in stock: whole
+     * numbers only, unless the base unit is measured
+     * @param {Object} product - Product
+     * @param {number} quantity - Quantity in the base unit
+     * @returns {boolean}
+     */
+    static isValidQuantity(product, quantity) {
+        if (typeof quantity !== 'number' || isNaN(quantity)) return false;
+        return this.allowsDecimals(product) || Number.isInteger(this.round(quantity));
+    }
+
+    /**
+     * Check a quantity being sold, received, adjusted or returned
+     * @param {Object} product - Product
+     * @param {number} quantity - Quantity in the base unit
+     * @throws {Error} If the quantity is not positive or not allowed for the unit
+     */
+    static assertQuantity(product, quantity) {
+        if (isNaN(quantity) || quantity <= 0) {
+            throw new Error('La cantidad debe ser mayor a cero');
+        }
+        if (!this.isValidQuantity(product, quantity)) {
+            throw new Error(`${product.sku} solo admite cantidades enteras de ${product.baseUnit || DEFAULT_BASE_UNIT}`);
+        }
+    }
+
+    /**
+     * Get the list price of one of a product's units: its own price when it
+     * has one, otherwise the base price times the factor
+     * @param {Object} product - Product
+     * @param {string|null} unitName - Unit name (defaults to the base unit)
+     * @returns {number} Price per unit
+     */
+    static getUnitPrice(product, unitName = null) {
+        const unit = this.getUnit(product, unitName);
+        if (typeof unit.price === 'number') {
+            return unit.price;
+        }
+        return TaxCalculator.round(product.price * unit.factor);
+    }
+
+    /**
+     * Describe a stock quantity in the base unit, with its equivalent in the
+     * largest alternate unit
+     * @param {Object} product - Product
+     * @param {number} quantity - Quantity in the base unit
+     * @returns {string} Text such as "250 unit (2.5 box)"
+     */
+    static format(product, quantity) {
+        const baseUnit = product.baseUnit || DEFAULT_BASE_UNIT;
+        const units = product.units || [];
+        if (baseUnit === DEFAULT_BASE_UNIT && units.length === 0) {
+            return String(this.round(quantity));
+        }
+
+        const largest = units.reduce((max, unit) => !max || unit.factor > max.factor ? unit : max, null);
+        const equivalent = largest && Math.abs(quantity) >= largest.factor ?
+            ` (${this.round(quantity / largest.factor)} ${largest.name})` : '';
+        return `${this.round(quantity)} ${baseUnit}${equivalent}`;
+    }
+
+    /**
+     * Check a product's base unit and alternate units
+     * @param {string} baseUnit - One of BASE_UNITS
+     * @param {Array} units - Alternate units ({ name, factor, price })
+     * @throws {Error} Validation error
+     */
+    static validateUnits(baseUnit, units) {
+        if (!BASE_UNITS[baseUnit]) {
+            throw new Error(`Unidad base inválida: ${baseUnit}`);
+        }
+
+        const names = new Set([baseUnit]);
+        (units || []).forEach(unit => {
+            if (!unit.name || !/^[a-z][a-z0-9]*$/.test(unit.name)) {
+                throw new Error(`Nombre de unidad inválido: ${unit.name || ''}`);
+            }
+            if (names.has(unit.name)) {
+                throw new Error(`Unidad repetida: ${unit.name}`);
+            }
+            names.add(unit.name);
+
+            if (isNaN(unit.factor) || unit.factor <= 0) {
+                throw new Error(`El factor de ${unit.name} debe ser mayor a cero`);
+            }
+            if (!BASE_UNITS[baseUnit].decimals && !Number.isInteger(unit.factor)) {
+                throw new Error(`El factor de ${unit.name} debe ser un número entero de ${baseUnit}`);
+            }
+            if (unit.price !== undefined && (isNaN(unit.price) || unit.price < 0)) {
+                throw new Error(`El precio de ${unit.name} no puede ser negativo`);
+            }
+        });
+    }
+
+    /**
+     * Parse alternate units written as "box=100@22.50, pack=10": name, how
+     * many base units it holds and an optional price of its own
+     * @param {string} text - Units text
+     * @returns {Array} Units ({ name, factor, price })
+     */
+    static parseUnits(text) {
+        return String(text || '').split(',').map(part => part.trim()).filter(Boolean).map(part => {
+            const match = part.match(/^([^=@\s]+)\s*=\s*([\d.]+)\s*(?:@\s*\$?([\d.]+))?$/);
+            if (!match) {
+                throw new Error(`Unidad mal escrita: "${part}". Use nombre=factor o nombre=factor@precio`);
+            }
+
+            const unit = { name: match[1].toLowerCase(), factor: parseFloat(match[2]) };
+            if (match[3] !== undefined) {
+                unit.price = parseFloat(match[3]);
+            }
+            return unit;
+        });
+    }
+
+    /**
+     * Write alternate units in the form parseUnits reads
+     * @param {Array} units - Units ({ name, factor, price })
+     * @returns {string} Units text
+     */
+    static formatUnits(units) {
+        return (units || [])
+            .map(unit => `${unit.name}=${unit.factor}${typeof unit.price === 'number' ? '@' + unit.price.toFixed(2) : ''}`)
+            .join(', ');
+    }
+
+    /**
+     * Get a display label for a base unit
+     * @param {string} unit - One of BASE_UNITS
+     * @returns {string} Label
+     */
+    static getLabel(unit) {
+        return BASE_UNITS[unit] ? `${BASE_UNITS[unit].label} (${unit})` : unit;
+    }
+}
@@ -99,19 +99,25 @@ class ValidationUtils {
     /**
      * Validate quantity
      * @param {string|number} quantity - Quantity to validate
+     * @param {boolean} allowDecimals - Whether the unit allows fractional quantities
      * @returns {Object} Validation result
      */
-    static validateQuantity(quantity) {
+    static validateQuantity(quantity, allowDecimals = false) {
         const result = { isValid: true, errors: [] };
         
-        const numQuantity = parseInt(quantity);
+        const numQuantity = parseFloat(quantity);
         
         if (isNaN(numQuantity)) {
             result.isValid = false;
-            result.errors.push('Cantidad debe ser un número entero válido');
+            result.errors.push('Cantidad debe ser un número válido');
             return result;
         }
         
+        if (!allowDecimals && !Number.isInteger(numQuantity)) {
+            result.isValid = false;
+            result.errors.push('Cantidad debe ser un número entero');
+        }
+        
         if (numQuantity < 0) {
             result.isValid = false;
             result.errors.push('Cantidad no puede ser negativa');
@@ -174,8 +180,8 @@ class ValidationUtils {
             sku: this.validateSKU(productData.sku),
             name: this.validateProductName(productData.name),
             price: this.validatePrice(productData.price),
-            quantity: this.validateQuantity(productData.quantity),
-            minStock: this.validateQuantity(productData.minStock),
+            quantity: this.validateQuantity(productData.quantity, UnitConverter.allowsDecimals(productData)),
+            minStock: this.validateQuantity(productData.minStock, UnitConverter.allowsDecimals(productData)),
             barcode: this.validateBarcode(productData.barcode)
         };
         
@@ -0,0 +1,220 @@
+/**
+ * Variants Functionality
+ * Handles products sold in variants (color, size, length) under a parent item
+ */
+
+// Render the parent product form, list and the variant choice of the add product form
+function renderVariantsSection() {
+    if (!window.inventoryManager) return;
+
+    renderParentCategoryOptions();
+    renderVariantParentOptions();
+    renderParentProductList();
+}
+
+// Offer the same categories as the add product form
+function renderParentCategoryOptions() {
+    const select = document.getElementById('parent-category');
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = '<option value="">Select Category</option>' + getKnownCategories()
+        .map(category => `<option value="${category}">${category}</option>`)
+        .join('');
+    select.value = selected;
+}
+
+// Fill the "Variant Of" choice of the add product form
+function renderVariantParentOptions() {
+    const select = document.getElementById('variant-parent');
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = '<option value="">Standalone product</option>' + window.inventoryManager.getParentProducts()
+        .map(parent => `<option value="${parent.id}">${parent.name}</option>`)
+        .join('');
+    select.value = window.inventoryManager.getParentProduct(parseInt(selected)) ? selected : '';
+    applyVariantParent();
+}
+
+// Take name, category and supplier from the chosen parent and ask for its options
+function applyVariantParent() {
+    const select = document.getElementById('variant-parent');
+    if (!select) return;
+
+    const parent = window.inventoryManager.getParentProduct(parseInt(select.value));
+    const nameInput = document.getElementById('name');
+    const categorySelect = document.getElementById('category');
+    const supplierInput = document.getElementById('supplier');
+    const optionsInput = document.getElementById('variant-options');
+
+    document.getElementById('variant-options-group').style.display = parent ? '' : 'none';
+    nameInput.readOnly = !!parent;
+    categorySelect.disabled = !!parent;
+    supplierInput.readOnly = !!parent;
+
+    if (parent) {
+        nameInput.value = parent.name;
+        if (!Array.from(categorySelect.options).some(option => option.value === parent.category)) {
+            categorySelect.insertAdjacentHTML('beforeend', `<option value="${parent.category}">${parent.category}</option>`);
+        }
+        categorySelect.value = parent.category;
+        supplierInput.value = parent.supplier || '';
+        optionsInput.placeholder = `e.g., ${parent.options.map(option => option + '=...').join(', ')}`;
+    } else {
+        optionsInput.value = '';
+    }
+}
+
+// Render the parent products with their variants
+function renderParentProductList() {
+    const container = document.getElementById('parent-product-list');
+    if (!container) return;
+
+    const parents = window.inventoryManager.getParentProducts();
+    if (parents.length === 0) {
+        container.innerHTML = '<p class="settings-hint">No products with variants yet</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="table-container">
+            <table class="inventory-table">
+                <thead>
+                    <tr>
+                        <th>📝 Name</th>
+                        <th>🗂️ Category</th>
+                        <th>🔖 Options</th>
+                        <th>🎨 Variants</th>
+                        <th>⚙️ Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${parents.map(parent => {
+                        const variants = window.inventoryManager.getVariants(parent.id);
+                        return `
+                            <tr>
+                                <td>${parent.name}${parent.supplier ? '<br><small style="color: #7f8c8d;">Supplier: ' + parent.supplier + '</small>' : ''}</td>
+                                <td>${parent.category}</td>
+                                <td>${parent.options.join(', ')}</td>
+                                <td>${variants.map(v => `${v.sku}: ${window.inventoryManager.getVariantLabel(v) || '-'}`).join('<br>') || '-'}</td>
+                                <td class="action-buttons">
+                                    <button class="btn" onclick="addVariantOf(${parent.id})" title="Add variant">➕</button>
+                                    <button class="btn btn-warning" onclick="editParentProduct(${parent.id})" title="Edit shared fields">✏️</button>
+                                    <button class="btn btn-danger" onclick="confirmDeleteParentProduct(${parent.id})" title="Delete product">🗑️</button>
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Save the parent product form
+async function handleParentProductSubmit(e) {
+    e.preventDefault();
+
+    const id = parseInt(document.getElementById('parent-product-id').value);
+    const data = {
+        name: document.getElementById('parent-name').value,
+        category: document.getElementById('parent-category').value,
+        supplier: document.getElementById('parent-supplier').value,
+        options: document.getElementById('parent-options').value.split(',')
+    };
+
+    try {
+        if (isNaN(id)) {
+            await window.inventoryManager.addParentProduct(data);
+        } else {
+            await window.inventoryManager.updateParentProduct(id, data);
+        }
+
+        resetParentProductForm();
+        renderVariantsSection();
+        window.uiController.showAlert('Product saved! Add its variants with the form above.', 'success');
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Load a parent product into the form for editing
+function editParentProduct(parentId) {
+    const parent = window.inventoryManager.getParentProduct(parentId);
+    if (!parent) return;
+
+    showSection('add-product');
+    renderVariantsSection();
+
+    document.getElementById('parent-product-id').value = parent.id;
+    document.getElementById('parent-name').value = parent.name;
+    document.getElementById('parent-category').value = parent.category;
+    document.getElementById('parent-supplier').value = parent.supplier || '';
+    document.getElementById('parent-options').value = parent.options.join(', ');
+    document.getElementById('parent-form-title').textContent = `✏️ Edit Product: ${parent.name}`;
+    document.getElementById('parent-name').focus();
+}
+
+// Clear the parent product form
+function resetParentProductForm() {
+    const form = document.getElementById('parent-product-form');
+    if (form) form.reset();
+    document.getElementById('parent-product-id').value = '';
+    document.getElementById('parent-form-title').textContent = '➕ New Product with Variants';
+}
+
+// Open the add product form with a parent already chosen
+function addVariantOf(parentId) {
+    showSection('add-product');
+    renderVariantsSection();
+
+    document.getElementById('variant-parent').value = parentId;
+    applyVariantParent();
+    document.getElementById('sku').focus();
+}
+
+// Delete a parent product after confirmation
+async function confirmDeleteParentProduct(parentId) {
+    if (!confirm('Are you sure you want to delete this product?')) return;
+
+    try {
+        await window.inventoryManager.deleteParentProduct(parentId);
+        renderVariantsSection();
+        window.uiController.showAlert('Product deleted', 'success');
+    } catch (error) {
+        window.uiController.showAlert(error.message, 'danger');
+    }
+}
+
+// Setup variant forms when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    const form = document.getElementById('parent-product-form');
+    if (form) {
+        form.addEventListener('submit', handleParentProductSubmit);
+    }
+
+    const resetBtn = document.getElementById('parent-reset');
+    if (resetBtn) {
+        resetBtn.addEventListener('click', resetParentProductForm);
+    }
+
+    const parentSelect = document.getElementById('variant-parent');
+    if (parentSelect) {
+        parentSelect.addEventListener('change', applyVariantParent);
+    }
+
+    // The add product form is cleared after each product is saved
+    const addProductForm = document.getElementById('add-product-form');
+    if (addProductForm) {
+        addProductForm.addEventListener('reset', () => setTimeout(renderVariantsSection, 0));
+    }
+});
+
+// Make functions globally available
+window.renderVariantsSection = renderVariantsSection;
+window.editParentProduct = editParentProduct;
+window.addVariantOf = addVariantOf;
+window.confirmDeleteParentProduct = confirmDeleteParentProduct;
+
+console.log('✅ Variants functionality loaded');